@@ -3,6 +3,9 @@
  *
  * Copy this file to config.js and customize your settings.
  * Required: YouTube API key OR Twitch channel name
+ *
+ * Secrets (YouTube apiKey, Twitch clientSecret/accessToken, controlToken)
+ * are only read by the server and are never sent to the overlay or control panel.
  */
 
 const config = {
@@ -11,6 +14,26 @@ const config = {
     port: 3000
   },
 
+  // Control panel access
+  security: {
+    // Token required to open /control and change settings over WebSocket.
+    // Leave empty to generate a random token on every start (printed in the console).
+    controlToken: ''
+  },
+
+  // Recent chat kept in memory, replayed to overlays when OBS reloads them
+  // and available at GET /api/messages/recent
+  chatHistory: {
+    // Messages kept per channel (oldest are dropped first)
+    maxPerChannel: 100
+  },
+
+  // Local storage for runtime state (control panel changes survive restarts)
+  storage: {
+    // Directory for runtime-config.json (relative to the project root)
+    dataDir: './data'
+  },
+
   // YouTube configuration
   youtube: {
     // Get your API key from: https://console.cloud.google.com
@@ -26,8 +49,41 @@ const config = {
     // Polling interval in milliseconds (7-10 seconds recommended to avoid rate limits)
     pollingInterval: 7000,
 
+    // Chat transport: 'poll' (liveChat/messages) or 'stream' (streamList,
+    // instant delivery; falls back to polling if the stream can't be used)
+    // Can be changed per connection in the control panel
+    transport: 'poll',
+
+    // Daily API quota budget (units reset at midnight Pacific time)
+    // Polling slows down so the remaining units last `budgetHours`;
+    // `reserve` units are kept for connecting, never spent on searches
+    quota: {
+      dailyLimit: 10000,
+      reserve: 300,
+      budgetHours: 6
+    },
+
+    // Follow the channel's live stream (needs channelId above): new
+    // broadcasts are connected and ended ones disconnected automatically.
+    // Uses the channel's RSS feed plus a 1-unit video lookup per check
+    // Can be switched on and off in the control panel
+    liveWatcher: {
+      enabled: false,
+      intervalSeconds: 120,
+      feedUrl: ''                              // Optional RSS feed override (mock servers)
+    },
+
+    // Optional: API base URL override, e.g. a local mock server for testing
+    // Leave empty for https://www.googleapis.com/youtube/v3
+    apiBaseUrl: '',
+
     // Set to true for testing without API key
-    simulationMode: false
+    simulationMode: false,
+
+    // Optional: image URL for Super Stickers, '{id}' is replaced by the sticker ID
+    // (the API only sends IDs and alt text; leave empty for the bundled sticker
+    // image, captioned with the sticker's alt text)
+    superStickerImageUrl: ''
   },
 
   // Twitch configuration
@@ -40,9 +96,92 @@ const config = {
     // Anonymous mode (no credentials needed, but no avatars)
     botUsername: 'justinfan12345',
 
+    // Optional: bot mode - send chat and moderate from the control panel.
+    // Set botUsername to the bot's login and oauthToken to a user token for it,
+    // issued to the clientId below, with the scopes chat:read chat:edit
+    // moderator:manage:chat_messages moderator:manage:banned_users.
+    // The bot must be a moderator in the channel to delete, time out or ban.
+    oauthToken: '',
+
     // Optional: For avatar support, get credentials from https://dev.twitch.tv/console
+    // The server exchanges these for an app access token and renews it itself
     clientId: 'YOUR_TWITCH_CLIENT_ID_HERE',
-    clientSecret: 'YOUR_TWITCH_CLIENT_SECRET_HERE'
+    clientSecret: 'YOUR_TWITCH_CLIENT_SECRET_HERE',
+
+    // Chatter avatars looked up via Helix (needs the credentials above)
+    avatarCache: {
+      maxEntries: 5000,   // Least recently seen chatters are dropped first
+      ttlMinutes: 60      // Re-check avatars after this long
+    }
+  },
+
+  // Kick configuration
+  // Chat is read from Kick's public websocket, no credentials needed
+  kick: {
+    // Your Kick channel (the name in kick.com/yourchannel), prefilled in the control panel
+    defaultChannel: '',
+
+    // Optional: point the connector at another server (e.g. a local fake for testing)
+    // Leave empty for Kick's own websocket and channel API
+    pusherUrl: '',
+    apiBaseUrl: ''
+  },
+
+  // Third-party emotes (BetterTTV, FrankerFaceZ, 7TV)
+  // Shown in Twitch, YouTube and Kick chat; toggle each one in the control panel
+  emotes: {
+    providers: {
+      bttv: true,
+      ffz: true,
+      seventv: true
+    },
+    cacheTtlMinutes: 60, // How long emote sets are cached
+
+    // Optional: API base URL overrides, e.g. a local mock server for testing
+    // Leave empty for each provider's own API
+    apiBaseUrls: {
+      bttv: '',
+      ffz: '',
+      seventv: ''
+    }
+  },
+
+  // Inbound webhooks: local tools (Discord bot, donation alerts, scripts)
+  // posting chat messages and events to POST /api/ingest.
+  // Each source signs its requests with its own secret (see README) and
+  // shows up on the overlay as its own platform.
+  ingest: {
+    // Seconds a signed request stays valid
+    maxSkewSeconds: 300,
+
+    sources: {
+      // discord: {
+      //   secret: 'a-long-random-string',  // At least 16 characters
+      //   name: 'Discord',
+      //   icon: 'fab fa-discord',          // Font Awesome classes
+      //   color: '#5865F2',
+      //   emoji: '💬',                     // Control panel lists
+      //   rateLimit: { max: 30, windowSeconds: 60 }
+      // }
+    }
+  },
+
+  // Outbound webhooks: POST the chat messages, events and moderation the overlays get
+  // to local tools (TTS bot, stats logger). GET /api/events streams the same
+  // feed as Server-Sent Events without any setup here.
+  webhooks: {
+    maxRetries: 5,    // Retries with exponential backoff (1s, 2s, 4s, ...)
+    timeoutMs: 5000,  // Per attempt
+    logSize: 100,     // Deliveries kept in the log (GET /api/events/webhooks)
+
+    targets: {
+      // tts: {
+      //   url: 'http://localhost:5000/chat',
+      //   secret: '',                         // Optional: sign requests (X-Webhook-Signature)
+      //   platforms: ['twitch', 'youtube'],   // Optional: only these platforms
+      //   types: ['chat-message']             // Optional: event types or chat event types ('sub', 'raid', ...)
+      // }
+    }
   },
 
   // Overlay appearance
@@ -54,8 +193,13 @@ const config = {
     showUsername: true,
     showAvatar: true,
     showPlatformIcon: true,
+    showChannelTag: true, // Label + color tag of the channel, when more than one is connected
     avatarShape: 'circle', // 'circle' or 'square'
 
+    // Messages deleted by moderators: false removes them,
+    // true keeps them as "<message removed>"
+    showRemovedPlaceholder: false,
+
     // Message bubble styling
     backgroundColor: '#000000',
     backgroundOpacity: 55, // 0-100
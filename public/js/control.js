@@ -41,7 +41,7 @@
  * - uiManager.js: UI updates and event listeners
  *
  * @requires ControlWebSocket - Manages server WebSocket connection
- * @requires PlatformManager - Handles YouTube/Twitch connections
+ * @requires PlatformManager - Handles platform connections
  * @requires UIManager - Updates UI and manages form controls
  */
 
@@ -60,7 +60,7 @@
  * Module coordination:
  * - UIManager: Handles all form controls and UI updates
  * - ControlWebSocket: Manages server connection and messaging
- * - PlatformManager: Handles YouTube/Twitch connections (via global functions)
+ * - PlatformManager: Handles platform connections (YouTube via global functions)
  *
  * Called automatically when DOM is ready
  */
@@ -74,11 +74,19 @@ function initialize() {
   // Setup UI event listeners
   window.UIManager.setupEventListeners();
 
+  // Live chat feed and platform notices listen for server messages, so set them up before connecting
+  window.UIManager.setupChatFeed();
+  window.PlatformManager.setupConnectionEvents();
+
   // Connect to server with config callback
   window.ControlWebSocket.connect((config) => {
     window.UIManager.loadConfig(config);
   });
 
+  // Show avatar cache hit/miss stats and YouTube quota usage
+  window.UIManager.startCacheStats();
+  window.UIManager.startQuotaGauge();
+
   console.log('✅ Control panel initialized');
 }
 
@@ -116,22 +124,6 @@ function disconnectYouTube() {
   window.PlatformManager.disconnectYouTube();
 }
 
-/**
- * Connect to Twitch - called from HTML onclick
- * Delegates to: window.PlatformManager.connectTwitch()
- */
-function connectTwitch() {
-  window.PlatformManager.connectTwitch();
-}
-
-/**
- * Disconnect from Twitch - called from HTML onclick
- * Delegates to: window.PlatformManager.disconnectTwitch()
- */
-function disconnectTwitch() {
-  window.PlatformManager.disconnectTwitch();
-}
-
 /**
  * Disconnect from all platforms - called from HTML onclick
  * Delegates to: window.PlatformManager.disconnectAll()
@@ -140,6 +132,16 @@ function disconnectAll() {
   window.PlatformManager.disconnectAll();
 }
 
+/**
+ * Turn YouTube auto-follow on or off - called from HTML onchange
+ * Delegates to: window.PlatformManager.setYouTubeAutoFollow()
+ *
+ * @param {boolean} enabled - Follow the channel's live stream
+ */
+function setYouTubeAutoFollow(enabled) {
+  window.PlatformManager.setYouTubeAutoFollow(enabled);
+}
+
 /**
  * Auto-detect live stream - called from HTML onclick
  * Delegates to: window.PlatformManager.autoDetectLiveStream()
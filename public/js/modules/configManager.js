@@ -12,10 +12,7 @@
  * @type {Object}
  */
 const defaultConfig = {
-  platforms: {
-    youtube: { enabled: false, videoId: '' },
-    twitch: { enabled: false, channelId: '' }
-  },
+  connections: [],
   theme: 'neon',
   maxMessages: 6,
   soundEnabled: true,
@@ -24,11 +21,14 @@ const defaultConfig = {
   showAvatar: true,
   avatarShape: 'circle',
   showPlatformIcon: true,
+  showChannelTag: true,
+  showRemovedPlaceholder: false,
   bgColor: '#000000',
   bgOpacity: 55,
   borderRadius: 18,
   blurEffect: true,
-  customCSS: ''
+  customCSS: '',
+  platformFilters: {} // Platforms missing here are shown
 };
 
 /**
@@ -58,6 +58,16 @@ function updateConfig(updates) {
   return currentConfig;
 }
 
+/**
+ * Check whether this overlay's profile shows chat from a platform
+ *
+ * @param {string} platform - Platform name ('youtube', 'twitch', ...)
+ * @returns {boolean} False only if the profile filters the platform out
+ */
+function isPlatformShown(platform) {
+  return currentConfig.platformFilters?.[platform] !== false;
+}
+
 /**
  * Apply all configuration changes to the DOM
  * Updates theme, colors, and custom CSS
@@ -147,6 +157,7 @@ function hexToRgb(hex) {
 window.OverlayConfigManager = {
   getConfig,
   updateConfig,
+  isPlatformShown,
   applyConfig
 };
 
@@ -25,9 +25,22 @@ let isConnected = false;
  */
 let onConfigReceived = null;
 
+/**
+ * Listeners for other server message types, by type
+ * @type {Object<string, Function[]>}
+ */
+const messageListeners = {};
+
+/**
+ * Overlay profile currently being edited
+ * Starts from the control page's `?profile=` parameter
+ * @type {string}
+ */
+let currentProfile = new URLSearchParams(window.location.search).get('profile') || 'default';
+
 /**
  * Connect to WebSocket server
- * Automatically reconnects on disconnect
+ * Subscribes to the profile being edited; automatically reconnects on disconnect
  *
  * @param {Function} configCallback - Called when config is received from server
  */
@@ -35,7 +48,7 @@ function connect(configCallback) {
   onConfigReceived = configCallback;
 
   const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-  const wsUrl = `${protocol}//${window.location.host}`;
+  const wsUrl = `${protocol}//${window.location.host}/?profile=${encodeURIComponent(currentProfile)}`;
 
   ws = new WebSocket(wsUrl);
 
@@ -50,8 +63,20 @@ function connect(configCallback) {
       console.log('📨 WebSocket message received:', data);
 
       if (data.type === 'config' && onConfigReceived) {
-        console.log('⚙️  Config received, youtubeChannelId:', data.data.youtubeChannelId);
+        console.log(`⚙️  Config received for profile: ${data.data.profile}`);
+        currentProfile = data.data.profile || currentProfile;
         onConfigReceived(data.data);
+      } else if (data.type === 'error') {
+        console.error('❌ Server error:', data.data.message);
+
+        // Session no longer valid (e.g. token changed) - back to the login page
+        if (data.data.code === 'unauthorized') {
+          window.location.reload();
+          return;
+        }
+        alert(data.data.message);
+      } else if (messageListeners[data.type]) {
+        messageListeners[data.type].forEach(listener => listener(data.data));
       }
     } catch (error) {
       console.error('❌ Error parsing message:', error);
@@ -70,6 +95,16 @@ function connect(configCallback) {
   };
 }
 
+/**
+ * Listen for a server message type (e.g. 'chat-message', 'action-result')
+ *
+ * @param {string} type - Message type
+ * @param {Function} listener - Called with the message data
+ */
+function on(type, listener) {
+  (messageListeners[type] = messageListeners[type] || []).push(listener);
+}
+
 /**
  * Update connection status UI
  *
@@ -95,6 +130,7 @@ function updateConnectionStatus(connected) {
 
 /**
  * Send configuration update to server
+ * Applies to the profile currently being edited
  *
  * @param {Object} config - Configuration changes
  * @returns {boolean} True if sent successfully
@@ -103,6 +139,7 @@ function sendConfig(config) {
   if (ws && ws.readyState === WebSocket.OPEN) {
     ws.send(JSON.stringify({
       type: 'config',
+      profile: currentProfile,
       data: config
     }));
     return true;
@@ -145,6 +182,27 @@ function send(type, data) {
   return false;
 }
 
+/**
+ * Switch the profile being edited
+ * The server replies with that profile's config
+ *
+ * @param {string} profile - Profile name
+ * @returns {boolean} True if sent successfully
+ */
+function setProfile(profile) {
+  currentProfile = profile;
+  return send('subscribe-profile', { profile });
+}
+
+/**
+ * Get the profile being edited
+ *
+ * @returns {string} Profile name
+ */
+function getProfile() {
+  return currentProfile;
+}
+
 /**
  * Check if WebSocket is connected
  *
@@ -160,6 +218,9 @@ window.ControlWebSocket = {
   sendConfig,
   sendChatMessage,
   send,
+  on,
+  setProfile,
+  getProfile,
   isConnected: isWebSocketConnected
 };
 
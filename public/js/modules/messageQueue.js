@@ -3,6 +3,7 @@
  *
  * Manages the display queue of messages on screen
  * including adding, removing, and limiting visible messages.
+ * Also removes (or blanks) messages taken down by moderators.
  *
  * @module messageQueue
  */
@@ -84,6 +85,54 @@ function removeMessage(messageElement) {
   }, 500);
 }
 
+/**
+ * Remove every displayed message matching a predicate
+ * With a placeholder, matching messages stay in place but their text is
+ * replaced with "message removed"
+ *
+ * @param {Function} predicate - Called with each message element; true to remove
+ * @param {Object} [options] - Removal options
+ * @param {boolean} [options.placeholder=false] - Show a placeholder instead of removing
+ * @returns {number} Number of messages removed or replaced
+ */
+function removeWhere(predicate, { placeholder = false } = {}) {
+  const matches = queue.filter(messageElement => predicate(messageElement));
+
+  matches.forEach(messageElement => {
+    if (placeholder) {
+      showRemovedPlaceholder(messageElement);
+    } else {
+      queue = queue.filter(queued => queued !== messageElement);
+      removeMessage(messageElement);
+    }
+  });
+
+  return matches.length;
+}
+
+/**
+ * Replace a message's text (and event banner) with a "message removed" note
+ *
+ * @param {HTMLElement} messageElement - Message element to blank out
+ */
+function showRemovedPlaceholder(messageElement) {
+  if (messageElement.classList.contains('message-removed')) {
+    return;
+  }
+
+  const contentEl = messageElement.querySelector('.message-content');
+  if (!contentEl) return;
+
+  contentEl.querySelectorAll('.message-text, .event-banner').forEach(el => el.remove());
+
+  const placeholderEl = document.createElement('div');
+  placeholderEl.className = 'message-text removed-placeholder';
+  placeholderEl.textContent = '<message removed>';
+  contentEl.appendChild(placeholderEl);
+
+  messageElement.classList.add('message-removed');
+}
+
 /**
  * Play the message sound effect
  *
@@ -130,6 +179,7 @@ window.MessageQueue = {
   initialize,
   addMessage,
   removeMessage,
+  removeWhere,
   playSound,
   clearAll,
   getCount
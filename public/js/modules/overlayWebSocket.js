@@ -22,6 +22,7 @@ let messageHandler = null;
 /**
  * Connect to the WebSocket server
  * Automatically determines protocol (ws/wss) based on page protocol
+ * Forwards the page's `?profile=` parameter so the server sends that profile's config
  * Includes automatic reconnection on disconnect
  *
  * @param {Function} onMessage - Callback function for handling incoming messages
@@ -30,7 +31,10 @@ function connect(onMessage) {
   messageHandler = onMessage;
 
   const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-  const wsUrl = `${protocol}//${window.location.host}`;
+  const profile = new URLSearchParams(window.location.search).get('profile');
+  const wsUrl = profile
+    ? `${protocol}//${window.location.host}/?profile=${encodeURIComponent(profile)}`
+    : `${protocol}//${window.location.host}`;
 
   ws = new WebSocket(wsUrl);
 
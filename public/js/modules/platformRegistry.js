@@ -0,0 +1,121 @@
+/**
+ * Platform Registry (browser side)
+ *
+ * The chat platforms the server can connect to, as described by the
+ * server's platforms/registry and sent with every config
+ * (`availablePlatforms`). Shared by the overlay and the control panel, so
+ * renderers and controls look platforms up here instead of branching on
+ * platform names:
+ *
+ * { id, name, targetName, icon, color, emoji, defaultTarget, connectable,
+ *   capabilities: { sendChat, deletion, timeouts, avatars } }
+ *
+ * Platforms that aren't `connectable` only receive messages (inbound
+ * webhook sources).
+ *
+ * Capability flags drive the UI (moderation buttons, avatars). Platforms
+ * the server did not describe get a neutral fallback without capabilities.
+ * What a connection can do may differ from its platform (Twitch without
+ * bot mode can't send chat or moderate), so each connection record in the
+ * config carries its own `capabilities`; checks for a message use its
+ * connection's flags when known.
+ *
+ * @module platformRegistry
+ */
+
+/**
+ * Display details for platforms the server did not describe
+ * @type {Object}
+ */
+const FALLBACK_PLATFORM = {
+  targetName: 'channel',
+  icon: 'fa-solid fa-comment',
+  color: '#666',
+  emoji: '💬',
+  defaultTarget: '',
+  connectable: false,
+  capabilities: {}
+};
+
+/**
+ * Platform descriptions from the server, in registration order
+ * @type {Object[]}
+ */
+let platforms = [];
+
+/**
+ * Capability flags per connection ID, from the config's connection records
+ * @type {Object<string, Object>}
+ */
+let connectionCapabilities = {};
+
+/**
+ * Replace the platform list with the server's
+ *
+ * @param {Object[]} [list] - Platform descriptions (config.availablePlatforms)
+ * @returns {boolean} True if the list changed
+ */
+function setPlatforms(list) {
+  if (!Array.isArray(list)) {
+    return false;
+  }
+
+  const changed = JSON.stringify(list) !== JSON.stringify(platforms);
+  platforms = list;
+  return changed;
+}
+
+/**
+ * Replace the per-connection capabilities with the server's
+ *
+ * @param {Object[]} [connections] - Connection records (config.connections)
+ */
+function setConnections(connections) {
+  if (!Array.isArray(connections)) {
+    return;
+  }
+
+  connectionCapabilities = Object.fromEntries(connections
+    .filter(record => record.capabilities)
+    .map(record => [record.id, record.capabilities]));
+}
+
+/**
+ * Get a platform's description
+ *
+ * @param {string} id - Platform ID
+ * @returns {Object} Description (fallback values if unknown)
+ */
+function getPlatform(id) {
+  return platforms.find(platform => platform.id === id) || { ...FALLBACK_PLATFORM, id, name: id };
+}
+
+/**
+ * Get all platforms the server can connect to
+ * @returns {Object[]} Platform descriptions, in display order
+ */
+function getPlatforms() {
+  return platforms;
+}
+
+/**
+ * Check whether a platform, or one of its connections, supports something
+ *
+ * @param {string} id - Platform ID
+ * @param {string} capability - Capability flag ('sendChat', 'deletion', 'timeouts', 'avatars')
+ * @param {string} [connectionId] - Connection to check (e.g. message.connectionId); the platform's flags if unknown
+ * @returns {boolean} True if supported
+ */
+function hasCapability(id, capability, connectionId) {
+  const capabilities = connectionCapabilities[connectionId] || getPlatform(id).capabilities;
+  return !!capabilities[capability];
+}
+
+// Export public API
+window.PlatformRegistry = {
+  setPlatforms,
+  setConnections,
+  getPlatform,
+  getPlatforms,
+  hasCapability
+};
@@ -0,0 +1,215 @@
+/**
+ * Channel Platform Connection Manager
+ *
+ * Connection logic shared by every platform whose targets are channels
+ * (Twitch, Kick, ...). Their control panel sections are rendered from the
+ * platform registry, so a platform the server registers shows up here
+ * without its own module:
+ * - Channel input (prefilled from config.js), label and color tag
+ * - Connect / Disconnect (any number of channels per platform)
+ * - Connection status, and channels the server dropped (e.g. not found)
+ *
+ * Platforms with a section of their own in control.html
+ * (`data-platform-section`, e.g. YouTube) are skipped, as are receive-only
+ * platforms (inbound webhook sources, which nothing connects to).
+ *
+ * @module platforms/channelConnection
+ */
+
+/**
+ * Color tags offered next to the label (same palette as the server's)
+ * @type {Array<{value: string, name: string}>}
+ */
+const CHANNEL_COLORS = [
+  { value: '', name: 'Auto' },
+  { value: '#4fc3f7', name: 'Blue' },
+  { value: '#ffb74d', name: 'Orange' },
+  { value: '#81c784', name: 'Green' },
+  { value: '#f06292', name: 'Pink' },
+  { value: '#ba68c8', name: 'Purple' },
+  { value: '#fff176', name: 'Yellow' }
+];
+
+/**
+ * Create an element with a class and text
+ *
+ * @param {string} tag - Tag name
+ * @param {string} [className] - Class name
+ * @param {string} [text] - Text content (never HTML)
+ * @returns {HTMLElement} Element
+ */
+function createElement(tag, className, text) {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  if (text) element.textContent = text;
+  return element;
+}
+
+/**
+ * Build the connection section of one platform
+ *
+ * @param {Object} platform - Platform description (PlatformRegistry)
+ * @returns {HTMLElement} Section element
+ */
+function createSection(platform) {
+  const { id, name, emoji, targetName, defaultTarget } = platform;
+  const section = createElement('div', 'platform-connection');
+  section.dataset.platformSection = id;
+
+  section.appendChild(createElement('h3', '', `${emoji} ${name}`));
+
+  // Channel input
+  const channelGroup = createElement('div', 'form-group');
+  const channelLabel = createElement('label', '', `${name} ${targetName}`);
+  channelLabel.htmlFor = `${id}-channel`;
+  const channelInput = createElement('input');
+  channelInput.type = 'text';
+  channelInput.id = `${id}-channel`;
+  channelInput.placeholder = `Enter a ${targetName} name`;
+  channelInput.value = defaultTarget || '';
+  const channelHint = createElement('small', '', defaultTarget
+    ? `Default from config.js: ${defaultTarget}. Connect more channels for co-streams.`
+    : 'Connect more channels for co-streams.');
+  channelGroup.append(channelLabel, channelInput, channelHint);
+
+  // Label and color tag
+  const tagGroup = createElement('div', 'form-group');
+  const tagLabel = createElement('label', '', 'Label and color tag');
+  tagLabel.htmlFor = `${id}-label`;
+  const tagRow = createElement('div');
+  tagRow.style.cssText = 'display: flex; gap: 8px;';
+  const labelInput = createElement('input');
+  labelInput.type = 'text';
+  labelInput.id = `${id}-label`;
+  labelInput.placeholder = 'Defaults to the channel name';
+  labelInput.maxLength = 32;
+  labelInput.style.flex = '1';
+  const colorSelect = createElement('select');
+  colorSelect.id = `${id}-color`;
+  colorSelect.style.width = 'auto';
+  CHANNEL_COLORS.forEach(({ value, name: colorName }) => {
+    colorSelect.appendChild(new Option(colorName, value));
+  });
+  tagRow.append(labelInput, colorSelect);
+  tagGroup.append(tagLabel, tagRow, createElement('small', '', 'Shown on messages when several channels are connected'));
+
+  // Buttons and status
+  const buttons = createElement('div', 'button-group');
+  const connectButton = createElement('button', 'btn btn-primary', `Connect ${name}`);
+  connectButton.type = 'button';
+  connectButton.dataset.platformAction = 'connect';
+  connectButton.dataset.platform = id;
+  const disconnectButton = createElement('button', 'btn btn-secondary', 'Disconnect');
+  disconnectButton.type = 'button';
+  disconnectButton.title = `Disconnect every ${name} channel`;
+  disconnectButton.dataset.platformAction = 'disconnect';
+  disconnectButton.dataset.platform = id;
+  buttons.append(connectButton, disconnectButton);
+
+  const status = createElement('div', 'status-badge', 'Not connected');
+  status.id = `${id}-status`;
+
+  section.append(channelGroup, tagGroup, buttons, status);
+  return section;
+}
+
+/**
+ * Render a section for every channel-based platform
+ * Called when the platform list changes; receive-only platforms and
+ * platforms with their own section in control.html are left out
+ *
+ * @param {Object[]} platforms - Platform descriptions (PlatformRegistry)
+ */
+function renderSections(platforms) {
+  const container = document.getElementById('channel-platforms');
+  if (!container) return;
+
+  container.innerHTML = '';
+
+  platforms
+    .filter(platform => platform.connectable)
+    .filter(platform => !document.querySelector(`[data-platform-section="${platform.id}"]`))
+    .forEach(platform => container.appendChild(createSection(platform)));
+}
+
+/**
+ * Connect a channel
+ * Channels already connected keep running; connecting one again updates
+ * its label and color. The server normalizes the channel name
+ *
+ * @param {string} platform - Platform ID
+ * @returns {boolean} Success status
+ */
+function connectChannel(platform) {
+  const { name, targetName } = window.PlatformRegistry.getPlatform(platform);
+  const channelInput = document.getElementById(`${platform}-channel`);
+  const channel = channelInput ? channelInput.value.trim() : '';
+
+  if (!channel) {
+    alert(`Please enter a ${name} ${targetName} name`);
+    return false;
+  }
+
+  const success = window.ControlWebSocket.send('connect', {
+    platform,
+    target: channel,
+    label: document.getElementById(`${platform}-label`).value.trim(),
+    color: document.getElementById(`${platform}-color`).value
+  });
+
+  if (success) {
+    console.log(`🔌 Connecting to ${name}:`, channel);
+  }
+
+  return success;
+}
+
+/**
+ * Disconnect every channel of a platform
+ *
+ * @param {string} platform - Platform ID
+ */
+function disconnectChannels(platform) {
+  window.ControlWebSocket.send('disconnect', { platform });
+  console.log(`🔌 Disconnecting ${window.PlatformRegistry.getPlatform(platform).name}`);
+}
+
+/**
+ * Update a platform's connection status in UI
+ *
+ * @param {string} platform - Platform ID
+ * @param {number} count - Number of connected channels
+ */
+function updateStatus(platform, count) {
+  const statusEl = document.getElementById(`${platform}-status`);
+  if (statusEl) {
+    statusEl.textContent = count > 1 ? `✅ Connected (${count} channels)` : (count ? '✅ Connected' : 'Not connected');
+    statusEl.className = count ? 'status-badge connected' : 'status-badge';
+  }
+}
+
+/**
+ * Show a channel the server dropped (e.g. channel not found)
+ *
+ * @param {Object} info - { connectionId, platform, channel, reason }
+ */
+function handleChatEnded(info) {
+  const statusEl = document.getElementById(`${info.platform}-status`);
+  if (statusEl) {
+    statusEl.textContent = info.reason === 'channelNotFound'
+      ? `❌ Channel "${info.channel}" not found`
+      : `⏹️ ${info.channel} disconnected (${info.reason})`;
+    statusEl.className = 'status-badge';
+  }
+
+  console.log(`⏹️ ${info.platform} chat ended for ${info.channel}: ${info.reason}`);
+}
+
+// Export public API
+window.ChannelConnection = {
+  renderSections,
+  connect: connectChannel,
+  disconnect: disconnectChannels,
+  updateStatus,
+  handleChatEnded
+};
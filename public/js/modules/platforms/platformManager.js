@@ -6,15 +6,30 @@
  * connection modules.
  *
  * Features:
- * - Multistream support (YouTube + Twitch simultaneously)
+ * - Multistream support (any number of YouTube videos and channels)
+ * - Disconnecting a single connection
  * - Connection status tracking
  * - Master disconnect functionality
+ * - Connections ended by the platform (e.g. YouTube stream over)
  *
  * @module platforms/platformManager
  * @requires YouTubeConnection
- * @requires TwitchConnection
+ * @requires ChannelConnection
  */
 
+/**
+ * Platforms with a connection module (and control panel section) of their own
+ * Every other platform is handled by ChannelConnection. Looked up when used,
+ * since the modules may load after this one
+ *
+ * @returns {Object<string, Object>} Connection modules keyed by platform ID
+ */
+function getDedicatedModules() {
+  return {
+    youtube: window.YouTubeConnection
+  };
+}
+
 /**
  * Connect to YouTube
  * Delegates to YouTube connection module
@@ -32,19 +47,33 @@ function disconnectYouTube() {
 }
 
 /**
- * Connect to Twitch
- * Delegates to Twitch connection module
+ * Connect a channel of a registered platform (Twitch, Kick, ...)
+ * Delegates to channel connection module
+ *
+ * @param {string} platform - Platform ID
+ */
+function connect(platform) {
+  return window.ChannelConnection.connect(platform);
+}
+
+/**
+ * Disconnect every channel of a registered platform
+ * Delegates to channel connection module
+ *
+ * @param {string} platform - Platform ID
  */
-function connectTwitch() {
-  return window.TwitchConnection.connect();
+function disconnect(platform) {
+  window.ChannelConnection.disconnect(platform);
 }
 
 /**
- * Disconnect from Twitch
- * Delegates to Twitch connection module
+ * Disconnect a single connection (one video or channel)
+ *
+ * @param {string} id - Connection ID
  */
-function disconnectTwitch() {
-  window.TwitchConnection.disconnect();
+function disconnectConnection(id) {
+  window.ControlWebSocket.send('disconnect', { id });
+  console.log('🔌 Disconnecting connection:', id);
 }
 
 /**
@@ -60,17 +89,45 @@ function disconnectAll() {
  * Update platform connection status UI
  * Routes to platform-specific status update
  *
- * @param {string} platform - Platform name ('youtube' or 'twitch')
- * @param {boolean} connected - Connection state
+ * @param {string} platform - Platform ID
+ * @param {number} count - Number of connections on the platform
  */
-function updatePlatformStatus(platform, connected) {
-  if (platform === 'youtube') {
-    window.YouTubeConnection.updateStatus(connected);
-  } else if (platform === 'twitch') {
-    window.TwitchConnection.updateStatus(connected);
+function updatePlatformStatus(platform, count) {
+  const connection = getDedicatedModules()[platform];
+  if (connection) {
+    connection.updateStatus(count);
+  } else {
+    window.ChannelConnection.updateStatus(platform, count);
   }
 }
 
+/**
+ * Listen for connections the platform ended
+ * Must run before the control WebSocket connects
+ */
+function setupConnectionEvents() {
+  window.ControlWebSocket.on('connection-ended', (info) => {
+    const connection = getDedicatedModules()[info.platform] || window.ChannelConnection;
+    if (connection.handleChatEnded) {
+      connection.handleChatEnded(info);
+    }
+  });
+
+  window.ControlWebSocket.on('youtube-live-stream', (change) => {
+    window.YouTubeConnection.handleLiveStreamChange(change);
+  });
+}
+
+/**
+ * Turn YouTube auto-follow on or off
+ * Delegates to YouTube connection module
+ *
+ * @param {boolean} enabled - Follow the channel's live stream
+ */
+function setYouTubeAutoFollow(enabled) {
+  window.YouTubeConnection.setAutoFollow(enabled);
+}
+
 /**
  * Auto-detect YouTube live stream
  * Delegates to YouTube connection module
@@ -83,10 +140,13 @@ function autoDetectLiveStream() {
 window.PlatformManager = {
   connectYouTube,
   disconnectYouTube,
-  connectTwitch,
-  disconnectTwitch,
+  connect,
+  disconnect,
+  disconnectConnection,
   disconnectAll,
   updatePlatformStatus,
+  setupConnectionEvents,
+  setYouTubeAutoFollow,
   autoDetectLiveStream
 };
 
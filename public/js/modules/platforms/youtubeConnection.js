@@ -2,21 +2,28 @@
  * YouTube Platform Connection Manager
  *
  * Manages YouTube-specific connection logic including:
- * - Video ID validation and connection
+ * - Video ID validation and connection (any number of videos, each with
+ *   its own label and color tag)
  * - Auto-detection of live streams
  * - Connection status updates
+ * - Notice when YouTube ends the live chat
  *
  * @module platforms/youtubeConnection
  */
 
 /**
  * Connect to YouTube live chat
- * Validates video ID input and sends connection request to server
+ * Validates video ID input and sends connection request to server.
+ * Videos already connected keep running; connecting one again updates
+ * its label, color and transport
  *
  * @returns {boolean} Success status
  */
 function connectYouTube() {
   const videoId = document.getElementById('youtube-video-id').value.trim();
+  const transport = document.getElementById('youtube-transport').value;
+  const label = document.getElementById('youtube-label').value.trim();
+  const color = document.getElementById('youtube-color').value;
 
   if (!videoId) {
     alert('Please enter a YouTube Video ID');
@@ -25,18 +32,21 @@ function connectYouTube() {
 
   const success = window.ControlWebSocket.send('connect', {
     platform: 'youtube',
-    videoId: videoId
+    target: videoId,
+    label: label,
+    color: color,
+    transport: transport
   });
 
   if (success) {
-    console.log('🎥 Connecting to YouTube:', videoId);
+    console.log(`🎥 Connecting to YouTube: ${videoId} (${transport})`);
   }
 
   return success;
 }
 
 /**
- * Disconnect from YouTube live chat
+ * Disconnect every YouTube video
  */
 function disconnectYouTube() {
   window.ControlWebSocket.send('disconnect', {
@@ -48,13 +58,13 @@ function disconnectYouTube() {
 /**
  * Update YouTube connection status in UI
  *
- * @param {boolean} connected - Connection state
+ * @param {number} count - Number of connected videos
  */
-function updateYouTubeStatus(connected) {
+function updateYouTubeStatus(count) {
   const statusEl = document.getElementById('youtube-status');
   if (statusEl) {
-    statusEl.textContent = connected ? '✅ Connected' : 'Not connected';
-    statusEl.className = connected ? 'status-badge connected' : 'status-badge';
+    statusEl.textContent = count > 1 ? `✅ Connected (${count} videos)` : (count ? '✅ Connected' : 'Not connected');
+    statusEl.className = count ? 'status-badge connected' : 'status-badge';
   }
 }
 
@@ -198,11 +208,76 @@ function showAutoDetectMessage(element, message, color) {
   element.style.color = color;
 }
 
+/**
+ * Show that YouTube ended the live chat
+ * The server has already removed the connection
+ *
+ * @param {Object} info - Ended connection
+ * @param {string} info.channel - Video ID
+ * @param {string} info.reason - 'chatEnded' or the API error reason
+ */
+function handleChatEnded(info) {
+  const message = info.reason === 'chatEnded' || info.reason === 'liveChatEnded'
+    ? `⏹️ The live chat of ${info.channel} ended, disconnected`
+    : `⏹️ Live chat of ${info.channel} unavailable (${info.reason}), disconnected`;
+
+  showAutoDetectMessage(document.getElementById('auto-detect-info'), message, '#ff9800');
+  console.log(`⏹️ YouTube chat ended for ${info.channel}: ${info.reason}`);
+}
+
+/**
+ * Turn following the channel's live stream on or off
+ * The server confirms through the next config broadcast
+ *
+ * @param {boolean} enabled - Follow the channel's live stream
+ * @returns {boolean} Success status
+ */
+function setAutoFollow(enabled) {
+  const success = window.ControlWebSocket.send('set-auto-follow', { enabled });
+
+  if (success) {
+    console.log(`👀 YouTube auto-follow ${enabled ? 'on' : 'off'}`);
+  }
+
+  return success;
+}
+
+/**
+ * Show a live stream change reported by the server's watcher
+ * The server has already switched the YouTube connection
+ *
+ * @param {Object} change - Live stream change
+ * @param {string} change.status - 'live', 'ended' or 'unavailable'
+ * @param {string} [change.videoId] - Broadcast video ID
+ * @param {string} [change.title] - Broadcast title (live only)
+ * @param {string} [change.message] - Why auto-follow can't run (unavailable only)
+ */
+function handleLiveStreamChange(change) {
+  const infoDiv = document.getElementById('auto-detect-info');
+
+  // Titles come from YouTube: set them as text, not HTML
+  if (change.status === 'live') {
+    document.getElementById('youtube-video-id').value = change.videoId;
+    showAutoDetectMessage(infoDiv, '', '#4caf50');
+    infoDiv.textContent = `🔴 Now live: ${change.title || change.videoId} → connected`;
+  } else if (change.status === 'ended') {
+    showAutoDetectMessage(infoDiv, '⏹️ The live stream ended, waiting for the next one', '#ff9800');
+  } else {
+    showAutoDetectMessage(infoDiv, '', '#d32f2f');
+    infoDiv.textContent = `❌ ${change.message}`;
+  }
+
+  console.log('👀 YouTube live stream change:', change);
+}
+
 // Export public API
 window.YouTubeConnection = {
   connect: connectYouTube,
   disconnect: disconnectYouTube,
   updateStatus: updateYouTubeStatus,
+  handleChatEnded,
+  setAutoFollow,
+  handleLiveStreamChange,
   autoDetectLiveStream
 };
 
@@ -14,7 +14,7 @@
  * @param {Object} message - Message data
  * @param {string} message.username - User's display name
  * @param {string} message.avatar - Avatar URL
- * @param {string} message.platform - Platform (youtube/twitch)
+ * @param {string} message.platform - Platform (youtube/twitch/kick)
  * @param {Object} config - Configuration
  * @param {string} config.avatarShape - Avatar shape (circle/square)
  * @param {boolean} config.showPlatformIcon - Whether to show platform icon
@@ -49,10 +49,10 @@ function createAvatarImage(message, config) {
   avatar.className = `user-avatar ${config.avatarShape}`;
   avatar.alt = message.username;
 
-  // Set avatar URL with fallback to generated avatar
-  avatar.src = message.avatar && message.avatar.trim() !== ''
-    ? message.avatar
-    : generateDefaultAvatar(message.platform, message.username);
+  // Platforms without avatars (or messages lacking one) get a generated avatar
+  const hasAvatar = window.PlatformRegistry.hasCapability(message.platform, 'avatars', message.connectionId) &&
+    message.avatar && message.avatar.trim() !== '';
+  avatar.src = hasAvatar ? message.avatar : generateDefaultAvatar(message.platform, message.username);
 
   // Fallback if avatar fails to load
   avatar.onerror = function() {
@@ -66,9 +66,9 @@ function createAvatarImage(message, config) {
 
 /**
  * Create platform icon overlay
- * Shows small YouTube or Twitch Font Awesome icon on avatar
+ * Shows the platform's small Font Awesome icon (PlatformRegistry) on the avatar
  *
- * @param {string} platform - Platform name (youtube/twitch)
+ * @param {string} platform - Platform name (youtube/twitch/kick)
  * @returns {HTMLElement} Platform icon element
  */
 function createPlatformIcon(platform) {
@@ -77,11 +77,7 @@ function createPlatformIcon(platform) {
 
   // Use Font Awesome icons
   const icon = document.createElement('i');
-  if (platform === 'youtube') {
-    icon.className = 'fab fa-youtube';
-  } else if (platform === 'twitch') {
-    icon.className = 'fab fa-twitch';
-  }
+  icon.className = window.PlatformRegistry.getPlatform(platform).icon;
 
   platformIcon.appendChild(icon);
 
@@ -92,7 +88,7 @@ function createPlatformIcon(platform) {
  * Generate a default avatar SVG for users without avatars
  * Shows first letter of username on platform-colored background
  *
- * @param {string} platform - Platform name (youtube/twitch)
+ * @param {string} platform - Platform name (youtube/twitch/kick)
  * @param {string} username - User's name
  * @returns {string} Data URL for SVG avatar
  */
@@ -102,13 +98,8 @@ function generateDefaultAvatar(platform, username = '') {
   const match = cleanedName.match(/[a-zA-Z0-9]/);
   const initial = match ? match[0].toUpperCase() : '?';
 
-  // Platform-specific colors
-  const colors = {
-    youtube: '#FF0000',
-    twitch: '#9146FF',
-    default: '#666'
-  };
-  const color = colors[platform] || colors.default;
+  // Platform color (neutral for unknown platforms)
+  const color = window.PlatformRegistry.getPlatform(platform).color;
 
   // Generate SVG avatar
   return 'data:image/svg+xml,' + encodeURIComponent(`
@@ -3,7 +3,11 @@
  *
  * Handles rendering of message content including:
  * - Message headers (username, badges, moderator badge, superchat amount)
- * - Message text with URL processing
+ * - Event banners for typed events (subs, raids, announcements)
+ * - Message text from structured fragments (text, emotes, cheermotes)
+ * - Zero-width emotes (BTTV/FFZ/7TV) stacked on the previous emote
+ * - YouTube Super Stickers
+ * - URL processing
  * - Emoji parsing with Twemoji
  *
  * @module renderer/contentRenderer
@@ -24,23 +28,36 @@ function createContentSection(message, config) {
   // Add header (username, badges, etc.)
   contentEl.appendChild(createMessageHeader(message, config));
 
-  // Add message text
-  contentEl.appendChild(createMessageText(message));
+  // Add event banner (sub, raid, announcement, ...)
+  if (message.eventType) {
+    contentEl.appendChild(window.EventRenderer.createEventBanner(message));
+  }
+
+  // Add Super Sticker (has no text)
+  if (message.sticker) {
+    contentEl.appendChild(createStickerElement(message.sticker));
+  }
+
+  // Add message text (events and stickers may have no user message)
+  if ((!message.eventType && !message.sticker) || message.text) {
+    contentEl.appendChild(createMessageText(message));
+  }
 
   return contentEl;
 }
 
 /**
  * Create the message header
- * Contains username, badges, moderator badge, and superchat amount
+ * Contains username, channel tag, badges, moderator badge, and superchat amount
  *
  * @param {Object} message - Message data
  * @param {string} message.username - User's display name
  * @param {string} [message.usernameColor] - Username color
- * @param {Array} [message.badges] - Badge URLs
+ * @param {Array} [message.badges] - Badge URLs or badge objects ({ name, url, title })
  * @param {boolean} [message.isModerator] - Is user a moderator
  * @param {boolean} [message.isSuperchat] - Is superchat/donation
- * @param {string} [message.amount] - Donation amount
+ * @param {string} [message.amount] - Donation amount ("$5.00", "500 bits")
+ * @param {Object} [message.source] - Connection the message came from ({ id, label, color })
  * @param {Object} config - Configuration
  * @returns {HTMLElement} Header element
  */
@@ -53,6 +70,11 @@ function createMessageHeader(message, config) {
     headerEl.appendChild(createUsernameElement(message));
   }
 
+  // Add channel tag (only needed when several channels are connected)
+  if (config.showChannelTag !== false && message.source && (config.connections || []).length > 1) {
+    headerEl.appendChild(createChannelTag(message.source));
+  }
+
   // Add platform badges
   if (message.badges && message.badges.length > 0) {
     headerEl.appendChild(createBadgesElement(message.badges));
@@ -85,28 +107,47 @@ function createUsernameElement(message) {
   return usernameEl;
 }
 
+/**
+ * Create the tag naming the channel a message came from
+ *
+ * @param {Object} source - Connection tag
+ * @param {string} source.label - Connection label
+ * @param {string} [source.color] - Color tag
+ * @returns {HTMLElement} Channel tag span element
+ */
+function createChannelTag(source) {
+  const tagEl = document.createElement('span');
+  tagEl.className = 'channel-tag';
+  tagEl.textContent = source.label;
+  tagEl.style.color = source.color || '#ffffff';
+  return tagEl;
+}
+
 /**
  * Create badges container with badge images
  *
- * Note: Twitch IRC provides badge names (e.g., "broadcaster", "moderator")
- * but not image URLs. YouTube provides full badge URLs.
- * This function only renders badges that are valid URLs.
+ * Badges are either image URLs or badge objects ({ name, url, title })
+ * resolved by the server's Twitch badge service.
+ * Bare badge names (no image) are skipped.
  *
- * @param {Array} badges - Array of badge URLs or names
+ * @param {Array<string|Object>} badges - Badge URLs or badge objects
  * @returns {HTMLElement} Badges container element
  */
 function createBadgesElement(badges) {
   const badgesEl = document.createElement('div');
   badgesEl.className = 'badges';
 
-  badges.forEach(badgeUrl => {
-    // Only create badge image if it's a valid URL (starts with http/https)
-    // Skip Twitch IRC badge names like "broadcaster", "moderator", etc.
-    if (badgeUrl && (badgeUrl.startsWith('http://') || badgeUrl.startsWith('https://'))) {
+  badges.forEach(badge => {
+    const badgeUrl = typeof badge === 'string' ? badge : badge?.url;
+    const title = typeof badge === 'string' ? 'Badge' : (badge?.title || badge?.name);
+
+    // Absolute URLs (Twitch/YouTube CDN) or bundled badges served by this server
+    if (badgeUrl && /^(https?:\/\/|\/(?!\/))/.test(badgeUrl)) {
       const badgeEl = document.createElement('img');
       badgeEl.className = 'badge';
       badgeEl.src = badgeUrl;
-      badgeEl.alt = 'Badge';
+      badgeEl.alt = title;
+      badgeEl.title = title;
       badgesEl.appendChild(badgeEl);
     }
   });
@@ -129,7 +170,7 @@ function createModeratorBadge() {
 /**
  * Create superchat amount display
  *
- * @param {string} amount - Donation amount (e.g., "$5.00")
+ * @param {string} amount - Donation amount (e.g., "$5.00" or "500 bits")
  * @returns {HTMLElement} Amount element
  */
 function createSuperchatAmount(amount) {
@@ -139,20 +180,59 @@ function createSuperchatAmount(amount) {
   return amountEl;
 }
 
+/**
+ * Create a Super Sticker element
+ * Shows the sticker image captioned with its alt text (the bundled image
+ * looks the same for every sticker); just the alt text without a URL
+ *
+ * @param {Object} sticker - Sticker from the server
+ * @param {string} sticker.altText - Sticker description
+ * @param {string|null} sticker.url - Sticker image URL
+ * @returns {HTMLElement} Sticker element
+ */
+function createStickerElement(sticker) {
+  const stickerEl = document.createElement('div');
+  stickerEl.className = 'super-sticker';
+
+  if (sticker.url) {
+    const img = document.createElement('img');
+    img.className = 'super-sticker-image';
+    img.src = sticker.url;
+    img.alt = sticker.altText;
+    img.title = sticker.altText;
+    stickerEl.appendChild(img);
+  }
+
+  const caption = document.createElement('div');
+  caption.className = 'super-sticker-alt';
+  caption.textContent = sticker.url ? sticker.altText : `🏷️ ${sticker.altText}`;
+  stickerEl.appendChild(caption);
+
+  return stickerEl;
+}
+
 /**
  * Create the message text element
- * Processes URLs and emojis in message text
+ * Renders structured fragments (text, emotes, cheermotes) when the platform
+ * provides them, otherwise the plain text. URLs and emojis are processed
+ * in text parts only.
  *
  * @param {Object} message - Message data
  * @param {string} message.text - Message text content
+ * @param {Object[]} [message.fragments] - Text/emote/cheermote tokens
  * @returns {HTMLElement} Text element
  */
 function createMessageText(message) {
   const textEl = document.createElement('div');
   textEl.className = 'message-text';
 
-  // Process URLs in text
-  textEl.innerHTML = processMessageText(message.text);
+  const fragments = message.fragments || [{ type: 'text', text: message.text }];
+  fragments.forEach(fragment => {
+    if (fragment.type === 'emote' && fragment.zeroWidth && stackOnPreviousEmote(textEl, fragment)) {
+      return;
+    }
+    textEl.appendChild(createFragmentNode(fragment));
+  });
 
   // Parse emojis with Twemoji if available
   if (typeof twemoji !== 'undefined') {
@@ -162,47 +242,111 @@ function createMessageText(message) {
   return textEl;
 }
 
+/**
+ * Create the DOM for one message fragment
+ *
+ * @param {Object} fragment - Fragment from the server
+ * @param {string} fragment.type - 'text', 'emote' or 'cheermote'
+ * @returns {Node} Fragment node
+ */
+function createFragmentNode(fragment) {
+  switch (fragment.type) {
+    case 'emote': {
+      const classes = ['twitch-emote'];
+      if (fragment.provider) classes.push(`emote-${fragment.provider}`);
+      if (fragment.animated) classes.push('animated-emote');
+      return createEmoteImage(fragment.url, fragment.name, classes.join(' '));
+    }
+
+    case 'cheermote': {
+      const cheerEl = document.createElement('span');
+      cheerEl.className = 'cheer';
+      cheerEl.appendChild(createEmoteImage(fragment.url, fragment.name, 'twitch-emote cheermote'));
+
+      const amountEl = document.createElement('span');
+      amountEl.className = 'cheer-amount';
+      amountEl.textContent = fragment.amount;
+      cheerEl.appendChild(amountEl);
+      return cheerEl;
+    }
+
+    default: {
+      const textEl = document.createElement('span');
+      textEl.innerHTML = processMessageText(fragment.text || '');
+      return textEl;
+    }
+  }
+}
+
+/**
+ * Draw a zero-width emote on top of the emote before it
+ * Skips the whitespace between the two, like Twitch chat extensions do
+ *
+ * @param {HTMLElement} textEl - Message text element built so far
+ * @param {Object} fragment - Zero-width emote fragment
+ * @returns {boolean} True if stacked; false if there is no emote to stack on
+ */
+function stackOnPreviousEmote(textEl, fragment) {
+  let base = textEl.lastChild;
+  let gap = null;
+
+  if (base && base.nodeName === 'SPAN' && !base.className && base.textContent.trim() === '') {
+    gap = base;
+    base = base.previousSibling;
+  }
+
+  const isEmote = base && base.nodeName === 'IMG' && base.classList.contains('twitch-emote') &&
+    !base.classList.contains('cheermote');
+  const isStack = base && base.classList && base.classList.contains('emote-stack');
+
+  if (!isEmote && !isStack) {
+    return false;
+  }
+
+  if (gap) {
+    gap.remove();
+  }
+
+  let stackEl = base;
+  if (isEmote) {
+    stackEl = document.createElement('span');
+    stackEl.className = 'emote-stack';
+    textEl.replaceChild(stackEl, base);
+    stackEl.appendChild(base);
+  }
+
+  const overlay = createFragmentNode(fragment);
+  overlay.classList.add('zero-width');
+  stackEl.appendChild(overlay);
+  return true;
+}
+
+/**
+ * Create an emote image
+ *
+ * @param {string} url - Image URL
+ * @param {string} name - Emote code (used as alt/title)
+ * @param {string} className - CSS classes
+ * @returns {HTMLImageElement} Image element
+ */
+function createEmoteImage(url, name, className) {
+  const img = document.createElement('img');
+  img.src = url;
+  img.alt = name;
+  img.title = name;
+  img.className = className;
+  img.dataset.emote = name;
+  return img;
+}
+
 /**
  * Process message text
- * Converts URLs to clickable links and preserves Twitch emote img tags
+ * Escapes HTML and converts URLs to clickable links
  *
- * @param {string} text - Raw message text (may contain emote img tags from Twitch)
+ * @param {string} text - Plain message text
  * @returns {string} Processed HTML
  */
 function processMessageText(text) {
-  // Check if text contains Twitch emote img tags
-  const hasTwitchEmotes = text.includes('<img') && text.includes('twitch-emote');
-
-  if (hasTwitchEmotes) {
-    // Split by img tags to preserve them
-    const parts = text.split(/(<img[^>]+class="twitch-emote"[^>]*>)/g);
-
-    // Process each part
-    const processedParts = parts.map(part => {
-      // If it's an img tag, keep it as-is
-      if (part.startsWith('<img') && part.includes('twitch-emote')) {
-        return part;
-      }
-
-      // Otherwise, escape HTML and convert URLs
-      const escaped = part
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/"/g, '&quot;')
-        .replace(/'/g, '&#039;');
-
-      // Convert URLs to links
-      return escaped.replace(
-        /(https?:\/\/[^\s]+)/g,
-        '<a href="$1" target="_blank" rel="noopener noreferrer">$1</a>'
-      );
-    });
-
-    return processedParts.join('');
-  }
-
-  // Original behavior for messages without Twitch emotes
   const escaped = text
     .replace(/&/g, '&amp;')
     .replace(/</g, '&lt;')
@@ -0,0 +1,157 @@
+/**
+ * Event Renderer
+ *
+ * Handles rendering of typed chat events (as opposed to plain chat):
+ * - Twitch subs, resubs, gift subs, mystery gifts
+ * - Twitch raids and announcements
+ * - YouTube memberships, milestones and gifted memberships
+ *
+ * Events arrive as normal chat messages with an `eventType` and an
+ * `event` details object. This module builds the banner line shown
+ * above the (optional) user message.
+ *
+ * @module renderer/eventRenderer
+ */
+
+/**
+ * Icons shown in the event banner per event type
+ * @type {Object<string, string>}
+ */
+const EVENT_ICONS = {
+  sub: '⭐',
+  resub: '⭐',
+  subgift: '🎁',
+  submysterygift: '🎁',
+  raid: '🚀',
+  announcement: '📢',
+  membership: '💚',
+  milestone: '🏅',
+  membershipgift: '🎁',
+  giftreceived: '🎁'
+};
+
+/**
+ * Format a subscription tier for display
+ *
+ * @param {string|null} tier - 'Prime', '1', '2', '3' or null
+ * @returns {string} Tier label (e.g. 'Tier 1', 'Prime')
+ */
+function formatTier(tier) {
+  if (!tier) return '';
+  return tier === 'Prime' ? 'Prime' : `Tier ${tier}`;
+}
+
+/**
+ * Pluralize a count
+ *
+ * @param {number} count - Count
+ * @param {string} word - Singular word
+ * @returns {string} e.g. '1 month', '12 months'
+ */
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Build the short banner label for an event
+ * Falls back to Twitch's system message for unknown shapes
+ *
+ * @param {Object} message - Message data
+ * @param {string} message.eventType - Event type
+ * @param {Object} message.event - Event details
+ * @returns {string} Banner label
+ */
+function getEventLabel(message) {
+  const event = message.event || {};
+  const tier = formatTier(event.tier);
+
+  switch (message.eventType) {
+    case 'sub':
+      return tier === 'Prime' ? 'Subscribed with Prime' : `Subscribed${tier ? ` at ${tier}` : ''}`;
+
+    case 'resub': {
+      const parts = ['Resubscribed'];
+      if (event.months) parts.push(plural(event.months, 'month'));
+      if (event.streakMonths) parts.push(`${event.streakMonths}-month streak`);
+      if (tier) parts.push(tier);
+      return parts.join(' · ');
+    }
+
+    case 'subgift':
+      return `Gifted a ${tier ? `${tier} ` : ''}sub${event.recipient ? ` to ${event.recipient}` : ''}`;
+
+    case 'submysterygift':
+      return `Gifting ${plural(event.giftCount || 1, `${tier ? `${tier} ` : ''}sub`)} to the community`;
+
+    case 'raid':
+      return event.viewerCount ? `Raiding with ${plural(event.viewerCount, 'viewer')}` : 'Raiding the channel';
+
+    case 'announcement':
+      return 'Announcement';
+
+    case 'membership':
+      if (event.isUpgrade) return `Upgraded membership${event.levelName ? ` to ${event.levelName}` : ''}`;
+      return `New member${event.levelName ? ` · ${event.levelName}` : ''}`;
+
+    case 'milestone': {
+      const parts = [event.months ? `Member for ${plural(event.months, 'month')}` : 'Membership milestone'];
+      if (event.levelName) parts.push(event.levelName);
+      return parts.join(' · ');
+    }
+
+    case 'membershipgift':
+      return `Gifted ${plural(event.giftCount || 1, 'membership')}${event.levelName ? ` · ${event.levelName}` : ''}`;
+
+    case 'giftreceived':
+      return `Received a gift membership${event.levelName ? ` · ${event.levelName}` : ''}`;
+
+    default:
+      return event.systemMessage || '';
+  }
+}
+
+/**
+ * Create the event banner element
+ *
+ * @param {Object} message - Message data with eventType and event
+ * @returns {HTMLElement} Banner element
+ */
+function createEventBanner(message) {
+  const bannerEl = document.createElement('div');
+  bannerEl.className = 'event-banner';
+
+  const iconEl = document.createElement('span');
+  iconEl.className = 'event-icon';
+  iconEl.textContent = EVENT_ICONS[message.eventType] || '✨';
+  bannerEl.appendChild(iconEl);
+
+  const labelEl = document.createElement('span');
+  labelEl.className = 'event-label';
+  labelEl.textContent = getEventLabel(message);
+  bannerEl.appendChild(labelEl);
+
+  return bannerEl;
+}
+
+/**
+ * Get the CSS classes for an event message element
+ *
+ * @param {Object} message - Message data with eventType and event
+ * @returns {string[]} Class names (e.g. ['event', 'event-announcement', 'announcement-blue'])
+ */
+function getEventClasses(message) {
+  const classes = ['event', `event-${message.eventType}`];
+
+  if (message.eventType === 'announcement' && message.event?.color) {
+    classes.push(`announcement-${message.event.color}`);
+  }
+
+  return classes;
+}
+
+// Export public API
+window.EventRenderer = {
+  createEventBanner,
+  getEventLabel,
+  getEventClasses
+};
@@ -10,6 +10,7 @@
  * @module renderer/messageRenderer
  * @requires AvatarRenderer
  * @requires ContentRenderer
+ * @requires EventRenderer
  */
 
 /**
@@ -20,12 +21,17 @@
  * @param {string} message.username - User's display name
  * @param {string} message.text - Message content
  * @param {string} message.avatar - Avatar URL
- * @param {string} message.platform - Platform (youtube/twitch)
+ * @param {string} message.platform - Platform (youtube/twitch/kick)
  * @param {string} [message.usernameColor] - Username color
  * @param {boolean} [message.isModerator] - Is user a moderator
  * @param {boolean} [message.isSuperchat] - Is superchat/donation
  * @param {string} [message.amount] - Donation amount
- * @param {string[]} [message.badges] - Badge URLs
+ * @param {number} [message.superchatTier] - Paid tier 1-5 (Twitch cheers, by bits)
+ * @param {Object} [message.sticker] - YouTube Super Sticker ({ id, altText, url })
+ * @param {Array<string|Object>} [message.badges] - Badge URLs or badge objects ({ name, url, title })
+ * @param {string} [message.eventType] - Typed event (sub, resub, subgift, submysterygift, raid, announcement,
+ *   membership, milestone, membershipgift, giftreceived)
+ * @param {Object} [message.event] - Event details (months, tier, levelName, giftCount, viewerCount, ...)
  * @param {Object} config - Current overlay configuration
  * @returns {HTMLElement} Complete message element
  */
@@ -33,6 +39,9 @@ function createMessageElement(message, config) {
   const messageEl = document.createElement('div');
   messageEl.className = 'chat-message';
 
+  // Identify the message so moderation events can find it later
+  setMessageData(messageEl, message);
+
   // Apply special styling classes
   applyMessageStyling(messageEl, message, config);
 
@@ -49,9 +58,27 @@ function createMessageElement(message, config) {
   return messageEl;
 }
 
+/**
+ * Store identifying message fields as data attributes
+ * Used by MessageQueue to remove deleted messages and purged users
+ *
+ * @param {HTMLElement} messageEl - Message element
+ * @param {Object} message - Message data
+ */
+function setMessageData(messageEl, message) {
+  messageEl.dataset.messageId = message.id;
+  messageEl.dataset.platform = message.platform;
+  messageEl.dataset.channel = message.channel || '';
+  messageEl.dataset.username = message.username;
+
+  if (message.userId) {
+    messageEl.dataset.userId = message.userId;
+  }
+}
+
 /**
  * Apply special styling classes to message element
- * Handles blur effect, superchat, and moderator highlighting
+ * Handles blur effect, superchat, moderator and event highlighting
  *
  * @param {HTMLElement} messageEl - Message element
  * @param {Object} message - Message data
@@ -63,15 +90,24 @@ function applyMessageStyling(messageEl, message, config) {
     messageEl.classList.add('blur-effect');
   }
 
-  // Superchat styling
+  // Superchat styling (Twitch cheers are tiered by bits amount)
   if (message.isSuperchat) {
     messageEl.classList.add('superchat');
+
+    if (message.superchatTier) {
+      messageEl.classList.add('cheer', `superchat-tier-${message.superchatTier}`);
+    }
   }
 
-  // Moderator styling
-  if (message.isModerator) {
+  // Moderator styling (events use their own style instead)
+  if (message.isModerator && !message.eventType) {
     messageEl.classList.add('moderator');
   }
+
+  // Event styling (sub, raid, announcement, ...)
+  if (message.eventType) {
+    messageEl.classList.add(...window.EventRenderer.getEventClasses(message));
+  }
 }
 
 /**
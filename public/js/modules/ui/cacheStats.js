@@ -0,0 +1,80 @@
+/**
+ * UI Cache Statistics
+ *
+ * Shows the Twitch avatar cache counters (hits, misses, Helix requests)
+ * from GET /api/cache/stats in the control panel, refreshed periodically.
+ *
+ * @module ui/cacheStats
+ */
+
+/**
+ * How often the stats are refreshed while the panel is open
+ * @type {number}
+ */
+const CACHE_STATS_REFRESH_MS = 10000;
+
+/**
+ * Refresh timer ID
+ * @type {number|null}
+ */
+let cacheStatsTimer = null;
+
+/**
+ * Fetch cache statistics and update the avatar cache display
+ */
+async function refreshCacheStats() {
+  try {
+    const response = await fetch('/api/cache/stats');
+    const data = await response.json();
+    updateAvatarStats(data.avatars);
+  } catch (error) {
+    console.warn('⚠️ Failed to load cache stats:', error.message);
+  }
+}
+
+/**
+ * Update the avatar cache fields
+ *
+ * @param {Object} [stats] - Avatar stats from the server
+ */
+function updateAvatarStats(stats) {
+  if (!stats) return;
+
+  setStatText('avatar-cache-hits', stats.hits);
+  setStatText('avatar-cache-misses', stats.misses);
+  setStatText('avatar-cache-hit-rate', `${stats.hitRate}%`);
+  setStatText('avatar-cache-size', `${stats.size} / ${stats.maxEntries}`);
+  setStatText('avatar-cache-requests', stats.helixFailures > 0
+    ? `${stats.helixRequests} (${stats.helixFailures} failed)`
+    : stats.helixRequests);
+}
+
+/**
+ * Set the text of a stat element if it exists
+ *
+ * @param {string} elementId - Element ID
+ * @param {string|number} value - Value to show
+ */
+function setStatText(elementId, value) {
+  const element = document.getElementById(elementId);
+  if (element) {
+    element.textContent = value;
+  }
+}
+
+/**
+ * Load the stats now and keep them up to date
+ */
+function startCacheStats() {
+  refreshCacheStats();
+
+  if (!cacheStatsTimer) {
+    cacheStatsTimer = setInterval(refreshCacheStats, CACHE_STATS_REFRESH_MS);
+  }
+}
+
+// Export public API
+window.UICacheStats = {
+  refreshCacheStats,
+  startCacheStats
+};
@@ -0,0 +1,323 @@
+/**
+ * UI Chat Feed
+ *
+ * Live list of recent chat in the control panel, with actions per message
+ * row: pin as a highlight on the overlays, and for Twitch (bot mode, bot
+ * is a moderator) delete the message, time out or ban its author.
+ * Also sends chat messages to Twitch as the bot.
+ *
+ * The server runs every action; results come back as `action-result`.
+ *
+ * @module ui/chatFeed
+ */
+
+/**
+ * Rows kept in the feed
+ * @type {number}
+ */
+const MAX_FEED_MESSAGES = 50;
+
+/**
+ * Timeout length used by the ⏱️ button
+ * @type {number}
+ */
+const TIMEOUT_SECONDS = 600;
+
+/**
+ * Latest Twitch bot status from the server (null when Twitch is disconnected)
+ * @type {Object|null}
+ */
+let botStatus = null;
+
+/**
+ * Register WebSocket listeners and form controls
+ * Must run before the control WebSocket connects (the bot status is sent on connect)
+ */
+function initialize() {
+  window.ControlWebSocket.on('chat-message', addMessage);
+  window.ControlWebSocket.on('message-deleted', (event) => markRemoved(event, row =>
+    row.dataset.messageId === String(event.messageId)));
+  window.ControlWebSocket.on('user-purged', (event) => markRemoved(event, row =>
+    event.userId && row.dataset.userId
+      ? row.dataset.userId === event.userId
+      : row.dataset.username.toLowerCase() === String(event.username).toLowerCase()));
+  window.ControlWebSocket.on('chat-cleared', (event) => markRemoved(event, () => true));
+  window.ControlWebSocket.on('twitch-bot-status', updateBotStatus);
+  window.ControlWebSocket.on('action-result', showActionResult);
+  window.ControlWebSocket.on('pin-message', showPinned);
+  window.ControlWebSocket.on('unpin-message', () => showPinned(null));
+
+  const feed = document.getElementById('chat-feed');
+  if (feed) {
+    feed.addEventListener('click', handleRowAction);
+  }
+
+  const sendButton = document.getElementById('chat-send-btn');
+  const sendInput = document.getElementById('chat-send-text');
+  if (sendButton && sendInput) {
+    sendButton.addEventListener('click', sendChat);
+    sendInput.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') sendChat();
+    });
+  }
+
+  const unpinButton = document.getElementById('unpin-btn');
+  if (unpinButton) {
+    unpinButton.addEventListener('click', () => window.ControlWebSocket.send('unpin-message', {}));
+  }
+}
+
+/**
+ * Add a chat message to the top of the feed
+ *
+ * @param {Object} message - Chat message broadcast by the server
+ */
+function addMessage(message) {
+  const feed = document.getElementById('chat-feed');
+  if (!feed) return;
+
+  const row = document.createElement('div');
+  row.className = 'chat-feed-row';
+  row.dataset.platform = message.platform || '';
+  row.dataset.channel = message.channel || '';
+  row.dataset.messageId = message.id !== undefined ? String(message.id) : '';
+  row.dataset.userId = message.userId || '';
+  row.dataset.username = message.username || '';
+
+  const author = document.createElement('strong');
+  author.className = 'chat-feed-author';
+  author.textContent = `${window.PlatformRegistry.getPlatform(message.platform).emoji} ${message.username}`;
+  if (message.usernameColor) {
+    author.style.color = message.usernameColor;
+  }
+
+  // Which connected channel the message came from
+  if (message.source) {
+    author.title = message.source.label;
+    author.style.borderLeft = `3px solid ${message.source.color}`;
+    author.style.paddingLeft = '4px';
+  }
+
+  const text = document.createElement('span');
+  text.className = 'chat-feed-text';
+  if (message.event?.systemMessage) {
+    text.textContent = `${message.event.systemMessage} ${message.text || ''}`;
+  } else if (message.sticker) {
+    text.textContent = `🏷️ ${message.sticker.altText}`;
+  } else {
+    text.textContent = message.text || '';
+  }
+
+  row.appendChild(author);
+  row.appendChild(text);
+  row.appendChild(createRowActions(message));
+
+  feed.insertBefore(row, feed.firstChild);
+
+  while (feed.children.length > MAX_FEED_MESSAGES) {
+    feed.removeChild(feed.lastChild);
+  }
+}
+
+/**
+ * Create the action buttons for a feed row
+ * Moderation buttons only where the message's connection supports them
+ * (platform registry capabilities); CSS hides them unless the bot can moderate
+ *
+ * @param {Object} message - Chat message
+ * @returns {HTMLElement} Actions container
+ */
+function createRowActions(message) {
+  const actions = document.createElement('span');
+  actions.className = 'chat-feed-actions';
+
+  const buttons = [{ action: 'pin', label: '📌', title: 'Pin on overlay' }];
+
+  if (window.PlatformRegistry.hasCapability(message.platform, 'deletion', message.connectionId)) {
+    buttons.push({ action: 'delete', label: '🗑️', title: 'Delete message', moderation: true });
+  }
+
+  if (window.PlatformRegistry.hasCapability(message.platform, 'timeouts', message.connectionId)) {
+    buttons.push(
+      { action: 'timeout', label: '⏱️', title: `Time out (${TIMEOUT_SECONDS / 60} min)`, moderation: true, needsUser: true },
+      { action: 'ban', label: '🔨', title: 'Ban user', moderation: true, needsUser: true }
+    );
+  }
+
+  buttons.forEach(({ action, label, title, moderation, needsUser }) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = moderation ? 'chat-action mod-action' : 'chat-action';
+    button.dataset.action = action;
+    button.title = title;
+    button.textContent = label;
+    button.disabled = !!needsUser && !message.userId;
+    actions.appendChild(button);
+  });
+
+  return actions;
+}
+
+/**
+ * Run the action of a clicked row button
+ *
+ * @param {MouseEvent} event - Click inside the feed
+ */
+function handleRowAction(event) {
+  const button = event.target.closest('button[data-action]');
+  if (!button) return;
+
+  const row = button.closest('.chat-feed-row');
+  const { platform, channel, messageId, userId, username } = row.dataset;
+  const action = button.dataset.action;
+
+  if (action === 'pin') {
+    window.ControlWebSocket.send('pin-message', { platform, channel, messageId });
+    return;
+  }
+
+  if (action === 'ban' && !confirm(`Ban ${username} from the channel?`)) {
+    return;
+  }
+
+  window.ControlWebSocket.send('moderate', {
+    action,
+    platform,
+    channel,
+    messageId,
+    userId,
+    duration: action === 'timeout' ? TIMEOUT_SECONDS : undefined
+  });
+}
+
+/**
+ * Strike through the rows a moderation event removed
+ *
+ * @param {Object} event - Moderation event
+ * @param {Function} matches - Returns true for affected rows
+ */
+function markRemoved(event, matches) {
+  document.querySelectorAll('#chat-feed .chat-feed-row').forEach(row => {
+    const inChannel = row.dataset.platform === event.platform &&
+      (!event.channel || row.dataset.channel === event.channel);
+
+    if (inChannel && matches(row)) {
+      row.classList.add('removed');
+    }
+  });
+}
+
+/**
+ * Send the chat input to Twitch as the bot
+ */
+function sendChat() {
+  const input = document.getElementById('chat-send-text');
+  const text = input.value.trim();
+
+  if (!text) return;
+
+  if (window.ControlWebSocket.send('send-chat', { platform: 'twitch', text })) {
+    input.value = '';
+  }
+}
+
+/**
+ * Show the Twitch bot status and enable the matching controls
+ *
+ * @param {Object|null} status - Bot status from the server
+ */
+function updateBotStatus(status) {
+  botStatus = status;
+
+  const statusEl = document.getElementById('twitch-bot-status');
+  const feed = document.getElementById('chat-feed');
+  const canSend = !!status?.canSend;
+
+  if (statusEl) {
+    statusEl.textContent = formatBotStatus(status);
+  }
+  if (feed) {
+    feed.classList.toggle('can-moderate', !!status?.canModerate);
+  }
+
+  ['chat-send-text', 'chat-send-btn'].forEach(id => {
+    const element = document.getElementById(id);
+    if (element) element.disabled = !canSend;
+  });
+
+  // Twitch dropped a message we sent (rate limit, duplicate, slow mode, ...)
+  if (status?.error) {
+    showActionResult({ ok: false, message: status.error });
+  }
+}
+
+/**
+ * Describe the bot status for the status line
+ *
+ * @param {Object|null} status - Bot status
+ * @returns {string} Status text
+ */
+function formatBotStatus(status) {
+  if (!status) {
+    return 'Twitch not connected. Pinning works for any message.';
+  }
+  if (status.mode !== 'bot') {
+    return `Read-only on #${status.channel}. Set twitch.oauthToken in config.js to send chat and moderate.`;
+  }
+
+  const limit = status.rateLimit;
+  const moderation = status.canModerate ? 'can moderate' : 'not a moderator, chat only';
+  const slowMode = limit.slowModeSeconds > 0 ? ` · slow mode ${limit.slowModeSeconds}s` : '';
+
+  return `🤖 ${status.login} in #${status.channel} (${status.role || 'joining'}, ${moderation}) · ` +
+    `${limit.used}/${limit.limit} messages per ${limit.windowSeconds}s${slowMode}`;
+}
+
+/**
+ * Show the result of a chat action for a few seconds
+ *
+ * @param {Object} result - Action result
+ * @param {boolean} result.ok - Whether it worked
+ * @param {string} result.message - Result text
+ */
+function showActionResult(result) {
+  const resultEl = document.getElementById('chat-action-result');
+  if (!resultEl) return;
+
+  resultEl.textContent = `${result.ok ? '✓' : '❌'} ${result.message}`;
+  resultEl.style.color = result.ok ? '#2e7d32' : '#d32f2f';
+
+  clearTimeout(showActionResult.timer);
+  showActionResult.timer = setTimeout(() => {
+    resultEl.textContent = '';
+  }, 5000);
+}
+
+/**
+ * Show (or hide) the currently pinned message
+ *
+ * @param {Object|null} message - Pinned message, or null when unpinned
+ */
+function showPinned(message) {
+  const pinnedInfo = document.getElementById('pinned-info');
+  const pinnedText = document.getElementById('pinned-text');
+  if (!pinnedInfo || !pinnedText) return;
+
+  pinnedInfo.classList.toggle('hidden', !message);
+  pinnedText.textContent = message ? `${message.username}: ${message.text || ''}` : '';
+}
+
+/**
+ * Get the latest Twitch bot status
+ * @returns {Object|null} Bot status
+ */
+function getBotStatus() {
+  return botStatus;
+}
+
+// Export public API
+window.UIChatFeed = {
+  initialize,
+  addMessage,
+  getBotStatus
+};
@@ -2,7 +2,8 @@
  * UI Configuration Loader
  *
  * Handles loading and displaying configuration values in the control panel UI.
- * Updates form fields, connection statuses, and multistream indicators.
+ * Updates form fields, connection statuses, the list of connected
+ * channels, and multistream indicators.
  *
  * @module ui/configLoader
  */
@@ -19,12 +20,20 @@ function loadConfig(config) {
   // Update YouTube channel ID display
   updateChannelIdDisplay(config);
 
-  // Update Twitch channel display
-  updateTwitchChannelDisplay(config);
+  // Rebuild the per-platform controls when the server's platforms change
+  if (window.PlatformRegistry.setPlatforms(config.availablePlatforms)) {
+    window.ChannelConnection.renderSections(window.PlatformRegistry.getPlatforms());
+    renderPlatformFilters(window.PlatformRegistry.getPlatforms());
+  }
 
-  // Update platform connection status
-  if (config.platforms) {
-    updatePlatformStatuses(config.platforms);
+  // Update profile selector and overlay URL
+  updateProfileSelector(config);
+
+  // Update platform connection status and the connected channel list
+  if (config.connections) {
+    window.PlatformRegistry.setConnections(config.connections);
+    updatePlatformStatuses(config.connections);
+    updateConnectionList(config.connections);
   }
 
   // Update all form fields
@@ -33,17 +42,63 @@ function loadConfig(config) {
 
 /**
  * Update platform connection statuses
- * Shows connection state for YouTube and Twitch
+ * Shows how many videos / channels of each platform are connected
+ *
+ * @param {Array<Object>} connections - Connection records ({ id, platform, target, label, color })
+ */
+function updatePlatformStatuses(connections) {
+  window.PlatformRegistry.getPlatforms().forEach(({ id }) => {
+    const count = connections.filter(record => record.platform === id).length;
+    window.PlatformManager.updatePlatformStatus(id, count);
+  });
+
+  // Show multistream indicator if more than one channel is connected
+  updateMultistreamIndicator(connections.length > 1, connections.length);
+}
+
+/**
+ * Render the list of connected channels, each with its own Disconnect button
+ * Labels may come from YouTube (auto-follow uses the channel name): set as text, not HTML
  *
- * @param {Object} platforms - Platform configuration
+ * @param {Array<Object>} connections - Connection records
  */
-function updatePlatformStatuses(platforms) {
-  window.PlatformManager.updatePlatformStatus('youtube', platforms.youtube.enabled);
-  window.PlatformManager.updatePlatformStatus('twitch', platforms.twitch.enabled);
+function updateConnectionList(connections) {
+  const list = document.getElementById('connection-list');
+  if (!list) return;
+
+  list.innerHTML = '';
+
+  if (connections.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'connection-empty';
+    empty.textContent = 'No channels connected';
+    list.appendChild(empty);
+    return;
+  }
+
+  connections.forEach(record => {
+    const item = document.createElement('li');
 
-  // Show multistream indicator if both platforms connected
-  const isMultistream = platforms.youtube.enabled && platforms.twitch.enabled;
-  updateMultistreamIndicator(isMultistream);
+    const color = document.createElement('span');
+    color.className = 'connection-color';
+    color.style.background = record.color;
+
+    const label = document.createElement('strong');
+    label.textContent = `${window.PlatformRegistry.getPlatform(record.platform).emoji} ${record.label}`;
+
+    const target = document.createElement('span');
+    target.className = 'connection-target';
+    target.textContent = record.label !== record.target ? record.target : '';
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn btn-secondary';
+    button.dataset.connectionId = record.id;
+    button.textContent = 'Disconnect';
+
+    item.append(color, label, target, button);
+    list.appendChild(item);
+  });
 }
 
 /**
@@ -52,6 +107,12 @@ function updatePlatformStatuses(platforms) {
  * @param {Object} config - Configuration object
  */
 function updateAllFormFields(config) {
+  // Platform connection options
+  if (config.platforms) {
+    updateFormField('youtube-transport', config.platforms.youtube.transport || 'poll');
+    updateCheckbox('youtube-auto-follow', !!config.platforms.youtube.autoFollow);
+  }
+
   // Message display settings
   updateFormField('max-messages', config.maxMessages);
   updateFormField('animation-speed', config.animationSpeed);
@@ -71,12 +132,60 @@ function updateAllFormFields(config) {
   updateCheckbox('show-avatar', config.showAvatar);
   updateFormField('avatar-shape', config.avatarShape);
   updateCheckbox('show-platform-icon', config.showPlatformIcon);
+  updateCheckbox('show-channel-tag', config.showChannelTag);
+  updateCheckbox('show-removed-placeholder', config.showRemovedPlaceholder);
 
   // Theme
   updateFormField('theme', config.theme);
 
   // Custom CSS
   updateFormField('custom-css', config.customCSS);
+
+  // Platform filters
+  if (config.platformFilters) {
+    document.querySelectorAll('#platform-filters input[data-platform]').forEach(checkbox => {
+      checkbox.checked = config.platformFilters[checkbox.dataset.platform] !== false;
+    });
+  }
+
+  // Third-party emote providers (global)
+  if (config.emoteProviders) {
+    updateCheckbox('emotes-bttv', config.emoteProviders.bttv !== false);
+    updateCheckbox('emotes-ffz', config.emoteProviders.ffz !== false);
+    updateCheckbox('emotes-seventv', config.emoteProviders.seventv !== false);
+  }
+}
+
+/**
+ * Update the profile selector, delete button and overlay URL
+ * Lists every profile and selects the one being edited
+ *
+ * @param {Object} config - Configuration object (profile + profile names)
+ */
+function updateProfileSelector(config) {
+  const select = document.getElementById('profile-select');
+  const profileUrl = document.getElementById('profile-url');
+  const deleteBtn = document.getElementById('delete-profile-btn');
+
+  if (!select || !config.profiles) return;
+
+  select.innerHTML = '';
+  config.profiles.forEach(name => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name;
+    select.appendChild(option);
+  });
+  select.value = config.profile;
+
+  if (profileUrl) {
+    const base = `${window.location.protocol}//${window.location.host}/`;
+    profileUrl.textContent = config.profile === 'default' ? base : `${base}?profile=${config.profile}`;
+  }
+
+  if (deleteBtn) {
+    deleteBtn.disabled = config.profile === 'default';
+  }
 }
 
 /**
@@ -114,52 +223,48 @@ function updateChannelIdDisplay(config) {
 }
 
 /**
- * Update Twitch channel display
- * Shows configured Twitch channel from config.js
+ * Render one "show chat from" checkbox per platform
+ * Their states are filled in from config.platformFilters
  *
- * @param {Object} config - Configuration object
+ * @param {Object[]} platforms - Platform descriptions (PlatformRegistry)
  */
-function updateTwitchChannelDisplay(config) {
-  const twitchChannelInput = document.getElementById('twitch-channel');
-  const twitchChannelLabel = document.getElementById('config-twitch-channel');
+function renderPlatformFilters(platforms) {
+  const container = document.getElementById('platform-filters');
+  if (!container) return;
 
-  if (!twitchChannelInput) return;
+  container.innerHTML = '';
 
-  if (config.twitchDefaultChannel && config.twitchDefaultChannel.trim() !== '') {
-    // Twitch channel is configured
-    twitchChannelInput.value = config.twitchDefaultChannel;
+  platforms.forEach(({ id, name }) => {
+    const label = document.createElement('label');
+    label.className = 'checkbox-label';
 
-    if (twitchChannelLabel) {
-      twitchChannelLabel.textContent = config.twitchDefaultChannel;
-      twitchChannelLabel.style.color = '#4caf50';
-    }
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = true;
+    checkbox.dataset.platform = id;
 
-    console.log('✅ Twitch channel configured:', config.twitchDefaultChannel);
-  } else {
-    // Twitch channel not configured
-    twitchChannelInput.value = '';
-    twitchChannelInput.placeholder = 'Not configured in config.js';
-
-    if (twitchChannelLabel) {
-      twitchChannelLabel.textContent = 'Not configured';
-      twitchChannelLabel.style.color = '#d32f2f';
-    }
-
-    console.log('❌ Twitch channel not configured');
-  }
+    label.append(checkbox, ` ${name}`);
+    container.appendChild(label);
+  });
 }
 
 /**
  * Update multistream indicator visibility
- * Shows special indicator when both YouTube and Twitch are connected
+ * Shows special indicator when more than one channel is connected
  *
- * @param {boolean} isMultistream - Whether both platforms are connected
+ * @param {boolean} isMultistream - Whether several channels are connected
+ * @param {number} [count] - Number of connected channels
  */
-function updateMultistreamIndicator(isMultistream) {
+function updateMultistreamIndicator(isMultistream, count) {
   const multistreamInfo = document.getElementById('multistream-info');
   if (multistreamInfo) {
     multistreamInfo.style.display = isMultistream ? 'block' : 'none';
   }
+
+  const countEl = document.getElementById('multistream-count');
+  if (countEl && count) {
+    countEl.textContent = `${count} channels`;
+  }
 }
 
 /**
@@ -215,8 +320,10 @@ function updateVolumeSlider(volume) {
 window.UIConfigLoader = {
   loadConfig,
   updateChannelIdDisplay,
-  updateTwitchChannelDisplay,
+  renderPlatformFilters,
+  updateProfileSelector,
   updatePlatformStatuses,
+  updateConnectionList,
   updateMultistreamIndicator
 };
 
@@ -12,14 +12,81 @@
  * Called once during control panel initialization
  */
 function setupEventListeners() {
+  setupChannelPlatformListeners();
+  setupConnectionListListeners();
+  setupProfileListeners();
   setupThemeListeners();
   setupMessageDisplayListeners();
   setupSoundListeners();
   setupVisualListeners();
   setupUserInfoListeners();
+  setupEmoteProviderListeners();
   setupActionButtonListeners();
 }
 
+/**
+ * Setup the Connect / Disconnect buttons of the channel-based platforms
+ * Their sections are rendered from the platform registry, so one listener handles all
+ */
+function setupChannelPlatformListeners() {
+  const container = document.getElementById('channel-platforms');
+  if (!container) return;
+
+  container.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-platform-action]');
+    if (!button) return;
+
+    if (button.dataset.platformAction === 'connect') {
+      window.PlatformManager.connect(button.dataset.platform);
+    } else {
+      window.PlatformManager.disconnect(button.dataset.platform);
+    }
+  });
+}
+
+/**
+ * Setup the Disconnect buttons of the connected channel list
+ * The list is re-rendered on every config update, so one listener on the list handles all rows
+ */
+function setupConnectionListListeners() {
+  const list = document.getElementById('connection-list');
+  if (!list) return;
+
+  list.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-connection-id]');
+    if (button) {
+      window.PlatformManager.disconnectConnection(button.dataset.connectionId);
+    }
+  });
+}
+
+/**
+ * Setup overlay profile listeners
+ * Switching profile changes which profile every other control edits
+ */
+function setupProfileListeners() {
+  setupChangeListener('profile-select', (value) => {
+    window.ControlWebSocket.setProfile(value);
+    console.log('🗂️  Editing profile:', value);
+  });
+
+  setupClickListener('create-profile-btn', createProfile);
+  setupClickListener('delete-profile-btn', deleteProfile);
+
+  // Platform filter checkboxes, rendered from the platform registry (sent together so none is lost)
+  const filters = document.getElementById('platform-filters');
+  if (filters) {
+    filters.addEventListener('change', () => {
+      const checkboxes = filters.querySelectorAll('input[data-platform]');
+      window.ControlWebSocket.sendConfig({
+        platformFilters: Object.fromEntries([...checkboxes].map(checkbox =>
+          [checkbox.dataset.platform, checkbox.checked]
+        ))
+      });
+    });
+  }
+}
+
 /**
  * Setup theme selection listeners
  */
@@ -116,6 +183,35 @@ function setupUserInfoListeners() {
   setupCheckboxListener('show-platform-icon', (checked) => {
     window.ControlWebSocket.sendConfig({ showPlatformIcon: checked });
   });
+
+  // Show channel tag checkbox
+  setupCheckboxListener('show-channel-tag', (checked) => {
+    window.ControlWebSocket.sendConfig({ showChannelTag: checked });
+  });
+
+  // Deleted message placeholder checkbox
+  setupCheckboxListener('show-removed-placeholder', (checked) => {
+    window.ControlWebSocket.sendConfig({ showRemovedPlaceholder: checked });
+  });
+}
+
+/**
+ * Setup third-party emote provider listeners
+ * Providers are global (not per profile) and sent together so none is lost
+ */
+function setupEmoteProviderListeners() {
+  const sendEmoteProviders = () => {
+    window.ControlWebSocket.sendConfig({
+      emoteProviders: {
+        bttv: document.getElementById('emotes-bttv').checked,
+        ffz: document.getElementById('emotes-ffz').checked,
+        seventv: document.getElementById('emotes-seventv').checked
+      }
+    });
+  };
+  setupCheckboxListener('emotes-bttv', sendEmoteProviders);
+  setupCheckboxListener('emotes-ffz', sendEmoteProviders);
+  setupCheckboxListener('emotes-seventv', sendEmoteProviders);
 }
 
 /**
@@ -126,9 +222,20 @@ function setupActionButtonListeners() {
   setupClickListener('send-test-btn', () => sendTestMessage('normal'));
   setupClickListener('send-superchat-btn', () => sendTestMessage('superchat'));
   setupClickListener('send-moderator-btn', () => sendTestMessage('moderator'));
+  setupClickListener('send-event-btn', () => sendTestEvent(document.getElementById('test-event-type').value));
+  setupClickListener('send-cheer-btn', () => sendTestCheer(parseInt(document.getElementById('test-cheer-bits').value, 10)));
 
   // Test sound button
   setupClickListener('test-sound-btn', testSound);
+
+  // Reset to defaults button
+  setupClickListener('reset-config-btn', resetConfig);
+
+  // Avatar cache stats refresh button
+  setupClickListener('refresh-cache-stats-btn', () => window.UICacheStats.refreshCacheStats());
+
+  // YouTube quota gauge refresh button
+  setupClickListener('refresh-quota-btn', () => window.UIQuotaGauge.refreshQuota());
 }
 
 /**
@@ -223,6 +330,84 @@ function sendTestMessage(type = 'normal') {
   window.ControlWebSocket.sendChatMessage(message);
 }
 
+/**
+ * Send a test Twitch event (sub, raid, ...) to the overlay
+ * Uses the same shape as events parsed from Twitch USERNOTICE
+ *
+ * @param {string} eventType - Event type ('sub', 'resub', 'subgift', 'submysterygift', 'raid', 'announcement')
+ */
+function sendTestEvent(eventType) {
+  const messageText = document.getElementById('test-message').value;
+  const hasUserMessage = ['resub', 'announcement'].includes(eventType);
+
+  const message = {
+    id: `test-${Date.now()}`,
+    username: 'TestUser',
+    text: hasUserMessage ? (messageText || 'This is a test message! 👋') : '',
+    avatar: null,
+    platform: 'twitch',
+    usernameColor: '#9146ff',
+    isModerator: eventType === 'announcement',
+    isSuperchat: false,
+    amount: null,
+    badges: [],
+    timestamp: Date.now(),
+    eventType,
+    event: {
+      type: eventType,
+      systemMessage: '',
+      months: eventType === 'resub' ? 12 : null,
+      streakMonths: eventType === 'resub' ? 3 : null,
+      tier: ['sub', 'resub', 'subgift', 'submysterygift'].includes(eventType) ? '1' : null,
+      giftCount: eventType === 'submysterygift' ? 5 : (eventType === 'subgift' ? 1 : null),
+      recipient: eventType === 'subgift' ? 'LuckyViewer' : null,
+      viewerCount: eventType === 'raid' ? 42 : null,
+      color: eventType === 'announcement' ? 'blue' : null
+    }
+  };
+
+  window.ControlWebSocket.sendChatMessage(message);
+}
+
+/**
+ * Send a test Twitch cheer to the overlay
+ * Uses the same shape as cheers parsed from Twitch PRIVMSG (bits tag)
+ *
+ * @param {number} bits - Bits amount (1, 100, 1000, 5000 or 10000)
+ */
+function sendTestCheer(bits) {
+  const messageText = document.getElementById('test-message').value;
+  const tier = [1, 100, 1000, 5000, 10000].filter(threshold => bits >= threshold).length;
+  const userText = messageText || 'This is a test message! 👋';
+
+  const message = {
+    id: `test-${Date.now()}`,
+    username: 'TestUser',
+    text: `Cheer${bits} ${userText}`,
+    fragments: [
+      {
+        type: 'cheermote',
+        name: `Cheer${bits}`,
+        amount: bits,
+        url: `https://d3aqoihi2n8ty8.cloudfront.net/actions/cheer/dark/animated/${bits}/1.gif`
+      },
+      { type: 'text', text: ` ${userText}` }
+    ],
+    avatar: null,
+    platform: 'twitch',
+    usernameColor: '#9146ff',
+    isModerator: false,
+    isSuperchat: true,
+    amount: `${bits.toLocaleString('en-US')} bits`,
+    bits,
+    superchatTier: tier,
+    badges: [],
+    timestamp: Date.now()
+  };
+
+  window.ControlWebSocket.sendChatMessage(message);
+}
+
 /**
  * Get username color for test message type
  *
@@ -249,6 +434,57 @@ function testSound() {
   console.log('🔊 Testing sound...');
 }
 
+/**
+ * Create a new profile from the name input
+ * Copies the profile being edited; the server switches this panel to it
+ */
+function createProfile() {
+  const input = document.getElementById('new-profile-name');
+  const name = input.value.trim().toLowerCase();
+
+  if (!/^[a-z0-9_-]{1,32}$/.test(name)) {
+    alert('Profile names may only contain letters, numbers, "-" and "_" (max 32 characters).');
+    return;
+  }
+
+  if (window.ControlWebSocket.send('create-profile', { name, copyFrom: window.ControlWebSocket.getProfile() })) {
+    console.log('🗂️  Creating profile:', name);
+    input.value = '';
+  }
+}
+
+/**
+ * Delete the profile being edited
+ * Overlays using it fall back to the default profile
+ */
+function deleteProfile() {
+  const profile = window.ControlWebSocket.getProfile();
+  if (profile === 'default' || !confirm(`Delete the "${profile}" profile?`)) {
+    return;
+  }
+
+  if (window.ControlWebSocket.send('delete-profile', { name: profile })) {
+    console.log('🗑️  Deleting profile:', profile);
+    window.ControlWebSocket.setProfile('default');
+  }
+}
+
+/**
+ * Reset the edited profile's display settings to config.js defaults
+ * Asks for confirmation first; the server broadcasts the restored config
+ */
+function resetConfig() {
+  const profile = window.ControlWebSocket.getProfile();
+  if (!confirm(`Reset the "${profile}" profile's display settings to the config.js defaults?`)) {
+    return;
+  }
+
+  if (window.ControlWebSocket.send('reset-config', { profile })) {
+    console.log('♻️  Resetting configuration to defaults');
+    showButtonSuccess('reset-config-btn', '✓ Reset!');
+  }
+}
+
 /**
  * Show temporary success state on a button
  * Provides visual feedback for user actions
@@ -279,7 +515,12 @@ function showButtonSuccess(buttonId, successText, duration = 2000) {
 window.UIEventHandlers = {
   setupEventListeners,
   sendTestMessage,
+  sendTestEvent,
+  sendTestCheer,
   testSound,
+  createProfile,
+  deleteProfile,
+  resetConfig,
   showButtonSuccess
 };
 
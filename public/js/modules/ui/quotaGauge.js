@@ -0,0 +1,110 @@
+/**
+ * UI YouTube Quota Gauge
+ *
+ * Shows how much of today's YouTube API quota the server has used
+ * (GET /api/youtube/quota), refreshed periodically. The quota resets at
+ * midnight Pacific time.
+ *
+ * @module ui/quotaGauge
+ */
+
+/**
+ * How often the gauge is refreshed while the panel is open
+ * @type {number}
+ */
+const QUOTA_REFRESH_MS = 30000;
+
+/**
+ * Usage (percent) from which the gauge turns orange / red
+ * @type {{warning: number, critical: number}}
+ */
+const QUOTA_THRESHOLDS = { warning: 75, critical: 90 };
+
+/**
+ * Refresh timer ID
+ * @type {number|null}
+ */
+let quotaTimer = null;
+
+/**
+ * Fetch quota usage and update the gauge
+ */
+async function refreshQuota() {
+  try {
+    const response = await fetch('/api/youtube/quota');
+    const data = await response.json();
+    updateQuotaGauge(data);
+  } catch (error) {
+    console.warn('⚠️ Failed to load YouTube quota:', error.message);
+  }
+}
+
+/**
+ * Update the gauge bar and numbers
+ *
+ * @param {Object} quota - Quota status from the server
+ */
+function updateQuotaGauge(quota) {
+  if (!quota || quota.status !== 'success') return;
+
+  const fill = document.getElementById('quota-gauge-fill');
+  if (fill) {
+    fill.style.width = `${quota.percentUsed}%`;
+    fill.classList.toggle('warning', quota.percentUsed >= QUOTA_THRESHOLDS.warning);
+    fill.classList.toggle('critical', quota.percentUsed >= QUOTA_THRESHOLDS.critical);
+  }
+
+  setQuotaText('quota-used', quota.used.toLocaleString());
+  setQuotaText('quota-limit', quota.limit.toLocaleString());
+  setQuotaText('quota-remaining', quota.remaining.toLocaleString());
+  setQuotaText('quota-reset', new Date(quota.resetsAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }));
+  setQuotaText('quota-breakdown', formatBreakdown(quota.resources));
+}
+
+/**
+ * Describe today's calls per API resource
+ *
+ * @param {Object<string, {calls: number, units: number}>} resources - Usage per resource
+ * @returns {string} e.g. 'liveChat/messages: 120 calls (600 units) · search: 1 call (100 units)'
+ */
+function formatBreakdown(resources = {}) {
+  const entries = Object.entries(resources).sort((a, b) => b[1].units - a[1].units);
+
+  if (entries.length === 0) {
+    return 'No API calls today';
+  }
+
+  return entries
+    .map(([resource, usage]) => `${resource}: ${usage.calls} call${usage.calls === 1 ? '' : 's'} (${usage.units} units)`)
+    .join(' · ');
+}
+
+/**
+ * Set the text of a gauge element if it exists
+ *
+ * @param {string} elementId - Element ID
+ * @param {string} value - Value to show
+ */
+function setQuotaText(elementId, value) {
+  const element = document.getElementById(elementId);
+  if (element) {
+    element.textContent = value;
+  }
+}
+
+/**
+ * Load the gauge now and keep it up to date
+ */
+function startQuotaGauge() {
+  refreshQuota();
+
+  if (!quotaTimer) {
+    quotaTimer = setInterval(refreshQuota, QUOTA_REFRESH_MS);
+  }
+}
+
+// Export public API
+window.UIQuotaGauge = {
+  refreshQuota,
+  startQuotaGauge
+};
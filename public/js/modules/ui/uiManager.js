@@ -10,6 +10,8 @@
  * @module ui/uiManager
  * @requires UIConfigLoader
  * @requires UIEventHandlers
+ * @requires UICacheStats
+ * @requires UIQuotaGauge
  */
 
 /**
@@ -30,6 +32,30 @@ function setupEventListeners() {
   window.UIEventHandlers.setupEventListeners();
 }
 
+/**
+ * Start showing cache statistics
+ * Delegates to UICacheStats module
+ */
+function startCacheStats() {
+  window.UICacheStats.startCacheStats();
+}
+
+/**
+ * Start showing the YouTube API quota gauge
+ * Delegates to UIQuotaGauge module
+ */
+function startQuotaGauge() {
+  window.UIQuotaGauge.startQuotaGauge();
+}
+
+/**
+ * Setup the live chat feed (send, moderate, pin)
+ * Delegates to UIChatFeed module
+ */
+function setupChatFeed() {
+  window.UIChatFeed.initialize();
+}
+
 /**
  * Send test message
  * Delegates to UIEventHandlers module
@@ -52,6 +78,9 @@ function testSound() {
 window.UIManager = {
   loadConfig,
   setupEventListeners,
+  startCacheStats,
+  startQuotaGauge,
+  setupChatFeed,
   sendTestMessage,
   testSound
 };
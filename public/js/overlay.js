@@ -4,9 +4,12 @@
  * Coordinates all overlay modules and handles:
  * - WebSocket communication with server
  * - Message rendering and display
- * - Platform client connections (YouTube/Twitch)
+ * - Moderation (deleted messages, purged users, cleared chat)
  * - Configuration management
  *
+ * The overlay is a pure renderer: platform chat connections run on the
+ * server, which pushes normalized messages to every overlay.
+ *
  * Modular Architecture:
  * - overlayWebSocket.js: WebSocket connection management
  * - configManager.js: Configuration state and application
@@ -17,41 +20,8 @@
  * @requires OverlayConfigManager
  * @requires MessageRenderer
  * @requires MessageQueue
- * @requires YouTubeChatClient (youtube.js)
- * @requires TwitchChatClient (twitch.js)
  */
 
-// Platform client instances
-let youtubeClient = null;
-let twitchClient = null;
-
-// Message deduplication - track recently seen message IDs
-const processedMessageIds = new Set();
-const MAX_PROCESSED_IDS = 100; // Limit memory usage
-
-/**
- * Check if message has already been processed
- * @param {string} messageId - Message ID to check
- * @returns {boolean} True if message is duplicate
- */
-function isDuplicateMessage(messageId) {
-  if (processedMessageIds.has(messageId)) {
-    console.log(`⚠️  Skipping duplicate message: ${messageId}`);
-    return true;
-  }
-
-  // Add to processed set
-  processedMessageIds.add(messageId);
-
-  // Prevent memory leak - limit cache size
-  if (processedMessageIds.size > MAX_PROCESSED_IDS) {
-    const firstId = processedMessageIds.values().next().value;
-    processedMessageIds.delete(firstId);
-  }
-
-  return false;
-}
-
 /**
  * Handle incoming WebSocket messages
  * Routes messages to appropriate handlers
@@ -70,6 +40,24 @@ function handleMessage(data) {
       handleChatMessage(data.data);
       break;
 
+    case 'chat-history':
+      handleChatHistory(data.data);
+      break;
+
+    case 'message-deleted':
+    case 'user-purged':
+    case 'chat-cleared':
+      handleModerationEvent(data.type, data.data);
+      break;
+
+    case 'pin-message':
+      handlePinMessage(data.data);
+      break;
+
+    case 'unpin-message':
+      handlePinMessage(null);
+      break;
+
     case 'test-sound':
       handleTestSound();
       break;
@@ -81,55 +69,16 @@ function handleMessage(data) {
 
 /**
  * Handle configuration updates from server
- * Updates config, applies changes, and manages platform connections
+ * Updates config and applies visual changes
+ * The server only sends the config of this overlay's profile (`?profile=`)
  *
  * @param {Object} configUpdate - Configuration updates
  */
 function handleConfigUpdate(configUpdate) {
-  // Update configuration
+  PlatformRegistry.setPlatforms(configUpdate.availablePlatforms);
+  PlatformRegistry.setConnections(configUpdate.connections);
   OverlayConfigManager.updateConfig(configUpdate);
   OverlayConfigManager.applyConfig();
-
-  // Handle platform connections if config includes platform data
-  if (configUpdate.platforms) {
-    handlePlatformConnections(configUpdate.platforms);
-  }
-}
-
-/**
- * Handle platform connection state changes
- * Supports multistream: can connect to both YouTube and Twitch simultaneously
- *
- * @param {Object} platforms - Platform configuration
- * @param {Object} platforms.youtube - YouTube config
- * @param {Object} platforms.twitch - Twitch config
- */
-function handlePlatformConnections(platforms) {
-  // Handle YouTube connection
-  if (platforms.youtube.enabled && platforms.youtube.videoId) {
-    connectYouTube(platforms.youtube.videoId);
-  } else if (youtubeClient && !platforms.youtube.enabled) {
-    disconnectYouTube();
-  }
-
-  // Handle Twitch connection
-  if (platforms.twitch.enabled && platforms.twitch.channelId) {
-    connectTwitch(platforms.twitch.channelId);
-  } else if (twitchClient && !platforms.twitch.enabled) {
-    disconnectTwitch();
-  }
-
-  // Log multistream status
-  const youtubeActive = platforms.youtube.enabled;
-  const twitchActive = platforms.twitch.enabled;
-
-  if (youtubeActive && twitchActive) {
-    console.log('📡 Multistream mode: YouTube + Twitch');
-  } else if (youtubeActive) {
-    console.log('🎥 Connected to YouTube only');
-  } else if (twitchActive) {
-    console.log('🟣 Connected to Twitch only');
-  }
 }
 
 /**
@@ -139,13 +88,13 @@ function handlePlatformConnections(platforms) {
  * @param {Object} messageData - Chat message data
  */
 function handleChatMessage(messageData) {
-  // Check for duplicate messages (prevents duplicates when multiple overlay tabs are open)
-  if (messageData.id && isDuplicateMessage(messageData.id)) {
-    return; // Skip duplicate
-  }
-
   const config = OverlayConfigManager.getConfig();
 
+  // Skip platforms this overlay's profile filters out
+  if (!OverlayConfigManager.isPlatformShown(messageData.platform)) {
+    return;
+  }
+
   // Log message
   console.log(`💬 [${messageData.platform}] ${messageData.username}: ${messageData.text}`);
 
@@ -158,100 +107,97 @@ function handleChatMessage(messageData) {
 }
 
 /**
- * Handle test sound requests
- * Plays sound without adding a message
+ * Handle chat history replayed by the server on (re)connect
+ * Replaces whatever is on screen and never plays the sound,
+ * so an OBS source reload doesn't ding for old messages
+ *
+ * @param {Object} historyData - History payload
+ * @param {Object[]} historyData.messages - Recent messages, oldest first
  */
-function handleTestSound() {
+function handleChatHistory(historyData) {
   const config = OverlayConfigManager.getConfig();
-  MessageQueue.playSound(config.volume);
-  console.log('🔊 Test sound played');
+  const messages = historyData.messages || [];
+
+  MessageQueue.clearAll();
+
+  messages.forEach(messageData => {
+    if (!OverlayConfigManager.isPlatformShown(messageData.platform)) {
+      return;
+    }
+
+    const messageElement = MessageRenderer.createMessageElement(messageData, config);
+    MessageQueue.addMessage(messageElement, config, false);
+  });
+
+  console.log(`📜 Replayed ${messages.length} recent message(s)`);
 }
 
 /**
- * Connect to YouTube chat
- * Creates new client or reconnects if video ID changed
+ * Handle moderation events forwarded from platform chats
+ * Removes the affected messages, or blanks them with a placeholder when the
+ * profile's `showRemovedPlaceholder` is on. A cleared chat always removes.
  *
- * @param {string} videoId - YouTube video ID
+ * @param {string} type - 'message-deleted', 'user-purged' or 'chat-cleared'
+ * @param {Object} event - Moderation event
+ * @param {string} event.platform - Platform origin
+ * @param {string} [event.channel] - Channel the event happened in
+ * @param {string} [event.messageId] - Deleted message ID (message-deleted)
+ * @param {string} [event.username] - Target user login (user-purged)
+ * @param {string} [event.userId] - Target user ID (user-purged)
  */
-function connectYouTube(videoId) {
-  // Only connect if not already connected to same video
-  if (youtubeClient && youtubeClient.videoId === videoId) {
-    return;
-  }
-
-  // Disconnect existing client
-  if (youtubeClient) {
-    youtubeClient.disconnect();
-  }
+function handleModerationEvent(type, event) {
+  const config = OverlayConfigManager.getConfig();
 
-  console.log(`🎥 Connecting to YouTube: ${videoId}`);
+  const inChannel = (el) =>
+    el.dataset.platform === event.platform &&
+    (!event.channel || el.dataset.channel === event.channel);
 
-  // Create new client
-  youtubeClient = new YouTubeChatClient(videoId);
+  const matchers = {
+    'message-deleted': (el) => inChannel(el) && el.dataset.messageId === String(event.messageId),
+    'user-purged': (el) => inChannel(el) && (event.userId && el.dataset.userId
+      ? el.dataset.userId === event.userId
+      : el.dataset.username.toLowerCase() === String(event.username).toLowerCase()),
+    'chat-cleared': inChannel
+  };
 
-  // Configure with API key if available
-  const config = OverlayConfigManager.getConfig();
-  if (config.youtubeApiKey) {
-    youtubeClient.setApiKey(config.youtubeApiKey);
-    console.log('✅ YouTube API key configured');
-  } else {
-    console.log('⚠️  No YouTube API key - using simulation mode');
-  }
+  const removed = MessageQueue.removeWhere(matchers[type], {
+    placeholder: type !== 'chat-cleared' && !!config.showRemovedPlaceholder
+  });
 
-  // Connect
-  youtubeClient.connect();
+  console.log(`🧹 [${event.platform}] ${type}: ${removed} message(s) removed`);
 }
 
 /**
- * Disconnect from YouTube chat
- */
-function disconnectYouTube() {
-  if (youtubeClient) {
-    console.log('🎥 Disconnecting YouTube');
-    youtubeClient.disconnect();
-    youtubeClient = null;
-  }
-}
-
-/**
- * Connect to Twitch chat
- * Creates new client or reconnects if channel changed
+ * Handle a message pinned (or unpinned) from the control panel
+ * Shown above the chat until unpinned or removed by moderation
  *
- * @param {string} channelName - Twitch channel name
+ * @param {Object|null} messageData - Pinned chat message, or null to unpin
  */
-function connectTwitch(channelName) {
-  // Only connect if not already connected to same channel
-  if (twitchClient && twitchClient.channelName === channelName) {
-    return;
-  }
-
-  // Disconnect existing client
-  if (twitchClient) {
-    twitchClient.disconnect();
-  }
+function handlePinMessage(messageData) {
+  const pinnedContainer = document.getElementById('pinned-message');
+  if (!pinnedContainer) return;
 
-  console.log(`🟣 Connecting to Twitch: ${channelName}`);
+  pinnedContainer.innerHTML = '';
 
-  // Create and connect new client
-  twitchClient = new TwitchChatClient(channelName);
+  if (!messageData || !OverlayConfigManager.isPlatformShown(messageData.platform)) {
+    return;
+  }
 
-  // Set up message callback to route messages to overlay
-  twitchClient.onMessage = (messageData) => {
-    handleChatMessage(messageData);
-  };
+  const messageElement = MessageRenderer.createMessageElement(messageData, OverlayConfigManager.getConfig());
+  messageElement.classList.add('pinned-highlight');
+  pinnedContainer.appendChild(messageElement);
 
-  twitchClient.connect();
+  console.log(`📌 Pinned: ${messageData.username}: ${messageData.text}`);
 }
 
 /**
- * Disconnect from Twitch chat
+ * Handle test sound requests
+ * Plays sound without adding a message
  */
-function disconnectTwitch() {
-  if (twitchClient) {
-    console.log('🟣 Disconnecting Twitch');
-    twitchClient.disconnect();
-    twitchClient = null;
-  }
+function handleTestSound() {
+  const config = OverlayConfigManager.getConfig();
+  MessageQueue.playSound(config.volume);
+  console.log('🔊 Test sound played');
 }
 
 /**
@@ -0,0 +1,83 @@
+/**
+ * Test Runner
+ *
+ * Runs every test/*.test.js file in its own Node process (like
+ * `node --test`), one after the other, with its output going straight to
+ * the terminal.
+ *
+ * Why not `node --test`: its runner reads test results from each file's
+ * stdout and mistakes log lines for results when they start with a
+ * multi-byte character, as the server's emoji-prefixed logs do ("Unable to
+ * deserialize cloned data"). Running the files directly keeps the logs
+ * readable and leaves them alone.
+ *
+ * @example
+ * npm test                          # Every suite
+ * npm test -- test/kickChatClient   # Suites whose path contains the filter
+ */
+
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Directory holding the test suites
+ * @type {string}
+ */
+const TEST_DIR = path.join(__dirname, '..', 'test');
+
+/**
+ * Longest a single suite may run before it counts as failed
+ * @type {number}
+ */
+const SUITE_TIMEOUT_MS = 120000;
+
+/**
+ * List the suites to run
+ *
+ * @param {string[]} filters - Path fragments; a suite runs if it matches any (all if empty)
+ * @returns {string[]} Absolute paths of the suites
+ */
+function findSuites(filters) {
+  return fs.readdirSync(TEST_DIR)
+    .filter(file => file.endsWith('.test.js'))
+    .map(file => path.join(TEST_DIR, file))
+    .filter(file => filters.length === 0 || filters.some(filter => file.includes(path.normalize(filter))));
+}
+
+/**
+ * Run the suites and exit with a failure code if any failed
+ */
+function main() {
+  const suites = findSuites(process.argv.slice(2));
+  const failed = [];
+
+  if (suites.length === 0) {
+    console.error('❌ No test suites found');
+    process.exit(1);
+  }
+
+  suites.forEach(suite => {
+    const name = path.relative(process.cwd(), suite);
+    console.log(`\n🧪 ${name}`);
+
+    const result = spawnSync(process.execPath, ['--test-reporter=spec', suite], {
+      stdio: 'inherit',
+      timeout: SUITE_TIMEOUT_MS
+    });
+
+    if (result.status !== 0) {
+      failed.push(result.signal ? `${name} (${result.signal})` : name);
+    }
+  });
+
+  console.log('');
+  if (failed.length > 0) {
+    console.error(`❌ ${failed.length} of ${suites.length} suites failed: ${failed.join(', ')}`);
+    process.exit(1);
+  }
+
+  console.log(`✅ All ${suites.length} suites passed`);
+}
+
+main();
@@ -6,11 +6,17 @@
  * - WebSocket server for real-time client communication
  * - Client connection management
  * - Configuration broadcasting
+ * - Server-side platform chat connectors (YouTube polling, Twitch IRC)
+ * - Signed inbound webhooks from local tools (POST /api/ingest)
+ * - The merged feed for local tools: SSE stream (GET /api/events) and outbound webhooks
+ * - Control token authentication for the control panel and its WebSocket
  *
  * Architecture:
  * - Modular design with separated concerns
  * - WebSocket handlers in src/websocket/
+ * - Platform chat connectors in src/platforms/
  * - API routes in src/routes/
+ * - Control panel authentication in src/auth/
  * - Cache system in src/cache/
  *
  * @module server
@@ -19,18 +25,29 @@
 const express = require('express');
 const WebSocket = require('ws');
 const path = require('path');
-const config = require('./config');
+const config = require('./src/config');
 
 // Import modular components
 const LiveStreamCache = require('./src/cache/LiveStreamCache');
+const ChatHistory = require('./src/cache/ChatHistory');
 const clientManager = require('./src/websocket/clientManager');
 const configManager = require('./src/websocket/configManager');
 const messageHandlers = require('./src/websocket/messageHandlers');
+const platformConnections = require('./src/platforms/platformConnections');
+const controlAuth = require('./src/auth/controlAuth');
+const youtubeQuota = require('./src/services/youtubeQuota');
+const ingestSources = require('./src/platforms/ingest/sources');
+const eventStream = require('./src/events/eventStream');
+const webhooks = require('./src/events/webhooks');
 
 // Import API routes
 const youtubeRoutes = require('./src/routes/youtube');
 const twitchRoutes = require('./src/routes/twitch');
 const systemRoutes = require('./src/routes/system');
+const authRoutes = require('./src/routes/auth');
+const messageRoutes = require('./src/routes/messages');
+const ingestRoutes = require('./src/routes/ingest');
+const eventRoutes = require('./src/routes/events');
 
 // ============================================================================
 // SERVER INITIALIZATION
@@ -43,18 +60,49 @@ const PORT = config.server.port;
 const liveStreamCache = new LiveStreamCache(5); // 5 minute TTL
 app.locals.liveStreamCache = liveStreamCache; // Make available to routes
 
+// Recent chat per channel, replayed to overlays when they (re)connect
+const chatHistory = new ChatHistory(config.chatHistory?.maxPerChannel || 100);
+app.locals.chatHistory = chatHistory;
+messageHandlers.setChatHistory(chatHistory);
+
+// Route chat and moderation from server-side platform connectors to all overlays
+// (bot status and platform-ended connections only go to control panels;
+// capability changes resend the config; live stream changes switch the
+// YouTube connection)
+platformConnections.setMessageHandler(messageHandlers.handleChatMessage);
+platformConnections.setModerationHandler(messageHandlers.handleModerationEvent);
+platformConnections.setBotStatusHandler(messageHandlers.broadcastBotStatus);
+platformConnections.setConnectionEndedHandler(messageHandlers.handleConnectionEnded);
+platformConnections.setCapabilitiesHandler(messageHandlers.handleCapabilitiesChange);
+platformConnections.setLiveStreamHandler(messageHandlers.handleLiveStreamChange);
+
+// Everything overlays receive also goes to SSE streams and outbound webhooks
+clientManager.addBroadcastListener(eventStream.handleBroadcast);
+clientManager.addBroadcastListener(webhooks.handleBroadcast);
+
+// Restore persisted runtime config (and reconnect saved channels)
+configManager.initialize();
+
 // Middleware
+// control.html must only be reachable through the authenticated /control route
+app.get('/control.html', (req, res) => res.redirect('/control'));
 app.use(express.static('public'));
-app.use(express.json());
+// Keep the raw body: ingest signatures are computed over the exact bytes sent
+app.use(express.json({
+  verify: (req, res, buffer) => {
+    req.rawBody = buffer;
+  }
+}));
 
 // ============================================================================
 // ROUTES
 // ============================================================================
 
 // HTML pages
-app.get('/control', (req, res) => {
+app.get('/control', controlAuth.requireControlPage, (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'control.html'));
 });
+app.use('/control', authRoutes);
 
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
@@ -63,6 +111,9 @@ app.get('/', (req, res) => {
 // API routes
 app.use('/api/youtube', youtubeRoutes);
 app.use('/api/twitch', twitchRoutes);
+app.use('/api/messages', messageRoutes);
+app.use('/api/ingest', ingestRoutes);
+app.use('/api/events', eventRoutes);
 app.use('/api', systemRoutes);
 app.use('/', systemRoutes); // For /health endpoint
 
@@ -109,6 +160,9 @@ const server = app.listen(PORT, () => {
   console.log(`  • Max Messages:      ${config.overlay.maxMessages}`);
   console.log(`  • YouTube API:       ${config.youtube.apiKey ? '✓ Configured' : '✗ Not configured (simulation mode)'}`);
   console.log(`  • Twitch Auth:       ${config.twitch.botUsername === 'justinfan12345' ? '✗ Anonymous mode' : '✓ Authenticated'}`);
+  console.log(`  • Control Token:     ${controlAuth.isTokenGenerated() ? controlAuth.getControlToken() + ' (generated - set security.controlToken in config.js)' : '✓ Configured'}`);
+  console.log(`  • Ingest Sources:    ${ingestSources.getSourceIds().join(', ') || 'None'}`);
+  console.log(`  • Webhooks:          ${webhooks.getTargetNames().join(', ') || 'None'}`);
   console.log(`  • Cache TTL:         5 minutes`);
   console.log('═══════════════════════════════════════════════════════════');
   console.log('');
@@ -122,17 +176,37 @@ const wss = new WebSocket.Server({ server });
 
 /**
  * Handle new WebSocket connections
+ * Overlays pick a profile with the `?profile=name` query parameter.
+ * Sockets carrying a control session get the control role; all others
+ * are read-only overlays
  */
-wss.on('connection', (ws) => {
+wss.on('connection', (ws, req) => {
+  const requestUrl = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  const profile = configManager.normalizeProfileName(requestUrl.searchParams.get('profile'));
+  const role = controlAuth.getSocketRole(req);
+
   // Add client to manager
-  clientManager.addClient(ws);
+  clientManager.addClient(ws, { profile, role });
 
   // Send initial configuration
   clientManager.sendToClient(ws, {
     type: 'config',
-    data: configManager.getConfig()
+    data: configManager.getConfig(profile)
   });
 
+  // Refill reloaded overlays with recent chat
+  if (role === controlAuth.ROLES.OVERLAY) {
+    messageHandlers.sendChatHistory(ws);
+  }
+
+  // Control panels need the Twitch bot status for their chat actions
+  if (role === controlAuth.ROLES.CONTROL) {
+    messageHandlers.sendBotStatus(ws);
+  }
+
+  // Restore the pinned highlight
+  messageHandlers.sendPinnedMessage(ws);
+
   // Set up event handlers
   ws.on('message', (message) => {
     messageHandlers.handleMessage(ws, message);
@@ -161,13 +235,21 @@ function gracefulShutdown(signal) {
   console.log('');
   console.log(`${signal} received. Shutting down gracefully...`);
 
-  // Close all WebSocket connections
-  clientManager.closeAllConnections();
+  // Stop platform chat connectors and the live stream watcher
+  platformConnections.stopAll();
+  platformConnections.stopLiveWatcher();
 
-  // Close HTTP server
-  server.close(() => {
-    console.log('✅ Server closed successfully');
-    process.exit(0);
+  // Close all WebSocket connections and event streams; cancel webhook retries
+  clientManager.closeAllConnections();
+  eventStream.closeAll();
+  webhooks.stop();
+
+  // Write pending config changes and quota usage, then close HTTP server
+  Promise.all([configManager.flush(), youtubeQuota.flush()]).then(() => {
+    server.close(() => {
+      console.log('✅ Server closed successfully');
+      process.exit(0);
+    });
   });
 
   // Force close after 10 seconds
@@ -0,0 +1,78 @@
+/**
+ * ReplayCache - Signatures already accepted from one signing party
+ *
+ * A signed request stays valid as long as its timestamp is within the
+ * allowed clock skew (auth/requestSignature). Remembering every accepted
+ * signature until its timestamp leaves that window means a captured
+ * request can't be sent a second time: its signature is known until it
+ * would be rejected as stale anyway.
+ *
+ * Entries expire with the window, so the cache holds at most the
+ * requests of the last 2 × maxSkewSeconds, capped at MAX_ENTRIES.
+ *
+ * @class ReplayCache
+ * @example
+ * const replays = new ReplayCache(300);
+ * if (replays.has(signature)) { ... }      // Seen before
+ * replays.remember(signature, timestamp);  // Once the request is accepted
+ */
+
+/**
+ * Most signatures kept; requests beyond it are refused until entries expire
+ * @type {number}
+ */
+const MAX_ENTRIES = 10000;
+
+class ReplayCache {
+  /**
+   * Initialize a new ReplayCache instance
+   * @param {number} maxSkewSeconds - How far a timestamp may be from now (same as verify())
+   */
+  constructor(maxSkewSeconds) {
+    this.maxSkewMs = maxSkewSeconds * 1000;
+    this.seen = new Map(); // signature → expiry (ms)
+  }
+
+  /**
+   * Check whether a signature was seen before
+   * A full cache counts every signature as seen until entries expire
+   *
+   * @param {string} signature - Request signature
+   * @returns {boolean} True for a replay (or a full cache)
+   */
+  has(signature) {
+    this.prune();
+    return this.seen.has(signature) || this.seen.size >= MAX_ENTRIES;
+  }
+
+  /**
+   * Record a signature unless it was seen before
+   * Call only for requests whose signature and timestamp are valid
+   *
+   * @param {string} signature - Request signature
+   * @param {string} timestamp - Request timestamp (Unix seconds)
+   * @returns {boolean} True if the signature is new, false for a replay (or a full cache)
+   */
+  remember(signature, timestamp) {
+    if (this.has(signature)) {
+      return false;
+    }
+
+    this.seen.set(signature, Number(timestamp) * 1000 + this.maxSkewMs);
+    return true;
+  }
+
+  /**
+   * Drop signatures whose timestamps would be rejected as stale by now
+   */
+  prune() {
+    const now = Date.now();
+    this.seen.forEach((expiresAt, signature) => {
+      if (expiresAt < now) {
+        this.seen.delete(signature);
+      }
+    });
+  }
+}
+
+module.exports = ReplayCache;
@@ -0,0 +1,234 @@
+/**
+ * Control Authentication
+ *
+ * Protects the control panel and every state-changing WebSocket message
+ * with a control token from config.js (`security.controlToken`).
+ * If no token is configured, a random one is generated on each start and
+ * printed in the server banner.
+ *
+ * Browsers log in once (login form or `/control?token=...`) and receive an
+ * HttpOnly session cookie derived from the token. The same cookie is sent
+ * with the control panel's WebSocket upgrade, which is how the server tells
+ * control sockets from read-only overlay sockets.
+ *
+ * @module auth/controlAuth
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const config = require('../config');
+
+/**
+ * Name of the control session cookie
+ * @type {string}
+ */
+const SESSION_COOKIE = 'control_session';
+
+/**
+ * Client roles
+ * @type {{CONTROL: string, OVERLAY: string}}
+ */
+const ROLES = {
+  CONTROL: 'control',
+  OVERLAY: 'overlay'
+};
+
+/**
+ * Whether the token was generated because none was configured
+ * @type {boolean}
+ */
+const tokenGenerated = !config.security?.controlToken;
+
+/**
+ * Control token in use for this server run
+ * @type {string}
+ */
+const controlToken = config.security?.controlToken || crypto.randomBytes(16).toString('hex');
+
+/**
+ * Session cookie value; changes whenever the token changes,
+ * so editing config.js logs every browser out
+ * @type {string}
+ */
+const sessionValue = crypto
+  .createHmac('sha256', controlToken)
+  .update('live-chat-overlay-control-session')
+  .digest('hex');
+
+/**
+ * Compare two strings in constant time
+ *
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} True if equal
+ */
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Get the control token in use
+ * @returns {string} Control token
+ */
+function getControlToken() {
+  return controlToken;
+}
+
+/**
+ * Check whether the token was generated for this run (none configured)
+ * @returns {boolean} True if generated
+ */
+function isTokenGenerated() {
+  return tokenGenerated;
+}
+
+/**
+ * Check a submitted token
+ *
+ * @param {string} token - Token from login form, query string or header
+ * @returns {boolean} True if it matches the control token
+ */
+function isValidToken(token) {
+  return typeof token === 'string' && token.length > 0 && safeEqual(token, controlToken);
+}
+
+/**
+ * Parse the Cookie header of a request
+ *
+ * @param {string} [header] - Raw Cookie header
+ * @returns {Object<string, string>} Cookie values by name
+ */
+function parseCookies(header) {
+  const cookies = {};
+
+  (header || '').split(';').forEach(part => {
+    const index = part.indexOf('=');
+    if (index === -1) return;
+
+    const name = part.slice(0, index).trim();
+    const value = part.slice(index + 1).trim();
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch (error) {
+      cookies[name] = value;
+    }
+  });
+
+  return cookies;
+}
+
+/**
+ * Check whether an HTTP (or WebSocket upgrade) request carries a valid session
+ * Accepts the session cookie or an explicit `?token=` / `X-Control-Token`
+ *
+ * @param {http.IncomingMessage} req - Incoming request
+ * @returns {boolean} True if authenticated
+ */
+function isAuthenticatedRequest(req) {
+  const cookies = parseCookies(req.headers.cookie);
+  if (cookies[SESSION_COOKIE] && safeEqual(cookies[SESSION_COOKIE], sessionValue)) {
+    return true;
+  }
+
+  if (isValidToken(req.headers['x-control-token'])) {
+    return true;
+  }
+
+  const url = new URL(req.url, 'http://localhost');
+  return isValidToken(url.searchParams.get('token'));
+}
+
+/**
+ * Determine the role of a new WebSocket connection
+ * Control role requires a valid session and, for browsers, a same-host
+ * Origin so other websites can't open a control socket with our cookie
+ *
+ * @param {http.IncomingMessage} req - WebSocket upgrade request
+ * @returns {string} ROLES.CONTROL or ROLES.OVERLAY
+ */
+function getSocketRole(req) {
+  const origin = req.headers.origin;
+  if (origin) {
+    try {
+      if (new URL(origin).host !== req.headers.host) {
+        return ROLES.OVERLAY;
+      }
+    } catch (error) {
+      return ROLES.OVERLAY;
+    }
+  }
+
+  return isAuthenticatedRequest(req) ? ROLES.CONTROL : ROLES.OVERLAY;
+}
+
+/**
+ * Set the session cookie on a response
+ *
+ * @param {express.Response} res - Express response
+ */
+function setSessionCookie(res) {
+  res.cookie(SESSION_COOKIE, sessionValue, {
+    httpOnly: true,
+    sameSite: 'strict',
+    path: '/'
+  });
+}
+
+/**
+ * Express middleware protecting the control panel page
+ * Unauthenticated browsers get the login page; a valid `?token=` sets the
+ * session cookie and redirects so the token doesn't stay in the URL
+ *
+ * @param {express.Request} req - Express request
+ * @param {express.Response} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function requireControlPage(req, res, next) {
+  if (isValidToken(req.query.token)) {
+    const url = new URL(req.originalUrl, 'http://localhost');
+    url.searchParams.delete('token');
+    setSessionCookie(res);
+    return res.redirect(url.pathname + url.search);
+  }
+
+  if (isAuthenticatedRequest(req)) {
+    return next();
+  }
+
+  res.status(401).sendFile(path.join(__dirname, '..', '..', 'public', 'login.html'));
+}
+
+/**
+ * Express middleware protecting state-changing API endpoints
+ * Responds with 401 JSON instead of the login page
+ *
+ * @param {express.Request} req - Express request
+ * @param {express.Response} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function requireControlApi(req, res, next) {
+  if (isAuthenticatedRequest(req)) {
+    return next();
+  }
+
+  console.warn(`🔒 Rejected unauthenticated request: ${req.method} ${req.originalUrl}`);
+  res.status(401).json({
+    status: 'error',
+    message: 'Control token required'
+  });
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  ROLES,
+  getControlToken,
+  isTokenGenerated,
+  isValidToken,
+  isAuthenticatedRequest,
+  getSocketRole,
+  setSessionCookie,
+  requireControlPage,
+  requireControlApi
+};
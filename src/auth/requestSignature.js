@@ -0,0 +1,71 @@
+/**
+ * Request Signatures
+ *
+ * HMAC signatures for HTTP bodies exchanged with local tools, used both
+ * ways: inbound webhook sources sign what they post (POST /api/ingest),
+ * and the server signs the outbound webhooks it delivers.
+ *
+ * The signature is `sha256=` + hex HMAC-SHA256 of `${timestamp}.${body}`,
+ * keyed with a shared secret; the timestamp (Unix seconds) travels in its
+ * own header, so a captured request stops being accepted once it is older
+ * than the allowed skew. Within that window, receivers reject repeats with
+ * a ReplayCache (auth/ReplayCache).
+ *
+ * @module auth/requestSignature
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Sign a request body
+ *
+ * @param {string} secret - Shared secret
+ * @param {string} timestamp - Unix time in seconds
+ * @param {Buffer|string} body - Raw request body
+ * @returns {string} Signature ('sha256=<hex>')
+ */
+function sign(secret, timestamp, body) {
+  const hmac = crypto.createHmac('sha256', secret);
+  hmac.update(`${timestamp}.`);
+  hmac.update(body);
+  return `sha256=${hmac.digest('hex')}`;
+}
+
+/**
+ * Check a signed request
+ *
+ * @param {string} secret - Shared secret
+ * @param {string} timestamp - Timestamp header (Unix seconds)
+ * @param {string} signature - Signature header
+ * @param {Buffer|string} body - Raw request body
+ * @param {number} maxSkewSeconds - How far the timestamp may be from now
+ * @returns {string|null} Why the request is rejected, or null if it is valid
+ */
+function verify(secret, timestamp, signature, body, maxSkewSeconds) {
+  if (!/^\d+$/.test(timestamp || '') || Math.abs(Date.now() / 1000 - Number(timestamp)) > maxSkewSeconds) {
+    return `Timestamp must be the current Unix time in seconds (±${maxSkewSeconds}s)`;
+  }
+
+  const expected = Buffer.from(sign(secret, timestamp, body));
+  const received = Buffer.from(String(signature || ''));
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return 'Invalid signature';
+  }
+
+  return null;
+}
+
+/**
+ * Current Unix time in seconds, as sent in timestamp headers
+ * @returns {string} Timestamp
+ */
+function createTimestamp() {
+  return String(Math.floor(Date.now() / 1000));
+}
+
+module.exports = {
+  sign,
+  verify,
+  createTimestamp
+};
@@ -0,0 +1,103 @@
+/**
+ * AvatarCache - Size-limited LRU cache with TTL for Twitch avatars
+ *
+ * Maps lowercase logins to profile image URLs. `null` is cached too, for
+ * logins Helix doesn't know (renamed or banned users), so they aren't
+ * looked up again on every message.
+ *
+ * Keeps hit/miss counters for the control panel.
+ *
+ * @class AvatarCache
+ * @example
+ * const cache = new AvatarCache(5000, 60); // 5000 entries, 60 minute TTL
+ * cache.set('somelogin', 'https://static-cdn.jtvnw.net/...');
+ * const url = cache.get('somelogin'); // undefined = miss
+ */
+class AvatarCache {
+  /**
+   * Initialize a new AvatarCache instance
+   * @param {number} maxEntries - Entries kept before the least recently used is evicted (default: 5000)
+   * @param {number} ttlMinutes - Time to live in minutes (default: 60)
+   */
+  constructor(maxEntries = 5000, ttlMinutes = 60) {
+    this.cache = new Map(); // Insertion order = least recently used first
+    this.maxEntries = maxEntries;
+    this.ttl = ttlMinutes * 60 * 1000; // Convert to milliseconds
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+    console.log(`💾 Avatar cache initialized (${maxEntries} entries, ${ttlMinutes} minute TTL)`);
+  }
+
+  /**
+   * Look up a login and mark it as recently used
+   * @param {string} key - Lowercase login
+   * @returns {string|null|undefined} Avatar URL, null if the user has none, undefined on a miss
+   */
+  get(key) {
+    const item = this.cache.get(key);
+
+    if (!item || Date.now() - item.timestamp > this.ttl) {
+      this.cache.delete(key);
+      this.misses++;
+      return undefined;
+    }
+
+    // Move to the most recently used end
+    this.cache.delete(key);
+    this.cache.set(key, item);
+    this.hits++;
+    return item.data;
+  }
+
+  /**
+   * Store an avatar, evicting the least recently used entry when full
+   * @param {string} key - Lowercase login
+   * @param {string|null} data - Avatar URL, or null if the user has none
+   */
+  set(key, data) {
+    this.cache.delete(key);
+    this.cache.set(key, {
+      data: data,
+      timestamp: Date.now()
+    });
+
+    if (this.cache.size > this.maxEntries) {
+      const oldest = this.cache.keys().next().value;
+      this.cache.delete(oldest);
+      this.evictions++;
+    }
+  }
+
+  /**
+   * Remove all entries and reset the counters
+   */
+  clear() {
+    const size = this.cache.size;
+    this.cache.clear();
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+    console.log(`🗑️  Avatar cache cleared (removed ${size} entries)`);
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {Object} Size, limits and hit/miss counters
+   */
+  getStats() {
+    const lookups = this.hits + this.misses;
+
+    return {
+      size: this.cache.size,
+      maxEntries: this.maxEntries,
+      ttlMinutes: this.ttl / 60000,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? Math.round((this.hits / lookups) * 100) : 0,
+      evictions: this.evictions
+    };
+  }
+}
+
+module.exports = AvatarCache;
@@ -0,0 +1,180 @@
+/**
+ * ChatHistory - Ring buffer of recent chat messages per channel
+ *
+ * Keeps the last N normalized chat messages for every channel
+ * (`platform:channel`) so overlays reloaded by OBS can be refilled,
+ * and tools can read recent chat over HTTP.
+ *
+ * Each channel uses a fixed-size circular array: once full, the oldest
+ * message is overwritten, so memory stays bounded during long streams.
+ *
+ * @class ChatHistory
+ * @example
+ * const history = new ChatHistory(100); // 100 messages per channel
+ * history.add({ platform: 'twitch', channel: 'somechannel', ... });
+ * const recent = history.getRecent(6);
+ */
+class ChatHistory {
+  /**
+   * Initialize a new ChatHistory instance
+   * @param {number} maxPerChannel - Messages kept per channel (default: 100)
+   */
+  constructor(maxPerChannel = 100) {
+    this.maxPerChannel = maxPerChannel;
+    this.channels = new Map();
+    console.log(`📜 Chat history initialized (${maxPerChannel} messages per channel)`);
+  }
+
+  /**
+   * Build the buffer key for a message
+   * Messages without a channel (e.g. control panel tests) share a 'local' buffer
+   *
+   * @param {Object} message - Normalized chat message
+   * @returns {string} Buffer key ('platform:channel')
+   */
+  static keyFor(message) {
+    return `${message.platform}:${message.channel || 'local'}`;
+  }
+
+  /**
+   * Add a message to its channel's buffer
+   * Overwrites the oldest message once the buffer is full
+   *
+   * @param {Object} message - Normalized chat message
+   */
+  add(message) {
+    const key = ChatHistory.keyFor(message);
+    let buffer = this.channels.get(key);
+
+    if (!buffer) {
+      buffer = { items: new Array(this.maxPerChannel), start: 0, length: 0 };
+      this.channels.set(key, buffer);
+    }
+
+    const index = (buffer.start + buffer.length) % this.maxPerChannel;
+    buffer.items[index] = message;
+
+    if (buffer.length < this.maxPerChannel) {
+      buffer.length++;
+    } else {
+      buffer.start = (buffer.start + 1) % this.maxPerChannel;
+    }
+  }
+
+  /**
+   * Get a channel's messages, oldest first
+   *
+   * @param {string} key - Buffer key ('platform:channel')
+   * @returns {Object[]} Messages in arrival order
+   */
+  getChannelMessages(key) {
+    const buffer = this.channels.get(key);
+    if (!buffer) {
+      return [];
+    }
+
+    const messages = [];
+    for (let i = 0; i < buffer.length; i++) {
+      messages.push(buffer.items[(buffer.start + i) % this.maxPerChannel]);
+    }
+    return messages;
+  }
+
+  /**
+   * Get the most recent messages across channels, oldest first
+   *
+   * @param {number} limit - Maximum number of messages to return
+   * @param {Object} [options] - Filters
+   * @param {string} [options.platform] - Only this platform
+   * @param {string} [options.channel] - Only this channel
+   * @param {Function} [options.filter] - Custom predicate on each message
+   * @returns {Object[]} Up to `limit` messages sorted by timestamp
+   */
+  getRecent(limit, { platform, channel, filter } = {}) {
+    let messages = [];
+
+    for (const key of this.channels.keys()) {
+      const [keyPlatform, ...rest] = key.split(':');
+      const keyChannel = rest.join(':');
+
+      if (platform && keyPlatform !== platform) continue;
+      if (channel && keyChannel !== channel) continue;
+
+      messages = messages.concat(this.getChannelMessages(key));
+    }
+
+    if (filter) {
+      messages = messages.filter(filter);
+    }
+
+    // Stable sort keeps arrival order for equal timestamps
+    messages.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+    return limit > 0 ? messages.slice(-limit) : [];
+  }
+
+  /**
+   * Remove the messages of one channel that match a predicate
+   * Used when moderators delete messages or purge a user
+   *
+   * @param {string} key - Buffer key ('platform:channel')
+   * @param {Function} predicate - Returns true for messages to remove
+   * @returns {number} Number of messages removed
+   */
+  removeWhere(key, predicate) {
+    const messages = this.getChannelMessages(key);
+    const kept = messages.filter(message => !predicate(message));
+    const removed = messages.length - kept.length;
+
+    if (removed > 0) {
+      const buffer = this.channels.get(key);
+      buffer.items = new Array(this.maxPerChannel);
+      kept.forEach((message, index) => {
+        buffer.items[index] = message;
+      });
+      buffer.start = 0;
+      buffer.length = kept.length;
+    }
+
+    return removed;
+  }
+
+  /**
+   * Remove every message of one channel
+   *
+   * @param {string} key - Buffer key ('platform:channel')
+   * @returns {number} Number of messages removed
+   */
+  clearChannel(key) {
+    const removed = this.channels.get(key)?.length || 0;
+    this.channels.delete(key);
+    return removed;
+  }
+
+  /**
+   * Remove all messages from every channel
+   */
+  clear() {
+    const size = this.channels.size;
+    this.channels.clear();
+    console.log(`🗑️  Chat history cleared (removed ${size} channel(s))`);
+  }
+
+  /**
+   * Get history statistics
+   * @returns {Object} Per-channel message counts
+   */
+  getStats() {
+    const channels = [];
+
+    for (const [key, buffer] of this.channels.entries()) {
+      channels.push({ key, messages: buffer.length });
+    }
+
+    return {
+      maxPerChannel: this.maxPerChannel,
+      channels
+    };
+  }
+}
+
+module.exports = ChatHistory;
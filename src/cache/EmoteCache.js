@@ -0,0 +1,115 @@
+/**
+ * EmoteCache - In-memory TTL cache for third-party emote sets
+ *
+ * Like LiveStreamCache, but expired entries are kept until they are
+ * replaced: chat keeps showing the old emotes while a refresh runs, and a
+ * failed refresh never leaves the overlay without emotes.
+ *
+ * Size-limited like AvatarCache: past maxEntries sets, the least recently
+ * used one is evicted, so looking up many channels can't grow it forever.
+ *
+ * @class EmoteCache
+ * @example
+ * const cache = new EmoteCache(60, 60); // 60 minute TTL, 60 sets
+ * cache.set('bttv:global', emotes);
+ * if (!cache.isFresh('bttv:global')) { ...refresh... }
+ * const emotes = cache.get('bttv:global');
+ */
+class EmoteCache {
+  /**
+   * Initialize a new EmoteCache instance
+   * @param {number} ttlMinutes - Time to live in minutes (default: 60)
+   * @param {number} maxEntries - Sets kept before the least recently used is evicted (default: 60)
+   */
+  constructor(ttlMinutes = 60, maxEntries = 60) {
+    this.cache = new Map(); // Insertion order = least recently used first
+    this.ttl = ttlMinutes * 60 * 1000; // Convert to milliseconds
+    this.maxEntries = maxEntries;
+    this.evictions = 0;
+    console.log(`💾 Emote cache initialized (${maxEntries} sets, ${ttlMinutes} minute TTL)`);
+  }
+
+  /**
+   * Get a cached emote set, even if expired, and mark it as recently used
+   * @param {string} key - Cache key ('provider:global' or 'provider:<twitchUserId>')
+   * @returns {Object[]|null} Cached emotes or null if never loaded
+   */
+  get(key) {
+    const item = this.cache.get(key);
+    if (!item) return null;
+
+    // Move to the most recently used end
+    this.cache.delete(key);
+    this.cache.set(key, item);
+    return item.data;
+  }
+
+  /**
+   * Check whether a key was loaded within the TTL
+   * @param {string} key - Cache key
+   * @returns {boolean} True if present and not expired
+   */
+  isFresh(key) {
+    const item = this.cache.get(key);
+    return !!item && Date.now() - item.timestamp <= this.ttl;
+  }
+
+  /**
+   * Store an emote set with the current timestamp, evicting the least recently used set when full
+   * @param {string} key - Cache key
+   * @param {Object[]} data - Emotes to cache
+   */
+  set(key, data) {
+    this.cache.delete(key);
+    this.cache.set(key, {
+      data: data,
+      timestamp: Date.now()
+    });
+
+    if (this.cache.size > this.maxEntries) {
+      const oldest = this.cache.keys().next().value;
+      this.cache.delete(oldest);
+      this.evictions++;
+    }
+  }
+
+  /**
+   * Remove all entries from the cache
+   */
+  clear() {
+    const size = this.cache.size;
+    this.cache.clear();
+    this.evictions = 0;
+    console.log(`🗑️  Emote cache cleared (removed ${size} entries)`);
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {Object} Cache size, limits and per-set emote counts
+   */
+  getStats() {
+    const entries = [];
+    const now = Date.now();
+
+    for (const [key, item] of this.cache.entries()) {
+      const age = now - item.timestamp;
+
+      entries.push({
+        key: key,
+        emotes: item.data.length,
+        ageSeconds: Math.round(age / 1000),
+        expiresInSeconds: Math.round((this.ttl - age) / 1000)
+      });
+    }
+
+    return {
+      size: this.cache.size,
+      maxEntries: this.maxEntries,
+      ttlMinutes: this.ttl / 60000,
+      evictions: this.evictions,
+      entries: entries
+    };
+  }
+}
+
+module.exports = EmoteCache;
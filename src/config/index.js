@@ -0,0 +1,29 @@
+/**
+ * Configuration Loader
+ *
+ * Loads config.js from the project root, or the file named by the
+ * CONFIG_PATH environment variable (relative paths are resolved from the
+ * working directory). Every module reads its settings through this loader,
+ * so the whole server shares one config object.
+ *
+ * @module config
+ * @example
+ * CONFIG_PATH=/etc/live-chat-overlay/config.js npm start
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Path of the loaded config file
+ * @type {string}
+ */
+const CONFIG_PATH = process.env.CONFIG_PATH
+  ? path.resolve(process.env.CONFIG_PATH)
+  : path.join(__dirname, '..', '..', 'config.js');
+
+if (!fs.existsSync(CONFIG_PATH)) {
+  throw new Error(`Config file not found: ${CONFIG_PATH}. Copy config.example.js to config.js (or set CONFIG_PATH).`);
+}
+
+module.exports = require(CONFIG_PATH);
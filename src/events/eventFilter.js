@@ -0,0 +1,69 @@
+/**
+ * Event Filter - Which broadcast events a consumer wants
+ *
+ * Shared by the SSE stream (GET /api/events query) and outbound webhooks
+ * (config.js). Events are the messages clientManager.broadcast() sends:
+ * `{ type, data }` with types such as 'chat-message', 'message-deleted',
+ * 'user-purged', 'chat-cleared', 'pin-message' and 'unpin-message'.
+ *
+ * - platforms: only events whose `data.platform` is listed
+ *   (events without a platform, e.g. 'unpin-message', are left out)
+ * - types: only events whose `type` is listed, or chat messages whose
+ *   `eventType` is (e.g. 'sub', 'raid', 'follow')
+ *
+ * An empty or missing platform list lets every platform through. Without
+ * a type list, only DEFAULT_TYPES are delivered: chat messages (events
+ * such as subs and raids included) and moderation. Overlay-internal
+ * broadcasts (pins, test sounds) have to be asked for by type.
+ *
+ * @module events/eventFilter
+ */
+
+/**
+ * Event types delivered when a consumer doesn't list any
+ * @type {string[]}
+ */
+const DEFAULT_TYPES = ['chat-message', 'message-deleted', 'user-purged', 'chat-cleared'];
+
+/**
+ * Normalize a filter list
+ *
+ * @param {string[]|string} [value] - List, or comma-separated string (query parameter)
+ * @returns {string[]} Lowercase, trimmed, non-empty entries
+ */
+function parseList(value) {
+  const items = Array.isArray(value) ? value : String(value || '').split(',');
+  return items.map(item => String(item).trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Create a filter
+ *
+ * @param {Object} [options] - Filter lists
+ * @param {string[]|string} [options.platforms] - Platform IDs
+ * @param {string[]|string} [options.types] - Event types or chat event types
+ * @returns {{platforms: string[], types: string[], matches: Function}} Filter;
+ *   matches(event) returns true for events to deliver
+ */
+function createFilter({ platforms, types } = {}) {
+  const platformList = parseList(platforms);
+  const typeList = parseList(types);
+
+  return {
+    platforms: platformList,
+    types: typeList,
+    matches(event) {
+      if (platformList.length > 0 && !platformList.includes(event.data?.platform)) {
+        return false;
+      }
+      if (typeList.length === 0) {
+        return DEFAULT_TYPES.includes(event.type);
+      }
+      return typeList.includes(event.type) || typeList.includes(event.data?.eventType);
+    }
+  };
+}
+
+module.exports = {
+  createFilter
+};
@@ -0,0 +1,157 @@
+/**
+ * Event Stream - Server-Sent Events feed of chat and moderation broadcasts
+ *
+ * Local tools (TTS bots, stats loggers) subscribe with GET /api/events and
+ * receive the same merged chat as the overlays, without speaking the
+ * WebSocket protocol. Each SSE message's data is the broadcast exactly as
+ * overlays get it over WebSocket: `{ type, data }`.
+ *
+ * Each subscriber has an event filter (events/eventFilter): chat messages
+ * and moderation by default, narrowed or widened by the query.
+ * A comment line every KEEPALIVE_MS keeps proxies from closing idle streams.
+ *
+ * @module events/eventStream
+ */
+
+const { createFilter } = require('./eventFilter');
+
+/**
+ * Most streams open at once
+ * @type {number}
+ */
+const MAX_SUBSCRIBERS = 50;
+
+/**
+ * Interval between keep-alive comments
+ * @type {number}
+ */
+const KEEPALIVE_MS = 30 * 1000;
+
+/**
+ * Reconnect delay suggested to EventSource clients
+ * @type {number}
+ */
+const RETRY_MS = 5000;
+
+/**
+ * Open streams
+ * @type {Set<{res: Object, filter: Object}>}
+ */
+const subscribers = new Set();
+
+/**
+ * ID of the next event (SSE `id:` field)
+ * @type {number}
+ */
+let nextEventId = 1;
+
+/**
+ * Keep-alive timer, running while streams are open
+ * @type {NodeJS.Timeout|null}
+ */
+let keepAliveTimer = null;
+
+/**
+ * Open a stream on an HTTP response
+ *
+ * @param {Object} req - Express request (closing it ends the stream)
+ * @param {Object} res - Express response
+ * @param {Object} [filterOptions] - { platforms, types } (see events/eventFilter)
+ * @returns {boolean} False if too many streams are open (nothing was sent)
+ */
+function subscribe(req, res, filterOptions) {
+  if (subscribers.size >= MAX_SUBSCRIBERS) {
+    return false;
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const subscriber = { res, filter: createFilter(filterOptions) };
+  subscribers.add(subscriber);
+  startKeepAlive();
+
+  console.log(`📻 Event stream opened. Total streams: ${subscribers.size}`);
+
+  req.on('close', () => {
+    subscribers.delete(subscriber);
+    if (subscribers.size === 0) {
+      stopKeepAlive();
+    }
+    console.log(`👋 Event stream closed. Total streams: ${subscribers.size}`);
+  });
+
+  return true;
+}
+
+/**
+ * Send a broadcast to every stream whose filter matches
+ * Registered with clientManager.addBroadcastListener()
+ *
+ * @param {Object} event - Broadcast data ({ type, data })
+ */
+function handleBroadcast(event) {
+  if (subscribers.size === 0) {
+    return;
+  }
+
+  const frame = `id: ${nextEventId++}\ndata: ${JSON.stringify(event)}\n\n`;
+
+  subscribers.forEach(({ res, filter }) => {
+    if (filter.matches(event)) {
+      res.write(frame);
+    }
+  });
+}
+
+/**
+ * Start sending keep-alive comments
+ */
+function startKeepAlive() {
+  if (keepAliveTimer) {
+    return;
+  }
+
+  keepAliveTimer = setInterval(() => {
+    subscribers.forEach(({ res }) => res.write(': keep-alive\n\n'));
+  }, KEEPALIVE_MS);
+  keepAliveTimer.unref();
+}
+
+/**
+ * Stop sending keep-alive comments
+ */
+function stopKeepAlive() {
+  clearInterval(keepAliveTimer);
+  keepAliveTimer = null;
+}
+
+/**
+ * Get the number of open streams
+ * @returns {number} Open streams
+ */
+function getSubscriberCount() {
+  return subscribers.size;
+}
+
+/**
+ * End every stream (server shutdown)
+ */
+function closeAll() {
+  subscribers.forEach(({ res }) => res.end());
+  subscribers.clear();
+  stopKeepAlive();
+}
+
+module.exports = {
+  subscribe,
+  handleBroadcast,
+  getSubscriberCount,
+  closeAll
+};
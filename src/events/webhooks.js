@@ -0,0 +1,347 @@
+/**
+ * Outbound Webhooks - POST chat and moderation broadcasts to local tools
+ *
+ * Each entry in `webhooks.targets` (config.js) receives the broadcasts its
+ * event filter (events/eventFilter) lets through (chat messages and
+ * moderation unless the target lists `types`), as
+ * `{ id, type, data, timestamp }` in a JSON POST. With a `secret`, requests
+ * are signed like inbound webhooks (auth/requestSignature):
+ * X-Webhook-Timestamp and X-Webhook-Signature.
+ *
+ * Deliveries are independent: a target that is down never holds up the
+ * others. Network errors, timeouts, 408, 429 and 5xx responses are retried
+ * with exponential backoff (1 s, 2 s, 4 s, ... up to a minute, or the
+ * target's Retry-After) up to `maxRetries` times; other responses fail
+ * right away. Every delivery lands in a bounded delivery log
+ * (GET /api/events/webhooks).
+ *
+ * @module events/webhooks
+ */
+
+const fetch = require('node-fetch');
+const config = require('../config');
+const requestSignature = require('../auth/requestSignature');
+const { createFilter } = require('./eventFilter');
+
+/**
+ * Settings used when config.js doesn't set them
+ * @type {{maxRetries: number, timeoutMs: number, logSize: number}}
+ */
+const DEFAULTS = {
+  maxRetries: 5,
+  timeoutMs: 5000,
+  logSize: 100
+};
+
+/**
+ * First retry delay; doubles with every attempt
+ * @type {number}
+ */
+const BASE_RETRY_MS = 1000;
+
+/**
+ * Longest retry delay
+ * @type {number}
+ */
+const MAX_RETRY_MS = 60 * 1000;
+
+/**
+ * Deliveries a target may have in flight or waiting for a retry;
+ * further events for it are dropped until it catches up
+ * @type {number}
+ */
+const MAX_PENDING = 100;
+
+/**
+ * Largest response body read from a target
+ * @type {number}
+ */
+const MAX_RESPONSE_BYTES = 64 * 1024;
+
+/**
+ * Delivery settings from config.js
+ * @type {{maxRetries: number, timeoutMs: number, logSize: number}}
+ */
+const settings = {
+  maxRetries: config.webhooks?.maxRetries >= 0 ? Math.floor(config.webhooks.maxRetries) : DEFAULTS.maxRetries,
+  timeoutMs: config.webhooks?.timeoutMs > 0 ? config.webhooks.timeoutMs : DEFAULTS.timeoutMs,
+  logSize: config.webhooks?.logSize > 0 ? Math.floor(config.webhooks.logSize) : DEFAULTS.logSize
+};
+
+/**
+ * Webhook targets keyed by name
+ * @type {Map<string, Object>}
+ */
+const targets = new Map();
+
+/**
+ * Recent deliveries, oldest first (entries are updated as attempts finish)
+ * @type {Object[]}
+ */
+const deliveryLog = [];
+
+/**
+ * Pending retry timers, cleared on shutdown
+ * @type {Set<NodeJS.Timeout>}
+ */
+const retryTimers = new Set();
+
+/**
+ * Number of the next delivery (delivery IDs)
+ * @type {number}
+ */
+let nextDeliveryNumber = 1;
+
+/**
+ * Add one target from config.js
+ * Targets without an http(s) URL are skipped with a warning
+ *
+ * @param {string} name - Target name (delivery log, console)
+ * @param {Object} options - Target settings
+ * @param {string} options.url - Endpoint to POST to
+ * @param {string} [options.secret] - Signing secret
+ * @param {string[]} [options.platforms] - Platform filter
+ * @param {string[]} [options.types] - Event type filter
+ */
+function addTarget(name, options = {}) {
+  if (!/^https?:\/\//i.test(options.url || '')) {
+    console.warn(`⚠️  Skipping webhook "${name}": url must start with http:// or https://`);
+    return;
+  }
+
+  targets.set(name, {
+    name,
+    url: options.url,
+    secret: options.secret || '',
+    filter: createFilter(options),
+    pending: 0,
+    delivered: 0,
+    failed: 0,
+    dropped: 0
+  });
+}
+
+/**
+ * Add a delivery to the log, dropping the oldest beyond logSize
+ *
+ * @param {Object} delivery - Delivery entry
+ */
+function addToLog(delivery) {
+  deliveryLog.push(delivery);
+  if (deliveryLog.length > settings.logSize) {
+    deliveryLog.splice(0, deliveryLog.length - settings.logSize);
+  }
+}
+
+/**
+ * Send a broadcast to every target whose filter matches
+ * Registered with clientManager.addBroadcastListener()
+ *
+ * @param {Object} event - Broadcast data ({ type, data })
+ */
+function handleBroadcast(event) {
+  targets.forEach(target => {
+    if (target.filter.matches(event)) {
+      deliver(target, event);
+    }
+  });
+}
+
+/**
+ * Start delivering one event to one target
+ *
+ * @param {Object} target - Webhook target
+ * @param {Object} event - Broadcast data ({ type, data })
+ */
+function deliver(target, event) {
+  const delivery = {
+    id: `wh-${nextDeliveryNumber++}`,
+    target: target.name,
+    type: event.type,
+    platform: event.data?.platform || null,
+    status: 'pending',            // 'pending', 'retrying', 'delivered', 'failed' or 'dropped'
+    attempts: 0,
+    httpStatus: null,
+    error: null,
+    createdAt: Date.now(),
+    updatedAt: Date.now()
+  };
+  addToLog(delivery);
+
+  if (target.pending >= MAX_PENDING) {
+    target.dropped++;
+    finish(target, delivery, 'dropped', `More than ${MAX_PENDING} deliveries pending`);
+    return;
+  }
+
+  target.pending++;
+
+  const body = JSON.stringify({
+    id: delivery.id,
+    type: event.type,
+    data: event.data,
+    timestamp: delivery.createdAt
+  });
+  attempt(target, delivery, body);
+}
+
+/**
+ * Make one delivery attempt, and schedule a retry if it may succeed later
+ *
+ * @param {Object} target - Webhook target
+ * @param {Object} delivery - Delivery log entry
+ * @param {string} body - Request body
+ */
+async function attempt(target, delivery, body) {
+  delivery.attempts++;
+  let retryAfterMs = 0;
+
+  try {
+    const timestamp = requestSignature.createTimestamp();
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'LiveChatOverlay-Webhook',
+      'X-Webhook-Event': delivery.type,
+      'X-Webhook-Delivery': delivery.id,
+      'X-Webhook-Timestamp': timestamp
+    };
+    if (target.secret) {
+      headers['X-Webhook-Signature'] = requestSignature.sign(target.secret, timestamp, body);
+    }
+
+    const response = await fetch(target.url, {
+      method: 'POST',
+      headers,
+      body,
+      timeout: settings.timeoutMs,
+      size: MAX_RESPONSE_BYTES
+    });
+    await response.text().catch(() => {}); // Free the socket
+
+    delivery.httpStatus = response.status;
+    if (response.ok) {
+      target.delivered++;
+      finish(target, delivery, 'delivered', null);
+      return;
+    }
+
+    if (!isRetryable(response.status)) {
+      target.failed++;
+      console.error(`❌ Webhook ${target.name}: ${delivery.id} rejected (HTTP ${response.status})`);
+      finish(target, delivery, 'failed', `HTTP ${response.status}`);
+      return;
+    }
+
+    delivery.error = `HTTP ${response.status}`;
+    retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+  } catch (error) {
+    delivery.error = error.message;
+  }
+
+  if (delivery.attempts > settings.maxRetries) {
+    target.failed++;
+    console.error(`❌ Webhook ${target.name}: ${delivery.id} failed after ${delivery.attempts} attempts (${delivery.error})`);
+    finish(target, delivery, 'failed', delivery.error);
+    return;
+  }
+
+  const delayMs = Math.max(retryAfterMs, Math.min(BASE_RETRY_MS * 2 ** (delivery.attempts - 1), MAX_RETRY_MS));
+  delivery.status = 'retrying';
+  delivery.updatedAt = Date.now();
+  console.warn(`⚠️  Webhook ${target.name}: ${delivery.id} failed (${delivery.error}), retrying in ${Math.round(delayMs / 1000)}s`);
+
+  const timer = setTimeout(() => {
+    retryTimers.delete(timer);
+    attempt(target, delivery, body);
+  }, delayMs);
+  retryTimers.add(timer);
+}
+
+/**
+ * Record the outcome of a delivery
+ *
+ * @param {Object} target - Webhook target
+ * @param {Object} delivery - Delivery log entry
+ * @param {string} status - 'delivered', 'failed' or 'dropped'
+ * @param {string|null} error - Why it failed
+ */
+function finish(target, delivery, status, error) {
+  if (status !== 'dropped') {
+    target.pending--;
+  }
+  delivery.status = status;
+  delivery.error = error;
+  delivery.updatedAt = Date.now();
+}
+
+/**
+ * Check whether a response status is worth retrying
+ *
+ * @param {number} status - HTTP status
+ * @returns {boolean} True for 408, 429 and 5xx
+ */
+function isRetryable(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Parse a Retry-After header
+ *
+ * @param {string|null} value - Seconds or an HTTP date
+ * @returns {number} Delay in ms (capped at MAX_RETRY_MS), 0 if absent
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return 0;
+  }
+
+  const delayMs = /^\d+$/.test(value) ? Number(value) * 1000 : Date.parse(value) - Date.now();
+  return Number.isFinite(delayMs) ? Math.min(Math.max(delayMs, 0), MAX_RETRY_MS) : 0;
+}
+
+/**
+ * Get the targets and the delivery log
+ *
+ * @returns {Object} { targets: [{ name, url, platforms, types, pending, delivered, failed, dropped }], log } (log newest first)
+ */
+function getStatus() {
+  return {
+    targets: [...targets.values()].map(({ name, url, filter, pending, delivered, failed, dropped }) => ({
+      name,
+      url,
+      platforms: filter.platforms,
+      types: filter.types,
+      pending,
+      delivered,
+      failed,
+      dropped
+    })),
+    log: deliveryLog.map(delivery => ({ ...delivery })).reverse()
+  };
+}
+
+/**
+ * Get the names of all targets
+ * @returns {string[]} Target names
+ */
+function getTargetNames() {
+  return [...targets.keys()];
+}
+
+/**
+ * Cancel pending retries (server shutdown)
+ */
+function stop() {
+  retryTimers.forEach(timer => clearTimeout(timer));
+  retryTimers.clear();
+}
+
+// Targets from config.js
+Object.entries(config.webhooks?.targets || {}).forEach(([name, options]) => addTarget(name, options));
+
+module.exports = {
+  handleBroadcast,
+  getStatus,
+  getTargetNames,
+  stop
+};
@@ -0,0 +1,201 @@
+/**
+ * PlatformAdapter - Base class for platform chat adapters
+ *
+ * An adapter runs the chat of one connection record on its platform.
+ * platformConnections only talks to this interface, so a new platform is a
+ * definition in the registry (platforms/registry) plus an adapter class,
+ * without changes to the server, the control panel or the renderer:
+ *
+ * - connect() / disconnect()
+ * - getStatus(): { state: 'connecting' | 'connected' | 'disconnected', ... }
+ * - getBotStatus(): bot account status where the platform has a bot mode
+ *   (Twitch), null otherwise
+ * - capabilities: what the connection supports (sendChat, deletion,
+ *   timeouts, avatars): the definition's flags, overridden at runtime with
+ *   setCapabilities() where they depend on the connection (Twitch bot mode)
+ * - onEvent(type, payload): normalized event emitter, set by the owner
+ *   - 'message': normalized chat message or typed event
+ *   - 'moderation': message-deleted / user-purged / chat-cleared
+ *   - 'ended': { reason } - the platform ended the connection
+ *   - 'status': platform status changed (Twitch bot mode)
+ *   - 'capabilities': capability flags changed (from setCapabilities)
+ *
+ * Actions, only called when the matching capability is set:
+ * - sendChat(text) → { ok, error?, retryAfterMs? }          (sendChat)
+ * - deleteMessage(messageId) → Promise                     (deletion)
+ * - banUser(userId, durationSeconds | null, reason) → Promise  (timeouts)
+ *
+ * Subclasses return their chat client from createClient(); the base class
+ * wires the client's callbacks (onMessage, onModeration, onChatEnded,
+ * onBotStatus) to onEvent.
+ *
+ * @class PlatformAdapter
+ * @example
+ * const adapter = registry.createAdapter(record);
+ * adapter.onEvent = (type, payload) => { ... };
+ * adapter.connect();
+ */
+
+class PlatformAdapter {
+  /**
+   * Create an adapter for a connection record
+   *
+   * @param {Object} record - Connection record ({ id, platform, target, label, color, ... })
+   * @param {Object} definition - Platform definition from the registry
+   */
+  constructor(record, definition) {
+    this.record = record;
+    this.definition = definition;
+    this.client = null;                        // Chat client, created on connect()
+    this.connected = false;                    // connect() called, disconnect() not yet
+    this.capabilityOverrides = {};             // Runtime flags replacing the definition's
+
+    // Callback, set by the owner (platformConnections)
+    this.onEvent = null;
+  }
+
+  /**
+   * Platform ID
+   * @returns {string} e.g. 'kick'
+   */
+  get platform() {
+    return this.definition.id;
+  }
+
+  /**
+   * Connection target (video ID or channel name)
+   * @returns {string} Target from the record
+   */
+  get channel() {
+    return this.record.target;
+  }
+
+  /**
+   * What this connection supports
+   * @returns {Object<string, boolean>} Capability flags (definition's, with runtime overrides)
+   */
+  get capabilities() {
+    return { ...this.definition.capabilities, ...this.capabilityOverrides };
+  }
+
+  /**
+   * Override capability flags at runtime
+   * Flags not given fall back to the definition's. A change is reported to
+   * the owner as a 'capabilities' event
+   *
+   * @param {Object<string, boolean>} overrides - Flags that differ from the definition's
+   */
+  setCapabilities(overrides) {
+    const before = this.capabilities;
+    this.capabilityOverrides = { ...overrides };
+    const after = this.capabilities;
+
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    if ([...keys].some(key => !!before[key] !== !!after[key])) {
+      this.emit('capabilities', after);
+    }
+  }
+
+  /**
+   * Create the platform's chat client
+   * Implemented by subclasses
+   *
+   * @returns {Object} Client with connect(), disconnect() and callbacks
+   */
+  createClient() {
+    throw new Error(`${this.constructor.name} must implement createClient()`);
+  }
+
+  /**
+   * Start reading the chat
+   */
+  connect() {
+    this.client = this.createClient();
+    this.connected = true;
+
+    this.client.onMessage = (message) => this.emit('message', message);
+    this.client.onModeration = (event) => this.emit('moderation', event);
+    this.client.onChatEnded = (info) => {
+      this.connected = false;
+      this.emit('ended', info);
+    };
+    this.client.onBotStatus = (status) => this.emit('status', status);
+
+    this.client.connect();
+  }
+
+  /**
+   * Stop reading the chat; the client may still report its socket closing
+   */
+  disconnect() {
+    this.connected = false;
+
+    if (this.client) {
+      this.client.disconnect();
+    }
+  }
+
+  /**
+   * Get the connection status
+   * Subclasses add platform details
+   *
+   * @returns {{state: string}} 'connecting', 'connected' or 'disconnected'
+   */
+  getStatus() {
+    if (!this.connected) {
+      return { state: 'disconnected' };
+    }
+    return { state: this.isClientConnected() ? 'connected' : 'connecting' };
+  }
+
+  /**
+   * Get the bot account status, for platforms that can act as a bot
+   * Adapters with a bot mode override this
+   *
+   * @returns {Object|null} Bot status, or null without a bot mode
+   */
+  getBotStatus() {
+    return null;
+  }
+
+  /**
+   * Whether the client is receiving chat
+   * @returns {boolean} True once the client reports being connected
+   */
+  isClientConnected() {
+    return !!this.client?.connected;
+  }
+
+  /**
+   * Look up the sender's avatar for a message
+   * Adapters with avatar lookups override this
+   *
+   * @param {Object} message - Normalized message
+   * @returns {Promise<string|null>} Avatar URL
+   */
+  resolveAvatar(message) {
+    return Promise.resolve(message.avatar || null);
+  }
+
+  /**
+   * Twitch user ID whose BTTV / FFZ / 7TV sets apply to this chat
+   * @returns {string|null} Twitch user ID, or null to use the primary Twitch channel's
+   */
+  getEmoteChannelId() {
+    return null;
+  }
+
+  /**
+   * Hand a normalized event to the owner
+   *
+   * @param {string} type - 'message', 'moderation', 'ended', 'status' or 'capabilities'
+   * @param {Object} payload - Event payload
+   */
+  emit(type, payload) {
+    if (this.onEvent) {
+      this.onEvent(type, payload);
+    }
+  }
+}
+
+module.exports = PlatformAdapter;
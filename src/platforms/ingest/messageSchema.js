@@ -0,0 +1,244 @@
+/**
+ * Ingest Message Schema
+ *
+ * JSON schema of the messages accepted by POST /api/ingest, a validator
+ * for it, and the conversion into the normalized chat message shape the
+ * platform connectors produce (see platforms/README.md).
+ *
+ * A message is plain chat (`text`), a paid message (`amount`, e.g. a
+ * donation) or a typed event (`eventType`, e.g. 'follow'); the overlay
+ * renders known event types (sub, raid, ...) with their own banner and any
+ * other type with `event.systemMessage`.
+ *
+ * The validator covers the schema keywords used here (type, enum,
+ * required, properties, additionalProperties, items, maxItems, anyOf,
+ * minLength, maxLength, pattern, minimum, maximum); the schema itself is
+ * served at GET /api/ingest/schema for tool authors.
+ *
+ * @module platforms/ingest/messageSchema
+ */
+
+const crypto = require('crypto');
+
+/**
+ * http(s) URLs for images shown on the overlay
+ * @type {string}
+ */
+const IMAGE_URL_PATTERN = '^https?://';
+
+/**
+ * Accepted message shape (JSON Schema draft-07)
+ * @type {Object}
+ */
+const MESSAGE_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'Ingest message',
+  type: 'object',
+  required: ['username'],
+  anyOf: [
+    { required: ['text'] },
+    { required: ['amount'] },
+    { required: ['eventType'] }
+  ],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', minLength: 1, maxLength: 128 },
+    username: { type: 'string', minLength: 1, maxLength: 64 },
+    userId: { type: 'string', maxLength: 128 },
+    text: { type: 'string', maxLength: 2000 },
+    channel: { type: 'string', minLength: 1, maxLength: 64 },
+    avatar: { type: 'string', maxLength: 2048, pattern: IMAGE_URL_PATTERN },
+    usernameColor: { type: 'string', pattern: '^#[0-9a-fA-F]{6}$' },
+    isModerator: { type: 'boolean' },
+    amount: { type: 'string', minLength: 1, maxLength: 32 },
+    badges: {
+      type: 'array',
+      maxItems: 8,
+      items: {
+        type: 'object',
+        required: ['name'],
+        additionalProperties: false,
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: 32 },
+          title: { type: 'string', maxLength: 64 },
+          url: { type: 'string', maxLength: 2048, pattern: IMAGE_URL_PATTERN }
+        }
+      }
+    },
+    eventType: { type: 'string', pattern: '^[a-z][a-z0-9-]{0,31}$' },
+    event: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        systemMessage: { type: 'string', maxLength: 300 },
+        months: { type: 'integer', minimum: 0, maximum: 1200 },
+        streakMonths: { type: 'integer', minimum: 0, maximum: 1200 },
+        tier: { type: 'string', maxLength: 16 },
+        giftCount: { type: 'integer', minimum: 1, maximum: 1000 },
+        recipient: { type: 'string', maxLength: 64 },
+        viewerCount: { type: 'integer', minimum: 0 },
+        levelName: { type: 'string', maxLength: 64 },
+        color: { type: 'string', maxLength: 16 }
+      }
+    }
+  }
+};
+
+/**
+ * Describe a value's JSON type
+ *
+ * @param {*} value - Value
+ * @returns {string} 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Validate a value against a schema
+ *
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema (keywords listed in the module docs)
+ * @param {string} [path=''] - Location of the value, for error messages
+ * @returns {string[]} Errors, empty if the value is valid
+ */
+function validateValue(value, schema, path = '') {
+  const name = path || 'message';
+  const type = typeOf(value);
+
+  if (schema.type) {
+    const matches = schema.type === type || (schema.type === 'number' && type === 'integer');
+    if (!matches) {
+      return [`${name} must be ${schema.type === 'integer' || schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`];
+    }
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${name} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (type === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${name} must not be empty`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${name} must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${name} must match ${schema.pattern}`);
+    }
+  }
+
+  if (type === 'integer' || type === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${name} must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${name} must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (type === 'array') {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${name} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateValue(item, schema.items, `${name}[${index}]`)));
+    }
+  }
+
+  if (type === 'object') {
+    const properties = schema.properties || {};
+    const prefix = path ? `${path}.` : '';
+
+    (schema.required || [])
+      .filter(key => value[key] === undefined)
+      .forEach(key => errors.push(`${prefix}${key} is required`));
+
+    Object.entries(value).forEach(([key, propertyValue]) => {
+      if (properties[key]) {
+        errors.push(...validateValue(propertyValue, properties[key], `${prefix}${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${prefix}${key} is not allowed`);
+      }
+    });
+  }
+
+  if (schema.anyOf && !schema.anyOf.some(option => validateValue(value, option, path).length === 0)) {
+    const options = schema.anyOf.map(option => (option.required || []).join(' + ')).join(', ');
+    errors.push(`${name} needs one of: ${options}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate an ingest message
+ *
+ * @param {*} payload - Parsed request body
+ * @returns {string[]} Errors, empty if the message is valid
+ */
+function validate(payload) {
+  return validateValue(payload, MESSAGE_SCHEMA);
+}
+
+/**
+ * Convert a valid ingest message into a normalized chat message
+ *
+ * @param {Object} payload - Message that passed validate()
+ * @param {Object} source - Ingest source ({ id, name, color })
+ * @returns {Object} Normalized chat message of the source's platform
+ */
+function toChatMessage(payload, source) {
+  const message = {
+    id: payload.id || `${source.id}-${crypto.randomBytes(6).toString('hex')}`,
+    username: payload.username,
+    userId: payload.userId || null,
+    login: null,
+    text: payload.text || '',
+    avatar: payload.avatar || null,
+    platform: source.id,
+    usernameColor: payload.usernameColor || null,
+    isModerator: !!payload.isModerator,
+    isSuperchat: !!payload.amount,
+    amount: payload.amount || null,
+    badges: (payload.badges || []).map(({ name, title, url }) => ({
+      name,
+      version: '1',
+      url: url || null,
+      title: title || name
+    })),
+    timestamp: Date.now(),
+    channel: payload.channel || source.id,
+    source: { id: source.id, label: payload.channel || source.name, color: source.color }
+  };
+
+  if (payload.eventType) {
+    message.eventType = payload.eventType;
+    message.event = {
+      type: payload.eventType,
+      systemMessage: null,
+      months: null,
+      streakMonths: null,
+      tier: null,
+      giftCount: null,
+      recipient: null,
+      viewerCount: null,
+      color: null,
+      ...(payload.event || {})
+    };
+  }
+
+  return message;
+}
+
+module.exports = {
+  MESSAGE_SCHEMA,
+  validate,
+  toChatMessage
+};
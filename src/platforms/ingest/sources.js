@@ -0,0 +1,203 @@
+/**
+ * Ingest Sources - Inbound webhook sources from config.js
+ *
+ * Each entry in `ingest.sources` is a local tool (Discord bot, donation
+ * alerts, scripts, ...) allowed to post chat messages and events to
+ * POST /api/ingest. A source:
+ *
+ * - is registered as a receive-only platform (platforms/registry) under its
+ *   ID, with its own name, icon and color, so overlays, platform filters
+ *   and the control panel treat it like any other platform
+ * - signs every request with its own secret (HMAC-SHA256, see
+ *   auth/requestSignature), so one leaked secret never lets a tool post as
+ *   another
+ * - can't have a request replayed: accepted signatures are remembered
+ *   until their timestamp expires (auth/ReplayCache). Refused requests
+ *   (invalid, rate limited) aren't, so the client can resend them as is
+ * - has its own rate limit (utils/SlidingWindowLimiter, default
+ *   DEFAULT_RATE_LIMIT)
+ *
+ * Sources with an invalid ID, a secret shorter than MIN_SECRET_LENGTH or
+ * the ID of a built-in platform are skipped with a warning.
+ *
+ * @module platforms/ingest/sources
+ */
+
+const config = require('../../config');
+const requestSignature = require('../../auth/requestSignature');
+const ReplayCache = require('../../auth/ReplayCache');
+const registry = require('../registry');
+const SlidingWindowLimiter = require('../../utils/SlidingWindowLimiter');
+
+/**
+ * Shortest accepted secret
+ * @type {number}
+ */
+const MIN_SECRET_LENGTH = 16;
+
+/**
+ * Default seconds a signed request stays valid (clock skew and replays)
+ * @type {number}
+ */
+const DEFAULT_MAX_SKEW_SECONDS = 300;
+
+/**
+ * Rate limit of a source that doesn't set one
+ * @type {{max: number, windowSeconds: number}}
+ */
+const DEFAULT_RATE_LIMIT = {
+  max: 30,
+  windowSeconds: 60
+};
+
+/**
+ * Font Awesome classes accepted for a source icon
+ * @type {RegExp}
+ */
+const ICON_PATTERN = /^[a-z0-9- ]{1,64}$/;
+
+/**
+ * Hex color accepted for a source
+ * @type {RegExp}
+ */
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+/**
+ * Ingest sources keyed by ID
+ * @type {Map<string, Object>}
+ */
+const sources = new Map();
+
+/**
+ * Seconds a signed request stays valid
+ * @type {number}
+ */
+const maxSkewSeconds = config.ingest?.maxSkewSeconds > 0 ? config.ingest.maxSkewSeconds : DEFAULT_MAX_SKEW_SECONDS;
+
+/**
+ * Create a source's rate limiter
+ *
+ * @param {Object} [limit] - Limit from config.js
+ * @param {number} [limit.max] - Messages per window
+ * @param {number} [limit.windowSeconds] - Window length
+ * @returns {SlidingWindowLimiter} Limiter
+ */
+function createRateLimiter(limit = {}) {
+  return new SlidingWindowLimiter({
+    max: limit.max > 0 ? Math.floor(limit.max) : DEFAULT_RATE_LIMIT.max,
+    windowMs: (limit.windowSeconds > 0 ? limit.windowSeconds : DEFAULT_RATE_LIMIT.windowSeconds) * 1000
+  });
+}
+
+/**
+ * Register one source from config.js
+ *
+ * @param {string} id - Source ID (becomes the message `platform`)
+ * @param {Object} settings - Source settings
+ * @param {string} settings.secret - Signing secret
+ * @param {string} [settings.name] - Display name (default: the ID)
+ * @param {string} [settings.icon] - Font Awesome classes (e.g. 'fab fa-discord')
+ * @param {string} [settings.color] - Brand color, '#rrggbb'
+ * @param {string} [settings.emoji] - Marker in text-only lists
+ * @param {Object} [settings.rateLimit] - { max, windowSeconds }
+ */
+function addSource(id, settings = {}) {
+  if (registry.isRegistered(id)) {
+    console.warn(`⚠️  Skipping ingest source "${id}": the ID is taken by another platform`);
+    return;
+  }
+  if (typeof settings.secret !== 'string' || settings.secret.length < MIN_SECRET_LENGTH) {
+    console.warn(`⚠️  Skipping ingest source "${id}": its secret must be at least ${MIN_SECRET_LENGTH} characters`);
+    return;
+  }
+
+  const source = {
+    id,
+    name: String(settings.name || id).slice(0, 32),
+    color: COLOR_PATTERN.test(settings.color || '') ? settings.color : '#666',
+    secret: settings.secret,
+    rateLimiter: createRateLimiter(settings.rateLimit),
+    replayCache: new ReplayCache(maxSkewSeconds)
+  };
+
+  try {
+    registry.registerPlatform({
+      id,
+      name: source.name,
+      targetName: 'source',
+      icon: ICON_PATTERN.test(settings.icon || '') ? settings.icon : 'fa-solid fa-plug',
+      color: source.color,
+      emoji: settings.emoji ? String(settings.emoji).slice(0, 8) : '🔌',
+      capabilities: { avatars: true },
+      getFeatures: () => ({ ingest: true, rateLimit: source.rateLimiter.getStatus() })
+    });
+  } catch (error) {
+    console.warn(`⚠️  Skipping ingest source "${id}": ${error.message}`);
+    return;
+  }
+
+  sources.set(id, source);
+}
+
+/**
+ * Get an ingest source
+ *
+ * @param {string} id - Source ID
+ * @returns {Object|null} Source ({ id, name, color, secret, rateLimiter, replayCache }), or null if unknown
+ */
+function getSource(id) {
+  return sources.get(id) || null;
+}
+
+/**
+ * Get the IDs of all ingest sources
+ * @returns {string[]} Source IDs
+ */
+function getSourceIds() {
+  return [...sources.keys()];
+}
+
+/**
+ * Check a request's signature and timestamp (see auth/requestSignature),
+ * and that the same signed request wasn't received before
+ *
+ * @param {Object} source - Ingest source
+ * @param {string} timestamp - X-Ingest-Timestamp header (Unix seconds)
+ * @param {string} signature - X-Ingest-Signature header
+ * @param {Buffer} body - Raw request body
+ * @returns {string|null} Why the request is rejected, or null if it is valid
+ */
+function verifySignature(source, timestamp, signature, body) {
+  const error = requestSignature.verify(source.secret, timestamp, signature, body, maxSkewSeconds);
+  if (error) {
+    return error;
+  }
+
+  if (source.replayCache.has(signature)) {
+    return 'Request was already received (replayed signature)';
+  }
+
+  return null;
+}
+
+/**
+ * Remember the signature of an accepted request, so it can't be replayed
+ * Call once the request passed verifySignature(), validation and the rate limit
+ *
+ * @param {Object} source - Ingest source
+ * @param {string} timestamp - X-Ingest-Timestamp header (Unix seconds)
+ * @param {string} signature - X-Ingest-Signature header
+ */
+function rememberSignature(source, timestamp, signature) {
+  source.replayCache.remember(signature, timestamp);
+}
+
+// Sources from config.js
+Object.entries(config.ingest?.sources || {}).forEach(([id, settings]) => addSource(id, settings));
+
+module.exports = {
+  getSource,
+  getSourceIds,
+  verifySignature,
+  rememberSignature
+};
@@ -0,0 +1,38 @@
+/**
+ * KickAdapter - Runs a Kick connection record (see PlatformAdapter)
+ *
+ * Read-only: chat comes from Kick's public Pusher websocket, so nothing can
+ * be sent or moderated. `kick.pusherUrl` in config.js can point the client
+ * at a local fake server.
+ *
+ * @class KickAdapter
+ */
+
+const config = require('../../config');
+const PlatformAdapter = require('../PlatformAdapter');
+const KickChatClient = require('./KickChatClient');
+
+class KickAdapter extends PlatformAdapter {
+  /**
+   * Create the chat client for the record's channel (slug or chatroom ID)
+   * @returns {KickChatClient} Client, not connected yet
+   */
+  createClient() {
+    return new KickChatClient(this.record.target, {
+      pusherUrl: config.kick?.pusherUrl
+    });
+  }
+
+  /**
+   * Get the connection status
+   * @returns {Object} { state, chatroomId }
+   */
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      chatroomId: this.client?.chatroomId || null
+    };
+  }
+}
+
+module.exports = KickAdapter;
@@ -0,0 +1,625 @@
+/**
+ * Kick Chat Client
+ *
+ * Server-side connection to a Kick chatroom over Kick's public Pusher
+ * websocket. Read-only, no authentication needed.
+ * One instance runs per connected channel, shared by every overlay.
+ *
+ * Features:
+ * - Chatroom lookup by channel slug (services/kickApi), or a chatroom ID
+ *   given directly as the target
+ * - Pusher protocol: subscribe, ping/pong keepalive, reconnection
+ * - Emote tokens (`[emote:37226:KEKW]`) split into text/emote fragments
+ * - Badges from the sender's identity; subscriber badges use the channel's
+ *   badge images
+ * - Subscriptions, gifted subscriptions and hosts as typed events
+ * - Moderation (deleted messages, bans/timeouts, cleared chat) forwarded
+ *   so removed chat leaves the overlay
+ *
+ * Pusher Protocol Flow:
+ * 1. connect() → look up the chatroom ID, then WebSocket to the Pusher app
+ * 2. Receive pusher:connection_established → subscribe to chatrooms.{id}.v2
+ * 3. Receive pusher_internal:subscription_succeeded → connected
+ * 4. Receive App\Events\* → parse chat, events and moderation
+ * 5. Send pusher:ping every activity timeout, answer pusher:ping with pusher:pong
+ *
+ * Frame Format (data is a JSON string):
+ * {"event":"App\\Events\\ChatMessageEvent","data":"{\"id\":\"...\",\"content\":\"hi\",\"sender\":{...}}","channel":"chatrooms.668.v2"}
+ *
+ * `kick.pusherUrl` and `kick.apiBaseUrl` in config.js point the client at
+ * a local fake server for testing.
+ *
+ * @module platforms/kick/KickChatClient
+ */
+
+const WebSocket = require('ws');
+const kickApi = require('../../services/kickApi');
+
+/**
+ * Kick's public Pusher app
+ * @type {string}
+ */
+const DEFAULT_PUSHER_URL = 'wss://ws-us2.pusher.com/app/32cbd69e4b950bf97679?protocol=7&client=js&version=8.4.0-rc2&flash=false';
+
+/**
+ * Emote image URL, '{id}' is replaced by the emote ID
+ * @type {string}
+ */
+const EMOTE_URL = 'https://files.kick.com/emotes/{id}/fullsize';
+
+/**
+ * Emote tokens in message content: [emote:id:name]
+ * @type {RegExp}
+ */
+const EMOTE_PATTERN = /\[emote:(\d+):([^\]]*)\]/g;
+
+/**
+ * Kick event names (Pusher `event` field)
+ * @type {Object<string, string>}
+ */
+const KICK_EVENTS = {
+  CHAT_MESSAGE: 'App\\Events\\ChatMessageEvent',
+  SUBSCRIPTION: 'App\\Events\\SubscriptionEvent',
+  GIFTED_SUBSCRIPTIONS: 'App\\Events\\GiftedSubscriptionsEvent',
+  STREAM_HOST: 'App\\Events\\StreamHostEvent',
+  MESSAGE_DELETED: 'App\\Events\\MessageDeletedEvent',
+  USER_BANNED: 'App\\Events\\UserBannedEvent',
+  CHATROOM_CLEAR: 'App\\Events\\ChatroomClearEvent'
+};
+
+class KickChatClient {
+  /**
+   * Create a Kick chat client
+   *
+   * @param {string} channel - Channel slug, or a numeric chatroom ID
+   * @param {Object} [options] - Connection options
+   * @param {string} [options.pusherUrl] - Pusher websocket URL (default: Kick's app)
+   */
+  constructor(channel, options = {}) {
+    // Connection configuration
+    const target = String(channel).trim().toLowerCase();
+    this.channelSlug = /^\d+$/.test(target) ? null : target; // Looked up to find the chatroom
+    this.chatroomId = this.channelSlug ? null : Number(target); // Chatroom to subscribe to
+    this.pusherUrl = options.pusherUrl || DEFAULT_PUSHER_URL;
+    this.ws = null;                                // WebSocket connection
+
+    // State management
+    this.active = false;                           // False once disconnect() is called
+    this.connected = false;                        // Subscribed to the chatroom
+    this.reconnectAttempts = 0;                    // Current reconnection attempt
+    this.maxReconnectAttempts = 10;                // Max reconnect attempts
+    this.reconnectDelay = 5000;                    // Delay between reconnects (ms)
+    this.activityTimeout = 120000;                 // Pusher keepalive (from connection_established)
+    this.pingInterval = null;                      // Keepalive interval handle
+    this.reconnectTimeout = null;                  // Pending reconnect handle
+
+    // Callbacks, set by the owner (platformConnections)
+    this.onMessage = null;                         // Normalized chat messages
+    this.onModeration = null;                      // message-deleted / user-purged / chat-cleared
+    this.onChatEnded = null;                       // Channel doesn't exist
+
+    // Channel details (from the lookup)
+    this.channelId = null;                         // Kick channel ID
+    this.subscriberBadges = [];                    // [{ months, url }] sorted by months
+  }
+
+  /**
+   * Connect to the chatroom
+   * Looks up the chatroom ID first if only the slug is known
+   */
+  connect() {
+    console.log(`🟢 Connecting to Kick chat: ${this.channelSlug || `chatroom ${this.chatroomId}`}`);
+    this.active = true;
+
+    this.resolveChatroom()
+      .then(() => this.openSocket())
+      .catch(error => this.handleLookupError(error));
+  }
+
+  /**
+   * Look up the channel's chatroom ID and subscriber badges (once)
+   */
+  async resolveChatroom() {
+    if (this.chatroomId) {
+      return;
+    }
+
+    const channel = await kickApi.getChannel(this.channelSlug);
+    this.chatroomId = channel.chatroomId;
+    this.channelId = channel.channelId;
+    this.subscriberBadges = channel.subscriberBadges;
+  }
+
+  /**
+   * Handle a failed chatroom lookup
+   * Unknown channels end the connection; anything else is retried
+   *
+   * @param {Error} error - Lookup error (see kickApi.getChannel)
+   */
+  handleLookupError(error) {
+    if (!this.active) {
+      return;
+    }
+
+    if (error.code === 'channelNotFound') {
+      console.error(`❌ ${error.message}`);
+      this.disconnect();
+
+      if (this.onChatEnded) {
+        this.onChatEnded({ reason: 'channelNotFound' });
+      }
+      return;
+    }
+
+    console.warn(`⚠️  ${error.message}`);
+    this.scheduleReconnect();
+  }
+
+  /**
+   * Open the Pusher WebSocket
+   * Skipped if the client was disconnected in the meantime
+   */
+  openSocket() {
+    if (!this.active) {
+      return;
+    }
+
+    this.ws = new WebSocket(this.pusherUrl);
+
+    // Set up event handlers
+    this.ws.onmessage = (event) => this.handleMessage(event);
+    this.ws.onerror = (error) => this.handleError(error);
+    this.ws.onclose = () => this.handleClose();
+  }
+
+  /**
+   * Send a Pusher event through the WebSocket
+   *
+   * @param {string} event - Event name (e.g. 'pusher:subscribe')
+   * @param {Object} [data] - Event data
+   */
+  send(event, data = {}) {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify({ event, data }));
+    }
+  }
+
+  /**
+   * Handle incoming WebSocket frames
+   *
+   * @param {MessageEvent} event - WebSocket message event
+   */
+  handleMessage(event) {
+    let frame;
+    try {
+      frame = JSON.parse(String(event.data));
+    } catch (error) {
+      console.warn('⚠️  Ignoring malformed Kick frame');
+      return;
+    }
+
+    // Pusher double-encodes event data as a JSON string
+    let data = frame.data;
+    if (typeof data === 'string') {
+      try {
+        data = JSON.parse(data);
+      } catch (error) {
+        data = {};
+      }
+    }
+
+    switch (frame.event) {
+      case 'pusher:connection_established':
+        this.handleConnectionEstablished(data || {});
+        break;
+
+      case 'pusher_internal:subscription_succeeded':
+        this.connected = true;
+        this.reconnectAttempts = 0;
+        console.log(`✅ Connected to Kick chatroom ${this.chatroomId}`);
+        break;
+
+      case 'pusher:ping':
+        this.send('pusher:pong');
+        break;
+
+      case 'pusher:pong':
+        break;
+
+      case 'pusher:error':
+        console.warn(`⚠️  Kick Pusher error: ${data?.message || 'unknown'} (${data?.code || '-'})`);
+        break;
+
+      default:
+        this.handleKickEvent(frame.event, data || {});
+    }
+  }
+
+  /**
+   * Subscribe to the chatroom once Pusher accepted the connection
+   *
+   * @param {Object} data - Connection details ({ socket_id, activity_timeout })
+   */
+  handleConnectionEstablished(data) {
+    if (data.activity_timeout) {
+      this.activityTimeout = data.activity_timeout * 1000;
+    }
+
+    this.send('pusher:subscribe', { auth: '', channel: `chatrooms.${this.chatroomId}.v2` });
+    this.startPingInterval();
+  }
+
+  /**
+   * Dispatch a Kick application event
+   *
+   * @param {string} eventName - Pusher event name (App\Events\...)
+   * @param {Object} data - Parsed event data
+   */
+  handleKickEvent(eventName, data) {
+    try {
+      switch (eventName) {
+        case KICK_EVENTS.CHAT_MESSAGE:
+          this.parseChatMessage(data);
+          break;
+
+        case KICK_EVENTS.SUBSCRIPTION:
+          this.parseSubscription(data);
+          break;
+
+        case KICK_EVENTS.GIFTED_SUBSCRIPTIONS:
+          this.parseGiftedSubscriptions(data);
+          break;
+
+        case KICK_EVENTS.STREAM_HOST:
+          this.parseHost(data);
+          break;
+
+        case KICK_EVENTS.MESSAGE_DELETED:
+          this.emitModeration({ type: 'message-deleted', messageId: data.message?.id || null });
+          break;
+
+        case KICK_EVENTS.USER_BANNED:
+          this.parseUserBanned(data);
+          break;
+
+        case KICK_EVENTS.CHATROOM_CLEAR:
+          this.emitModeration({ type: 'chat-cleared' });
+          break;
+      }
+    } catch (error) {
+      console.error(`❌ Error parsing Kick event ${eventName}:`, error);
+    }
+  }
+
+  /**
+   * Parse a chat message
+   *
+   * Event Data:
+   * { id, chatroom_id, content: 'hi [emote:37226:KEKW]', type: 'message' | 'reply',
+   *   sender: { id, username, slug, identity: { color, badges: [{ type, text, count }] } } }
+   *
+   * @param {Object} data - ChatMessageEvent data
+   */
+  parseChatMessage(data) {
+    const { text, fragments } = this.buildFragments(data.content || '');
+
+    // Ignore empty messages
+    if (!text.trim()) return;
+
+    const sender = data.sender || {};
+    const identityBadges = sender.identity?.badges || [];
+
+    const chatMessage = {
+      ...this.createBaseMessage(sender),
+      id: data.id || Date.now(),
+      text,
+      fragments,
+      isModerator: identityBadges.some(badge => badge.type === 'moderator')
+    };
+
+    if (this.onMessage) {
+      this.onMessage(chatMessage);
+    }
+  }
+
+  /**
+   * Parse a (re)subscription
+   *
+   * @param {Object} data - SubscriptionEvent data ({ chatroom_id, username, months })
+   */
+  parseSubscription(data) {
+    const username = data.username || 'Anonymous';
+    const months = parseInt(data.months, 10) || 1;
+    const eventType = months > 1 ? 'resub' : 'sub';
+
+    this.emitEvent(username, eventType, {
+      systemMessage: months > 1 ? `${username} subscribed for ${months} months!` : `${username} subscribed!`,
+      months
+    });
+  }
+
+  /**
+   * Parse gifted subscriptions
+   * One recipient becomes a subgift, more a submysterygift
+   *
+   * @param {Object} data - GiftedSubscriptionsEvent data ({ gifted_usernames, gifter_username })
+   */
+  parseGiftedSubscriptions(data) {
+    const gifter = data.gifter_username || 'Anonymous';
+    const recipients = data.gifted_usernames || [];
+
+    if (recipients.length === 1) {
+      this.emitEvent(gifter, 'subgift', {
+        systemMessage: `${gifter} gifted a subscription to ${recipients[0]}!`,
+        giftCount: 1,
+        recipient: recipients[0]
+      });
+    } else {
+      this.emitEvent(gifter, 'submysterygift', {
+        systemMessage: `${gifter} gifted ${recipients.length} subscriptions!`,
+        giftCount: recipients.length
+      });
+    }
+  }
+
+  /**
+   * Parse a host (Kick's raid)
+   *
+   * @param {Object} data - StreamHostEvent data ({ host_username, number_viewers, optional_message })
+   */
+  parseHost(data) {
+    const host = data.host_username || 'Anonymous';
+    const viewerCount = parseInt(data.number_viewers, 10) || 0;
+
+    this.emitEvent(host, 'raid', {
+      systemMessage: `${host} is hosting with ${viewerCount} viewer${viewerCount === 1 ? '' : 's'}!`,
+      viewerCount
+    }, data.optional_message || '');
+  }
+
+  /**
+   * Parse a ban or timeout
+   *
+   * @param {Object} data - UserBannedEvent data ({ user: { id, username }, permanent, duration })
+   *   (duration in minutes)
+   */
+  parseUserBanned(data) {
+    const minutes = parseInt(data.duration, 10);
+
+    this.emitModeration({
+      type: 'user-purged',
+      username: data.user?.username || null,
+      userId: data.user?.id != null ? String(data.user.id) : null,
+      duration: data.permanent || isNaN(minutes) ? null : minutes * 60
+    });
+  }
+
+  /**
+   * Build the message fields shared by chat and events
+   *
+   * @param {Object} [sender] - Kick sender ({ id, username, slug, identity })
+   * @returns {Object} Normalized message without text
+   */
+  createBaseMessage(sender = {}) {
+    return {
+      id: Date.now(),
+      username: sender.username || 'Anonymous',
+      userId: sender.id != null ? String(sender.id) : null,  // Matches UserBannedEvent user.id
+      login: sender.slug || null,
+      text: '',
+      avatar: null,                                          // Chat events carry no avatar
+      platform: 'kick',
+      usernameColor: sender.identity?.color || this.getRandomColor(),
+      isModerator: false,
+      isSuperchat: false,
+      amount: null,
+      badges: this.parseBadges(sender.identity?.badges),
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Emit a typed event (sub, resub, subgift, submysterygift, raid)
+   *
+   * @param {string} username - User the event is about
+   * @param {string} eventType - Overlay event type
+   * @param {Object} details - Event fields to set (systemMessage, months, ...)
+   * @param {string} [content] - User's optional message (may contain emote tokens)
+   */
+  emitEvent(username, eventType, details, content = '') {
+    const { text, fragments } = this.buildFragments(content);
+
+    const chatMessage = {
+      ...this.createBaseMessage({ username }),
+      text,
+      fragments,
+      eventType,
+      event: {
+        type: eventType,
+        systemMessage: '',
+        months: null,
+        streakMonths: null,
+        tier: null,
+        giftCount: null,
+        recipient: null,
+        viewerCount: null,
+        color: null,
+        ...details
+      }
+    };
+
+    console.log(`🎉 Kick ${eventType}: ${chatMessage.event.systemMessage}`);
+
+    if (this.onMessage) {
+      this.onMessage(chatMessage);
+    }
+  }
+
+  /**
+   * Emit a moderation event to the owner
+   *
+   * @param {Object} event - Moderation event ({ type, ... })
+   */
+  emitModeration(event) {
+    if (this.onModeration) {
+      this.onModeration({ ...event, platform: 'kick', timestamp: Date.now() });
+    }
+  }
+
+  /**
+   * Split message content into text and emote fragments
+   *
+   * @param {string} content - Raw content with [emote:id:name] tokens
+   * @returns {{text: string, fragments: Object[]}} Plain text (emote names
+   *   in place of tokens) and fragments
+   */
+  buildFragments(content) {
+    const fragments = [];
+    let text = '';
+    let lastIndex = 0;
+
+    const pushText = (value) => {
+      if (value) {
+        fragments.push({ type: 'text', text: value });
+        text += value;
+      }
+    };
+
+    for (const match of content.matchAll(EMOTE_PATTERN)) {
+      pushText(content.slice(lastIndex, match.index));
+
+      const [, id, name] = match;
+      fragments.push({ type: 'emote', id, name, url: EMOTE_URL.replace('{id}', id) });
+      text += name;
+      lastIndex = match.index + match[0].length;
+    }
+
+    pushText(content.slice(lastIndex));
+
+    return { text, fragments };
+  }
+
+  /**
+   * Convert identity badges to badge objects
+   * Only subscriber badges have images (the channel's); others keep just
+   * their name and title
+   *
+   * @param {Object[]} [badges] - Identity badges ([{ type, text, count }])
+   * @returns {Object[]} Badges ({ name, version, url, title })
+   */
+  parseBadges(badges = []) {
+    return badges.map(badge => ({
+      name: badge.type,
+      version: String(badge.count || 1),
+      url: badge.type === 'subscriber' ? this.getSubscriberBadgeUrl(badge.count || 1) : null,
+      title: badge.text || badge.type
+    }));
+  }
+
+  /**
+   * Find the channel's subscriber badge image for a subscription length
+   *
+   * @param {number} months - Months subscribed
+   * @returns {string|null} Badge URL (highest badge earned), or null if the channel has none
+   */
+  getSubscriberBadgeUrl(months) {
+    const earned = this.subscriberBadges.filter(badge => badge.months <= months);
+    const badge = earned[earned.length - 1] || this.subscriberBadges[0];
+    return badge ? badge.url : null;
+  }
+
+  getRandomColor() {
+    const colors = [
+      '#53FC18', '#FF4500', '#1E90FF', '#FF69B4', '#DAA520', '#00FF7F',
+      '#8A2BE2', '#FF7F50', '#5F9EA0', '#9ACD32'
+    ];
+    return colors[Math.floor(Math.random() * colors.length)];
+  }
+
+  /**
+   * Start pinging Pusher to keep the connection alive
+   */
+  startPingInterval() {
+    this.stopPingInterval(); // Clear any existing interval
+    this.pingInterval = setInterval(() => this.send('pusher:ping'), this.activityTimeout);
+  }
+
+  /**
+   * Stop ping interval
+   */
+  stopPingInterval() {
+    if (this.pingInterval) {
+      clearInterval(this.pingInterval);
+      this.pingInterval = null;
+    }
+  }
+
+  /**
+   * Handle WebSocket errors
+   * @param {Error} error - Error object
+   */
+  handleError(error) {
+    console.error('❌ Kick WebSocket error:', error.message || error);
+  }
+
+  /**
+   * Handle WebSocket connection close
+   * Attempts to reconnect if not manually disconnected
+   */
+  handleClose() {
+    console.log('👋 Disconnected from Kick');
+
+    this.connected = false;
+    this.ws = null;
+    this.stopPingInterval();
+    this.scheduleReconnect();
+  }
+
+  /**
+   * Reconnect after a delay, up to maxReconnectAttempts times
+   */
+  scheduleReconnect() {
+    if (!this.active) {
+      return;
+    }
+
+    if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+      console.error('❌ Max reconnection attempts reached. Please reconnect manually.');
+      return;
+    }
+
+    this.reconnectAttempts++;
+    console.log(`🔄 Reconnecting to Kick... (attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts})`);
+
+    this.reconnectTimeout = setTimeout(() => {
+      this.reconnectTimeout = null;
+      if (this.active) {
+        this.connect();
+      }
+    }, this.reconnectDelay);
+  }
+
+  /**
+   * Disconnect from Kick chat
+   * Closes WebSocket connection and cleans up
+   */
+  disconnect() {
+    this.active = false; // Prevent reconnection
+    this.connected = false;
+    this.stopPingInterval();
+
+    if (this.reconnectTimeout) {
+      clearTimeout(this.reconnectTimeout);
+      this.reconnectTimeout = null;
+    }
+
+    if (this.ws) {
+      this.ws.close();
+      this.ws = null;
+    }
+
+    console.log('✅ Kick chat disconnected');
+  }
+}
+
+module.exports = KickChatClient;
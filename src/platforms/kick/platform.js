@@ -0,0 +1,54 @@
+/**
+ * Kick platform definition (see platforms/registry)
+ *
+ * Connection targets are channel slugs (the name in the channel URL), or a
+ * numeric chatroom ID when the channel lookup is blocked. Each connection
+ * runs a KickAdapter; chat is read-only and carries no avatars.
+ *
+ * @module platforms/kick/platform
+ */
+
+const config = require('../../config');
+const KickAdapter = require('./KickAdapter');
+
+module.exports = {
+  id: 'kick',
+  name: 'Kick',
+  targetName: 'channel',
+  icon: 'fa-solid fa-k',
+  color: '#53FC18',
+  emoji: '🟢',
+  defaultTarget: config.kick?.defaultChannel || '',
+
+  capabilities: {
+    sendChat: false,
+    deletion: false,
+    timeouts: false,
+    avatars: false
+  },
+
+  Adapter: KickAdapter,
+
+  /**
+   * Normalize a channel slug
+   *
+   * @param {string} target - Channel as typed (slug, URL or chatroom ID)
+   * @returns {string} Lowercase slug or chatroom ID
+   */
+  normalizeTarget(target) {
+    return String(target || '').trim()
+      .replace(/^https?:\/\/(www\.)?kick\.com\//i, '')
+      .replace(/\/.*$/, '')
+      .toLowerCase();
+  },
+
+  /**
+   * Configuration status for GET /health
+   * @returns {Object} { customServer } (pusherUrl / apiBaseUrl overridden)
+   */
+  getFeatures() {
+    return {
+      customServer: !!(config.kick?.pusherUrl || config.kick?.apiBaseUrl)
+    };
+  }
+};
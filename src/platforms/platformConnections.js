@@ -0,0 +1,543 @@
+/**
+ * Platform Connections - Server-side chat connectors
+ *
+ * Owns the running platform adapters (see PlatformAdapter), one per
+ * connection record (configManager), so several channels per platform can
+ * be read at once, no matter how many overlays are open.
+ * Each adapter is created through its record's platform definition
+ * (platforms/registry).
+ * Every normalized message is handed to a single message handler (wired
+ * up in server.js) which broadcasts it to all overlay clients.
+ * Messages are tagged with the `channel` they came from (the connection
+ * target), the `connectionId` and the connection's `source` tag
+ * ({ id, label, color }).
+ * Moderation events (deleted messages, purged users, cleared chat) go to
+ * a second handler the same way, and Twitch bot mode status to a third.
+ * Bot status is reported for the primary bot connection: the first one
+ * whose adapter has a bot mode (Twitch), even while it is anonymous.
+ * Chat from the control panel goes to the first connection that can send
+ * right now (the adapter's `sendChat` capability, which Twitch only sets
+ * once the bot token is validated).
+ * A connection that ends on the platform side (YouTube live chat over, Kick
+ * channel not found) is dropped here and reported to a fourth handler.
+ *
+ * The YouTube live stream watcher (auto-follow) also runs here and reports
+ * broadcasts starting and ending to a fifth handler, which switches the
+ * YouTube connection.
+ *
+ * Adapters whose capabilities change at runtime (PlatformAdapter
+ * setCapabilities, e.g. Twitch bot mode) report the new flags to a sixth
+ * handler, which sends them to the clients.
+ *
+ * BTTV / FFZ / 7TV emotes are added to every message here, so YouTube chat
+ * and Kick chat get the primary Twitch channel's emotes as well. Messages
+ * without an avatar get one from their adapter's resolveAvatar (Twitch:
+ * Helix lookup) before they are forwarded.
+ *
+ * Started and stopped by configManager.connectPlatform/disconnectConnection.
+ *
+ * @module platforms/platformConnections
+ */
+
+const config = require('../config');
+const youtubeApi = require('../services/youtubeApi');
+const thirdPartyEmotes = require('../services/thirdPartyEmotes');
+const registry = require('./registry');
+const LiveStreamWatcher = require('./youtube/LiveStreamWatcher');
+
+/**
+ * YouTube channel IDs: 'UC' followed by 22 characters
+ * @type {RegExp}
+ */
+const CHANNEL_ID_PATTERN = /^UC[\w-]{22}$/;
+
+/**
+ * Running connections keyed by connection ID, in connect order
+ * `record` is the connection record ({ id, platform, target, label, color, transport? })
+ * @type {Map<string, {record: Object, adapter: PlatformAdapter}>}
+ */
+const connections = new Map();
+
+/**
+ * Callback receiving every normalized chat message
+ * @type {Function|null}
+ */
+let messageHandler = null;
+
+/**
+ * Callback receiving moderation events (message-deleted, user-purged, chat-cleared)
+ * @type {Function|null}
+ */
+let moderationHandler = null;
+
+/**
+ * Callback receiving Twitch bot status (null when Twitch is disconnected)
+ * @type {Function|null}
+ */
+let botStatusHandler = null;
+
+/**
+ * Callback receiving connections the platform ended ({ connectionId, platform, channel, reason })
+ * @type {Function|null}
+ */
+let connectionEndedHandler = null;
+
+/**
+ * Callback receiving runtime capability changes ({ connectionId, platform, channel, capabilities })
+ * @type {Function|null}
+ */
+let capabilitiesHandler = null;
+
+/**
+ * Callback receiving YouTube live stream changes from the watcher
+ * ({ status: 'live', videoId, title, ... } or { status: 'ended', videoId })
+ * @type {Function|null}
+ */
+let liveStreamHandler = null;
+
+/**
+ * Background watcher following the YouTube channel's live stream, if enabled
+ * @type {LiveStreamWatcher|null}
+ */
+let liveWatcher = null;
+
+/**
+ * Register the handler that receives normalized chat messages
+ *
+ * @param {Function} handler - Called with each chat message object
+ */
+function setMessageHandler(handler) {
+  messageHandler = handler;
+}
+
+/**
+ * Register the handler that receives moderation events
+ *
+ * @param {Function} handler - Called with each moderation event object
+ */
+function setModerationHandler(handler) {
+  moderationHandler = handler;
+}
+
+/**
+ * Register the handler that receives Twitch bot status changes
+ *
+ * @param {Function} handler - Called with the status object, or null
+ */
+function setBotStatusHandler(handler) {
+  botStatusHandler = handler;
+}
+
+/**
+ * Register the handler that receives connections ended by the platform
+ *
+ * @param {Function} handler - Called with { connectionId, platform, channel, reason }
+ */
+function setConnectionEndedHandler(handler) {
+  connectionEndedHandler = handler;
+}
+
+/**
+ * Register the handler that receives runtime capability changes
+ *
+ * @param {Function} handler - Called with { connectionId, platform, channel, capabilities }
+ */
+function setCapabilitiesHandler(handler) {
+  capabilitiesHandler = handler;
+}
+
+/**
+ * Register the handler that receives YouTube live stream changes
+ *
+ * @param {Function} handler - Called with { status: 'live' | 'ended', videoId, ... }
+ */
+function setLiveStreamHandler(handler) {
+  liveStreamHandler = handler;
+}
+
+/**
+ * Forward Twitch bot status to the registered handler
+ *
+ * @param {Object|null} status - Bot status, or null when Twitch is disconnected
+ */
+function emitBotStatus(status) {
+  if (botStatusHandler) {
+    botStatusHandler(status);
+  }
+}
+
+/**
+ * Forward a moderation event to the registered handler
+ *
+ * @param {Object} event - Moderation event ({ type, platform, channel, ... })
+ */
+function emitModeration(event) {
+  if (moderationHandler) {
+    moderationHandler(event);
+  }
+}
+
+/**
+ * Forward a normalized message to the registered handler
+ * Adds third-party emote fragments first
+ *
+ * @param {Object} chatMessage - Normalized chat message
+ * @param {string} [twitchUserId] - Twitch channel whose BTTV/FFZ/7TV sets apply
+ */
+function emitMessage(chatMessage, twitchUserId) {
+  if (!messageHandler) {
+    return;
+  }
+
+  const baseFragments = chatMessage.fragments || [{ type: 'text', text: chatMessage.text || '' }];
+  const fragments = thirdPartyEmotes.applyToFragments(baseFragments, twitchUserId);
+
+  messageHandler(fragments ? { ...chatMessage, fragments } : chatMessage);
+}
+
+/**
+ * Get the source tag attached to a connection's messages
+ *
+ * @param {Object} connection - Running connection
+ * @returns {{id: string, label: string, color: string}} Source tag
+ */
+function getSource(connection) {
+  const { id, label, color } = connection.record;
+  return { id, label, color };
+}
+
+/**
+ * Start the adapter for a connection record
+ * No-op (apart from picking up a new label or color) if the connection is
+ * already reading the same target the same way; otherwise its adapter is
+ * restarted
+ *
+ * @param {Object} record - Connection record
+ * @param {string} record.id - Connection ID
+ * @param {string} record.platform - Registered platform ID ('youtube', 'twitch', 'kick')
+ * @param {string} record.target - YouTube video ID, Twitch/Kick channel name
+ * @param {string} record.label - Name shown on messages
+ * @param {string} record.color - Color tag
+ * @param {string} [record.transport='poll'] - YouTube: 'poll' or 'stream' (streamList, falls back to polling)
+ */
+function startConnection(record) {
+  const running = connections.get(record.id);
+
+  if (running && running.record.platform === record.platform &&
+      running.record.target === record.target && running.record.transport === record.transport) {
+    running.record = { ...record };
+    return;
+  }
+
+  const previousPrimary = getBotAdapter();
+  const connection = { record: { ...record }, adapter: null };
+  connection.adapter = createAdapter(connection);
+
+  // Replacing the entry keeps the connection's place (and primary status) in the order
+  connections.set(record.id, connection);
+  if (running) {
+    running.adapter.disconnect();
+
+    if (running.adapter === previousPrimary) {
+      emitBotStatus(getBotStatus());
+    }
+  }
+  connection.adapter.connect();
+}
+
+/**
+ * Create the adapter for a connection (platforms/registry) and handle its events
+ *
+ * Messages and moderation events go through an in-order delivery queue, so
+ * messages waiting for an avatar lookup are never overtaken.
+ *
+ * @param {Object} connection - Connection being started
+ * @returns {PlatformAdapter} Adapter, not connected yet
+ */
+function createAdapter(connection) {
+  const { id, platform, target } = connection.record;
+  const adapter = registry.createAdapter(connection.record);
+  const enqueue = createDeliveryQueue();
+
+  adapter.onEvent = (type, payload) => {
+    switch (type) {
+      case 'message': {
+        // Start the lookup now so messages arriving together share one batch
+        const avatar = adapter.resolveAvatar(payload);
+
+        enqueue(async () => {
+          emitMessage({
+            ...payload,
+            avatar: await avatar,
+            channel: target,
+            connectionId: id,
+            source: getSource(connection)
+          }, adapter.getEmoteChannelId() || getEmoteChannelId());
+        });
+        break;
+      }
+
+      case 'moderation':
+        enqueue(() => emitModeration({ ...payload, channel: target, connectionId: id }));
+        break;
+
+      case 'ended':
+        // The adapter already stopped; forget it so a reconnect starts fresh
+        if (connections.get(id) === connection) {
+          connections.delete(id);
+
+          if (connectionEndedHandler) {
+            connectionEndedHandler({ connectionId: id, platform, channel: target, reason: payload.reason });
+          }
+        }
+        break;
+
+      case 'capabilities':
+        if (connections.get(id) === connection && capabilitiesHandler) {
+          capabilitiesHandler({ connectionId: id, platform, channel: target, capabilities: payload });
+        }
+        break;
+
+      case 'status':
+        // Only the primary bot connection reports; a stopped adapter still reports its socket closing
+        if (getBotAdapter() === adapter) {
+          emitBotStatus({ ...payload, channel: target });
+        }
+        break;
+    }
+  };
+
+  return adapter;
+}
+
+/**
+ * Start following a YouTube channel's live stream
+ * Needs the API (for the 1-unit video lookups) and a valid channel ID
+ *
+ * @param {string} channelId - YouTube channel ID (youtube.channelId in config.js)
+ * @returns {boolean} True if the watcher started
+ */
+function startLiveWatcher(channelId) {
+  if (liveWatcher && liveWatcher.channelId === channelId) {
+    return true;
+  }
+
+  stopLiveWatcher();
+
+  if (!youtubeApi.isConfigured() || config.youtube.simulationMode) {
+    console.warn('⚠️  YouTube auto-follow needs a YouTube API key (and simulationMode off)');
+    return false;
+  }
+
+  if (!CHANNEL_ID_PATTERN.test(channelId || '')) {
+    console.warn('⚠️  YouTube auto-follow needs youtube.channelId in config.js');
+    return false;
+  }
+
+  const watcher = new LiveStreamWatcher(channelId, {
+    intervalMs: (config.youtube.liveWatcher?.intervalSeconds || 120) * 1000
+  });
+
+  watcher.onLive = (stream) => {
+    if (liveStreamHandler) {
+      liveStreamHandler({ status: 'live', ...stream });
+    }
+  };
+  watcher.onEnded = ({ videoId }) => {
+    if (liveStreamHandler) {
+      liveStreamHandler({ status: 'ended', videoId });
+    }
+  };
+  watcher.start();
+  liveWatcher = watcher;
+  return true;
+}
+
+/**
+ * Stop the YouTube live stream watcher if running
+ * The current YouTube connection is left alone
+ */
+function stopLiveWatcher() {
+  if (liveWatcher) {
+    liveWatcher.stop();
+    liveWatcher = null;
+    console.log('👀 Stopped watching for YouTube live streams');
+  }
+}
+
+/**
+ * Create an in-order delivery queue for a connection
+ * Each task runs after the previous one finished, so a message waiting for
+ * its avatar is never overtaken by later messages or moderation events
+ *
+ * @returns {Function} enqueue(task) - task may return a promise
+ */
+function createDeliveryQueue() {
+  let tail = Promise.resolve();
+
+  return (task) => {
+    tail = tail.then(task).catch(error => {
+      console.error('❌ Error delivering chat event:', error);
+    });
+  };
+}
+
+/**
+ * Stop a connection's adapter if running
+ * Stopping the primary chat connection hands bot status to the next one
+ *
+ * @param {string} id - Connection ID
+ */
+function stopConnection(id) {
+  const connection = connections.get(id);
+  if (!connection) {
+    return;
+  }
+
+  const wasPrimary = connection.adapter === getBotAdapter();
+
+  connections.delete(id);
+  connection.adapter.disconnect();
+
+  if (wasPrimary) {
+    emitBotStatus(getBotStatus());
+  }
+}
+
+/**
+ * Stop every running adapter
+ * Used on platform "disconnect all" and server shutdown
+ */
+function stopAll() {
+  [...connections.keys()].forEach(stopConnection);
+}
+
+/**
+ * Find a running adapter by platform and target
+ *
+ * @param {Function} matches - Called with each running adapter, in connect order
+ * @param {string} [channel] - Target to find, in any form the platform accepts (default: the first match)
+ * @returns {PlatformAdapter|null} Adapter, or null if none runs
+ */
+function findAdapter(matches, channel) {
+  for (const { record, adapter } of connections.values()) {
+    if (!matches(adapter)) continue;
+
+    if (!channel || record.target === registry.getPlatform(record.platform).normalizeTarget(channel)) {
+      return adapter;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get a running adapter of a platform, for moderation actions
+ *
+ * @param {string} platform - Platform ID
+ * @param {string} [channel] - Target to find (default: the platform's first connection)
+ * @returns {PlatformAdapter|null} Adapter, or null if not connected
+ */
+function getAdapter(platform, channel) {
+  return findAdapter(adapter => adapter.platform === platform, channel);
+}
+
+/**
+ * Get a running adapter that can send chat right now, for the control panel's chat box
+ * Adapters without the `sendChat` capability (Twitch before its bot token is
+ * validated, or anonymous) are skipped
+ *
+ * @param {string} [channel] - Channel to find (default: the first connection that can send)
+ * @returns {PlatformAdapter|null} Adapter, or null if no such connection runs
+ */
+function getChatAdapter(channel) {
+  return findAdapter(adapter => adapter.capabilities.sendChat, channel);
+}
+
+/**
+ * Twitch user ID whose BTTV / FFZ / 7TV sets apply to chat without its own
+ * (the first connection that has one, i.e. the primary Twitch channel)
+ *
+ * @returns {string|null} Twitch user ID
+ */
+function getEmoteChannelId() {
+  for (const { adapter } of connections.values()) {
+    const channelId = adapter.getEmoteChannelId();
+    if (channelId) {
+      return channelId;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the primary bot connection's adapter: the first one with a bot mode
+ * @returns {PlatformAdapter|null} Adapter, or null if none runs
+ */
+function getBotAdapter() {
+  return findAdapter(adapter => adapter.getBotStatus() !== null);
+}
+
+/**
+ * Get the current bot status (primary bot connection)
+ *
+ * @returns {Object|null} Bot status, or null if no connection has a bot mode
+ */
+function getBotStatus() {
+  const adapter = getBotAdapter();
+  const status = adapter ? adapter.getBotStatus() : null;
+  return status ? { ...status, channel: adapter.channel } : null;
+}
+
+/**
+ * Get the status of every running connection
+ *
+ * @returns {Object<string, Object>} Adapter status and capabilities by connection ID
+ */
+function getStatuses() {
+  return Object.fromEntries([...connections.entries()].map(([id, { adapter }]) =>
+    [id, { ...adapter.getStatus(), capabilities: adapter.capabilities }]));
+}
+
+/**
+ * Get what a connection supports right now
+ * A running adapter's capabilities (with runtime overrides), otherwise its platform's
+ *
+ * @param {Object} record - Connection record ({ id, platform, ... })
+ * @returns {Object<string, boolean>} Capability flags
+ */
+function getCapabilities(record) {
+  const running = connections.get(record.id);
+  return running ? running.adapter.capabilities : { ...registry.getPlatform(record.platform)?.capabilities };
+}
+
+/**
+ * Check whether a platform has a running adapter
+ *
+ * @param {string} platform - Platform ID ('youtube', 'twitch', 'kick')
+ * @returns {boolean} True if at least one connection of the platform runs
+ */
+function isRunning(platform) {
+  return [...connections.values()].some(({ record }) => record.platform === platform);
+}
+
+module.exports = {
+  setMessageHandler,
+  setModerationHandler,
+  setBotStatusHandler,
+  setConnectionEndedHandler,
+  setCapabilitiesHandler,
+  setLiveStreamHandler,
+  startConnection,
+  stopConnection,
+  startLiveWatcher,
+  stopLiveWatcher,
+  stopAll,
+  getAdapter,
+  getChatAdapter,
+  getBotStatus,
+  getStatuses,
+  getCapabilities,
+  isRunning
+};
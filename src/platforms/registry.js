@@ -0,0 +1,203 @@
+/**
+ * Platform Registry - The chat platforms the server can connect to
+ *
+ * Each platform registers a definition instead of getting its own branch
+ * anywhere else. The server runs connections through the definition's
+ * adapter (see PlatformAdapter); the control panel and the overlay
+ * renderer receive the display part (describePlatforms) with the config,
+ * so icons, colors and capability-driven UI come from here as well:
+ *
+ * {
+ *   id: 'kick',                      // Used in connection records and messages
+ *   name: 'Kick',                    // Shown in logs, lists and the control panel
+ *   targetName: 'channel',           // What a connection target is
+ *   icon: 'fa-solid fa-k',           // Font Awesome classes (overlay platform icon)
+ *   color: '#53FC18',                // Brand color (icon, default avatars)
+ *   emoji: '🟢',                     // Marker in text-only lists
+ *   defaultTarget: '',               // Optional: prefilled target from config.js
+ *   capabilities: {                  // What the platform supports
+ *     sendChat, deletion, timeouts, avatars
+ *   },
+ *   normalizeTarget(target),         // Optional: clean up a target ('' if invalid)
+ *   Adapter,                         // PlatformAdapter subclass, one per connection
+ *   getFeatures()                    // Optional: config status for GET /health
+ * }
+ *
+ * Platforms without an Adapter are receive-only: nothing connects to them,
+ * their messages are pushed to the server (inbound webhook sources, see
+ * platforms/ingest). The built-in platforms (YouTube, Twitch, Kick) are
+ * registered below.
+ *
+ * @module platforms/registry
+ */
+
+const PlatformAdapter = require('./PlatformAdapter');
+
+/**
+ * Capability flags every platform reports (false unless its definition sets them)
+ * @type {Object<string, boolean>}
+ */
+const DEFAULT_CAPABILITIES = {
+  sendChat: false,     // Send chat messages from the control panel
+  deletion: false,     // Delete messages from the control panel
+  timeouts: false,     // Time out / ban users from the control panel
+  avatars: false       // Messages carry sender avatars
+};
+
+/**
+ * Registered platforms keyed by ID, in registration order
+ * @type {Map<string, Object>}
+ */
+const platforms = new Map();
+
+/**
+ * Allowed platform IDs (used in message fields and CSS class names)
+ * @type {RegExp}
+ */
+const PLATFORM_ID_PATTERN = /^[a-z][a-z0-9-]{1,31}$/;
+
+/**
+ * Register a platform
+ * Registering an ID again replaces the earlier definition
+ *
+ * @param {Object} definition - Platform definition (see module docs)
+ * @throws {Error} If the definition has no valid id or name, or an Adapter that isn't a PlatformAdapter
+ */
+function registerPlatform(definition) {
+  if (!definition || !PLATFORM_ID_PATTERN.test(definition.id || '')) {
+    throw new Error(`Invalid platform ID: ${definition?.id}`);
+  }
+  if (!definition.name) {
+    throw new Error(`Platform "${definition.id}" needs a name`);
+  }
+  if (definition.Adapter && !(definition.Adapter.prototype instanceof PlatformAdapter)) {
+    throw new Error(`Platform "${definition.id}" Adapter must extend PlatformAdapter`);
+  }
+
+  platforms.set(definition.id, {
+    targetName: 'channel',
+    icon: 'fa-solid fa-comment',
+    color: '#666',
+    emoji: '💬',
+    defaultTarget: '',
+    normalizeTarget: (target) => String(target || '').trim(),
+    ...definition,
+    capabilities: { ...DEFAULT_CAPABILITIES, ...(definition.capabilities || {}) }
+  });
+}
+
+/**
+ * Get a platform definition
+ *
+ * @param {string} id - Platform ID
+ * @returns {Object|null} Definition, or null if not registered
+ */
+function getPlatform(id) {
+  return platforms.get(id) || null;
+}
+
+/**
+ * Get the IDs of all registered platforms
+ * @returns {string[]} Platform IDs, in registration order
+ */
+function getPlatformIds() {
+  return [...platforms.keys()];
+}
+
+/**
+ * Check whether a platform is registered
+ *
+ * @param {string} id - Platform ID
+ * @returns {boolean} True if registered
+ */
+function isRegistered(id) {
+  return platforms.has(id);
+}
+
+/**
+ * Check whether connections to a platform can be started
+ *
+ * @param {string} id - Platform ID
+ * @returns {boolean} True if registered with an Adapter (false for receive-only platforms)
+ */
+function canConnect(id) {
+  return !!platforms.get(id)?.Adapter;
+}
+
+/**
+ * Get a platform's display name
+ *
+ * @param {string} id - Platform ID
+ * @returns {string} Name, or the ID itself if not registered
+ */
+function getPlatformName(id) {
+  return platforms.get(id)?.name || id;
+}
+
+/**
+ * Create the adapter for a connection record
+ *
+ * @param {Object} record - Connection record ({ id, platform, target, ... })
+ * @returns {PlatformAdapter} Adapter, not connected yet
+ * @throws {Error} If the record's platform is not registered or is receive-only
+ */
+function createAdapter(record) {
+  const definition = platforms.get(record.platform);
+  if (!definition?.Adapter) {
+    throw new Error(`Can't connect to platform: ${record.platform}`);
+  }
+  return new definition.Adapter(record, definition);
+}
+
+/**
+ * Check whether a platform supports something
+ *
+ * @param {string} id - Platform ID
+ * @param {string} capability - Capability flag (e.g. 'deletion')
+ * @returns {boolean} True if registered and supported
+ */
+function hasCapability(id, capability) {
+  return !!platforms.get(id)?.capabilities[capability];
+}
+
+/**
+ * Describe the registered platforms for the control panel and overlays
+ * Sent with the runtime config; holds nothing secret
+ *
+ * @returns {Object[]} [{ id, name, targetName, icon, color, emoji, defaultTarget, connectable, capabilities }]
+ */
+function describePlatforms() {
+  return [...platforms.values()].map(({ id, name, targetName, icon, color, emoji, defaultTarget, Adapter, capabilities }) => ({
+    id, name, targetName, icon, color, emoji, defaultTarget, connectable: !!Adapter, capabilities: { ...capabilities }
+  }));
+}
+
+/**
+ * Collect each platform's capabilities and configuration status for GET /health
+ *
+ * @returns {Object<string, Object>} Per platform: { capabilities, ...getFeatures() }
+ */
+function getFeatures() {
+  return Object.fromEntries([...platforms.values()].map(definition => [
+    definition.id,
+    { capabilities: { ...definition.capabilities }, ...(definition.getFeatures ? definition.getFeatures() : {}) }
+  ]));
+}
+
+// Built-in platforms
+registerPlatform(require('./youtube/platform'));
+registerPlatform(require('./twitch/platform'));
+registerPlatform(require('./kick/platform'));
+
+module.exports = {
+  registerPlatform,
+  createAdapter,
+  getPlatform,
+  getPlatformIds,
+  isRegistered,
+  canConnect,
+  getPlatformName,
+  hasCapability,
+  describePlatforms,
+  getFeatures
+};
@@ -0,0 +1,104 @@
+/**
+ * ChatRateLimiter - Twitch chat send limits for the bot account
+ *
+ * Twitch drops messages (and can lock the account out of chat for 30
+ * minutes) when a user sends too fast. The limit depends on the bot's
+ * role in the channel:
+ *
+ * - viewer: 20 messages per 30 seconds, plus the channel's slow mode
+ * - moderator / broadcaster / VIP: 100 messages per 30 seconds, no slow mode
+ *
+ * https://dev.twitch.tv/docs/chat/#rate-limits
+ *
+ * @class ChatRateLimiter
+ * @example
+ * const limiter = new ChatRateLimiter();
+ * limiter.setRole('moderator');
+ * const { allowed, retryAfterMs } = limiter.tryAcquire();
+ */
+
+const SlidingWindowLimiter = require('../../utils/SlidingWindowLimiter');
+
+/**
+ * Messages allowed per window, by role
+ * @type {Object<string, number>}
+ */
+const ROLE_LIMITS = {
+  viewer: 20,
+  vip: 100,
+  moderator: 100,
+  broadcaster: 100
+};
+
+/**
+ * Length of the rate limit window
+ * @type {number}
+ */
+const WINDOW_MS = 30 * 1000;
+
+class ChatRateLimiter {
+  /**
+   * Initialize a new ChatRateLimiter instance (viewer limits until a role is set)
+   */
+  constructor() {
+    this.role = 'viewer';
+    this.slowModeSeconds = 0;
+    this.window = new SlidingWindowLimiter({ max: ROLE_LIMITS.viewer, windowMs: WINDOW_MS });
+  }
+
+  /**
+   * Set the bot's role in the channel (from USERSTATE badges)
+   * @param {string} role - 'viewer', 'vip', 'moderator' or 'broadcaster'
+   */
+  setRole(role) {
+    this.role = ROLE_LIMITS[role] ? role : 'viewer';
+    this.applyLimits();
+  }
+
+  /**
+   * Set the channel's slow mode (from ROOMSTATE)
+   * @param {number} seconds - Seconds between messages, 0 when off
+   */
+  setSlowMode(seconds) {
+    this.slowModeSeconds = seconds > 0 ? seconds : 0;
+    this.applyLimits();
+  }
+
+  /**
+   * Update the window limiter for the current role and slow mode
+   */
+  applyLimits() {
+    this.window.max = ROLE_LIMITS[this.role];
+    this.window.minIntervalMs = this.isElevated() ? 0 : this.slowModeSeconds * 1000;
+  }
+
+  /**
+   * Check whether the role ignores slow mode
+   * @returns {boolean} True for VIPs, moderators and the broadcaster
+   */
+  isElevated() {
+    return this.role !== 'viewer';
+  }
+
+  /**
+   * Take a send slot if one is free
+   * @returns {{allowed: boolean, retryAfterMs: number}} Whether to send, and if not, when to retry
+   */
+  tryAcquire() {
+    return this.window.tryAcquire();
+  }
+
+  /**
+   * Get the current limits for status displays
+   * @returns {Object} { role, limit, windowSeconds, used, slowModeSeconds }
+   */
+  getStatus() {
+    return {
+      role: this.role,
+      ...this.window.getStatus(),
+      slowModeSeconds: this.isElevated() ? 0 : this.slowModeSeconds
+    };
+  }
+}
+
+module.exports = ChatRateLimiter;
@@ -0,0 +1,153 @@
+/**
+ * TwitchAdapter - Runs a Twitch connection record (see PlatformAdapter)
+ *
+ * Joins the channel anonymously, or as the bot when twitch.oauthToken is
+ * set. Its sendChat, deletion and timeouts capabilities follow the
+ * validated bot state (TwitchChatClient.validateBot): off until the token
+ * is validated, sendChat with the chat:edit scope, and deletion / timeouts
+ * with their moderator scopes once the bot is a moderator in the channel.
+ * Chatter avatars come from Helix (services/twitchAvatars), and the
+ * channel's BTTV / FFZ / 7TV sets apply to its chat.
+ *
+ * @class TwitchAdapter
+ */
+
+const config = require('../../config');
+const twitchAvatars = require('../../services/twitchAvatars');
+const PlatformAdapter = require('../PlatformAdapter');
+const TwitchChatClient = require('./TwitchChatClient');
+
+/**
+ * Token scope each bot capability needs
+ * @type {Object<string, string>}
+ */
+const CAPABILITY_SCOPES = {
+  sendChat: 'chat:edit',
+  deletion: 'moderator:manage:chat_messages',
+  timeouts: 'moderator:manage:banned_users'
+};
+
+class TwitchAdapter extends PlatformAdapter {
+  /**
+   * Create an adapter for a Twitch connection record
+   * Bot capabilities stay off until the bot token is validated
+   *
+   * @param {Object} record - Connection record
+   * @param {Object} definition - Twitch platform definition
+   */
+  constructor(record, definition) {
+    super(record, definition);
+    this.updateCapabilities();
+  }
+
+  /**
+   * Start reading the chat; bot status changes also update the capabilities
+   */
+  connect() {
+    super.connect();
+
+    const forwardStatus = this.client.onBotStatus;
+    this.client.onBotStatus = (status) => {
+      this.updateCapabilities();
+      forwardStatus(status);
+    };
+  }
+
+  /**
+   * Create the chat client for the record's channel
+   * @returns {TwitchChatClient} Client, not connected yet
+   */
+  createClient() {
+    return new TwitchChatClient(this.record.target, {
+      botUsername: config.twitch.botUsername,
+      oauthToken: config.twitch.oauthToken
+    });
+  }
+
+  /**
+   * Derive the bot capabilities from the client's validated bot state
+   * Anonymous (or not validated yet): none. Bot mode: sendChat with its
+   * scope; deletion and timeouts with theirs while the bot can moderate
+   */
+  updateCapabilities() {
+    const status = this.getBotStatus();
+    const allowed = (capability) => !!this.client?.hasScope(CAPABILITY_SCOPES[capability]);
+
+    this.setCapabilities({
+      sendChat: allowed('sendChat'),
+      deletion: allowed('deletion') && !!status?.canModerate,
+      timeouts: allowed('timeouts') && !!status?.canModerate
+    });
+  }
+
+  /**
+   * Get the connection status
+   * @returns {Object} { state, bot } (bot: see TwitchChatClient.getBotStatus)
+   */
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      bot: this.getBotStatus()
+    };
+  }
+
+  /**
+   * Get the bot mode status (anonymous or bot, role, rate limit)
+   * @returns {Object|null} See TwitchChatClient.getBotStatus; null before connect()
+   */
+  getBotStatus() {
+    return this.client ? this.client.getBotStatus() : null;
+  }
+
+  /**
+   * Look up a chatter's avatar (batched Helix lookup by login)
+   *
+   * @param {Object} message - Normalized Twitch message
+   * @returns {Promise<string|null>} Avatar URL
+   */
+  resolveAvatar(message) {
+    return message.avatar ? Promise.resolve(message.avatar) : twitchAvatars.getAvatar(message.login);
+  }
+
+  /**
+   * The channel's own Twitch user ID (known after joining)
+   * @returns {string|null} Twitch user ID
+   */
+  getEmoteChannelId() {
+    return this.client?.roomId || null;
+  }
+
+  /**
+   * Send a chat message as the bot
+   *
+   * @param {string} text - Message text
+   * @returns {{ok: boolean, error?: string, retryAfterMs?: number}} Result
+   */
+  sendChat(text) {
+    return this.client.sendChatMessage(text);
+  }
+
+  /**
+   * Delete a message as the bot (Helix)
+   *
+   * @param {string} messageId - Message to delete
+   * @returns {Promise<void>}
+   */
+  deleteMessage(messageId) {
+    return this.client.deleteMessage(messageId);
+  }
+
+  /**
+   * Time out or ban a user as the bot (Helix)
+   *
+   * @param {string} userId - User to time out or ban
+   * @param {number|null} duration - Timeout seconds, or null to ban
+   * @param {string} [reason] - Reason shown to moderators
+   * @returns {Promise<void>}
+   */
+  banUser(userId, duration, reason) {
+    return this.client.banUser(userId, duration, reason);
+  }
+}
+
+module.exports = TwitchAdapter;
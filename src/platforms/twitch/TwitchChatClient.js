@@ -0,0 +1,1077 @@
+/**
+ * Twitch Chat Client
+ *
+ * Server-side connection to Twitch IRC chat and message processing.
+ * Uses WebSocket IRC connection for real-time chat messages.
+ * One instance runs per joined channel, shared by every overlay.
+ *
+ * Features:
+ * - Real-time IRC WebSocket connection to Twitch chat
+ * - Anonymous read-only access (no authentication needed)
+ * - Bot mode with a user token: send chat (per-role rate limits), delete
+ *   messages, time out and ban users (Helix moderation endpoints)
+ * - Automatic reconnection with exponential backoff
+ * - IRC tag parsing for user badges, colors, emotes
+ * - Badge images from the shared badge service (global + channel sets)
+ * - Structured text/emote fragments from the `emotes` tag positions
+ * - Bits cheers as paid messages with animated cheermotes
+ * - Moderation (CLEARMSG / CLEARCHAT) forwarded so removed chat leaves the overlay
+ * - PING/PONG keepalive mechanism
+ *
+ * IRC Protocol Flow:
+ * 1. connect() → WebSocket to wss://irc-ws.chat.twitch.tv:443
+ * 2. CAP REQ → Request capabilities (tags, commands)
+ * 3. PASS/NICK → Authenticate (anonymous: justinfan12345, bot: validated user token)
+ * 4. JOIN #channel → Join the channel
+ * 5. Receive PRIVMSG → Parse and process chat messages
+ *    Receive USERNOTICE → Parse subs, gift subs, raids and announcements
+ *    Receive CLEARMSG / CLEARCHAT → Emit moderation events
+ *    Receive ROOMSTATE → Track channel ID and chat modes
+ *    Receive USERSTATE → Track the bot's role, confirm messages it sent
+ * 6. Send PONG → Respond to PING keepalive
+ *
+ * Message Format:
+ * @badge-info=;badges=moderator/1;color=#FF0000;display-name=Username;... :username!username@username.tmi.twitch.tv PRIVMSG #channel :message text
+ *
+ * Twitch IRC Documentation:
+ * https://dev.twitch.tv/docs/irc
+ *
+ * @module platforms/twitch/TwitchChatClient
+ */
+
+const WebSocket = require('ws');
+const twitchApi = require('../../services/twitchApi');
+const twitchAuth = require('../../services/twitchAuth');
+const twitchBadges = require('../../services/twitchBadges');
+const thirdPartyEmotes = require('../../services/thirdPartyEmotes');
+const cheermotes = require('./cheermotes');
+const messageFragments = require('./messageFragments');
+const ChatRateLimiter = require('./ChatRateLimiter');
+
+/**
+ * Longest chat message Twitch accepts
+ * @type {number}
+ */
+const MAX_MESSAGE_LENGTH = 500;
+
+/**
+ * How often Twitch wants user tokens re-validated
+ * @type {number}
+ */
+const VALIDATE_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Roles that may use the moderation endpoints
+ * @type {string[]}
+ */
+const MODERATOR_ROLES = ['moderator', 'broadcaster'];
+
+/**
+ * USERNOTICE msg-id values mapped to overlay event types
+ * Anonymous gifts are folded into the regular gift types
+ * @type {Object<string, string>}
+ */
+const USERNOTICE_EVENT_TYPES = {
+  sub: 'sub',
+  resub: 'resub',
+  subgift: 'subgift',
+  anonsubgift: 'subgift',
+  submysterygift: 'submysterygift',
+  anonsubmysterygift: 'submysterygift',
+  raid: 'raid',
+  announcement: 'announcement'
+};
+
+/**
+ * IRC tag value escape sequences (IRCv3 message tags)
+ * @type {Object<string, string>}
+ */
+const TAG_ESCAPES = {
+  ':': ';',
+  s: ' ',
+  '\\': '\\',
+  r: '\r',
+  n: '\n'
+};
+
+class TwitchChatClient {
+  /**
+   * Create a Twitch chat client
+   * Without a bot token the client joins anonymously and is read-only
+   *
+   * @param {string} channelName - Twitch channel name (lowercase, without #)
+   * @param {Object} [options] - Bot mode options
+   * @param {string} [options.botUsername] - Bot account login (checked against the token)
+   * @param {string} [options.oauthToken] - Bot user token (chat:read, chat:edit and moderator scopes)
+   */
+  constructor(channelName, options = {}) {
+    // Connection configuration
+    this.channelName = channelName.toLowerCase();  // Twitch channels are lowercase
+    this.ws = null;                                // WebSocket connection
+
+    // State management
+    this.connected = false;                        // Connection status
+    this.reconnectAttempts = 0;                    // Current reconnection attempt
+    this.maxReconnectAttempts = 10;                // Max reconnect attempts
+    this.reconnectDelay = 5000;                    // Delay between reconnects (ms)
+    this.pingInterval = null;                      // Keepalive interval handle
+    this.reconnectTimeout = null;                  // Pending reconnect handle
+
+    // Callbacks, set by the owner (platformConnections)
+    this.onMessage = null;                         // Normalized chat messages
+    this.onModeration = null;                      // message-deleted / user-purged / chat-cleared
+    this.onBotStatus = null;                       // Bot mode status changes and send errors
+
+    // Cheer support
+    this.cheermotes = cheermotes.getFallbackCheermotes(); // Cheer prefix -> tier images
+    this.roomId = null;                            // Channel user ID (from ROOMSTATE)
+    this.roomState = {};                           // Chat modes (from ROOMSTATE)
+
+    // Bot mode (authenticated chat)
+    this.botUsername = options.botUsername || null; // Configured bot login
+    this.botToken = options.oauthToken ? options.oauthToken.replace(/^oauth:/, '') : null;
+    this.bot = null;                               // { login, userId, scopes } once the token is validated
+    this.botRole = null;                           // Bot's role in the channel (from USERSTATE)
+    this.rateLimiter = new ChatRateLimiter();      // Per-role send limits
+    this.pendingOwnMessages = [];                  // Sent texts waiting for their USERSTATE
+    this.validateInterval = null;                  // Hourly token validation handle
+
+    // IRC connection settings
+    this.config = {
+      ircUrl: 'wss://irc-ws.chat.twitch.tv:443',   // Twitch IRC WebSocket URL
+      botUsername: 'justinfan12345',               // Anonymous read-only username
+      oauthToken: 'oauth:fake'                     // Anonymous doesn't need real token
+    };
+  }
+
+  /**
+   * Connect to Twitch IRC chat
+   * Validates the bot token first (if any), then opens the WebSocket
+   */
+  connect() {
+    console.log(`🟣 Connecting to Twitch chat: ${this.channelName}`);
+
+    if (this.botToken) {
+      this.startValidateInterval();
+      this.validateBot().then(() => this.openSocket());
+      return;
+    }
+
+    this.openSocket();
+  }
+
+  /**
+   * Open the IRC WebSocket
+   * Skipped if the client was disconnected in the meantime
+   */
+  openSocket() {
+    if (!this.channelName) {
+      return;
+    }
+
+    // Connect to Twitch IRC WebSocket
+    this.ws = new WebSocket(this.config.ircUrl);
+
+    // Set up event handlers
+    this.ws.onopen = () => this.handleOpen();
+    this.ws.onmessage = (event) => this.handleMessage(event);
+    this.ws.onerror = (error) => this.handleError(error);
+    this.ws.onclose = () => this.handleClose();
+  }
+
+  /**
+   * Send IRC command through WebSocket
+   * @param {string} command - IRC command to send
+   */
+  send(command) {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(command + '\r\n');
+      console.log('📤 Sent:', command.startsWith('PASS ') ? 'PASS ***' : command);
+    }
+  }
+
+  /**
+   * Handle WebSocket connection open
+   * Authenticates and joins channel
+   */
+  handleOpen() {
+    console.log('✅ Connected to Twitch IRC');
+
+    // Request capabilities for enhanced message data
+    this.send('CAP REQ :twitch.tv/tags twitch.tv/commands');
+
+    // Authenticate (anonymous read-only mode, or as the bot)
+    this.send(`PASS ${this.config.oauthToken}`);
+    this.send(`NICK ${this.config.botUsername}`);
+
+    // Join the channel
+    this.send(`JOIN #${this.channelName}`);
+
+    this.connected = true;
+    this.reconnectAttempts = 0;
+    this.emitBotStatus();
+
+    // Start ping interval to keep connection alive
+    this.startPingInterval();
+  }
+
+  /**
+   * Handle incoming WebSocket messages
+   * A single frame may carry several IRC lines separated by CRLF
+   *
+   * @param {MessageEvent} event - WebSocket message event
+   */
+  handleMessage(event) {
+    String(event.data)
+      .split('\r\n')
+      .filter(line => line.length > 0)
+      .forEach(line => this.handleLine(line));
+  }
+
+  /**
+   * Handle a single IRC line
+   * @param {string} message - Raw IRC line
+   */
+  handleLine(message) {
+    // Handle PING to keep connection alive
+    if (message.startsWith('PING')) {
+      this.handlePing(message);
+      return;
+    }
+
+    // Tag values are escaped, so the command is the first ' COMMAND ' after the prefix
+    const command = this.getCommand(message);
+
+    // Parse PRIVMSG (chat messages)
+    if (command === 'PRIVMSG') {
+      this.parsePrivateMessage(message);
+      return;
+    }
+
+    // Parse USERNOTICE (subs, gifts, raids, announcements)
+    if (command === 'USERNOTICE') {
+      this.parseUserNotice(message);
+      return;
+    }
+
+    // Single message deleted by a moderator
+    if (command === 'CLEARMSG') {
+      this.parseClearMessage(message);
+      return;
+    }
+
+    // User timed out / banned, or the whole chat cleared
+    if (command === 'CLEARCHAT') {
+      this.parseClearChat(message);
+      return;
+    }
+
+    // Channel state after JOIN carries the room-id needed for channel cheermotes
+    if (command === 'ROOMSTATE') {
+      this.handleRoomState(message);
+      return;
+    }
+
+    // Bot's badges in the channel; also sent after each message the bot sends
+    if (command === 'USERSTATE') {
+      this.handleUserState(message);
+      return;
+    }
+
+    // Server notices (failed sends, login failures, ...)
+    if (command === 'NOTICE') {
+      this.handleNotice(message);
+      return;
+    }
+
+    // Handle successful join
+    if (command === 'JOIN') {
+      console.log(`✅ Joined channel: #${this.channelName}`);
+    }
+  }
+
+  /**
+   * Validate the bot token and switch between bot and anonymous mode
+   * An invalid token falls back to anonymous read-only chat
+   *
+   * @returns {Promise<void>} Resolves when done (never rejects)
+   */
+  async validateBot() {
+    try {
+      const info = await twitchAuth.validateUserToken(this.botToken);
+
+      if (this.botUsername && this.botUsername.toLowerCase() !== info.login) {
+        console.warn(`⚠️ Twitch botUsername '${this.botUsername}' does not match the token's account '${info.login}', using '${info.login}'`);
+      }
+
+      this.bot = { login: info.login, userId: info.userId, scopes: info.scopes };
+      this.config.botUsername = info.login;
+      this.config.oauthToken = `oauth:${this.botToken}`;
+      console.log(`🤖 Twitch bot mode as ${info.login} (token expires in ${Math.round((info.expiresIn || 0) / 3600)}h)`);
+    } catch (error) {
+      console.error('❌ Twitch bot token rejected, chat stays read-only:', error.message);
+      this.bot = null;
+      this.config.botUsername = 'justinfan12345';
+      this.config.oauthToken = 'oauth:fake';
+    }
+
+    this.emitBotStatus();
+  }
+
+  /**
+   * Re-validate the bot token every hour, as Twitch requires for user tokens
+   */
+  startValidateInterval() {
+    if (this.validateInterval) return;
+    this.validateInterval = setInterval(() => this.validateBot(), VALIDATE_INTERVAL_MS);
+  }
+
+  /**
+   * Handle USERSTATE from Twitch IRC
+   * Sent after JOIN and after every message the bot sends; tells us the
+   * bot's role (which sets its rate limit) and the sent message's ID
+   *
+   * @param {string} ircMessage - Raw IRC message
+   */
+  handleUserState(ircMessage) {
+    const tags = this.parseTags(ircMessage.split(' :')[0]);
+    const role = this.getRole(tags);
+
+    if (role !== this.botRole) {
+      this.botRole = role;
+      this.rateLimiter.setRole(role);
+      console.log(`🤖 Twitch bot role in #${this.channelName}: ${role}`);
+      this.emitBotStatus();
+    }
+
+    // Twitch doesn't echo our own PRIVMSG; show it once it is confirmed
+    if (tags['id'] && this.bot && this.pendingOwnMessages.length > 0) {
+      const text = this.pendingOwnMessages.shift();
+      const chatMessage = this.createChatMessage({ ...tags, 'user-id': this.bot.userId }, this.bot.login, text);
+
+      if (this.onMessage) {
+        this.onMessage(chatMessage);
+      }
+    }
+  }
+
+  /**
+   * Handle NOTICE from Twitch IRC
+   * A `msg_*` notice right after a send means Twitch dropped that message
+   * (rate limit, duplicate, slow mode, banned, ...)
+   *
+   * @param {string} ircMessage - Raw IRC message
+   */
+  handleNotice(ircMessage) {
+    const tags = this.parseTags(ircMessage.split(' :')[0]);
+    const noticeMatch = ircMessage.match(/NOTICE \S+ :(.+)/);
+    const text = noticeMatch ? noticeMatch[1] : ircMessage;
+
+    console.log('📢 Twitch notice:', text);
+
+    if (tags['msg-id']?.startsWith('msg_') && this.pendingOwnMessages.length > 0) {
+      this.pendingOwnMessages.shift();
+      this.emitBotStatus({ error: text });
+    }
+  }
+
+  /**
+   * Get the bot's role from USERSTATE tags
+   *
+   * @param {Object} tags - Parsed USERSTATE tags
+   * @returns {string} 'broadcaster', 'moderator', 'vip' or 'viewer'
+   */
+  getRole(tags) {
+    const badges = tags['badges'] || '';
+
+    if (badges.includes('broadcaster/')) return 'broadcaster';
+    if (tags['mod'] === '1' || badges.includes('moderator/')) return 'moderator';
+    if (tags['vip'] === '1' || badges.includes('vip/')) return 'vip';
+    return 'viewer';
+  }
+
+  /**
+   * Get the bot mode status for the control panel
+   * @returns {Object} { mode, login, role, canSend, canModerate, rateLimit }
+   */
+  getBotStatus() {
+    return {
+      mode: this.bot ? 'bot' : 'anonymous',
+      login: this.bot ? this.bot.login : null,
+      role: this.bot ? this.botRole : null,
+      canSend: this.hasScope('chat:edit') && this.connected,
+      canModerate: !!this.bot && MODERATOR_ROLES.includes(this.botRole),
+      rateLimit: this.rateLimiter.getStatus()
+    };
+  }
+
+  /**
+   * Check whether the validated bot token has a scope
+   *
+   * @param {string} scope - Twitch scope (e.g. 'chat:edit')
+   * @returns {boolean} True in bot mode with that scope granted
+   */
+  hasScope(scope) {
+    return !!this.bot && (this.bot.scopes || []).includes(scope);
+  }
+
+  /**
+   * Report the bot status to the owner
+   *
+   * @param {Object} [extra] - Extra fields (e.g. { error } for a dropped message)
+   */
+  emitBotStatus(extra = {}) {
+    if (this.onBotStatus) {
+      this.onBotStatus({ ...this.getBotStatus(), ...extra });
+    }
+  }
+
+  /**
+   * Send a chat message as the bot
+   * Checked against the role's rate limit first; the message shows up in
+   * the overlay once Twitch confirms it with USERSTATE
+   *
+   * @param {string} text - Message text
+   * @returns {{ok: boolean, error?: string, retryAfterMs?: number}} Result
+   */
+  sendChatMessage(text) {
+    const message = String(text || '').replace(/\s+/g, ' ').trim();
+
+    if (!this.bot) {
+      return { ok: false, error: 'Twitch bot mode is off (no valid oauthToken in config.js)' };
+    }
+    if (!this.connected) {
+      return { ok: false, error: 'Not connected to Twitch chat' };
+    }
+    if (!message) {
+      return { ok: false, error: 'Message is empty' };
+    }
+    if (message.length > MAX_MESSAGE_LENGTH) {
+      return { ok: false, error: `Message is longer than ${MAX_MESSAGE_LENGTH} characters` };
+    }
+    if (/^[/.]/.test(message)) {
+      return { ok: false, error: 'Chat commands are not supported; use the message actions instead' };
+    }
+
+    const slot = this.rateLimiter.tryAcquire();
+    if (!slot.allowed) {
+      const seconds = Math.ceil(slot.retryAfterMs / 1000);
+      return { ok: false, error: `Rate limit reached (${this.rateLimiter.role}), try again in ${seconds}s`, retryAfterMs: slot.retryAfterMs };
+    }
+
+    this.pendingOwnMessages.push(message);
+    this.send(`PRIVMSG #${this.channelName} :${message}`);
+    return { ok: true };
+  }
+
+  /**
+   * Make sure the bot may moderate this channel
+   * @throws {Error} If not in bot mode, the channel ID is unknown, or the bot isn't a moderator
+   */
+  requireModerator() {
+    if (!this.bot) {
+      throw new Error('Twitch bot mode is off (no valid oauthToken in config.js)');
+    }
+    if (!this.roomId) {
+      throw new Error('Channel not joined yet');
+    }
+    if (!MODERATOR_ROLES.includes(this.botRole)) {
+      throw new Error(`${this.bot.login} is not a moderator in #${this.channelName}`);
+    }
+  }
+
+  /**
+   * Delete a chat message (Helix, as the bot)
+   * Twitch then sends CLEARMSG, which removes it from the overlay
+   *
+   * @param {string} messageId - Message ID
+   * @returns {Promise<void>} Resolves when deleted
+   * @throws {Error} If the bot can't moderate or Helix refuses
+   */
+  async deleteMessage(messageId) {
+    this.requireModerator();
+    await twitchApi.deleteChatMessage({
+      broadcasterId: this.roomId,
+      moderatorId: this.bot.userId,
+      messageId
+    }, this.botToken);
+  }
+
+  /**
+   * Time out or ban a user (Helix, as the bot)
+   * Twitch then sends CLEARCHAT, which removes the user's messages
+   *
+   * @param {string} userId - Target user ID
+   * @param {number|null} duration - Timeout seconds, or null to ban
+   * @param {string} [reason] - Reason shown to moderators
+   * @returns {Promise<void>} Resolves when applied
+   * @throws {Error} If the bot can't moderate or Helix refuses
+   */
+  async banUser(userId, duration, reason) {
+    this.requireModerator();
+    await twitchApi.banUser({
+      broadcasterId: this.roomId,
+      moderatorId: this.bot.userId,
+      userId,
+      duration,
+      reason
+    }, this.botToken);
+  }
+
+  /**
+   * Handle ROOMSTATE from Twitch IRC
+   * The first one after joining tells us the channel's user ID and every
+   * chat mode; later ones only carry the mode that changed
+   *
+   * @param {string} ircMessage - Raw IRC message
+   */
+  handleRoomState(ircMessage) {
+    const tags = this.parseTags(ircMessage.split(' :')[0]);
+    const roomId = tags['room-id'];
+
+    if (roomId && roomId !== this.roomId) {
+      this.roomId = roomId;
+      this.fetchCheermotes();
+      twitchBadges.preload(roomId);
+      thirdPartyEmotes.preload(roomId);
+    }
+
+    const modes = {
+      emoteOnly: tags['emote-only'],
+      followersOnly: tags['followers-only'],
+      slow: tags['slow'],
+      subsOnly: tags['subs-only'],
+      uniqueChat: tags['r9k']
+    };
+
+    Object.entries(modes).forEach(([mode, value]) => {
+      if (value !== undefined) {
+        // followers-only is -1 when off, otherwise minimum follow minutes
+        this.roomState[mode] = parseInt(value, 10);
+      }
+    });
+
+    this.rateLimiter.setSlowMode(this.roomState.slow || 0);
+
+    console.log(`🏠 Twitch room state for #${this.channelName}: ${JSON.stringify(this.roomState)}`);
+  }
+
+  /**
+   * Parse CLEARMSG (a moderator deleted a single message)
+   *
+   * IRC Message Format:
+   * @login=username;room-id=;target-msg-id=abc-123;tmi-sent-ts=1642720582342 :tmi.twitch.tv CLEARMSG #channel :deleted message text
+   *
+   * @param {string} ircMessage - Raw IRC message
+   */
+  parseClearMessage(ircMessage) {
+    const tags = this.parseTags(ircMessage.split(' :')[0]);
+    const messageId = tags['target-msg-id'];
+
+    if (!messageId) return;
+
+    console.log(`🧹 Twitch message deleted (${tags['login'] || 'unknown user'})`);
+    this.emitModeration({
+      type: 'message-deleted',
+      messageId,
+      username: tags['login'] || null
+    });
+  }
+
+  /**
+   * Parse CLEARCHAT (user timed out / banned, or whole chat cleared)
+   *
+   * IRC Message Format:
+   * @ban-duration=600;room-id=12345;target-user-id=67890;tmi-sent-ts=... :tmi.twitch.tv CLEARCHAT #channel :username
+   * @room-id=12345;tmi-sent-ts=... :tmi.twitch.tv CLEARCHAT #channel
+   *
+   * Without a trailing username the whole chat was cleared (/clear).
+   * A missing ban-duration means a permanent ban.
+   *
+   * @param {string} ircMessage - Raw IRC message
+   */
+  parseClearChat(ircMessage) {
+    const tags = this.parseTags(ircMessage.split(' :')[0]);
+    const userMatch = ircMessage.match(/CLEARCHAT #\w+ :(\S+)/);
+
+    if (!userMatch) {
+      console.log(`🧹 Twitch chat cleared in #${this.channelName}`);
+      this.emitModeration({ type: 'chat-cleared' });
+      return;
+    }
+
+    const duration = parseInt(tags['ban-duration'], 10);
+
+    console.log(`🧹 Twitch user ${isNaN(duration) ? 'banned' : `timed out (${duration}s)`}: ${userMatch[1]}`);
+    this.emitModeration({
+      type: 'user-purged',
+      username: userMatch[1],
+      userId: tags['target-user-id'] || null,
+      duration: isNaN(duration) ? null : duration
+    });
+  }
+
+  /**
+   * Emit a moderation event to the owner
+   *
+   * @param {Object} event - Moderation event ({ type, ... })
+   */
+  emitModeration(event) {
+    if (this.onModeration) {
+      this.onModeration({ ...event, platform: 'twitch', timestamp: Date.now() });
+    }
+  }
+
+  /**
+   * Extract the IRC command from a raw line
+   * Skips the optional @tags and :prefix parts
+   *
+   * @param {string} ircMessage - Raw IRC line
+   * @returns {string} Command (e.g. 'PRIVMSG', 'USERNOTICE', '001')
+   */
+  getCommand(ircMessage) {
+    const parts = ircMessage.split(' ');
+    let index = 0;
+
+    if (parts[index]?.startsWith('@')) index++;
+    if (parts[index]?.startsWith(':')) index++;
+
+    return parts[index] || '';
+  }
+
+  /**
+   * Handle PING from Twitch IRC server
+   * Responds with PONG to keep connection alive
+   * @param {string} message - PING message
+   */
+  handlePing(message) {
+    const server = message.split(':')[1]?.trim() || 'tmi.twitch.tv';
+    this.send(`PONG :${server}`);
+  }
+
+  /**
+   * Start ping interval to keep connection alive
+   * Sends PING every 4 minutes
+   */
+  startPingInterval() {
+    this.stopPingInterval(); // Clear any existing interval
+    this.pingInterval = setInterval(() => {
+      if (this.connected && this.ws && this.ws.readyState === WebSocket.OPEN) {
+        this.send('PING :tmi.twitch.tv');
+      }
+    }, 240000); // 4 minutes
+  }
+
+  /**
+   * Stop ping interval
+   */
+  stopPingInterval() {
+    if (this.pingInterval) {
+      clearInterval(this.pingInterval);
+      this.pingInterval = null;
+    }
+  }
+
+  /**
+   * Parse PRIVMSG (chat messages) from Twitch IRC
+   *
+   * IRC Message Format:
+   * @badge-info=;badges=moderator/1;color=#FF0000;display-name=Username;emotes=;id=abc-123;mod=1;... :username!username@username.tmi.twitch.tv PRIVMSG #channel :message text
+   *
+   * Parsed Components:
+   * - Tags: Key-value pairs with user metadata (@tags)
+   * - Username: Extracted from :username! prefix
+   * - Message: Text after PRIVMSG #channel :
+   *
+   * Important Tags:
+   * - display-name: User's display name (with capitalization)
+   * - color: User's chosen username color
+   * - badges: Comma-separated badges (moderator/1,subscriber/12)
+   * - mod: 1 if moderator, 0 otherwise
+   * - id: Unique message ID
+   * - emotes: Emote positions (e.g., "25:0-4,6-10"), in code points
+   * - bits: Bits cheered with this message (cheers only)
+   *
+   * `text` is the plain message; `fragments` splits it into text, emote and
+   * cheermote tokens for rendering.
+   *
+   * Cheers are emitted as paid messages (isSuperchat) so they share the
+   * Super Chat highlight, with `superchatTier` 1-5 set by the bits amount.
+   *
+   * @param {string} ircMessage - Raw IRC message
+   */
+  parsePrivateMessage(ircMessage) {
+    try {
+      // Parse IRC tags (everything before first ' :')
+      const tagsPart = ircMessage.split(' :')[0];
+      const tags = this.parseTags(tagsPart);
+
+      // Parse username from :username!username@username.tmi.twitch.tv
+      const userMatch = ircMessage.match(/:(\w+)!/);
+      const username = userMatch ? userMatch[1] : 'Unknown';
+
+      // Parse message text from PRIVMSG #channel :text
+      // (not trimmed at the start: emote positions count from the first character)
+      const messageMatch = ircMessage.match(/PRIVMSG #\w+ :(.+)/);
+      const text = messageMatch ? this.stripAction(messageMatch[1]).trimEnd() : '';
+
+      // Ignore empty messages
+      if (!text) return;
+
+      const chatMessage = this.createChatMessage(tags, username, text);
+
+      if (chatMessage.bits) {
+        console.log(`💎 Twitch cheer: ${chatMessage.username} cheered ${chatMessage.bits} bits`);
+      }
+
+      // Emit to owner via callback
+      if (this.onMessage) {
+        this.onMessage(chatMessage);
+      }
+    } catch (error) {
+      console.error('❌ Error parsing Twitch message:', error);
+    }
+  }
+
+  /**
+   * Build the normalized message for a chat line
+   * Shared by received PRIVMSGs and messages the bot sent
+   *
+   * @param {Object} tags - Parsed IRC tags (PRIVMSG or USERSTATE)
+   * @param {string} username - Sender's login
+   * @param {string} text - Plain message text
+   * @returns {Object} Normalized chat message
+   */
+  createChatMessage(tags, username, text) {
+    // Bits cheered with this message, if any
+    const bits = parseInt(tags['bits'], 10) || 0;
+
+    // Split text into text/emote/cheermote fragments
+    const fragments = this.buildFragments(text, tags['emotes'], bits > 0);
+
+    // Convert to overlay message format
+    const chatMessage = {
+      id: tags['id'] || Date.now(),                                      // Unique message ID
+      username: tags['display-name'] || username,                        // Display name with caps
+      userId: tags['user-id'] || null,                                   // Matches CLEARCHAT target-user-id
+      login: username,                                                   // Lowercase login (avatar lookup)
+      text,                                                              // Plain message content
+      fragments,                                                         // Text, emote and cheermote tokens
+      avatar: null,                                                      // Filled in from Helix by platformConnections
+      platform: 'twitch',
+      usernameColor: tags['color'] || this.getRandomColor(),            // User's chosen color or random
+      isModerator: tags['mod'] === '1' || tags['badges']?.includes('moderator'), // Check mod tag or badge
+      isSuperchat: bits > 0,                                             // Cheers share the Super Chat highlight
+      amount: bits > 0 ? `${bits.toLocaleString('en-US')} bits` : null,
+      badges: this.parseBadges(tags['badges'], tags['room-id']),        // Badge images ({ name, url, ... })
+      timestamp: Date.now()
+    };
+
+    if (bits > 0) {
+      chatMessage.bits = bits;
+      chatMessage.superchatTier = cheermotes.getBitsTier(bits);
+    }
+
+    return chatMessage;
+  }
+
+  /**
+   * Parse USERNOTICE (subs, resubs, gift subs, raids, announcements)
+   *
+   * IRC Message Format:
+   * @badge-info=subscriber/12;badges=subscriber/12;color=#FF0000;display-name=Username;msg-id=resub;msg-param-cumulative-months=12;msg-param-sub-plan=1000;system-msg=Username\ssubscribed\sat\sTier\s1...;... :tmi.twitch.tv USERNOTICE #channel :optional user message
+   *
+   * Important Tags:
+   * - msg-id: Notice type (sub, resub, subgift, submysterygift, raid, announcement, ...)
+   * - system-msg: Twitch's human-readable description of the event
+   * - msg-param-cumulative-months: Total months subscribed (sub/resub)
+   * - msg-param-streak-months: Consecutive months, if shared (resub)
+   * - msg-param-sub-plan: 'Prime', '1000', '2000' or '3000'
+   * - msg-param-recipient-display-name: Gift recipient (subgift)
+   * - msg-param-mass-gift-count: Number of gifted subs (submysterygift)
+   * - msg-param-viewerCount: Raiding viewers (raid)
+   * - msg-param-color: Announcement color (announcement)
+   *
+   * Unsupported msg-ids are ignored.
+   *
+   * @param {string} ircMessage - Raw IRC message
+   */
+  parseUserNotice(ircMessage) {
+    try {
+      const tagsPart = ircMessage.split(' :')[0];
+      const tags = this.parseTags(tagsPart);
+      const eventType = USERNOTICE_EVENT_TYPES[tags['msg-id']];
+
+      if (!eventType) {
+        return;
+      }
+
+      // Optional message the user attached (resub message, announcement text)
+      const messageMatch = ircMessage.match(/USERNOTICE #\w+ :(.+)/);
+      const text = messageMatch ? messageMatch[1].trimEnd() : '';
+
+      const chatMessage = {
+        id: tags['id'] || Date.now(),
+        username: tags['display-name'] || tags['login'] || 'Anonymous',
+        userId: tags['user-id'] || null,
+        login: tags['login'] || null,
+        text,
+        fragments: this.buildFragments(text, tags['emotes'], false),
+        avatar: this.getRaidAvatar(tags),
+        platform: 'twitch',
+        usernameColor: tags['color'] || this.getRandomColor(),
+        isModerator: tags['mod'] === '1' || tags['badges']?.includes('moderator'),
+        isSuperchat: false,
+        amount: null,
+        badges: this.parseBadges(tags['badges'], tags['room-id']),
+        timestamp: Date.now(),
+        eventType,
+        event: this.buildEventDetails(eventType, tags)
+      };
+
+      console.log(`🎉 Twitch ${eventType}: ${chatMessage.event.systemMessage || chatMessage.username}`);
+
+      if (this.onMessage) {
+        this.onMessage(chatMessage);
+      }
+    } catch (error) {
+      console.error('❌ Error parsing Twitch USERNOTICE:', error);
+    }
+  }
+
+  /**
+   * Build the typed event details for a USERNOTICE
+   *
+   * @param {string} eventType - Overlay event type
+   * @param {Object} tags - Parsed IRC tags
+   * @returns {Object} Event details (fields not relevant to the type are null)
+   */
+  buildEventDetails(eventType, tags) {
+    const toNumber = (value) => {
+      const number = parseInt(value, 10);
+      return isNaN(number) ? null : number;
+    };
+
+    const event = {
+      type: eventType,
+      systemMessage: tags['system-msg'] || '',
+      months: toNumber(tags['msg-param-cumulative-months'] || tags['msg-param-months']),
+      streakMonths: toNumber(tags['msg-param-streak-months']),
+      tier: this.parseSubTier(tags['msg-param-sub-plan']),
+      giftCount: null,
+      recipient: null,
+      viewerCount: null,
+      color: null
+    };
+
+    switch (eventType) {
+      case 'subgift':
+        event.giftCount = 1;
+        event.recipient = tags['msg-param-recipient-display-name'] || tags['msg-param-recipient-user-name'] || null;
+        break;
+
+      case 'submysterygift':
+        event.giftCount = toNumber(tags['msg-param-mass-gift-count']);
+        break;
+
+      case 'raid':
+        event.viewerCount = toNumber(tags['msg-param-viewerCount']);
+        break;
+
+      case 'announcement':
+        event.color = (tags['msg-param-color'] || 'PRIMARY').toLowerCase();
+        break;
+    }
+
+    return event;
+  }
+
+  /**
+   * Normalize a Twitch sub plan to a tier label
+   *
+   * @param {string} [plan] - msg-param-sub-plan value ('Prime', '1000', '2000', '3000')
+   * @returns {string|null} 'Prime', '1', '2', '3', or null if not a sub event
+   */
+  parseSubTier(plan) {
+    if (!plan) return null;
+    if (plan === 'Prime') return 'Prime';
+
+    const tier = parseInt(plan, 10) / 1000;
+    return isNaN(tier) ? null : String(tier);
+  }
+
+  /**
+   * Get the raider's profile image from raid tags
+   * Raids are the only USERNOTICE that carries an avatar URL
+   *
+   * @param {Object} tags - Parsed IRC tags
+   * @returns {string|null} Avatar URL or null
+   */
+  getRaidAvatar(tags) {
+    const url = tags['msg-param-profileImageURL'];
+    return url ? url.replace('%s', '70x70') : null;
+  }
+
+  /**
+   * Handle WebSocket errors
+   * @param {Error} error - Error object
+   */
+  handleError(error) {
+    console.error('❌ Twitch WebSocket error:', error);
+  }
+
+  /**
+   * Handle WebSocket connection close
+   * Attempts to reconnect if not manually disconnected
+   */
+  handleClose() {
+    console.log('👋 Disconnected from Twitch');
+
+    this.connected = false;
+    this.stopPingInterval();
+    this.pendingOwnMessages = [];
+    this.emitBotStatus();
+
+    // Attempt to reconnect if we haven't exceeded max attempts
+    if (this.channelName && this.reconnectAttempts < this.maxReconnectAttempts) {
+      this.reconnectAttempts++;
+      console.log(`🔄 Reconnecting... (attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts})`);
+
+      this.reconnectTimeout = setTimeout(() => {
+        this.reconnectTimeout = null;
+        if (this.channelName) {
+          this.connect();
+        }
+      }, this.reconnectDelay);
+    } else if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+      console.error('❌ Max reconnection attempts reached. Please reconnect manually.');
+    }
+  }
+
+  /**
+   * Disconnect from Twitch IRC
+   * Closes WebSocket connection and cleans up
+   */
+  disconnect() {
+    console.log('👋 Disconnecting from Twitch...');
+
+    this.channelName = null; // Prevent reconnection
+    this.stopPingInterval();
+
+    if (this.validateInterval) {
+      clearInterval(this.validateInterval);
+      this.validateInterval = null;
+    }
+
+    if (this.reconnectTimeout) {
+      clearTimeout(this.reconnectTimeout);
+      this.reconnectTimeout = null;
+    }
+
+    if (this.ws) {
+      this.ws.close();
+      this.ws = null;
+    }
+
+    this.connected = false;
+    console.log('✅ Twitch chat disconnected');
+  }
+
+  /**
+   * Parse IRC tags from message
+   * Tag values are unescaped (e.g. '\s' becomes a space in system-msg)
+   *
+   * @param {string} tagString - Tag string from IRC message
+   * @returns {Object} Parsed tags object
+   */
+  parseTags(tagString) {
+    const tags = {};
+    const tagParts = tagString.split(';');
+
+    tagParts.forEach(tag => {
+      const separator = tag.indexOf('=');
+      const key = separator === -1 ? tag : tag.slice(0, separator);
+      const value = separator === -1 ? '' : this.unescapeTagValue(tag.slice(separator + 1));
+
+      if (key && key.startsWith('@')) {
+        tags[key.substring(1)] = value;
+      } else if (key) {
+        tags[key] = value;
+      }
+    });
+
+    return tags;
+  }
+
+  /**
+   * Unescape an IRCv3 tag value
+   *
+   * @param {string} value - Escaped tag value
+   * @returns {string} Unescaped value
+   */
+  unescapeTagValue(value) {
+    return value.replace(/\\(.)/g, (match, char) => TAG_ESCAPES[char] ?? char);
+  }
+
+  /**
+   * Parse the badges tag into badge objects with image URLs
+   * Badge format: "badge1/1,badge2/1"
+   *
+   * @param {string} [badgeString] - IRC badges tag
+   * @param {string} [roomId] - Channel's user ID (for channel badges)
+   * @returns {Object[]} Badges ({ name, version, url, title })
+   */
+  parseBadges(badgeString, roomId) {
+    return twitchBadges.resolveBadges(badgeString, roomId || this.roomId);
+  }
+
+  getRandomColor() {
+    const colors = [
+      '#FF0000', '#0000FF', '#00FF00', '#B22222', '#FF7F50', '#9ACD32',
+      '#FF4500', '#2E8B57', '#DAA520', '#D2691E', '#5F9EA0', '#1E90FF',
+      '#FF69B4', '#8A2BE2', '#00FF7F'
+    ];
+    return colors[Math.floor(Math.random() * colors.length)];
+  }
+
+  /**
+   * Fetch the channel's cheermotes (global + custom prefixes)
+   * Keeps the fallback "Cheer" images if Helix isn't configured or fails
+   */
+  async fetchCheermotes() {
+    const helixCheermotes = await twitchApi.getCheermotes(this.roomId);
+
+    if (helixCheermotes.length > 0) {
+      this.cheermotes = cheermotes.buildCheermoteMap(helixCheermotes);
+      console.log(`✅ Loaded ${this.cheermotes.size} Twitch cheermotes`);
+    }
+  }
+
+  /**
+   * Split message text into rendering fragments
+   * Emotes come from the IRC `emotes` tag; cheer tokens only count in cheers
+   *
+   * @param {string} text - Plain message text
+   * @param {string} [emotesTag] - IRC `emotes` tag value
+   * @param {boolean} cheer - Message carries bits; replace cheer tokens
+   * @returns {Object[]} Fragments ({ type: 'text' | 'emote' | 'cheermote', ... })
+   */
+  buildFragments(text, emotesTag, cheer) {
+    const fragments = messageFragments.buildFragments(text, emotesTag);
+    return cheer ? messageFragments.addCheermotes(fragments, this.cheermotes) : fragments;
+  }
+
+  /**
+   * Unwrap a /me message ("\u0001ACTION text\u0001")
+   * Twitch reports emote positions relative to the unwrapped text
+   *
+   * @param {string} text - Raw PRIVMSG text
+   * @returns {string} Text without the ACTION wrapper
+   */
+  stripAction(text) {
+    const match = text.match(/^\u0001ACTION (.*)\u0001$/);
+    return match ? match[1] : text;
+  }
+}
+
+module.exports = TwitchChatClient;
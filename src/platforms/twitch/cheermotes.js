@@ -0,0 +1,119 @@
+/**
+ * Twitch Cheermotes
+ *
+ * Helpers for turning bits cheers into paid messages:
+ * - Tiering a cheer by its bits amount (1 / 100 / 1000 / 5000 / 10000)
+ * - Building a prefix → tier image lookup from the Helix cheermotes list
+ * - Falling back to the standard "Cheer" images when Helix is unavailable
+ *
+ * @module platforms/twitch/cheermotes
+ */
+
+/**
+ * Bits thresholds for the standard cheer tiers, lowest first
+ * The index + 1 is the overlay's superchat tier (1-5)
+ * @type {number[]}
+ */
+const BITS_TIERS = [1, 100, 1000, 5000, 10000];
+
+/**
+ * Colors Twitch uses for the standard cheer tiers
+ * @type {Object<number, string>}
+ */
+const TIER_COLORS = {
+  1: '#979797',
+  100: '#9c3ee8',
+  1000: '#1db2a5',
+  5000: '#0099fe',
+  10000: '#f43021'
+};
+
+/**
+ * Public CDN pattern for the animated "Cheer" cheermote
+ * @type {string}
+ */
+const FALLBACK_IMAGE_URL = 'https://d3aqoihi2n8ty8.cloudfront.net/actions/cheer/dark/animated/{tier}/1.gif';
+
+/**
+ * Get the overlay tier (1-5) for a bits amount
+ *
+ * @param {number} bits - Bits cheered
+ * @returns {number} Tier from 1 (1+ bits) to 5 (10000+ bits)
+ */
+function getBitsTier(bits) {
+  let tier = 1;
+  BITS_TIERS.forEach((threshold, index) => {
+    if (bits >= threshold) {
+      tier = index + 1;
+    }
+  });
+  return tier;
+}
+
+/**
+ * Build the fallback cheermote lookup (standard "Cheer" prefix only)
+ *
+ * @returns {Map<string, Object[]>} Lowercase prefix → tiers (lowest first)
+ */
+function getFallbackCheermotes() {
+  const tiers = BITS_TIERS.map(minBits => ({
+    minBits,
+    color: TIER_COLORS[minBits],
+    imageUrl: FALLBACK_IMAGE_URL.replace('{tier}', minBits)
+  }));
+
+  return new Map([['cheer', tiers]]);
+}
+
+/**
+ * Build a cheermote lookup from the Helix /bits/cheermotes response
+ * Uses the dark, animated, 1x image of every tier
+ *
+ * @param {Object[]} helixCheermotes - Helix cheermote objects
+ * @returns {Map<string, Object[]>} Lowercase prefix → tiers (lowest first)
+ */
+function buildCheermoteMap(helixCheermotes) {
+  const cheermotes = new Map();
+
+  helixCheermotes.forEach(cheermote => {
+    const tiers = (cheermote.tiers || [])
+      .filter(tier => tier.images?.dark?.animated?.['1'])
+      .map(tier => ({
+        minBits: tier.min_bits,
+        color: tier.color,
+        imageUrl: tier.images.dark.animated['1']
+      }))
+      .sort((a, b) => a.minBits - b.minBits);
+
+    if (cheermote.prefix && tiers.length > 0) {
+      cheermotes.set(cheermote.prefix.toLowerCase(), tiers);
+    }
+  });
+
+  return cheermotes;
+}
+
+/**
+ * Find the image tier for a cheer token amount
+ *
+ * @param {Object[]} tiers - Tiers of one prefix, lowest first
+ * @param {number} amount - Bits in the token (e.g. 100 for "Cheer100")
+ * @returns {Object} Highest tier whose minBits <= amount
+ */
+function findTier(tiers, amount) {
+  let match = tiers[0];
+  tiers.forEach(tier => {
+    if (amount >= tier.minBits) {
+      match = tier;
+    }
+  });
+  return match;
+}
+
+module.exports = {
+  BITS_TIERS,
+  getBitsTier,
+  getFallbackCheermotes,
+  buildCheermoteMap,
+  findTier
+};
@@ -0,0 +1,139 @@
+/**
+ * Twitch Message Fragments
+ *
+ * Splits Twitch chat text into a structured token list using the IRC
+ * `emotes` tag, so every emote the sender could use (global, subscriber,
+ * follower, ...) renders, even when glued to punctuation.
+ *
+ * Fragment types:
+ * - { type: 'text', text }
+ * - { type: 'emote', id, name, url }
+ * - { type: 'cheermote', name, amount, url, color }
+ *
+ * Twitch reports emote positions in Unicode code points, while JavaScript
+ * strings index UTF-16 code units. Emoji outside the BMP take two code
+ * units, so the text is split into code points before slicing.
+ *
+ * @module platforms/twitch/messageFragments
+ */
+
+const cheermotes = require('./cheermotes');
+
+/**
+ * Twitch CDN pattern for emote images ('default' serves animated when available)
+ * @type {string}
+ */
+const EMOTE_URL = 'https://static-cdn.jtvnw.net/emoticons/v2/{id}/default/dark/1.0';
+
+/**
+ * Parse the IRC `emotes` tag
+ *
+ * @param {string} [emotesTag] - Tag value (e.g. "25:0-4,12-16/1902:6-10")
+ * @returns {Object[]} Emote ranges ({ id, start, end }, inclusive code point indices), sorted by start
+ */
+function parseEmotesTag(emotesTag) {
+  if (!emotesTag) return [];
+
+  const ranges = [];
+
+  emotesTag.split('/').forEach(entry => {
+    const [id, positions] = entry.split(':');
+    if (!id || !positions) return;
+
+    positions.split(',').forEach(position => {
+      const [start, end] = position.split('-').map(value => parseInt(value, 10));
+      if (!isNaN(start) && !isNaN(end) && end >= start) {
+        ranges.push({ id, start, end });
+      }
+    });
+  });
+
+  return ranges.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Append text to a fragment list, merging with a previous text fragment
+ *
+ * @param {Object[]} fragments - Fragment list
+ * @param {string} text - Text to append
+ */
+function pushText(fragments, text) {
+  if (!text) return;
+
+  const last = fragments[fragments.length - 1];
+  if (last && last.type === 'text') {
+    last.text += text;
+  } else {
+    fragments.push({ type: 'text', text });
+  }
+}
+
+/**
+ * Build the fragment list for a message
+ * Ranges that overlap or fall outside the text are ignored
+ *
+ * @param {string} text - Message text
+ * @param {string} [emotesTag] - IRC `emotes` tag value
+ * @returns {Object[]} Text and emote fragments, in order
+ */
+function buildFragments(text, emotesTag) {
+  const codePoints = Array.from(text || '');
+  const fragments = [];
+  let cursor = 0;
+
+  parseEmotesTag(emotesTag).forEach(({ id, start, end }) => {
+    if (start < cursor || end >= codePoints.length) return;
+
+    pushText(fragments, codePoints.slice(cursor, start).join(''));
+
+    const name = codePoints.slice(start, end + 1).join('');
+    fragments.push({ type: 'emote', id, name, url: EMOTE_URL.replace('{id}', id) });
+
+    cursor = end + 1;
+  });
+
+  pushText(fragments, codePoints.slice(cursor).join(''));
+  return fragments;
+}
+
+/**
+ * Replace cheer tokens ("Cheer100", "corgo500", ...) in text fragments with cheermotes
+ * Only whole words count, like on Twitch
+ *
+ * @param {Object[]} fragments - Fragment list from buildFragments()
+ * @param {Map<string, Object[]>} cheermoteMap - Lowercase prefix → tiers (see cheermotes.js)
+ * @returns {Object[]} New fragment list
+ */
+function addCheermotes(fragments, cheermoteMap) {
+  const result = [];
+
+  fragments.forEach(fragment => {
+    if (fragment.type !== 'text') {
+      result.push(fragment);
+      return;
+    }
+
+    // Split on whitespace, keeping it, so the text round-trips exactly
+    fragment.text.split(/(\s+)/).forEach(word => {
+      const match = word.match(/^([a-z]+)(\d+)$/i);
+      const tiers = match && cheermoteMap.get(match[1].toLowerCase());
+      const amount = match ? parseInt(match[2], 10) : 0;
+
+      if (!tiers || amount <= 0) {
+        pushText(result, word);
+        return;
+      }
+
+      const tier = cheermotes.findTier(tiers, amount);
+      result.push({ type: 'cheermote', name: word, amount, url: tier.imageUrl, color: tier.color });
+    });
+  });
+
+  return result;
+}
+
+module.exports = {
+  parseEmotesTag,
+  buildFragments,
+  addCheermotes
+};
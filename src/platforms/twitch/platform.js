@@ -0,0 +1,57 @@
+/**
+ * Twitch platform definition (see platforms/registry)
+ *
+ * Connection targets are channel names (case-insensitive, '#' optional).
+ * Each connection runs a TwitchAdapter. Sending chat and moderating need
+ * bot mode (twitch.oauthToken), so without a token the platform doesn't
+ * offer them; with one, each adapter enables them once the token is
+ * validated (TwitchAdapter). Avatars need Helix credentials.
+ *
+ * @module platforms/twitch/platform
+ */
+
+const config = require('../../config');
+const twitchApi = require('../../services/twitchApi');
+const twitchAuth = require('../../services/twitchAuth');
+const TwitchAdapter = require('./TwitchAdapter');
+
+module.exports = {
+  id: 'twitch',
+  name: 'Twitch',
+  targetName: 'channel',
+  icon: 'fab fa-twitch',
+  color: '#9146FF',
+  emoji: '🟣',
+  defaultTarget: config.twitch.defaultChannel || '',
+
+  capabilities: {
+    sendChat: !!config.twitch.oauthToken,
+    deletion: !!config.twitch.oauthToken,
+    timeouts: !!config.twitch.oauthToken,
+    avatars: twitchApi.isConfigured()
+  },
+
+  Adapter: TwitchAdapter,
+
+  /**
+   * Normalize a channel name
+   *
+   * @param {string} target - Channel name as typed
+   * @returns {string} Lowercase name without '#'
+   */
+  normalizeTarget(target) {
+    return String(target || '').trim().replace(/^#/, '').toLowerCase();
+  },
+
+  /**
+   * Configuration status for GET /health
+   * @returns {Object} { apiConfigured, anonymous, token } (token status, never the token)
+   */
+  getFeatures() {
+    return {
+      apiConfigured: twitchApi.isConfigured(),
+      anonymous: !config.twitch.oauthToken,
+      token: twitchAuth.getStatus()
+    };
+  }
+};
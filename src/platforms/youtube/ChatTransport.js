@@ -0,0 +1,147 @@
+/**
+ * ChatTransport - Base class for YouTube live chat transports
+ *
+ * A transport delivers pages of liveChatMessages (the `liveChat/messages`
+ * response shape: `{ items, nextPageToken, pollingIntervalMillis }`) for
+ * one live chat, however it gets them. YouTubeChatClient only talks to
+ * this interface, so transports can be swapped per connection and
+ * replaced by a fallback when they fail:
+ *
+ * - PollingTransport: `liveChat/messages`, one request per poll interval
+ * - StreamListTransport: `liveChat/messages/stream`, one long-lived response
+ *
+ * Both reach YouTube through services/youtubeApi, whose base URL can point
+ * at a local mock server (`youtube.apiBaseUrl` in config.js).
+ *
+ * Callbacks, set by the owner:
+ * - onPage(page): a page of messages arrived
+ * - onEnded(reason): the live chat is over ('chatEnded' API reasons)
+ * - onFailed(reason): the transport gave up; the owner picks a fallback
+ *
+ * @class ChatTransport
+ * @example
+ * const transport = new PollingTransport(liveChatId);
+ * transport.onPage = (page) => page.items.forEach(handleItem);
+ * transport.onEnded = (reason) => disconnect();
+ * transport.onFailed = (reason) => useFallback(transport.pageToken);
+ * transport.start();
+ */
+
+/**
+ * API error reasons meaning the live chat is gone for good
+ * @type {string[]}
+ */
+const CHAT_ENDED_REASONS = ['liveChatEnded', 'liveChatNotFound', 'liveChatDisabled'];
+
+class ChatTransport {
+  /**
+   * Initialize a new transport for a live chat
+   *
+   * @param {string} liveChatId - Live chat ID (from the video's liveStreamingDetails)
+   */
+  constructor(liveChatId) {
+    this.liveChatId = liveChatId;
+    this.pageToken = null;                     // Resume point, also handed to a fallback
+    this.running = false;
+
+    // Callbacks, set by the owner (YouTubeChatClient)
+    this.onPage = null;
+    this.onEnded = null;
+    this.onFailed = null;
+  }
+
+  /**
+   * Name shown in logs and status
+   * @returns {string} Transport name
+   */
+  get name() {
+    return 'transport';
+  }
+
+  /**
+   * Start receiving messages
+   *
+   * @param {string|null} [pageToken] - Resume after this page (e.g. from a failed transport)
+   */
+  start(pageToken = null) {
+    this.pageToken = pageToken;
+    this.running = true;
+  }
+
+  /**
+   * Stop receiving messages; no callbacks fire afterwards
+   */
+  stop() {
+    this.running = false;
+  }
+
+  /**
+   * Hand a page to the owner and remember where it ends
+   *
+   * @param {Object} page - liveChatMessages response body
+   */
+  emitPage(page) {
+    if (!this.running) return;
+
+    this.pageToken = page.nextPageToken || this.pageToken;
+
+    if (this.onPage) {
+      this.onPage(page);
+    }
+  }
+
+  /**
+   * Stop because the live chat ended
+   *
+   * @param {string} reason - API error reason (e.g. 'liveChatEnded')
+   */
+  end(reason) {
+    if (!this.running) return;
+    this.stop();
+
+    if (this.onEnded) {
+      this.onEnded(reason);
+    }
+  }
+
+  /**
+   * Stop and let the owner fall back to something else
+   *
+   * @param {string} reason - What went wrong (for logs)
+   */
+  fail(reason) {
+    if (!this.running) return;
+    this.stop();
+
+    if (this.onFailed) {
+      this.onFailed(reason);
+    }
+  }
+
+  /**
+   * Check whether an API error reason means the live chat is over
+   *
+   * @param {string|null} reason - API error reason
+   * @returns {boolean} True if polling or streaming again can't succeed
+   */
+  static isChatEndedReason(reason) {
+    return CHAT_ENDED_REASONS.includes(reason);
+  }
+
+  /**
+   * Read the error reason from a failed API response
+   *
+   * @param {Response} response - Failed response
+   * @returns {Promise<string|null>} Reason (e.g. 'liveChatEnded', 'quotaExceeded') or null
+   */
+  static async getErrorReason(response) {
+    try {
+      const data = await response.json();
+      return data.error?.errors?.[0]?.reason || null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = ChatTransport;
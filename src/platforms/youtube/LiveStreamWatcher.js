@@ -0,0 +1,137 @@
+/**
+ * LiveStreamWatcher - Follows a channel's live broadcast in the background
+ *
+ * Checks the channel every interval (services/youtubeLiveStream: RSS feed
+ * plus a 1-unit `videos` lookup) and reports when a new broadcast goes live
+ * or the followed one ends. A stream that drops and restarts gets a new
+ * video ID, which is reported as a new broadcast.
+ *
+ * When the feed can't be read, `search` (100 units) is used instead, at
+ * most once per SEARCH_FALLBACK_INTERVAL_MS.
+ *
+ * Callbacks, set by the owner (platformConnections):
+ * - onLive(stream): a broadcast other than the followed one is live
+ *   ({ videoId, title, channelTitle, thumbnail, startedAt })
+ * - onEnded({ videoId }): the followed broadcast is no longer live
+ *
+ * @class LiveStreamWatcher
+ */
+
+const youtubeLiveStream = require('../../services/youtubeLiveStream');
+
+/**
+ * Shortest time between two search fallbacks
+ * @type {number}
+ */
+const SEARCH_FALLBACK_INTERVAL_MS = 15 * 60 * 1000; // 15 minutes
+
+class LiveStreamWatcher {
+  /**
+   * Create a watcher for a channel
+   *
+   * @param {string} channelId - YouTube channel ID
+   * @param {Object} [options] - Watcher options
+   * @param {number} [options.intervalMs=120000] - Time between checks
+   */
+  constructor(channelId, options = {}) {
+    this.channelId = channelId;
+    this.intervalMs = options.intervalMs || 120000;
+
+    // Callbacks, set by the owner
+    this.onLive = null;
+    this.onEnded = null;
+
+    this.running = false;
+    this.checkTimeout = null;                  // Next check handle
+    this.liveVideoId = null;                   // Broadcast currently followed
+    this.lastSearchAt = 0;                     // Last search fallback (ms)
+  }
+
+  /**
+   * Start watching (first check right away)
+   */
+  start() {
+    this.running = true;
+    console.log(`👀 Watching YouTube channel ${this.channelId} for live streams (every ${Math.round(this.intervalMs / 1000)}s)`);
+    this.check();
+  }
+
+  /**
+   * Stop watching; no callbacks fire afterwards
+   */
+  stop() {
+    this.running = false;
+    clearTimeout(this.checkTimeout);
+    this.checkTimeout = null;
+  }
+
+  /**
+   * Check the channel once and schedule the next check
+   */
+  async check() {
+    if (!this.running) return;
+
+    try {
+      const stream = await this.findLiveStream();
+
+      // Watcher may have been stopped while the lookup was in flight
+      if (!this.running) return;
+
+      if (stream && stream.videoId !== this.liveVideoId) {
+        console.log(`🔴 YouTube live stream started: ${stream.videoId} (${stream.title})`);
+        this.liveVideoId = stream.videoId;
+
+        if (this.onLive) {
+          this.onLive(stream);
+        }
+      } else if (!stream && this.liveVideoId) {
+        const videoId = this.liveVideoId;
+        console.log(`⏹️  YouTube live stream ended: ${videoId}`);
+        this.liveVideoId = null;
+
+        if (this.onEnded) {
+          this.onEnded({ videoId });
+        }
+      }
+    } catch (error) {
+      // Keep the current state; a failed check says nothing about the stream
+      console.warn(`⚠️  Live stream check failed: ${error.message}`);
+    }
+
+    if (this.running) {
+      this.checkTimeout = setTimeout(() => this.check(), this.intervalMs);
+    }
+  }
+
+  /**
+   * Look up the live broadcast, falling back to a throttled search
+   *
+   * @returns {Promise<Object|null>} Live stream or null
+   * @throws {Error} If neither the feed nor (when allowed) search worked
+   */
+  async findLiveStream() {
+    const extraVideoIds = this.liveVideoId ? [this.liveVideoId] : [];
+
+    try {
+      return await youtubeLiveStream.findLiveStreamInFeed(this.channelId, extraVideoIds);
+    } catch (error) {
+      if (error.code !== 'feedUnavailable' || Date.now() - this.lastSearchAt < SEARCH_FALLBACK_INTERVAL_MS) {
+        throw error;
+      }
+
+      console.warn(`⚠️  ${error.message}. Checking with YouTube search (100 units).`);
+      this.lastSearchAt = Date.now();
+      return youtubeLiveStream.searchLiveStream(this.channelId);
+    }
+  }
+
+  /**
+   * Check if the watcher is running
+   * @returns {boolean} Running state
+   */
+  isActive() {
+    return this.running;
+  }
+}
+
+module.exports = LiveStreamWatcher;
@@ -0,0 +1,184 @@
+/**
+ * PollingTransport - YouTube live chat over `liveChat/messages` polling
+ *
+ * Requests a page of messages, waits for the API-suggested interval
+ * (pollingIntervalMillis, usually 5-10 seconds) and requests the next one.
+ * Every request costs quota, and messages show up one interval late; when
+ * the day's remaining quota can't cover that pace, the interval is stretched
+ * (services/youtubeQuota).
+ *
+ * Rate Limiting:
+ * - Handles HTTP 429 with exponential backoff (10s, 20s, 40s, 80s, 160s)
+ * - Fails (owner falls back to simulation) after max retries or on quota errors
+ * - Retries server errors (5xx) after 30 seconds and network errors after 10
+ *
+ * @class PollingTransport
+ * @extends ChatTransport
+ */
+
+const youtubeApi = require('../../services/youtubeApi');
+const youtubeQuota = require('../../services/youtubeQuota');
+const ChatTransport = require('./ChatTransport');
+
+class PollingTransport extends ChatTransport {
+  /**
+   * Initialize a new polling transport
+   *
+   * @param {string} liveChatId - Live chat ID
+   * @param {Object} [options] - Polling options
+   * @param {number} [options.defaultPollingDelay] - Delay when the API doesn't suggest one (ms)
+   */
+  constructor(liveChatId, options = {}) {
+    super(liveChatId);
+
+    this.pollTimeout = null;                               // Next poll handle
+    this.pollingDelay = 5000;                              // Current delay (updated by API)
+    this.defaultPollingDelay = options.defaultPollingDelay || 7000;
+
+    // Rate limit handling
+    this.rateLimitRetryCount = 0;                          // Current retry attempt count
+    this.maxRetries = 5;                                   // Max retries before failing
+  }
+
+  /**
+   * Name shown in logs and status
+   * @returns {string} 'polling'
+   */
+  get name() {
+    return 'polling';
+  }
+
+  /**
+   * Start polling (first request right away)
+   *
+   * @param {string|null} [pageToken] - Resume after this page
+   */
+  start(pageToken = null) {
+    super.start(pageToken);
+    this.fetchMessages();
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    super.stop();
+    clearTimeout(this.pollTimeout);
+    this.pollTimeout = null;
+  }
+
+  /**
+   * Schedule next poll with dynamic delay
+   * @param {number} delay - Delay in milliseconds
+   */
+  scheduleNextPoll(delay) {
+    clearTimeout(this.pollTimeout);
+
+    this.pollTimeout = setTimeout(() => {
+      this.fetchMessages();
+    }, delay);
+  }
+
+  /**
+   * Fetch one page of live chat messages and schedule the next request
+   */
+  async fetchMessages() {
+    if (!this.running) return;
+
+    try {
+      const response = await youtubeApi.fetchChatMessages(this.liveChatId, this.pageToken);
+
+      // Transport may have been stopped while the request was in flight
+      if (!this.running) return;
+
+      // Handle rate limiting (429 Too Many Requests)
+      if (response.status === 429) {
+        this.rateLimitRetryCount++;
+
+        if (this.rateLimitRetryCount <= this.maxRetries) {
+          // Exponential backoff: 10s, 20s, 40s, 80s, 160s
+          const backoffDelay = Math.min(10000 * Math.pow(2, this.rateLimitRetryCount - 1), 300000);
+          console.warn(`⚠️  Rate limited (429). Retry ${this.rateLimitRetryCount}/${this.maxRetries} in ${backoffDelay/1000}s`);
+
+          this.scheduleNextPoll(backoffDelay);
+        } else {
+          console.error('❌ Rate limit exceeded. Max retries reached.');
+          this.fail('rateLimited');
+        }
+        return;
+      }
+
+      // Handle other HTTP errors
+      if (!response.ok) {
+        console.error(`❌ HTTP Error ${response.status}: ${response.statusText}`);
+
+        // Stream is over (or chat turned off); polling again can't succeed
+        const reason = await ChatTransport.getErrorReason(response);
+        if (ChatTransport.isChatEndedReason(reason)) {
+          this.end(reason);
+          return;
+        }
+
+        // Retry with backoff for server errors (5xx)
+        if (response.status >= 500) {
+          const retryDelay = 30000; // 30 seconds for server errors
+          console.warn(`⚠️  Server error. Retrying in ${retryDelay/1000}s`);
+          this.scheduleNextPoll(retryDelay);
+          return;
+        }
+
+        this.fail(reason || `HTTP ${response.status}`);
+        return;
+      }
+
+      const data = await response.json();
+
+      // Handle API errors in response body
+      if (data.error) {
+        console.error('❌ YouTube API error:', data.error.message);
+
+        // Handle quota exceeded
+        if (data.error.code === 403 && data.error.message.includes('quota')) {
+          console.error('❌ YouTube API quota exceeded.');
+          this.fail('quotaExceeded');
+          return;
+        }
+
+        // Retry other errors with backoff
+        this.scheduleNextPoll(30000);
+        return;
+      }
+
+      // Success! Reset rate limit counter
+      this.rateLimitRetryCount = 0;
+
+      if (data.items && data.items.length > 0) {
+        console.log(`✅ Fetched ${data.items.length} messages`);
+      }
+      this.emitPage(data);
+
+      // A chatEndedEvent in this page stopped the transport
+      if (!this.running) return;
+
+      // Use YouTube's suggested polling interval (usually 5-10 seconds),
+      // stretched if the remaining quota can't keep up with it
+      const suggestedDelay = data.pollingIntervalMillis || this.defaultPollingDelay;
+      const pollingDelay = youtubeQuota.getPollingDelay(suggestedDelay);
+
+      if (pollingDelay !== this.pollingDelay) {
+        const reason = pollingDelay > suggestedDelay ? ' (stretched to fit remaining quota)' : '';
+        console.log(`🔄 Polling interval updated: ${Math.round(pollingDelay/1000)}s${reason}`);
+        this.pollingDelay = pollingDelay;
+      }
+
+      this.scheduleNextPoll(pollingDelay);
+
+    } catch (error) {
+      console.error('❌ Error fetching messages:', error);
+      // Retry with 10 second delay on network errors
+      this.scheduleNextPoll(10000);
+    }
+  }
+}
+
+module.exports = PollingTransport;
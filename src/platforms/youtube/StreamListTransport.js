@@ -0,0 +1,270 @@
+/**
+ * StreamListTransport - YouTube live chat over `liveChat/messages/stream`
+ *
+ * The streamList endpoint keeps one HTTP response open and writes a new
+ * liveChatMessages page into it whenever messages arrive, so chat shows up
+ * within a second instead of one poll interval later, without a request
+ * (and its quota) per interval. Pages come as a JSON array that never
+ * closes while the stream lives (`[{...},{...}`); newline-separated objects
+ * work as well.
+ *
+ * When the server closes the stream, it is reopened from the last
+ * nextPageToken. If the endpoint can't be used at all (error before the
+ * first page) or keeps failing, the transport fails and the owner falls
+ * back to polling from the same page.
+ *
+ * @class StreamListTransport
+ * @extends ChatTransport
+ */
+
+const { StringDecoder } = require('string_decoder');
+const youtubeApi = require('../../services/youtubeApi');
+const ChatTransport = require('./ChatTransport');
+
+/**
+ * Delay before reopening a stream the server closed normally
+ * @type {number}
+ */
+const REOPEN_DELAY_MS = 1000;
+
+/**
+ * Failed (re)connects in a row before giving up
+ * @type {number}
+ */
+const MAX_RETRIES = 3;
+
+/**
+ * Split streamed text into top-level JSON objects
+ * Brackets, commas and whitespace between objects are skipped; objects may
+ * be cut anywhere across chunks
+ *
+ * @returns {Function} push(text) - Feed the next chunk; returns the objects it completed
+ * @throws {SyntaxError} From push, if a completed object isn't valid JSON
+ */
+function createObjectSplitter() {
+  let buffer = '';
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+
+  return (text) => {
+    const objects = [];
+
+    for (const char of text) {
+      if (depth === 0 && char !== '{') {
+        continue; // Between objects: '[', ',', ']' or whitespace
+      }
+
+      buffer += char;
+
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === '\\') escaped = true;
+        else if (char === '"') inString = false;
+        continue;
+      }
+
+      if (char === '"') inString = true;
+      else if (char === '{') depth++;
+      else if (char === '}' && --depth === 0) {
+        const json = buffer;
+        buffer = '';
+        objects.push(JSON.parse(json));
+      }
+    }
+
+    return objects;
+  };
+}
+
+class StreamListTransport extends ChatTransport {
+  /**
+   * Initialize a new streamList transport
+   *
+   * @param {string} liveChatId - Live chat ID
+   */
+  constructor(liveChatId) {
+    super(liveChatId);
+
+    this.body = null;                                      // Open response stream
+    this.reopenTimeout = null;                             // Pending reopen handle
+    this.receivedPage = false;                             // Endpoint worked at least once
+    this.retries = 0;                                      // Failed (re)connects in a row
+  }
+
+  /**
+   * Name shown in logs and status
+   * @returns {string} 'streaming'
+   */
+  get name() {
+    return 'streaming';
+  }
+
+  /**
+   * Open the stream
+   *
+   * @param {string|null} [pageToken] - Resume after this page
+   */
+  start(pageToken = null) {
+    super.start(pageToken);
+    this.open();
+  }
+
+  /**
+   * Close the stream
+   */
+  stop() {
+    super.stop();
+    clearTimeout(this.reopenTimeout);
+    this.reopenTimeout = null;
+    this.closeBody();
+  }
+
+  /**
+   * Destroy the open response stream, if any
+   */
+  closeBody() {
+    if (this.body) {
+      this.body.removeAllListeners();
+      this.body.on('error', () => {}); // destroy() may still emit
+      this.body.destroy();
+      this.body = null;
+    }
+  }
+
+  /**
+   * Request the stream and start reading pages from it
+   */
+  async open() {
+    let response;
+
+    try {
+      response = await youtubeApi.streamChatMessages(this.liveChatId, this.pageToken);
+    } catch (error) {
+      this.handleStreamError(error.message);
+      return;
+    }
+
+    if (!this.running) {
+      response.body.destroy();
+      return;
+    }
+
+    if (!response.ok) {
+      const reason = await ChatTransport.getErrorReason(response);
+
+      if (ChatTransport.isChatEndedReason(reason)) {
+        this.end(reason);
+      } else {
+        this.handleStreamError(reason || `HTTP ${response.status}`);
+      }
+      return;
+    }
+
+    console.log(`📡 YouTube chat stream open for ${this.liveChatId}`);
+
+    const decoder = new StringDecoder('utf8');
+    const push = createObjectSplitter();
+
+    this.body = response.body;
+    this.body.on('data', chunk => {
+      let pages;
+
+      try {
+        pages = push(decoder.write(chunk));
+      } catch (error) {
+        this.closeBody();
+        this.handleStreamError(`Unreadable stream data: ${error.message}`);
+        return;
+      }
+
+      // A page may stop the transport (error object, chatEndedEvent)
+      pages.forEach(page => this.running && this.body && this.handlePage(page));
+    });
+    this.body.on('end', () => this.handleStreamClosed());
+    this.body.on('error', error => {
+      this.closeBody();
+      this.handleStreamError(error.message);
+    });
+  }
+
+  /**
+   * Handle one page (or error object) read from the stream
+   *
+   * @param {Object} page - liveChatMessages response body
+   */
+  handlePage(page) {
+    if (page.error) {
+      const reason = page.error.errors?.[0]?.reason || null;
+
+      this.closeBody();
+      if (ChatTransport.isChatEndedReason(reason)) {
+        this.end(reason);
+      } else {
+        this.handleStreamError(reason || page.error.message);
+      }
+      return;
+    }
+
+    this.receivedPage = true;
+    this.retries = 0;
+
+    if (page.items && page.items.length > 0) {
+      console.log(`✅ Streamed ${page.items.length} messages`);
+    }
+    this.emitPage(page);
+  }
+
+  /**
+   * Reopen a stream the server closed normally
+   */
+  handleStreamClosed() {
+    this.body = null;
+    if (!this.running) return;
+
+    if (!this.receivedPage) {
+      this.handleStreamError('Stream closed before sending any messages');
+      return;
+    }
+
+    console.log('📡 YouTube chat stream closed by server, reopening');
+    this.scheduleReopen(REOPEN_DELAY_MS);
+  }
+
+  /**
+   * Retry after an error, or give up
+   * Errors before the first page mean the endpoint isn't usable here
+   *
+   * @param {string} reason - What went wrong
+   */
+  handleStreamError(reason) {
+    if (!this.running) return;
+
+    this.retries++;
+
+    if (!this.receivedPage || this.retries > MAX_RETRIES) {
+      console.warn(`⚠️  YouTube chat stream failed: ${reason}`);
+      this.fail(reason);
+      return;
+    }
+
+    const delay = REOPEN_DELAY_MS * Math.pow(2, this.retries);
+    console.warn(`⚠️  YouTube chat stream error (${reason}). Retry ${this.retries}/${MAX_RETRIES} in ${delay/1000}s`);
+    this.scheduleReopen(delay);
+  }
+
+  /**
+   * Reopen the stream after a delay
+   * @param {number} delay - Delay in milliseconds
+   */
+  scheduleReopen(delay) {
+    clearTimeout(this.reopenTimeout);
+
+    this.reopenTimeout = setTimeout(() => {
+      this.reopenTimeout = null;
+      this.open();
+    }, delay);
+  }
+}
+
+module.exports = StreamListTransport;
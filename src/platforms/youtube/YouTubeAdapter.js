@@ -0,0 +1,60 @@
+/**
+ * YouTubeAdapter - Runs a YouTube connection record (see PlatformAdapter)
+ *
+ * One YouTubeChatClient per video, over the transport stored on the record
+ * ('poll' or 'stream'). Without an API key (or with simulationMode on) the
+ * client simulates chat.
+ *
+ * @class YouTubeAdapter
+ */
+
+const config = require('../../config');
+const youtubeApi = require('../../services/youtubeApi');
+const PlatformAdapter = require('../PlatformAdapter');
+const YouTubeChatClient = require('./YouTubeChatClient');
+
+class YouTubeAdapter extends PlatformAdapter {
+  /**
+   * Create the chat client for the record's video
+   * @returns {YouTubeChatClient} Client, not connected yet
+   */
+  createClient() {
+    const client = new YouTubeChatClient(this.record.target);
+    client.transportType = this.record.transport || 'poll';
+    client.defaultPollingDelay = config.youtube.pollingInterval || client.defaultPollingDelay;
+    client.stickerImageUrl = config.youtube.superStickerImageUrl || '';
+
+    if (youtubeApi.isConfigured() && !config.youtube.simulationMode) {
+      client.enableApi();
+    } else {
+      console.log('⚠️  No YouTube API key - using simulation mode');
+    }
+
+    return client;
+  }
+
+  /**
+   * Whether the client found the live chat and is reading it
+   * @returns {boolean} Connection status
+   */
+  isClientConnected() {
+    return !!this.client?.isActive();
+  }
+
+  /**
+   * Get the connection status
+   * @returns {Object} { state, transport, simulation, quotaPausedUntil }
+   */
+  getStatus() {
+    const resumesAt = this.client?.quotaResumesAt;
+
+    return {
+      ...super.getStatus(),
+      transport: this.record.transport || 'poll',
+      simulation: !!this.client?.simulationMode,
+      quotaPausedUntil: resumesAt ? new Date(resumesAt).toISOString() : null
+    };
+  }
+}
+
+module.exports = YouTubeAdapter;
@@ -0,0 +1,715 @@
+/**
+ * YouTube Chat Client
+ *
+ * Server-side connection to YouTube live chat and message processing.
+ * Supports both real YouTube API and simulation mode for testing.
+ * One instance runs per connected video, shared by every overlay.
+ *
+ * Features:
+ * - Real-time chat from the YouTube Live Chat API, polled or streamed
+ * - Automatic fallback from streaming to polling
+ * - Pauses when the daily quota runs out, reconnects after the reset
+ * - Simulation mode for testing without API key
+ * - Quota-aware error handling
+ *
+ * Flow:
+ * 1. connect() → Checks whether the API is enabled
+ * 2. If enabled → connectToRealChat() → fetchLiveChatId() → startTransport()
+ *    (no live chat, or a failed lookup, ends the connection via onChatEnded)
+ * 3. If not (no API key) → startSimulation() (generates fake messages)
+ * 4. Messages processed via processMessage() → onMessage callback
+ *
+ * Simulated chat is only ever produced without an API key: a real
+ * connection never falls back to it, so fake messages can't reach
+ * overlays, chat history or the event stream during a broadcast.
+ *
+ * Transports (transportType, set by the owner per connection):
+ * - 'poll': PollingTransport, one `liveChat/messages` request per interval
+ * - 'stream': StreamListTransport, one long-lived `liveChat/messages/stream`
+ *   response; falls back to polling from the same page when it fails
+ *
+ * Message Types (snippet.type):
+ * - textMessageEvent → plain chat
+ * - superChatEvent / superStickerEvent → paid messages (stickers carry `sticker`)
+ * - newSponsorEvent, memberMilestoneChatEvent, membershipGiftingEvent,
+ *   giftMembershipReceivedEvent → typed events (`eventType` + `event`)
+ * - messageDeletedEvent, userBannedEvent → moderation events (onModeration)
+ * - chatEndedEvent → the transport stops and onChatEnded fires
+ * - Anything else (chat mode changes, tombstones) is skipped
+ *
+ * Rate limiting and retries live in the transports (see ChatTransport).
+ * When polling fails for good, the connection ends (onChatEnded) unless
+ * the quota ran out: then the client waits for the Pacific midnight reset
+ * (services/youtubeQuota) and connects again.
+ * All API calls go through services/youtubeApi, which owns the API key.
+ *
+ * @module platforms/youtube/YouTubeChatClient
+ */
+
+const youtubeApi = require('../../services/youtubeApi');
+const youtubeQuota = require('../../services/youtubeQuota');
+const PollingTransport = require('./PollingTransport');
+const StreamListTransport = require('./StreamListTransport');
+
+/**
+ * Image shown for Super Stickers when no image URL template is configured
+ * The Data API only sends sticker IDs and alt text, never images, so every
+ * sticker gets this same picture. The message keeps the sticker's ID and
+ * alt text (`sticker.id`, `sticker.altText`); the overlay captions the
+ * image with the alt text so viewers can tell stickers apart.
+ * `youtube.superStickerImageUrl` replaces it with a per-ID image.
+ * @type {string}
+ */
+const DEFAULT_STICKER_IMAGE_URL = '/images/stickers/super-sticker.svg';
+
+/**
+ * Extra wait after the quota reset before reconnecting (clock differences)
+ * @type {number}
+ */
+const QUOTA_RESUME_MARGIN_MS = 60 * 1000;
+
+/**
+ * YouTube snippet types that become typed overlay events
+ * @type {Object<string, string>}
+ */
+const SNIPPET_EVENT_TYPES = {
+  newSponsorEvent: 'membership',
+  memberMilestoneChatEvent: 'milestone',
+  membershipGiftingEvent: 'membershipgift',
+  giftMembershipReceivedEvent: 'giftreceived'
+};
+
+class YouTubeChatClient {
+  /**
+   * Create a YouTube chat client
+   *
+   * @param {string} videoId - YouTube video ID (11 characters, e.g., 'dQw4w9WgXcQ')
+   */
+  constructor(videoId) {
+    // Connection configuration
+    this.videoId = videoId;                    // YouTube video ID to monitor
+    this.liveChatId = null;                    // Live chat ID from YouTube API
+
+    // Callbacks, set by the owner (platformConnections)
+    this.onMessage = null;                     // Normalized chat messages
+    this.onModeration = null;                  // message-deleted / user-purged
+    this.onChatEnded = null;                   // Live chat ended ({ reason })
+
+    // Super Sticker image URL template ('{id}' = sticker ID), set by the owner
+    // Empty: every sticker shows DEFAULT_STICKER_IMAGE_URL with its alt text
+    this.stickerImageUrl = '';
+
+    // State management
+    this.isConnected = false;                  // Connection status flag
+    this.connecting = false;                   // Live chat lookup in progress
+    this.quotaResumeTimeout = null;            // Reconnect after the quota reset
+    this.quotaResumesAt = null;                // When that happens (ms), while paused
+    this.simulationMode = true;                // Default to simulation (API disabled)
+
+    // Transport configuration
+    this.transportType = 'poll';               // 'poll' or 'stream', set by the owner
+    this.transport = null;                     // Active ChatTransport (real API only)
+    this.defaultPollingDelay = 7000;           // Used when the API doesn't suggest one
+
+    // Simulation
+    this.pollingInterval = null;               // setInterval handle
+  }
+
+  /**
+   * Connect to YouTube live chat
+   * Initializes either real API connection or simulation mode
+   */
+  connect() {
+    console.log(`📺 YouTube chat client connecting to video: ${this.videoId}`);
+
+    // Check if the API is enabled for this client
+    if (!this.simulationMode && youtubeApi.isConfigured()) {
+      this.connectToRealChat();
+    } else {
+      this.startSimulation();
+    }
+  }
+
+  /**
+   * Disconnect from YouTube live chat
+   * Stops the transport (or simulation) and cleans up resources
+   */
+  disconnect() {
+    if (this.transport) {
+      this.transport.stop();
+      this.transport = null;
+    }
+
+    if (this.pollingInterval) {
+      clearInterval(this.pollingInterval);
+      this.pollingInterval = null;
+    }
+
+    clearTimeout(this.quotaResumeTimeout);
+    this.quotaResumeTimeout = null;
+    this.quotaResumesAt = null;
+
+    this.isConnected = false;
+    this.connecting = false;
+    this.liveChatId = null;
+
+    console.log('👋 YouTube chat disconnected');
+  }
+
+  /**
+   * Connect to real YouTube live chat using API
+   * Requires valid API key and live stream
+   */
+  async connectToRealChat() {
+    console.log('🔑 Connecting to YouTube API...');
+    this.connecting = true;
+
+    let reason = null;
+    try {
+      await this.fetchLiveChatId();
+      if (!this.liveChatId) {
+        console.error('❌ No active live chat found for this video');
+        reason = 'liveChatNotFound';
+      }
+    } catch (error) {
+      console.error('❌ Error fetching live chat ID:', error.message);
+      reason = 'liveChatLookupFailed';
+    }
+
+    // Disconnected while the lookup was running
+    if (!this.connecting) {
+      return;
+    }
+    this.connecting = false;
+
+    if (reason && youtubeQuota.getRemaining() === 0) {
+      this.pauseUntilQuotaReset();
+      return;
+    }
+    if (reason) {
+      this.endChat(reason);
+      return;
+    }
+
+    this.isConnected = true;
+    console.log('✅ Connected to YouTube live chat');
+
+    // Start receiving messages
+    this.startTransport(this.transportType);
+  }
+
+  /**
+   * Fetch the live chat ID for the video
+   * @returns {Promise<string|null>} Live chat ID or null if the video has no active chat
+   * @throws {Error} If the API returns an error
+   */
+  async fetchLiveChatId() {
+    this.liveChatId = await youtubeApi.getLiveChatId(this.videoId);
+    return this.liveChatId;
+  }
+
+  /**
+   * Start receiving live chat messages through a transport
+   *
+   * @param {string} type - 'poll' or 'stream'
+   * @param {string|null} [pageToken] - Resume after this page (fallback from another transport)
+   */
+  startTransport(type, pageToken = null) {
+    const transport = type === 'stream'
+      ? new StreamListTransport(this.liveChatId)
+      : new PollingTransport(this.liveChatId, { defaultPollingDelay: this.defaultPollingDelay });
+
+    transport.onPage = (page) => {
+      (page.items || []).forEach(item => this.isConnected && this.processMessage(item));
+    };
+    transport.onEnded = (reason) => this.endChat(reason);
+    transport.onFailed = (reason) => {
+      // Out of quota: polling would fail the same way until the reset
+      if (reason === 'quotaExceeded') {
+        youtubeQuota.markExhausted();
+        this.pauseUntilQuotaReset();
+        return;
+      }
+
+      if (transport instanceof StreamListTransport) {
+        console.warn(`⚠️  YouTube streaming unavailable (${reason}). Falling back to polling.`);
+        this.startTransport('poll', transport.pageToken);
+        return;
+      }
+
+      console.error(`❌ YouTube polling failed (${reason}). Ending the connection.`);
+      this.endChat(reason);
+    };
+
+    this.transport = transport;
+    console.log(`📡 YouTube chat using ${transport.name} transport`);
+    transport.start(pageToken);
+  }
+
+  /**
+   * Stop reading until the daily quota resets, then connect again
+   * The live chat ID is looked up anew: the broadcast may have ended by then
+   */
+  pauseUntilQuotaReset() {
+    if (this.transport) {
+      this.transport.stop();
+      this.transport = null;
+    }
+    this.isConnected = false;
+
+    const delayMs = youtubeQuota.getMsUntilReset() + QUOTA_RESUME_MARGIN_MS;
+    this.quotaResumesAt = Date.now() + delayMs;
+    console.warn(`⏸️  YouTube quota exhausted. Pausing ${this.videoId} for ${Math.round(delayMs / 60000)} min, until the quota resets.`);
+
+    clearTimeout(this.quotaResumeTimeout);
+    this.quotaResumeTimeout = setTimeout(() => {
+      this.quotaResumeTimeout = null;
+      this.quotaResumesAt = null;
+      console.log(`▶️  YouTube quota reset. Reconnecting to ${this.videoId}`);
+      this.connectToRealChat();
+    }, delayMs);
+  }
+
+  /**
+   * Start simulation mode for testing without API
+   * Generates fake messages at random intervals
+   */
+  startSimulation() {
+    console.log('🎮 YouTube chat simulation mode (for testing)');
+    console.log('');
+    console.log('To connect to real YouTube chat:');
+    console.log('1. Get a YouTube Data API v3 key from Google Cloud Console');
+    console.log('   https://console.cloud.google.com/apis/credentials');
+    console.log('2. Add the API key to config.js');
+    console.log('3. Restart the server');
+    console.log('');
+
+    this.simulationMode = true;
+    this.isConnected = true;
+
+    // Simulate messages every 5-10 seconds
+    this.pollingInterval = setInterval(() => {
+      // Random chance to generate a message
+      if (Math.random() > 0.7) {
+        this.generateSimulatedMessage();
+      }
+    }, 5000);
+  }
+
+  /**
+   * Generate a simulated message for testing
+   * Mostly plain chat, sometimes a paid message or membership event,
+   * shaped like real liveChatMessages items
+   */
+  generateSimulatedMessage() {
+    const username = this.getRandomUsername();
+    const userId = Math.random().toString(36).substr(2, 9);
+
+    const simulatedMessage = {
+      id: `sim_${Date.now()}`,
+      authorDetails: {
+        displayName: username,
+        // Generate a realistic YouTube avatar URL
+        profileImageUrl: `https://yt3.ggpht.com/a/default-user=s88-c-k-c0x00ffffff-no-rj`,
+        isChatModerator: Math.random() > 0.8,
+        isChatSponsor: Math.random() > 0.9,
+        channelId: `UC${userId}`
+      },
+      snippet: {
+        publishedAt: new Date().toISOString(),
+        ...this.getRandomSnippet(username)
+      }
+    };
+
+    this.processMessage(simulatedMessage);
+  }
+
+  /**
+   * Get a random message snippet for simulation
+   *
+   * @param {string} username - Simulated author
+   * @returns {Object} Snippet fields (type, displayMessage, <type>Details)
+   */
+  getRandomSnippet(username) {
+    const text = this.getRandomMessage();
+    const roll = Math.random();
+    const amount = {
+      amountDisplayString: '$' + (Math.random() * 100 + 1).toFixed(2),
+      amountMicros: Math.floor(Math.random() * 100000000),
+      currency: 'USD',
+      tier: Math.floor(Math.random() * 5) + 1
+    };
+
+    if (roll > 0.97) {
+      return {
+        type: 'superChatEvent',
+        displayMessage: `${amount.amountDisplayString} from ${username}: "${text}"`,
+        superChatDetails: { ...amount, userComment: text }
+      };
+    }
+    if (roll > 0.95) {
+      return {
+        type: 'superStickerEvent',
+        displayMessage: `Super Sticker from ${username}`,
+        superStickerDetails: {
+          ...amount,
+          superStickerMetadata: { stickerId: 'sim_sticker', altText: 'Waving hand', altTextLanguage: 'en' }
+        }
+      };
+    }
+    if (roll > 0.93) {
+      return {
+        type: 'newSponsorEvent',
+        displayMessage: `Welcome to Members, ${username}!`,
+        newSponsorDetails: { memberLevelName: 'Members', isUpgrade: false }
+      };
+    }
+    if (roll > 0.91) {
+      const months = Math.floor(Math.random() * 24) + 2;
+      return {
+        type: 'memberMilestoneChatEvent',
+        displayMessage: `${username} has been a member for ${months} months`,
+        memberMilestoneChatDetails: { memberLevelName: 'Members', memberMonth: months, userComment: text }
+      };
+    }
+    if (roll > 0.90) {
+      const count = [1, 5, 10, 20][Math.floor(Math.random() * 4)];
+      return {
+        type: 'membershipGiftingEvent',
+        displayMessage: `${username} gifted ${count} memberships`,
+        membershipGiftingDetails: { giftMembershipsCount: count, giftMembershipsLevelName: 'Members' }
+      };
+    }
+
+    return {
+      type: 'textMessageEvent',
+      displayMessage: text,
+      textMessageDetails: { messageText: text }
+    };
+  }
+
+  /**
+   * Process a YouTube chat message
+   * Converts YouTube API message format to standardized overlay format,
+   * dispatching on snippet.type (older simulated messages have none)
+   *
+   * YouTube API Message Structure:
+   * - id: Unique message ID
+   * - snippet.type: Message type (textMessageEvent, superChatEvent, ...)
+   * - snippet.displayMessage: Text YouTube would display for the message
+   * - snippet.<type>Details: Type-specific details (superChatDetails, ...)
+   * - authorDetails.displayName: Username
+   * - authorDetails.channelId: Author's channel ID
+   * - authorDetails.profileImageUrl: Avatar URL
+   * - authorDetails.isChatModerator: Moderator status
+   * - authorDetails.isChatSponsor: Channel member/sponsor status
+   *
+   * Overlay Message Format:
+   * - id: Unique message identifier
+   * - username: Display name
+   * - userId: Author's channel ID
+   * - text: Message content
+   * - avatar: Profile image URL
+   * - platform: 'youtube'
+   * - usernameColor: Random color for display
+   * - isModerator: Boolean flag
+   * - isSuperchat: Boolean flag for Super Chats and Super Stickers
+   * - amount: Donation amount string (e.g., "$5.00")
+   * - sticker: Super Sticker ({ id, altText, url })
+   * - eventType / event: Membership events (see buildEventDetails)
+   * - badges: Array of badge identifiers
+   * - timestamp: Current timestamp for sorting
+   *
+   * @param {Object} message - YouTube API message object
+   */
+  processMessage(message) {
+    const snippet = message.snippet || {};
+    const type = snippet.type || (snippet.superChatDetails ? 'superChatEvent' : 'textMessageEvent');
+    let chatMessage;
+
+    switch (type) {
+      case 'textMessageEvent':
+        chatMessage = this.createChatMessage(message,
+          snippet.textMessageDetails?.messageText ?? snippet.displayMessage ?? '');
+        break;
+
+      case 'superChatEvent': {
+        const details = snippet.superChatDetails || {};
+        chatMessage = this.createChatMessage(message, details.userComment ?? snippet.displayMessage ?? '');
+        chatMessage.isSuperchat = true;
+        chatMessage.amount = details.amountDisplayString || null;
+        break;
+      }
+
+      case 'superStickerEvent': {
+        const details = snippet.superStickerDetails || {};
+        chatMessage = this.createChatMessage(message, '');
+        chatMessage.isSuperchat = true;
+        chatMessage.amount = details.amountDisplayString || null;
+        chatMessage.sticker = this.buildSticker(details.superStickerMetadata);
+        break;
+      }
+
+      case 'messageDeletedEvent':
+        this.emitModeration({
+          type: 'message-deleted',
+          messageId: snippet.messageDeletedDetails?.deletedMessageId,
+          username: null
+        });
+        return;
+
+      case 'userBannedEvent': {
+        const details = snippet.userBannedDetails || {};
+        const bannedUser = details.bannedUserDetails || {};
+        this.emitModeration({
+          type: 'user-purged',
+          username: bannedUser.displayName || null,
+          userId: bannedUser.channelId || null,
+          duration: details.banType === 'temporary' ? details.banDurationSeconds || null : null
+        });
+        return;
+      }
+
+      case 'chatEndedEvent':
+        this.endChat('chatEnded');
+        return;
+
+      default: {
+        const eventType = SNIPPET_EVENT_TYPES[type];
+
+        if (!eventType) {
+          console.log(`ℹ️  Skipping YouTube ${type} message`);
+          return;
+        }
+
+        const event = this.buildEventDetails(eventType, snippet);
+        chatMessage = this.createChatMessage(message, event.userComment);
+        delete event.userComment;
+        chatMessage.eventType = eventType;
+        chatMessage.event = event;
+
+        console.log(`🎉 YouTube ${eventType}: ${event.systemMessage || chatMessage.username}`);
+      }
+    }
+
+    // Hand off to the owner, which broadcasts to all overlays
+    if (this.onMessage) {
+      this.onMessage(chatMessage);
+    }
+  }
+
+  /**
+   * Report a moderation event to the owner
+   *
+   * @param {Object} event - Event without platform ({ type, messageId } or { type, username, userId, duration })
+   */
+  emitModeration(event) {
+    if (this.onModeration) {
+      this.onModeration({ ...event, platform: 'youtube' });
+    }
+  }
+
+  /**
+   * Stop receiving messages for good: the live chat ended or can't be read
+   *
+   * @param {string} reason - 'chatEnded' (chatEndedEvent), 'liveChatNotFound',
+   *   'liveChatLookupFailed' or the API error reason
+   */
+  endChat(reason) {
+    console.log(`⏹️  YouTube chat stopped for ${this.videoId} (${reason})`);
+    this.disconnect();
+
+    if (this.onChatEnded) {
+      this.onChatEnded({ reason });
+    }
+  }
+
+  /**
+   * Create the overlay message shared by every snippet type
+   *
+   * @param {Object} message - YouTube API message object
+   * @param {string} text - Text to show (user's message or comment)
+   * @returns {Object} Overlay message (plain chat; callers add paid/event fields)
+   */
+  createChatMessage(message, text) {
+    const authorDetails = message.authorDetails || {};
+
+    return {
+      id: message.id,
+      username: authorDetails.displayName,
+      userId: authorDetails.channelId || null,
+      text,
+      avatar: authorDetails.profileImageUrl || null,
+      platform: 'youtube',
+      usernameColor: this.getRandomColor(),
+      isModerator: authorDetails.isChatModerator || false,
+      isSuperchat: false,
+      amount: null,
+      badges: this.getBadges(authorDetails),
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Build the typed event details for a membership message
+   *
+   * @param {string} eventType - Overlay event type
+   * @param {Object} snippet - YouTube message snippet
+   * @returns {Object} Event details (fields not relevant to the type are null);
+   *   `userComment` is the member's message and moves to the overlay `text`
+   */
+  buildEventDetails(eventType, snippet) {
+    const event = {
+      type: eventType,
+      systemMessage: snippet.displayMessage || '',
+      levelName: null,
+      months: null,
+      giftCount: null,
+      isUpgrade: false,
+      userComment: ''
+    };
+
+    switch (eventType) {
+      case 'membership': {
+        const details = snippet.newSponsorDetails || {};
+        event.levelName = details.memberLevelName || null;
+        event.isUpgrade = !!details.isUpgrade;
+        break;
+      }
+
+      case 'milestone': {
+        const details = snippet.memberMilestoneChatDetails || {};
+        event.levelName = details.memberLevelName || null;
+        event.months = details.memberMonth || null;
+        event.userComment = details.userComment || '';
+        break;
+      }
+
+      case 'membershipgift': {
+        const details = snippet.membershipGiftingDetails || {};
+        event.levelName = details.giftMembershipsLevelName || null;
+        event.giftCount = details.giftMembershipsCount || null;
+        break;
+      }
+
+      case 'giftreceived': {
+        const details = snippet.giftMembershipReceivedDetails || {};
+        event.levelName = details.memberLevelName || null;
+        break;
+      }
+    }
+
+    return event;
+  }
+
+  /**
+   * Build the sticker of a Super Sticker
+   * The image URL comes from the configured template, or is the bundled
+   * sticker image; the overlay captions it with the alt text
+   *
+   * @param {Object} [metadata] - superStickerDetails.superStickerMetadata
+   * @returns {Object} { id, altText, url }
+   */
+  buildSticker(metadata = {}) {
+    const id = metadata.stickerId || null;
+
+    return {
+      id,
+      altText: metadata.altText || 'Super Sticker',
+      url: id && this.stickerImageUrl
+        ? this.stickerImageUrl.replace('{id}', encodeURIComponent(id))
+        : DEFAULT_STICKER_IMAGE_URL
+    };
+  }
+
+  /**
+   * Extract user badges from author details
+   * @param {Object} authorDetails - YouTube author details
+   * @returns {Array<string>} Badge identifiers
+   */
+  getBadges(authorDetails) {
+    const badges = [];
+
+    if (authorDetails.isChatSponsor) {
+      badges.push('sponsor');
+    }
+
+    if (authorDetails.isChatModerator) {
+      badges.push('moderator');
+    }
+
+    if (authorDetails.isVerified) {
+      badges.push('verified');
+    }
+
+    return badges;
+  }
+
+  /**
+   * Generate a random color for username
+   * @returns {string} Hex color code
+   */
+  getRandomColor() {
+    const colors = [
+      '#FF0000', '#00FF00', '#0000FF', '#FFFF00', '#FF00FF', '#00FFFF',
+      '#FF6B6B', '#4ECDC4', '#45B7D1', '#FFA07A', '#98D8C8', '#F7DC6F',
+      '#E74C3C', '#3498DB', '#2ECC71', '#F39C12', '#9B59B6', '#1ABC9C'
+    ];
+    return colors[Math.floor(Math.random() * colors.length)];
+  }
+
+  /**
+   * Get a random username for simulation
+   * @returns {string} Random username
+   */
+  getRandomUsername() {
+    const adjectives = ['Cool', 'Epic', 'Super', 'Mega', 'Ultra', 'Pro', 'Elite'];
+    const nouns = ['Gamer', 'Streamer', 'Viewer', 'Fan', 'User', 'Watcher'];
+    const number = Math.floor(Math.random() * 1000);
+
+    return `${adjectives[Math.floor(Math.random() * adjectives.length)]}${nouns[Math.floor(Math.random() * nouns.length)]}${number}`;
+  }
+
+  /**
+   * Get a random message for simulation
+   * @returns {string} Random message text
+   */
+  getRandomMessage() {
+    const messages = [
+      'Hello from YouTube! 👋',
+      'Great stream!',
+      'Love the content! ❤️',
+      'Keep it up! 🔥',
+      'Amazing! 🎉',
+      'This is awesome! 😎',
+      'First! 🎯',
+      'Watching from [country]! 🌍',
+      'Been watching for hours! ⏰',
+      'Your best stream yet! ⭐',
+      'Can you say hi? 🙋',
+      'Thanks for streaming! 🙏',
+      'This game looks fun! 🎮',
+      'What keyboard do you use? ⌨️',
+      'Subscribed! 📺'
+    ];
+    return messages[Math.floor(Math.random() * messages.length)];
+  }
+
+  /**
+   * Enable the real YouTube API connection
+   * The API key itself stays inside services/youtubeApi
+   */
+  enableApi() {
+    this.simulationMode = false;
+  }
+
+  /**
+   * Check if client is connected
+   * @returns {boolean} Connection status
+   */
+  isActive() {
+    return this.isConnected;
+  }
+}
+
+module.exports = YouTubeChatClient;
@@ -0,0 +1,41 @@
+/**
+ * YouTube platform definition (see platforms/registry)
+ *
+ * Connection targets are video IDs. Each connection runs a YouTubeAdapter;
+ * chat is read-only from the overlay's side (no sending or moderation).
+ *
+ * @module platforms/youtube/platform
+ */
+
+const config = require('../../config');
+const youtubeApi = require('../../services/youtubeApi');
+const YouTubeAdapter = require('./YouTubeAdapter');
+
+module.exports = {
+  id: 'youtube',
+  name: 'YouTube',
+  targetName: 'video ID',
+  icon: 'fab fa-youtube',
+  color: '#FF0000',
+  emoji: '▶️',
+
+  capabilities: {
+    sendChat: false,
+    deletion: false,
+    timeouts: false,
+    avatars: true
+  },
+
+  Adapter: YouTubeAdapter,
+
+  /**
+   * Configuration status for GET /health
+   * @returns {Object} { apiConfigured, simulationMode }
+   */
+  getFeatures() {
+    return {
+      apiConfigured: youtubeApi.isConfigured(),
+      simulationMode: config.youtube.simulationMode
+    };
+  }
+};
@@ -0,0 +1,46 @@
+/**
+ * Control Panel Auth Routes
+ *
+ * Handles control panel login and logout:
+ * - Login form submission (sets the session cookie)
+ * - Logout (clears the session cookie)
+ *
+ * @module routes/auth
+ */
+
+const express = require('express');
+const controlAuth = require('../auth/controlAuth');
+
+const router = express.Router();
+
+/**
+ * Log in to the control panel
+ * Accepts the login form (urlencoded) or JSON
+ *
+ * @route POST /control/login
+ * @param {string} token - Control token from config.js
+ * @returns Redirect to /control (with ?error=1 on a wrong token)
+ */
+router.post('/login', express.urlencoded({ extended: false }), (req, res) => {
+  if (!controlAuth.isValidToken(req.body?.token)) {
+    console.warn('🔒 Failed control panel login attempt');
+    return res.redirect('/control?error=1');
+  }
+
+  controlAuth.setSessionCookie(res);
+  console.log('🔓 Control panel login');
+  res.redirect('/control');
+});
+
+/**
+ * Log out of the control panel
+ *
+ * @route POST /control/logout
+ * @returns Redirect to /control (login page)
+ */
+router.post('/logout', (req, res) => {
+  res.clearCookie(controlAuth.SESSION_COOKIE, { path: '/' });
+  res.redirect('/control');
+});
+
+module.exports = router;
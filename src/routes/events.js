@@ -0,0 +1,58 @@
+/**
+ * Event API Routes
+ *
+ * The merged chat feed for local tools (TTS bots, stats loggers):
+ * - Server-Sent Events stream of chat and moderation broadcasts, optionally filtered
+ * - Outbound webhook targets and their delivery log
+ *
+ * @module routes/events
+ */
+
+const express = require('express');
+const controlAuth = require('../auth/controlAuth');
+const eventStream = require('../events/eventStream');
+const webhooks = require('../events/webhooks');
+
+const router = express.Router();
+
+/**
+ * Stream chat messages and moderation events as Server-Sent Events
+ * Same data overlays get over WebSocket, so no login is needed (like overlays)
+ *
+ * @route GET /api/events
+ * @query {string} [platform] - Only events from these platforms (comma-separated)
+ * @query {string} [type] - Only these event types or chat event types
+ *   (comma-separated, e.g. 'chat-message' or 'sub,raid'); default: chat
+ *   messages and moderation events
+ * @returns {text/event-stream} One `data: { type, data }` message per event;
+ *   503 if too many streams are open
+ */
+router.get('/', (req, res) => {
+  const subscribed = eventStream.subscribe(req, res, {
+    platforms: req.query.platform,
+    types: req.query.type
+  });
+
+  if (!subscribed) {
+    res.status(503).json({
+      status: 'error',
+      message: 'Too many event streams open'
+    });
+  }
+});
+
+/**
+ * Get the outbound webhook targets and the delivery log
+ * Requires the control session or token (target URLs may carry credentials)
+ *
+ * @route GET /api/events/webhooks
+ * @returns {Object} Targets with delivery counts, and recent deliveries (newest first)
+ */
+router.get('/webhooks', controlAuth.requireControlApi, (req, res) => {
+  res.json({
+    status: 'ok',
+    ...webhooks.getStatus()
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,110 @@
+/**
+ * Ingest API Routes
+ *
+ * Lets local tools (Discord bots, donation alerts, scripts) put chat
+ * messages and events on the overlay:
+ * - Signed, validated, rate-limited messages from the sources in config.js
+ * - The JSON schema of the accepted message shape
+ *
+ * Requests carry three headers:
+ * - X-Ingest-Source: source ID from `ingest.sources`
+ * - X-Ingest-Timestamp: Unix time in seconds
+ * - X-Ingest-Signature: `sha256=` + hex HMAC-SHA256 of
+ *   `${timestamp}.${raw body}` with the source's secret
+ *
+ * @module routes/ingest
+ */
+
+const express = require('express');
+const ingestSources = require('../platforms/ingest/sources');
+const messageSchema = require('../platforms/ingest/messageSchema');
+const messageHandlers = require('../websocket/messageHandlers');
+
+const router = express.Router();
+
+/**
+ * Send an error response
+ *
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @param {Object} [details] - Extra response fields
+ */
+function sendError(res, status, message, details = {}) {
+  res.status(status).json({
+    status: 'error',
+    message,
+    ...details
+  });
+}
+
+/**
+ * Post a chat message or event from an ingest source
+ * Delivered like a message from a platform connector: chat history, every
+ * overlay (platform filters apply) and the control panel's chat feed
+ *
+ * @route POST /api/ingest
+ * @header {string} X-Ingest-Source - Source ID
+ * @header {string} X-Ingest-Timestamp - Unix time in seconds
+ * @header {string} X-Ingest-Signature - sha256=<hex HMAC>
+ * @body {Object} Message (see GET /api/ingest/schema)
+ * @returns {Object} 202 with the message ID; 400 invalid message, 401 bad
+ *   source, signature or replayed request, 429 rate limited (Retry-After)
+ */
+router.post('/', (req, res) => {
+  const source = ingestSources.getSource(req.get('X-Ingest-Source'));
+  if (!source) {
+    return sendError(res, 401, 'Unknown ingest source (X-Ingest-Source)');
+  }
+
+  if (!req.rawBody) {
+    return sendError(res, 400, 'Expected a JSON body (Content-Type: application/json)');
+  }
+
+  const signatureError = ingestSources.verifySignature(
+    source,
+    req.get('X-Ingest-Timestamp'),
+    req.get('X-Ingest-Signature'),
+    req.rawBody
+  );
+  if (signatureError) {
+    console.warn(`⚠️  Rejected ingest request from ${source.id}: ${signatureError}`);
+    return sendError(res, 401, signatureError);
+  }
+
+  // Validate before taking a rate limit slot, so rejected messages don't use them up
+  const errors = messageSchema.validate(req.body);
+  if (errors.length > 0) {
+    return sendError(res, 400, 'Invalid message', { errors });
+  }
+
+  const { allowed, retryAfterMs } = source.rateLimiter.tryAcquire();
+  if (!allowed) {
+    const retryAfterSeconds = Math.ceil(retryAfterMs / 1000);
+    res.set('Retry-After', String(retryAfterSeconds));
+    return sendError(res, 429, `Rate limit reached for ${source.id}`, { retryAfterSeconds });
+  }
+
+  // Only accepted requests count as received: a refused one can be resent unchanged
+  ingestSources.rememberSignature(source, req.get('X-Ingest-Timestamp'), req.get('X-Ingest-Signature'));
+
+  const message = messageSchema.toChatMessage(req.body, source);
+  messageHandlers.handleChatMessage(message);
+
+  res.status(202).json({
+    status: 'ok',
+    id: message.id
+  });
+});
+
+/**
+ * Get the JSON schema of accepted messages
+ *
+ * @route GET /api/ingest/schema
+ * @returns {Object} JSON schema (draft-07)
+ */
+router.get('/schema', (req, res) => {
+  res.json(messageSchema.MESSAGE_SCHEMA);
+});
+
+module.exports = router;
@@ -0,0 +1,55 @@
+/**
+ * Chat Message API Routes
+ *
+ * Read-only access to the server's chat history buffer for tools
+ * (chat logs, bots, dashboards):
+ * - Recent messages across channels, optionally filtered
+ *
+ * @module routes/messages
+ */
+
+const express = require('express');
+
+const router = express.Router();
+
+/**
+ * Default number of messages returned by /recent
+ * @type {number}
+ */
+const DEFAULT_LIMIT = 50;
+
+/**
+ * Get the most recent chat messages
+ * Same buffer that is replayed to overlays on connect
+ *
+ * @route GET /api/messages/recent
+ * @query {number} [limit=50] - Maximum number of messages
+ * @query {string} [platform] - Only messages from this platform ('youtube', 'twitch', 'kick')
+ * @query {string} [channel] - Only messages from this channel (video ID or channel name)
+ * @returns {Object} Messages (oldest first) and per-channel buffer stats
+ */
+router.get('/recent', (req, res) => {
+  const history = req.app.locals.chatHistory;
+  const limit = parseInt(req.query.limit, 10);
+
+  if (req.query.limit !== undefined && (isNaN(limit) || limit < 1)) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'limit must be a positive number'
+    });
+  }
+
+  const messages = history.getRecent(limit || DEFAULT_LIMIT, {
+    platform: req.query.platform,
+    channel: req.query.channel
+  });
+
+  res.json({
+    status: 'ok',
+    count: messages.length,
+    history: history.getStats(),
+    messages
+  });
+});
+
+module.exports = router;
@@ -11,43 +11,52 @@
  */
 
 const express = require('express');
-const config = require('../../config');
+const config = require('../config');
 const configManager = require('../websocket/configManager');
 const clientManager = require('../websocket/clientManager');
+const controlAuth = require('../auth/controlAuth');
+const thirdPartyEmotes = require('../services/thirdPartyEmotes');
+const twitchAvatars = require('../services/twitchAvatars');
+const platformConnections = require('../platforms/platformConnections');
+const registry = require('../platforms/registry');
 
 const router = express.Router();
 
 /**
  * Health check endpoint
- * Returns server status and current configuration
+ * Returns server status, current configuration with each connection's
+ * adapter status, and each platform's capabilities and configuration
  *
  * @route GET /health
  * @returns {Object} Server health and status information
  */
 router.get('/health', (req, res) => {
   const activeConnections = configManager.getActiveConnections();
+  const statuses = platformConnections.getStatuses();
 
   res.json({
     status: 'ok',
     uptime: process.uptime(),
     clients: clientManager.getClientCount(),
     config: {
+      connections: configManager.getConnections().map(record => ({
+        ...record,
+        status: statuses[record.id] || { state: 'disconnected' }
+      })),
       platforms: configManager.getConfig().platforms,
       activeConnections: activeConnections,
       multistream: configManager.isMultistreamActive(),
-      maxMessages: configManager.getConfig().maxMessages
+      maxMessages: configManager.getConfig().maxMessages,
+      profiles: configManager.getProfileNames()
     },
-    features: {
-      youtubeApiConfigured: !!config.youtube.apiKey,
-      twitchApiConfigured: !!config.twitch.clientId,
-      youtubeSimulationMode: config.youtube.simulationMode
-    }
+    features: registry.getFeatures()
   });
 });
 
 /**
  * Get safe configuration subset for client consumption
- * Excludes sensitive data like API keys
+ * Excludes sensitive data like API keys; platforms are the registry's
+ * descriptions (name, icon, color, capabilities)
  *
  * @route GET /api/config
  * @returns {Object} Public configuration data
@@ -55,33 +64,26 @@ router.get('/health', (req, res) => {
 router.get('/config', (req, res) => {
   res.json({
     overlay: config.overlay,
-    platforms: {
-      youtube: {
-        simulationMode: config.youtube.simulationMode,
-        apiConfigured: !!config.youtube.apiKey
-      },
-      twitch: {
-        ircMode: config.twitch.botUsername.startsWith('justinfan'),
-        apiConfigured: !!config.twitch.clientId
-      }
-    }
+    platforms: registry.describePlatforms()
   });
 });
 
 /**
  * Debug endpoint - returns full current runtime config
  * Useful for troubleshooting and development
+ * Server-only secrets are never part of runtime config
  *
  * @route GET /api/debug/config
- * @returns {Object} Complete runtime configuration
+ * @query {string} [profile] - Overlay profile to resolve (default profile if omitted)
+ * @returns {Object} Complete runtime configuration (client-visible keys only)
  */
 router.get('/debug/config', (req, res) => {
-  res.json(configManager.getConfig());
+  res.json(configManager.getConfig(req.query.profile));
 });
 
 /**
  * Cache statistics endpoint
- * Returns cache metrics and entries
+ * Returns live stream, emote and avatar cache metrics
  *
  * @route GET /api/cache/stats
  * @returns {Object} Cache statistics
@@ -92,20 +94,24 @@ router.get('/cache/stats', (req, res) => {
 
   res.json({
     status: 'ok',
-    cache: stats
+    cache: stats,
+    emotes: thirdPartyEmotes.getStats(),
+    avatars: twitchAvatars.getStats()
   });
 });
 
 /**
  * Clear cache endpoint
- * Removes all cached entries
+ * Removes all cached entries (live streams, emote sets, avatars). Requires the control session or token
  *
  * @route POST /api/cache/clear
  * @returns {Object} Operation result
  */
-router.post('/cache/clear', (req, res) => {
+router.post('/cache/clear', controlAuth.requireControlApi, (req, res) => {
   const cache = req.app.locals.liveStreamCache;
   cache.clear();
+  thirdPartyEmotes.clearCache();
+  twitchAvatars.clearCache();
 
   res.json({
     status: 'ok',
@@ -4,16 +4,26 @@
  * Handles all Twitch-related API endpoints including:
  * - User information fetching
  * - Channel data retrieval
+ * - Chat badge catalog (global + channel badge sets)
+ * - Third-party emotes (BTTV, FFZ, 7TV)
  *
  * @module routes/twitch
  */
 
 const express = require('express');
-const fetch = require('node-fetch');
-const config = require('../../config');
+const controlAuth = require('../auth/controlAuth');
+const twitchApi = require('../services/twitchApi');
+const twitchBadges = require('../services/twitchBadges');
+const thirdPartyEmotes = require('../services/thirdPartyEmotes');
 
 const router = express.Router();
 
+/**
+ * Twitch user IDs are numeric
+ * @type {RegExp}
+ */
+const USER_ID_PATTERN = /^\d{1,20}$/;
+
 /**
  * Get global emotes (Twitch only)
  *
@@ -23,44 +33,112 @@ const router = express.Router();
 router.get('/emotes/global', async (req, res) => {
   try {
     const result = {
-      twitch: []
+      twitch: await twitchApi.getGlobalEmotes()
     };
 
-    // Fetch Twitch global emotes (requires auth, optional)
-    if (config.twitch.clientId) {
-      try {
-        const twitchResponse = await fetch('https://api.twitch.tv/helix/chat/emotes/global', {
-          headers: {
-            'Client-ID': config.twitch.clientId,
-            'Authorization': `Bearer ${config.twitch.accessToken || ''}`
-          }
+    return res.json(result);
+  } catch (error) {
+    console.error('❌ Emotes API error:', error.message);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch emotes',
+      twitch: []
+    });
+  }
+});
+/**
+ * Get third-party emotes (BTTV, FFZ, 7TV) of the enabled providers (cached)
+ * Global sets always; channel sets when a channel is given. Requires the
+ * control login: every new channel means requests to each provider.
+ *
+ * @route GET /api/twitch/emotes/providers
+ * @param {string} [channelId] - Query param: Twitch channel user ID (numeric)
+ * @param {string} [channel] - Query param: channel login (resolved via Helix)
+ * @returns {Object} { status, enabled, providers: { bttv: { global, channel }, ... } }
+ */
+router.get('/emotes/providers', controlAuth.requireControlApi, async (req, res) => {
+  try {
+    let twitchUserId = req.query.channelId || null;
+
+    if (twitchUserId && !USER_ID_PATTERN.test(twitchUserId)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'channelId must be a numeric Twitch user ID'
+      });
+    }
+
+    if (!twitchUserId && req.query.channel) {
+      if (!twitchApi.isConfigured()) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Twitch Client ID not configured; pass channelId instead of channel'
         });
+      }
+
+      const user = await twitchApi.getUserByLogin(req.query.channel);
+      twitchUserId = user.data?.[0]?.id || null;
 
-        if (twitchResponse.ok) {
-          const twitchData = await twitchResponse.json();
-          result.twitch = twitchData.data || [];
-          console.log(`✅ Fetched ${result.twitch.length} Twitch global emotes`);
-        } else {
-          console.warn('⚠️ Twitch API responded with error:', twitchResponse.status);
-        }
-      } catch (error) {
-        console.warn('⚠️ Failed to fetch Twitch global emotes:', error.message);
+      if (!twitchUserId) {
+        return res.status(404).json({
+          status: 'error',
+          message: `Twitch channel not found: ${req.query.channel}`
+        });
       }
-    } else {
-      console.warn('⚠️ Twitch Client ID not configured, cannot fetch emotes');
     }
 
-    return res.json(result);
+    const result = await thirdPartyEmotes.getEmotes(twitchUserId);
+
+    return res.json({
+      status: 'success',
+      ...result
+    });
   } catch (error) {
-    console.error('❌ Emotes API error:', error.message);
+    console.error('❌ Emote providers API error:', error.message);
     return res.status(500).json({
       status: 'error',
-      message: 'Failed to fetch emotes',
-      twitch: []
+      message: 'Failed to fetch third-party emotes'
     });
   }
 });
 
+/**
+ * Get the chat badge catalog (cached)
+ * Without Helix credentials only the bundled fallback badges are returned
+ *
+ * @route GET /api/twitch/badges
+ * @param {string} [channel] - Query param: channel login, to include its custom badges
+ * @returns {Object} { status, source: 'helix' | 'fallback', badges: { 'set/version': { url, title } } }
+ */
+router.get('/badges', async (req, res) => {
+  try {
+    let broadcasterId = null;
+
+    if (req.query.channel && twitchApi.isConfigured()) {
+      const user = await twitchApi.getUserByLogin(req.query.channel);
+      broadcasterId = user.data?.[0]?.id || null;
+
+      if (!broadcasterId) {
+        return res.status(404).json({
+          status: 'error',
+          message: `Twitch channel not found: ${req.query.channel}`
+        });
+      }
+    }
+
+    const catalog = await twitchBadges.getCatalog(broadcasterId);
+
+    return res.json({
+      status: 'success',
+      ...catalog
+    });
+  } catch (error) {
+    console.error('❌ Badges API error:', error.message);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch badges'
+    });
+  }
+});
 
 /**
  * Get Twitch channel/user information
@@ -73,7 +151,7 @@ router.get('/:channel', async (req, res) => {
   const { channel } = req.params;
 
   // Check if Twitch API is configured
-  if (!config.twitch.clientId) {
+  if (!twitchApi.isConfigured()) {
     return res.json({
       status: 'error',
       message: 'Twitch Client ID not configured',
@@ -83,15 +161,7 @@ router.get('/:channel', async (req, res) => {
 
   try {
     // Fetch user data from Twitch Helix API
-    const userUrl = `https://api.twitch.tv/helix/users?login=${channel}`;
-    const response = await fetch(userUrl, {
-      headers: {
-        'Client-ID': config.twitch.clientId,
-        'Authorization': `Bearer ${config.twitch.accessToken || ''}`
-      }
-    });
-
-    const data = await response.json();
+    const data = await twitchApi.getUserByLogin(channel);
 
     return res.json({
       status: 'success',
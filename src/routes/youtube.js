@@ -4,31 +4,63 @@
  * Handles all YouTube-related API endpoints including:
  * - Live stream detection
  * - Video details fetching
- * - API quota management through caching
+ * - Live chat proxy (chat ID lookup and message pages)
+ * - API quota management through caching and the quota ledger
+ *
+ * The API key never leaves the server: every call is made by
+ * services/youtubeApi and only the response body is returned. Failed
+ * calls answer with a generic message; the details are only logged.
+ *
+ * Routes that spend API quota require the control login.
  *
  * @module routes/youtube
  */
 
 const express = require('express');
-const fetch = require('node-fetch');
-const config = require('../../config');
+const config = require('../config');
+const controlAuth = require('../auth/controlAuth');
+const youtubeApi = require('../services/youtubeApi');
+const youtubeQuota = require('../services/youtubeQuota');
+const youtubeLiveStream = require('../services/youtubeLiveStream');
 
 const router = express.Router();
 
+/**
+ * Message sent to clients when a YouTube API call fails
+ * @type {string}
+ */
+const API_ERROR_MESSAGE = 'YouTube API request failed';
+
+/**
+ * Log a failed YouTube API call and answer with a generic 500
+ *
+ * @param {express.Response} res - Express response
+ * @param {Error} error - Error from services/youtubeApi
+ * @returns {express.Response} The response
+ */
+function sendApiError(res, error) {
+  console.error('❌ YouTube API error:', error.message);
+  return res.status(500).json({
+    status: 'error',
+    message: API_ERROR_MESSAGE
+  });
+}
+
 /**
  * Get the current live stream for a YouTube channel
- * Uses caching to preserve API quota
+ * Checks the channel's feed with a 1-unit videos lookup (search only if
+ * the feed is unavailable) and caches the result to preserve API quota
  *
  * @route GET /api/youtube/channel/:channelId/live
  * @param {string} channelId - YouTube channel ID
  * @returns {Object} Live stream information or error
  */
-router.get('/channel/:channelId/live', async (req, res) => {
+router.get('/channel/:channelId/live', controlAuth.requireControlApi, async (req, res) => {
   const { channelId } = req.params;
   const cache = req.app.locals.liveStreamCache;
 
   // Validate API key
-  if (!config.youtube.apiKey) {
+  if (!youtubeApi.isConfigured()) {
     return res.json({
       status: 'error',
       message: 'YouTube API key not configured'
@@ -46,32 +78,14 @@ router.get('/channel/:channelId/live', async (req, res) => {
       });
     }
 
-    // Fetch live streams from YouTube API
-    const searchUrl = `https://www.googleapis.com/youtube/v3/search?` +
-      `part=snippet&channelId=${channelId}&eventType=live&type=video&` +
-      `key=${config.youtube.apiKey}`;
+    const liveStream = await youtubeLiveStream.findLiveStream(channelId);
 
-    const response = await fetch(searchUrl);
-    const data = await response.json();
-
-    // Handle API errors
-    if (data.error) {
-      console.error('❌ YouTube API error:', data.error.message);
-      return res.json({
-        status: 'error',
-        message: data.error.message,
-        code: data.error.code
-      });
-    }
-
-    // Check if live streams found
-    if (data.items && data.items.length > 0) {
-      const liveVideo = data.items[0];
+    if (liveStream) {
       const result = {
-        videoId: liveVideo.id.videoId,
-        title: liveVideo.snippet.title,
-        channelTitle: liveVideo.snippet.channelTitle,
-        thumbnail: liveVideo.snippet.thumbnails.medium.url
+        videoId: liveStream.videoId,
+        title: liveStream.title,
+        channelTitle: liveStream.channelTitle,
+        thumbnail: liveStream.thumbnail
       };
 
       // Cache the result
@@ -90,12 +104,103 @@ router.get('/channel/:channelId/live', async (req, res) => {
       });
     }
   } catch (error) {
-    console.error('❌ YouTube API error:', error.message);
-    return res.status(500).json({
+    // API and quota budget errors are reported like before, not as 500s;
+    // only the quota budget message (written here, not by YouTube) is passed on
+    if (error.code) {
+      console.error('❌ YouTube API error:', error.message);
+      return res.json({
+        status: 'error',
+        message: error.code === 'quotaBudget' ? error.message : API_ERROR_MESSAGE,
+        code: error.code
+      });
+    }
+
+    return sendApiError(res, error);
+  }
+});
+
+/**
+ * Resolve the active live chat ID for a video
+ * Proxies videos.list so clients never need the API key
+ *
+ * @route GET /api/youtube/video/:videoId/chat
+ * @param {string} videoId - YouTube video ID
+ * @returns {Object} Live chat ID or error
+ */
+router.get('/video/:videoId/chat', controlAuth.requireControlApi, async (req, res) => {
+  const { videoId } = req.params;
+
+  if (!youtubeApi.isConfigured()) {
+    return res.json({
       status: 'error',
-      message: error.message
+      message: 'YouTube API key not configured',
+      simulationMode: config.youtube.simulationMode
     });
   }
+
+  try {
+    const liveChatId = await youtubeApi.getLiveChatId(videoId);
+
+    if (!liveChatId) {
+      return res.json({
+        status: 'no_live_chat',
+        message: 'No active live chat found for this video'
+      });
+    }
+
+    return res.json({
+      status: 'success',
+      liveChatId
+    });
+  } catch (error) {
+    return sendApiError(res, error);
+  }
+});
+
+/**
+ * Fetch a page of live chat messages
+ * Proxies liveChatMessages.list, passing through the upstream status code
+ *
+ * @route GET /api/youtube/chat/:liveChatId/messages
+ * @param {string} liveChatId - Live chat ID
+ * @param {string} [pageToken] - Query param: pagination token from the previous page
+ * @returns {Object} YouTube liveChatMessages.list response body
+ */
+router.get('/chat/:liveChatId/messages', controlAuth.requireControlApi, async (req, res) => {
+  const { liveChatId } = req.params;
+  const pageToken = req.query.pageToken || null;
+
+  if (!youtubeApi.isConfigured()) {
+    return res.json({
+      status: 'error',
+      message: 'YouTube API key not configured',
+      simulationMode: config.youtube.simulationMode
+    });
+  }
+
+  try {
+    const response = await youtubeApi.fetchChatMessages(liveChatId, pageToken);
+    const data = await response.json();
+
+    return res.status(response.status).json(data);
+  } catch (error) {
+    return sendApiError(res, error);
+  }
+});
+
+/**
+ * Get today's YouTube API quota usage
+ * Counted by the server's quota ledger; resets at midnight Pacific time
+ *
+ * @route GET /api/youtube/quota
+ * @returns {Object} Usage, limit, remaining units and reset time
+ */
+router.get('/quota', (req, res) => {
+  res.json({
+    status: 'success',
+    apiConfigured: youtubeApi.isConfigured(),
+    ...youtubeQuota.getStatus()
+  });
 });
 
 /**
@@ -106,11 +211,11 @@ router.get('/channel/:channelId/live', async (req, res) => {
  * @param {string} videoId - YouTube video ID
  * @returns {Object} Video details or error
  */
-router.get('/:videoId', async (req, res) => {
+router.get('/:videoId', controlAuth.requireControlApi, async (req, res) => {
   const { videoId } = req.params;
 
   // Validate API key
-  if (!config.youtube.apiKey) {
+  if (!youtubeApi.isConfigured()) {
     return res.json({
       status: 'error',
       message: 'YouTube API key not configured',
@@ -120,24 +225,15 @@ router.get('/:videoId', async (req, res) => {
 
   try {
     // Fetch video details including live streaming info
-    const videoUrl = `https://www.googleapis.com/youtube/v3/videos?` +
-      `part=liveStreamingDetails&id=${videoId}&key=${config.youtube.apiKey}`;
-
-    const response = await fetch(videoUrl);
-    const data = await response.json();
+    const data = await youtubeApi.getVideoDetails(videoId);
 
     return res.json({
       status: 'success',
       data: data
     });
   } catch (error) {
-    console.error('❌ YouTube API error:', error.message);
-    return res.status(500).json({
-      status: 'error',
-      message: error.message
-    });
+    return sendApiError(res, error);
   }
 });
 
 module.exports = router;
-
@@ -0,0 +1,73 @@
+/**
+ * BetterTTV Emote Provider
+ *
+ * API: https://api.betterttv.net/3/cached
+ * (`emotes.apiBaseUrls.bttv` in config.js can point it at a local mock server)
+ *
+ * @module services/emoteProviders/bttv
+ */
+
+const config = require('../../config');
+const { fetchJson } = require('./http');
+
+/**
+ * Base URL of the cached BTTV API
+ * @type {string}
+ */
+const API_BASE_URL = config.emotes?.apiBaseUrls?.bttv || 'https://api.betterttv.net/3/cached';
+
+/**
+ * BTTV emotes drawn on top of the previous emote (hats, snow, ...)
+ * BTTV marks these by code rather than with a flag
+ * @type {Set<string>}
+ */
+const ZERO_WIDTH_CODES = new Set([
+  'SoSnowy', 'IceCold', 'SantaHat', 'TopHat', 'ReinDeer', 'CandyCane', 'cvMask', 'cvHazmat'
+]);
+
+/**
+ * Convert a BTTV emote to the shared emote shape
+ *
+ * @param {Object} emote - BTTV emote ({ id, code, imageType, animated })
+ * @returns {Object} Emote ({ provider, id, name, url, animated, zeroWidth })
+ */
+function normalizeEmote(emote) {
+  return {
+    provider: 'bttv',
+    id: emote.id,
+    name: emote.code,
+    url: `https://cdn.betterttv.net/emote/${emote.id}/1x.webp`,
+    animated: !!emote.animated || emote.imageType === 'gif',
+    zeroWidth: ZERO_WIDTH_CODES.has(emote.code)
+  };
+}
+
+/**
+ * Fetch BTTV global emotes
+ * @returns {Promise<Object[]>} Emotes
+ */
+async function fetchGlobalEmotes() {
+  const emotes = await fetchJson(`${API_BASE_URL}/emotes/global`);
+  return (emotes || []).map(normalizeEmote);
+}
+
+/**
+ * Fetch a Twitch channel's BTTV emotes (own + shared)
+ *
+ * @param {string} twitchUserId - Twitch channel user ID
+ * @returns {Promise<Object[]>} Emotes (empty if the channel has no BTTV account)
+ */
+async function fetchChannelEmotes(twitchUserId) {
+  const user = await fetchJson(`${API_BASE_URL}/users/twitch/${encodeURIComponent(twitchUserId)}`);
+  if (!user) return [];
+
+  return [...(user.channelEmotes || []), ...(user.sharedEmotes || [])].map(normalizeEmote);
+}
+
+module.exports = {
+  id: 'bttv',
+  name: 'BetterTTV',
+  normalizeEmote,
+  fetchGlobalEmotes,
+  fetchChannelEmotes
+};
@@ -0,0 +1,94 @@
+/**
+ * FrankerFaceZ Emote Provider
+ *
+ * API: https://api.frankerfacez.com/v1
+ * (`emotes.apiBaseUrls.ffz` in config.js can point it at a local mock server)
+ *
+ * @module services/emoteProviders/ffz
+ */
+
+const config = require('../../config');
+const { fetchJson } = require('./http');
+
+/**
+ * Base URL of the FFZ API
+ * @type {string}
+ */
+const API_BASE_URL = config.emotes?.apiBaseUrls?.ffz || 'https://api.frankerfacez.com/v1';
+
+/**
+ * Make FFZ image URLs absolute (older sets use protocol-relative URLs)
+ *
+ * @param {string} url - Image URL
+ * @returns {string} https URL
+ */
+function toHttps(url) {
+  return url && url.startsWith('//') ? `https:${url}` : url;
+}
+
+/**
+ * Convert an FFZ emoticon to the shared emote shape
+ * Modifier emotes (e.g. hats) are drawn over the previous emote
+ *
+ * @param {Object} emote - FFZ emoticon ({ id, name, urls, animated, modifier })
+ * @returns {Object} Emote ({ provider, id, name, url, animated, zeroWidth })
+ */
+function normalizeEmote(emote) {
+  const animatedUrl = emote.animated?.['1'];
+
+  return {
+    provider: 'ffz',
+    id: String(emote.id),
+    name: emote.name,
+    url: toHttps(animatedUrl || emote.urls?.['1']),
+    animated: !!animatedUrl,
+    zeroWidth: !!emote.modifier
+  };
+}
+
+/**
+ * Collect emoticons from FFZ sets
+ *
+ * @param {Object<string, Object>} sets - FFZ sets by ID
+ * @param {number[]} [setIds] - Only these sets (all if omitted)
+ * @returns {Object[]} Emotes
+ */
+function collectEmotes(sets, setIds) {
+  const ids = setIds || Object.keys(sets || {});
+
+  return ids
+    .flatMap(id => sets?.[id]?.emoticons || [])
+    .map(normalizeEmote);
+}
+
+/**
+ * Fetch FFZ global emotes (the default sets)
+ * @returns {Promise<Object[]>} Emotes
+ */
+async function fetchGlobalEmotes() {
+  const data = await fetchJson(`${API_BASE_URL}/set/global`);
+  if (!data) return [];
+
+  return collectEmotes(data.sets, data.default_sets);
+}
+
+/**
+ * Fetch a Twitch channel's FFZ emotes
+ *
+ * @param {string} twitchUserId - Twitch channel user ID
+ * @returns {Promise<Object[]>} Emotes (empty if the channel has no FFZ room)
+ */
+async function fetchChannelEmotes(twitchUserId) {
+  const data = await fetchJson(`${API_BASE_URL}/room/id/${encodeURIComponent(twitchUserId)}`);
+  if (!data) return [];
+
+  return collectEmotes(data.sets);
+}
+
+module.exports = {
+  id: 'ffz',
+  name: 'FrankerFaceZ',
+  normalizeEmote,
+  fetchGlobalEmotes,
+  fetchChannelEmotes
+};
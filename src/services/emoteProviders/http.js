@@ -0,0 +1,41 @@
+/**
+ * Emote Provider HTTP Helper
+ *
+ * Shared JSON fetch for the third-party emote providers.
+ *
+ * @module services/emoteProviders/http
+ */
+
+const fetch = require('node-fetch');
+
+/**
+ * Request timeout for provider APIs
+ * @type {number}
+ */
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Fetch and parse a JSON document
+ * A 404 means the channel has no account with the provider
+ *
+ * @param {string} url - Absolute URL
+ * @returns {Promise<Object|null>} Parsed body, or null on 404
+ * @throws {Error} On network errors and other non-OK responses
+ */
+async function fetchJson(url) {
+  const response = await fetch(url, { timeout: REQUEST_TIMEOUT_MS });
+
+  if (response.status === 404) {
+    return null;
+  }
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} from ${new URL(url).host}`);
+  }
+
+  return response.json();
+}
+
+module.exports = {
+  fetchJson
+};
@@ -0,0 +1,79 @@
+/**
+ * 7TV Emote Provider
+ *
+ * API: https://7tv.io/v3
+ * (`emotes.apiBaseUrls.seventv` in config.js can point it at a local mock server)
+ *
+ * @module services/emoteProviders/seventv
+ */
+
+const config = require('../../config');
+const { fetchJson } = require('./http');
+
+/**
+ * Base URL of the 7TV API
+ * @type {string}
+ */
+const API_BASE_URL = config.emotes?.apiBaseUrls?.seventv || 'https://7tv.io/v3';
+
+/**
+ * Active emote flag: zero-width (set per channel)
+ * @type {number}
+ */
+const ACTIVE_FLAG_ZERO_WIDTH = 1 << 0;
+
+/**
+ * Emote data flag: zero-width (set by the emote's author)
+ * @type {number}
+ */
+const DATA_FLAG_ZERO_WIDTH = 1 << 8;
+
+/**
+ * Convert a 7TV active emote to the shared emote shape
+ * `name` is the channel's alias, which can differ from the emote's own name
+ *
+ * @param {Object} emote - 7TV active emote ({ id, name, flags, data })
+ * @returns {Object} Emote ({ provider, id, name, url, animated, zeroWidth })
+ */
+function normalizeEmote(emote) {
+  const data = emote.data || {};
+  const hostUrl = data.host?.url || `//cdn.7tv.app/emote/${emote.id}`;
+
+  return {
+    provider: 'seventv',
+    id: emote.id,
+    name: emote.name,
+    url: `https:${hostUrl}/1x.webp`,
+    animated: !!data.animated,
+    zeroWidth: ((emote.flags || 0) & ACTIVE_FLAG_ZERO_WIDTH) !== 0 ||
+      ((data.flags || 0) & DATA_FLAG_ZERO_WIDTH) !== 0
+  };
+}
+
+/**
+ * Fetch 7TV global emotes
+ * @returns {Promise<Object[]>} Emotes
+ */
+async function fetchGlobalEmotes() {
+  const set = await fetchJson(`${API_BASE_URL}/emote-sets/global`);
+  return (set?.emotes || []).map(normalizeEmote);
+}
+
+/**
+ * Fetch a Twitch channel's active 7TV emote set
+ *
+ * @param {string} twitchUserId - Twitch channel user ID
+ * @returns {Promise<Object[]>} Emotes (empty if the channel has no 7TV account)
+ */
+async function fetchChannelEmotes(twitchUserId) {
+  const user = await fetchJson(`${API_BASE_URL}/users/twitch/${encodeURIComponent(twitchUserId)}`);
+  return (user?.emote_set?.emotes || []).map(normalizeEmote);
+}
+
+module.exports = {
+  id: 'seventv',
+  name: '7TV',
+  normalizeEmote,
+  fetchGlobalEmotes,
+  fetchChannelEmotes
+};
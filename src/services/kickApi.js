@@ -0,0 +1,105 @@
+/**
+ * Kick API Service
+ *
+ * Looks up Kick channels through Kick's public (unauthenticated) channel
+ * endpoint. The chat connector needs the channel's chatroom ID to
+ * subscribe to its chat, and uses the channel's subscriber badge images.
+ *
+ * Lookups are cached per channel for the lifetime of the process, since a
+ * channel's chatroom never changes. `kick.apiBaseUrl` can point the service
+ * at a local mock server.
+ *
+ * @module services/kickApi
+ */
+
+const fetch = require('node-fetch');
+const config = require('../config');
+
+/**
+ * Base URL for channel lookups
+ * @type {string}
+ */
+const API_BASE_URL = config.kick?.apiBaseUrl || 'https://kick.com/api/v2';
+
+/**
+ * Request timeout
+ * @type {number}
+ */
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Channel lookups keyed by slug
+ * @type {Map<string, Object>}
+ */
+const channelCache = new Map();
+
+/**
+ * Create an error carrying a machine-readable code
+ *
+ * @param {string} message - Error message
+ * @param {string|number} code - Error code ('channelNotFound', HTTP status, ...)
+ * @returns {Error} Error with `code`
+ */
+function createError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Look up a Kick channel
+ *
+ * @param {string} slug - Channel slug (name in the channel URL)
+ * @returns {Promise<Object>} { channelId, chatroomId, slug, username, avatar, subscriberBadges }
+ *   where subscriberBadges is [{ months, url }] sorted by months
+ * @throws {Error} With code 'channelNotFound' for unknown channels, or the
+ *   HTTP status / 'requestFailed' if the lookup fails
+ */
+async function getChannel(slug) {
+  const key = String(slug).toLowerCase();
+
+  if (channelCache.has(key)) {
+    return channelCache.get(key);
+  }
+
+  let response;
+  try {
+    response = await fetch(`${API_BASE_URL}/channels/${encodeURIComponent(key)}`, {
+      timeout: REQUEST_TIMEOUT_MS,
+      headers: { 'Accept': 'application/json' }
+    });
+  } catch (error) {
+    throw createError(`Kick channel lookup failed: ${error.message}`, 'requestFailed');
+  }
+
+  if (response.status === 404) {
+    throw createError(`Kick channel not found: ${key}`, 'channelNotFound');
+  }
+  if (!response.ok) {
+    throw createError(`Kick channel lookup returned HTTP ${response.status}`, response.status);
+  }
+
+  const data = await response.json();
+  if (!data?.chatroom?.id) {
+    throw createError(`Kick channel ${key} has no chatroom`, 'channelNotFound');
+  }
+
+  const channel = {
+    channelId: data.id,
+    chatroomId: data.chatroom.id,
+    slug: data.slug || key,
+    username: data.user?.username || key,
+    avatar: data.user?.profile_pic || null,
+    subscriberBadges: (data.subscriber_badges || [])
+      .map(badge => ({ months: badge.months, url: badge.badge_image?.src || null }))
+      .filter(badge => badge.url)
+      .sort((a, b) => a.months - b.months)
+  };
+
+  channelCache.set(key, channel);
+  return channel;
+}
+
+module.exports = {
+  getChannel
+};
@@ -0,0 +1,291 @@
+/**
+ * Third-Party Emote Service
+ *
+ * Loads BetterTTV, FrankerFaceZ and 7TV emotes (global sets plus the sets
+ * of the connected Twitch channel) and turns matching words in chat into
+ * emote fragments. Works for YouTube chat too: YouTube messages use the
+ * global sets and the connected Twitch channel's sets.
+ *
+ * Emote sets are cached with a TTL (see EmoteCache). Lookups never wait
+ * for the network: a missing or stale set is refreshed in the background
+ * and used from the next message on.
+ *
+ * Providers can be switched on and off at runtime (`emoteProviders` in the
+ * runtime config, set by configManager).
+ *
+ * @module services/thirdPartyEmotes
+ */
+
+const config = require('../config');
+const EmoteCache = require('../cache/EmoteCache');
+const bttv = require('./emoteProviders/bttv');
+const ffz = require('./emoteProviders/ffz');
+const seventv = require('./emoteProviders/seventv');
+
+/**
+ * Providers in lookup priority order (later ones win on name clashes)
+ * @type {Object[]}
+ */
+const PROVIDERS = [bttv, ffz, seventv];
+
+/**
+ * Most emote sets cached (3 providers × global and 19 channels)
+ * @type {number}
+ */
+const MAX_CACHED_SETS = 60;
+
+/**
+ * Emote sets by 'provider:global' or 'provider:<twitchUserId>'
+ * @type {EmoteCache}
+ */
+const cache = new EmoteCache(config.emotes?.cacheTtlMinutes || 60, MAX_CACHED_SETS);
+
+/**
+ * Wait before retrying a set that failed to load
+ * @type {number}
+ */
+const RETRY_DELAY_MS = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Loads in flight, by cache key
+ * @type {Map<string, Promise<void>>}
+ */
+const pendingLoads = new Map();
+
+/**
+ * Time of the last failed load, by cache key
+ * @type {Map<string, number>}
+ */
+const failedLoads = new Map();
+
+/**
+ * Enabled flag per provider ID
+ * @type {Object<string, boolean>}
+ */
+let enabledProviders = getDefaultProviders();
+
+/**
+ * Build the default provider toggles from config.js (all on unless disabled)
+ * @returns {Object<string, boolean>} Enabled flag per provider ID
+ */
+function getDefaultProviders() {
+  const configured = config.emotes?.providers || {};
+  const defaults = {};
+
+  PROVIDERS.forEach(provider => {
+    defaults[provider.id] = configured[provider.id] !== false;
+  });
+
+  return defaults;
+}
+
+/**
+ * Set which providers are used
+ *
+ * @param {Object<string, boolean>} providers - Enabled flag per provider ID
+ */
+function setEnabledProviders(providers) {
+  enabledProviders = { ...getDefaultProviders(), ...(providers || {}) };
+}
+
+/**
+ * Get the providers that are switched on
+ * @returns {Object[]} Provider modules
+ */
+function getActiveProviders() {
+  return PROVIDERS.filter(provider => enabledProviders[provider.id]);
+}
+
+/**
+ * Forget failed loads whose retry delay is over
+ */
+function pruneFailedLoads() {
+  const now = Date.now();
+  failedLoads.forEach((failedAt, key) => {
+    if (now - failedAt >= RETRY_DELAY_MS) {
+      failedLoads.delete(key);
+    }
+  });
+}
+
+/**
+ * Load one emote set into the cache unless it is fresh or already loading
+ * Failures are logged, keep the previous set and are retried after RETRY_DELAY_MS
+ *
+ * @param {Object} provider - Provider module
+ * @param {string|null} twitchUserId - Channel user ID, or null for the global set
+ * @returns {Promise<void>} Resolves when loaded (never rejects)
+ */
+function loadSet(provider, twitchUserId) {
+  const key = `${provider.id}:${twitchUserId || 'global'}`;
+
+  if (cache.isFresh(key) || Date.now() - (failedLoads.get(key) || 0) < RETRY_DELAY_MS) {
+    return Promise.resolve();
+  }
+  if (pendingLoads.has(key)) {
+    return pendingLoads.get(key);
+  }
+
+  const load = (twitchUserId ? provider.fetchChannelEmotes(twitchUserId) : provider.fetchGlobalEmotes())
+    .then(emotes => {
+      cache.set(key, emotes);
+      failedLoads.delete(key);
+      console.log(`😎 Loaded ${emotes.length} ${provider.name} ${twitchUserId ? 'channel' : 'global'} emotes`);
+    })
+    .catch(error => {
+      pruneFailedLoads();
+      failedLoads.set(key, Date.now());
+      console.warn(`⚠️ Failed to load ${provider.name} emotes (retrying in 5 minutes):`, error.message);
+    })
+    .finally(() => {
+      pendingLoads.delete(key);
+    });
+
+  pendingLoads.set(key, load);
+  return load;
+}
+
+/**
+ * Load the global sets and, if given, a channel's sets for every active provider
+ *
+ * @param {string} [twitchUserId] - Twitch channel user ID
+ * @returns {Promise<void>} Resolves once every load has finished
+ */
+async function preload(twitchUserId) {
+  const loads = [];
+
+  getActiveProviders().forEach(provider => {
+    loads.push(loadSet(provider, null));
+    if (twitchUserId) {
+      loads.push(loadSet(provider, twitchUserId));
+    }
+  });
+
+  await Promise.all(loads);
+}
+
+/**
+ * Build the name → emote lookup from cached sets
+ * Channel emotes override global ones; refreshes stale sets in the background
+ *
+ * @param {string} [twitchUserId] - Twitch channel user ID
+ * @returns {Map<string, Object>} Emotes by name
+ */
+function getEmoteMap(twitchUserId) {
+  const emotes = new Map();
+
+  preload(twitchUserId);
+
+  const setIds = twitchUserId ? ['global', twitchUserId] : ['global'];
+
+  getActiveProviders().forEach(provider => {
+    setIds.forEach(setId => {
+      (cache.get(`${provider.id}:${setId}`) || []).forEach(emote => {
+        emotes.set(emote.name, emote);
+      });
+    });
+  });
+
+  return emotes;
+}
+
+/**
+ * Replace third-party emote codes in text fragments with emote fragments
+ * Only whole words match, and emote names are case-sensitive
+ *
+ * @param {Object[]} fragments - Message fragments ({ type: 'text' | 'emote' | ... })
+ * @param {string} [twitchUserId] - Twitch channel whose sets to use
+ * @returns {Object[]|null} New fragment list, or null if no emote matched
+ */
+function applyToFragments(fragments, twitchUserId) {
+  const emotes = getEmoteMap(twitchUserId);
+  if (emotes.size === 0) return null;
+
+  const result = [];
+  let matched = false;
+
+  const pushText = (text) => {
+    const last = result[result.length - 1];
+    if (last && last.type === 'text') {
+      last.text += text;
+    } else if (text) {
+      result.push({ type: 'text', text });
+    }
+  };
+
+  fragments.forEach(fragment => {
+    if (fragment.type !== 'text') {
+      result.push(fragment);
+      return;
+    }
+
+    fragment.text.split(/(\s+)/).forEach(word => {
+      const emote = emotes.get(word);
+
+      if (!emote) {
+        pushText(word);
+        return;
+      }
+
+      matched = true;
+      result.push({
+        type: 'emote',
+        provider: emote.provider,
+        id: emote.id,
+        name: emote.name,
+        url: emote.url,
+        animated: emote.animated,
+        zeroWidth: emote.zeroWidth
+      });
+    });
+  });
+
+  return matched ? result : null;
+}
+
+/**
+ * Get every loaded emote, grouped by provider, for the API
+ *
+ * @param {string} [twitchUserId] - Twitch channel user ID
+ * @returns {Promise<Object>} { enabled, providers: { bttv: { global: [], channel: [] }, ... } }
+ */
+async function getEmotes(twitchUserId) {
+  await preload(twitchUserId);
+
+  const providers = {};
+  getActiveProviders().forEach(provider => {
+    providers[provider.id] = {
+      global: cache.get(`${provider.id}:global`) || [],
+      channel: twitchUserId ? (cache.get(`${provider.id}:${twitchUserId}`) || []) : []
+    };
+  });
+
+  return { enabled: { ...enabledProviders }, providers };
+}
+
+/**
+ * Get emote cache statistics
+ * @returns {Object} Cache statistics
+ */
+function getStats() {
+  return cache.getStats();
+}
+
+/**
+ * Drop every cached emote set (reloaded on the next message)
+ */
+function clearCache() {
+  cache.clear();
+  failedLoads.clear();
+}
+
+module.exports = {
+  PROVIDERS,
+  getDefaultProviders,
+  setEnabledProviders,
+  preload,
+  applyToFragments,
+  getEmotes,
+  getStats,
+  clearCache
+};
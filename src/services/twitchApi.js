@@ -0,0 +1,265 @@
+/**
+ * Twitch Helix API Service
+ *
+ * Shared server-side access to the Twitch Helix API, used by both
+ * the `/api/twitch` routes and the server-side chat connectors.
+ * Bearer tokens come from twitchAuth (client-credentials app token);
+ * moderation calls act as the bot and take its user token instead.
+ *
+ * @module services/twitchApi
+ */
+
+const fetch = require('node-fetch');
+const config = require('../config');
+const twitchAuth = require('./twitchAuth');
+
+/**
+ * Base URL for all Helix requests
+ * @type {string}
+ */
+const HELIX_BASE_URL = 'https://api.twitch.tv/helix';
+
+/**
+ * Check whether Helix credentials are configured
+ * @returns {boolean} True if a client ID and a secret (or static token) are available
+ */
+function isConfigured() {
+  return !!config.twitch.clientId && twitchAuth.hasCredentials();
+}
+
+/**
+ * Perform an authenticated Helix request
+ * With the app token, a 401 replaces the token and retries once
+ *
+ * @param {string} path - Helix path including query string (e.g. '/users?login=foo')
+ * @param {Object} [options] - Request options
+ * @param {string} [options.method] - HTTP method (default: GET)
+ * @param {Object} [options.body] - JSON body
+ * @param {string} [options.userToken] - User token to act as (no retry on 401)
+ * @returns {Promise<Response>} Raw fetch response
+ * @throws {Error} If no access token can be obtained
+ */
+async function helixFetch(path, { method = 'GET', body, userToken } = {}) {
+  const send = (accessToken) => fetch(`${HELIX_BASE_URL}${path}`, {
+    method,
+    headers: {
+      'Client-ID': config.twitch.clientId,
+      'Authorization': `Bearer ${accessToken}`,
+      ...(body ? { 'Content-Type': 'application/json' } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  if (userToken) {
+    return send(userToken.replace(/^oauth:/, ''));
+  }
+
+  const accessToken = await twitchAuth.getAccessToken();
+  const response = await send(accessToken);
+
+  if (response.status === 401 && twitchAuth.invalidate(accessToken)) {
+    return send(await twitchAuth.getAccessToken());
+  }
+
+  return response;
+}
+
+/**
+ * Fetch Twitch global emotes
+ * Never throws for API errors; returns an empty list instead
+ *
+ * @returns {Promise<Object[]>} Helix emote objects ({ id, name, ... })
+ */
+async function getGlobalEmotes() {
+  if (!isConfigured()) {
+    console.warn('⚠️ Twitch Client ID not configured, cannot fetch emotes');
+    return [];
+  }
+
+  try {
+    const response = await helixFetch('/chat/emotes/global');
+
+    if (!response.ok) {
+      console.warn('⚠️ Twitch API responded with error:', response.status);
+      return [];
+    }
+
+    const data = await response.json();
+    const emotes = data.data || [];
+    console.log(`✅ Fetched ${emotes.length} Twitch global emotes`);
+    return emotes;
+  } catch (error) {
+    console.warn('⚠️ Failed to fetch Twitch global emotes:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Fetch the cheermotes available in a channel
+ * Includes global cheermotes (Cheer, BibleThump, ...) and the channel's own
+ * Never throws for API errors; returns an empty list instead
+ *
+ * @param {string} [broadcasterId] - Channel's user ID (IRC room-id tag)
+ * @returns {Promise<Object[]>} Helix cheermote objects ({ prefix, tiers, ... })
+ */
+async function getCheermotes(broadcasterId) {
+  if (!isConfigured()) {
+    return [];
+  }
+
+  try {
+    const query = broadcasterId ? `?broadcaster_id=${encodeURIComponent(broadcasterId)}` : '';
+    const response = await helixFetch(`/bits/cheermotes${query}`);
+
+    if (!response.ok) {
+      console.warn('⚠️ Twitch cheermotes request failed:', response.status);
+      return [];
+    }
+
+    const data = await response.json();
+    return data.data || [];
+  } catch (error) {
+    console.warn('⚠️ Failed to fetch Twitch cheermotes:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Fetch chat badge sets, global or for one channel
+ * Never throws for API errors; returns an empty list instead
+ *
+ * @param {string} [broadcasterId] - Channel's user ID; omit for global badges
+ * @returns {Promise<Object[]>} Helix badge sets ({ set_id, versions: [{ id, image_url_1x, title, ... }] })
+ */
+async function getChatBadges(broadcasterId) {
+  if (!isConfigured()) {
+    return [];
+  }
+
+  const path = broadcasterId
+    ? `/chat/badges?broadcaster_id=${encodeURIComponent(broadcasterId)}`
+    : '/chat/badges/global';
+
+  try {
+    const response = await helixFetch(path);
+
+    if (!response.ok) {
+      console.warn('⚠️ Twitch badges request failed:', response.status);
+      return [];
+    }
+
+    const data = await response.json();
+    return data.data || [];
+  } catch (error) {
+    console.warn('⚠️ Failed to fetch Twitch badges:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Fetch Twitch user data by login name
+ *
+ * @param {string} login - Twitch login (channel name)
+ * @returns {Promise<Object>} Raw Helix users response body
+ */
+async function getUserByLogin(login) {
+  const response = await helixFetch(`/users?login=${encodeURIComponent(login)}`);
+  return response.json();
+}
+
+/**
+ * Fetch up to 100 Twitch users by login in one request
+ * Unknown logins are simply missing from the result
+ *
+ * @param {string[]} logins - Twitch logins (max 100)
+ * @returns {Promise<Object[]>} Helix user objects ({ id, login, profile_image_url, ... })
+ * @throws {Error} If the request fails or Helix responds with an error
+ */
+async function getUsersByLogin(logins) {
+  const query = logins.map(login => `login=${encodeURIComponent(login)}`).join('&');
+  const response = await helixFetch(`/users?${query}`);
+
+  if (!response.ok) {
+    throw new Error(`Helix users request failed: ${response.status}`);
+  }
+
+  const data = await response.json();
+  return data.data || [];
+}
+
+/**
+ * Throw a readable error for a failed Helix write request
+ *
+ * @param {Response} response - Helix response
+ * @param {string} action - What was attempted (for the message)
+ * @throws {Error} Always
+ */
+async function throwHelixError(response, action) {
+  const data = await response.json().catch(() => ({}));
+  throw new Error(`${action} failed: ${data.message || response.status}`);
+}
+
+/**
+ * Delete a chat message as a moderator
+ * Needs a user token with moderator:manage:chat_messages
+ *
+ * @param {Object} params - Request parameters
+ * @param {string} params.broadcasterId - Channel's user ID
+ * @param {string} params.moderatorId - User ID the token belongs to
+ * @param {string} params.messageId - Message ID (IRC `id` tag)
+ * @param {string} userToken - Moderator's user token
+ * @returns {Promise<void>} Resolves when deleted
+ * @throws {Error} With Helix's message if the request fails
+ */
+async function deleteChatMessage({ broadcasterId, moderatorId, messageId }, userToken) {
+  const query = `broadcaster_id=${encodeURIComponent(broadcasterId)}` +
+    `&moderator_id=${encodeURIComponent(moderatorId)}` +
+    `&message_id=${encodeURIComponent(messageId)}`;
+  const response = await helixFetch(`/moderation/chat?${query}`, { method: 'DELETE', userToken });
+
+  if (!response.ok) {
+    await throwHelixError(response, 'Delete message');
+  }
+}
+
+/**
+ * Time out or ban a user as a moderator
+ * Needs a user token with moderator:manage:banned_users
+ *
+ * @param {Object} params - Request parameters
+ * @param {string} params.broadcasterId - Channel's user ID
+ * @param {string} params.moderatorId - User ID the token belongs to
+ * @param {string} params.userId - User to time out or ban
+ * @param {number|null} [params.duration] - Timeout seconds (1-1209600); omit to ban
+ * @param {string} [params.reason] - Reason shown to moderators
+ * @param {string} userToken - Moderator's user token
+ * @returns {Promise<void>} Resolves when applied
+ * @throws {Error} With Helix's message if the request fails
+ */
+async function banUser({ broadcasterId, moderatorId, userId, duration, reason }, userToken) {
+  const query = `broadcaster_id=${encodeURIComponent(broadcasterId)}` +
+    `&moderator_id=${encodeURIComponent(moderatorId)}`;
+  const data = { user_id: userId, reason: reason || '' };
+
+  if (duration) {
+    data.duration = duration;
+  }
+
+  const response = await helixFetch(`/moderation/bans?${query}`, { method: 'POST', body: { data }, userToken });
+
+  if (!response.ok) {
+    await throwHelixError(response, duration ? 'Timeout' : 'Ban');
+  }
+}
+
+module.exports = {
+  isConfigured,
+  helixFetch,
+  getGlobalEmotes,
+  getCheermotes,
+  getChatBadges,
+  getUserByLogin,
+  getUsersByLogin,
+  deleteChatMessage,
+  banUser
+};
@@ -0,0 +1,252 @@
+/**
+ * Twitch App Access Token Manager
+ *
+ * Helix needs a bearer token with every request. This module obtains an
+ * app access token through the OAuth client-credentials flow (`clientId` +
+ * `clientSecret` from config.js), caches it until shortly before it
+ * expires and refreshes it in the background, so Helix callers never see
+ * an expired token. A token rejected by Helix (401) can be invalidated and
+ * replaced on the spot.
+ *
+ * A hand-made `twitch.accessToken` in config.js is still honored when no
+ * client secret is configured, but it cannot be refreshed.
+ *
+ * Bot mode uses a user token (`twitch.oauthToken`) instead; those can't be
+ * refreshed here either, only validated (validateUserToken).
+ *
+ * Only twitchApi should need this module; everything else goes through it.
+ *
+ * @module services/twitchAuth
+ */
+
+const fetch = require('node-fetch');
+const config = require('../config');
+
+/**
+ * Twitch OAuth token endpoint
+ * @type {string}
+ */
+const TOKEN_URL = 'https://id.twitch.tv/oauth2/token';
+
+/**
+ * Twitch OAuth token validation endpoint
+ * @type {string}
+ */
+const VALIDATE_URL = 'https://id.twitch.tv/oauth2/validate';
+
+/**
+ * Refresh this long before the token expires (at most a tenth of its lifetime)
+ * @type {number}
+ */
+const REFRESH_MARGIN_MS = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Longest delay setTimeout supports (app tokens live for ~60 days, longer than this)
+ * @type {number}
+ */
+const MAX_TIMER_MS = 2147483647;
+
+/**
+ * Cached token ({ accessToken, expiresAt, refreshAt }) or null
+ * @type {Object|null}
+ */
+let token = null;
+
+/**
+ * Token request in flight, shared by concurrent callers
+ * @type {Promise<string>|null}
+ */
+let pendingRequest = null;
+
+/**
+ * Proactive refresh timer
+ * @type {NodeJS.Timeout|null}
+ */
+let refreshTimer = null;
+
+/**
+ * Check whether client-credentials tokens can be requested
+ * @returns {boolean} True if client ID and secret are configured
+ */
+function canRequestTokens() {
+  return !!config.twitch.clientId && !!config.twitch.clientSecret;
+}
+
+/**
+ * Check whether any token source is configured
+ * @returns {boolean} True if tokens can be requested or a static token is set
+ */
+function hasCredentials() {
+  return canRequestTokens() || !!config.twitch.accessToken;
+}
+
+/**
+ * Schedule the next proactive refresh
+ * Long lifetimes are covered in steps because of the setTimeout limit
+ */
+function scheduleRefresh() {
+  clearTimeout(refreshTimer);
+
+  const delay = Math.max(token.refreshAt - Date.now(), 0);
+
+  refreshTimer = setTimeout(() => {
+    if (delay > MAX_TIMER_MS) {
+      scheduleRefresh();
+      return;
+    }
+
+    requestToken().catch(error => {
+      console.warn('⚠️ Twitch token refresh failed (will retry on next request):', error.message);
+    });
+  }, Math.min(delay, MAX_TIMER_MS));
+
+  // Never keep the process alive just for a refresh
+  refreshTimer.unref();
+}
+
+/**
+ * Request a new app access token (client-credentials grant)
+ * Concurrent callers share one request
+ *
+ * @returns {Promise<string>} Access token
+ * @throws {Error} If Twitch rejects the credentials or cannot be reached
+ */
+function requestToken() {
+  if (pendingRequest) {
+    return pendingRequest;
+  }
+
+  const body = new URLSearchParams({
+    client_id: config.twitch.clientId,
+    client_secret: config.twitch.clientSecret,
+    grant_type: 'client_credentials'
+  });
+
+  pendingRequest = fetch(TOKEN_URL, { method: 'POST', body })
+    .then(async response => {
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok || !data.access_token) {
+        throw new Error(`Twitch token request failed: ${response.status} ${data.message || ''}`.trim());
+      }
+
+      const lifetimeMs = (data.expires_in || 0) * 1000;
+      const expiresAt = Date.now() + lifetimeMs;
+
+      token = {
+        accessToken: data.access_token,
+        expiresAt,
+        refreshAt: expiresAt - Math.min(REFRESH_MARGIN_MS, lifetimeMs / 10)
+      };
+      scheduleRefresh();
+
+      console.log(`🔑 Twitch app access token obtained (expires ${new Date(token.expiresAt).toISOString()})`);
+      return token.accessToken;
+    })
+    .finally(() => {
+      pendingRequest = null;
+    });
+
+  return pendingRequest;
+}
+
+/**
+ * Get a valid access token for Helix
+ * Returns the cached token; one that is about to expire is still returned
+ * while its replacement is requested in the background
+ *
+ * @returns {Promise<string>} Access token ('' if no credentials are configured)
+ * @throws {Error} If a token request fails
+ */
+async function getAccessToken() {
+  if (!canRequestTokens()) {
+    return config.twitch.accessToken || '';
+  }
+
+  if (token && Date.now() < token.refreshAt) {
+    return token.accessToken;
+  }
+
+  if (token && Date.now() < token.expiresAt) {
+    requestToken().catch(error => {
+      console.warn('⚠️ Twitch token refresh failed (will retry on next request):', error.message);
+    });
+    return token.accessToken;
+  }
+
+  return requestToken();
+}
+
+/**
+ * Drop a token Helix rejected so the next call requests a new one
+ * Ignored if the token was already replaced by another caller
+ *
+ * @param {string} rejectedToken - Token that got a 401
+ * @returns {boolean} True if a new token can be requested (retry makes sense)
+ */
+function invalidate(rejectedToken) {
+  if (!canRequestTokens()) {
+    return false;
+  }
+
+  if (token && token.accessToken === rejectedToken) {
+    console.warn('⚠️ Twitch rejected the app access token, requesting a new one');
+    token = null;
+    clearTimeout(refreshTimer);
+  }
+
+  return true;
+}
+
+/**
+ * Validate a user access token and find out whose it is
+ * Twitch asks apps to do this on startup and hourly for user tokens
+ *
+ * @param {string} userToken - User access token (with or without 'oauth:' prefix)
+ * @returns {Promise<Object>} { login, userId, clientId, scopes, expiresIn }
+ * @throws {Error} If the token is invalid or Twitch cannot be reached
+ */
+async function validateUserToken(userToken) {
+  const response = await fetch(VALIDATE_URL, {
+    headers: { 'Authorization': `OAuth ${userToken.replace(/^oauth:/, '')}` }
+  });
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok || !data.user_id) {
+    throw new Error(`Twitch token validation failed: ${response.status} ${data.message || ''}`.trim());
+  }
+
+  return {
+    login: data.login,
+    userId: data.user_id,
+    clientId: data.client_id,
+    scopes: data.scopes || [],
+    expiresIn: data.expires_in
+  };
+}
+
+/**
+ * Get token status for the health endpoint (never includes the token)
+ * @returns {Object} { source: 'client_credentials' | 'static' | 'none', expiresAt }
+ */
+function getStatus() {
+  if (canRequestTokens()) {
+    return {
+      source: 'client_credentials',
+      expiresAt: token ? new Date(token.expiresAt).toISOString() : null
+    };
+  }
+
+  return {
+    source: config.twitch.accessToken ? 'static' : 'none',
+    expiresAt: null
+  };
+}
+
+module.exports = {
+  hasCredentials,
+  getAccessToken,
+  invalidate,
+  validateUserToken,
+  getStatus
+};
@@ -0,0 +1,203 @@
+/**
+ * Twitch Avatar Service
+ *
+ * IRC carries no profile images, so avatars are looked up by login through
+ * Helix `users`. Lookups are collected for a few milliseconds and sent in
+ * batches of up to 100 logins (the Helix limit), and results are kept in an
+ * LRU cache with a TTL (see AvatarCache), so a busy chat costs one request
+ * per burst of new chatters instead of one per message.
+ *
+ * Chat never waits long: a lookup resolves to null after MAX_WAIT_MS (the
+ * result is still cached for the user's next message). Without Helix
+ * credentials every lookup resolves to null and the overlay draws its
+ * generated avatar.
+ *
+ * @module services/twitchAvatars
+ */
+
+const config = require('../config');
+const twitchApi = require('./twitchApi');
+const AvatarCache = require('../cache/AvatarCache');
+
+/**
+ * Helix `users` accepts at most 100 logins per request
+ * @type {number}
+ */
+const BATCH_SIZE = 100;
+
+/**
+ * How long to collect logins before sending a batch
+ * @type {number}
+ */
+const BATCH_DELAY_MS = 50;
+
+/**
+ * Longest a message waits for its avatar
+ * @type {number}
+ */
+const MAX_WAIT_MS = 1500;
+
+/**
+ * Pause after a failed Helix request before trying again
+ * @type {number}
+ */
+const RETRY_DELAY_MS = 60 * 1000; // 1 minute
+
+/**
+ * Avatar URLs by lowercase login
+ * @type {AvatarCache}
+ */
+const cache = new AvatarCache(
+  config.twitch.avatarCache?.maxEntries || 5000,
+  config.twitch.avatarCache?.ttlMinutes || 60
+);
+
+/**
+ * Callbacks waiting for a login (queued or in flight), by lowercase login
+ * @type {Map<string, Function[]>}
+ */
+const waiting = new Map();
+
+/**
+ * Logins not yet sent to Helix
+ * @type {string[]}
+ */
+let queue = [];
+
+/**
+ * Timer that sends the current queue
+ * @type {NodeJS.Timeout|null}
+ */
+let flushTimer = null;
+
+/**
+ * No Helix requests before this time (set after a failure)
+ * @type {number}
+ */
+let retryAfter = 0;
+
+/**
+ * Helix request counters for the stats endpoint
+ * @type {{requests: number, failures: number}}
+ */
+const requestStats = {
+  requests: 0,
+  failures: 0
+};
+
+/**
+ * Look up one batch of logins and resolve everyone waiting for them
+ * Logins Helix doesn't return are cached as null; nothing is cached on failure
+ *
+ * @param {string[]} logins - Lowercase logins (max BATCH_SIZE)
+ * @returns {Promise<void>} Resolves when the batch is done (never rejects)
+ */
+async function fetchBatch(logins) {
+  const avatars = new Map();
+  requestStats.requests++;
+
+  try {
+    const users = await twitchApi.getUsersByLogin(logins);
+
+    users.forEach(user => {
+      avatars.set(user.login.toLowerCase(), user.profile_image_url || null);
+    });
+    logins.forEach(login => cache.set(login, avatars.get(login) || null));
+  } catch (error) {
+    requestStats.failures++;
+    retryAfter = Date.now() + RETRY_DELAY_MS;
+    console.warn('⚠️ Failed to fetch Twitch avatars (retrying in 1 minute):', error.message);
+  }
+
+  logins.forEach(login => {
+    (waiting.get(login) || []).forEach(resolve => resolve(avatars.get(login) || null));
+    waiting.delete(login);
+  });
+}
+
+/**
+ * Send every queued login to Helix, BATCH_SIZE at a time
+ */
+function flush() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+
+  while (queue.length > 0) {
+    fetchBatch(queue.splice(0, BATCH_SIZE));
+  }
+}
+
+/**
+ * Get a Twitch user's avatar URL
+ * Cached logins resolve immediately; others join the next batch
+ *
+ * @param {string} login - Twitch login (the IRC nick, not the display name)
+ * @returns {Promise<string|null>} Avatar URL, or null if unknown or too slow
+ */
+function getAvatar(login) {
+  if (!login || !twitchApi.isConfigured()) {
+    return Promise.resolve(null);
+  }
+
+  const key = login.toLowerCase();
+  const cached = cache.get(key);
+
+  if (cached !== undefined) {
+    return Promise.resolve(cached);
+  }
+  if (Date.now() < retryAfter) {
+    return Promise.resolve(null);
+  }
+
+  return new Promise(resolve => {
+    const timer = setTimeout(() => resolve(null), MAX_WAIT_MS);
+    const done = (url) => {
+      clearTimeout(timer);
+      resolve(url);
+    };
+
+    if (waiting.has(key)) {
+      waiting.get(key).push(done);
+      return;
+    }
+
+    waiting.set(key, [done]);
+    queue.push(key);
+
+    if (queue.length >= BATCH_SIZE) {
+      flush();
+    } else if (!flushTimer) {
+      flushTimer = setTimeout(flush, BATCH_DELAY_MS);
+    }
+  });
+}
+
+/**
+ * Get avatar cache and Helix request statistics
+ * @returns {Object} Cache stats plus { helixRequests, helixFailures, pending }
+ */
+function getStats() {
+  return {
+    ...cache.getStats(),
+    helixRequests: requestStats.requests,
+    helixFailures: requestStats.failures,
+    pending: waiting.size
+  };
+}
+
+/**
+ * Drop every cached avatar and reset the counters
+ */
+function clearCache() {
+  cache.clear();
+  requestStats.requests = 0;
+  requestStats.failures = 0;
+  retryAfter = 0;
+}
+
+module.exports = {
+  BATCH_SIZE,
+  getAvatar,
+  getStats,
+  clearCache
+};
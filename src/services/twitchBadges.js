@@ -0,0 +1,232 @@
+/**
+ * Twitch Badge Service
+ *
+ * Maps the IRC `badges` tag (`name/version` pairs) to badge images.
+ * Global and channel badge sets are fetched from Helix and cached; channel
+ * badges (custom subscriber and bits badges) win over global ones.
+ *
+ * Subscriber versions encode tier and months: `12` is a 12-month Tier 1
+ * badge, `2012` Tier 2 and `3012` Tier 3. Channels only upload some month
+ * steps, so a missing version falls back to the closest lower step of the
+ * same tier (or Tier 1 if the channel has no badges for that tier).
+ *
+ * Without Helix credentials (or if Helix fails) bundled SVG badges are used
+ * for broadcaster, moderator, VIP and subscriber.
+ *
+ * @module services/twitchBadges
+ */
+
+const twitchApi = require('./twitchApi');
+
+/**
+ * How long fetched badge sets stay fresh
+ * @type {number}
+ */
+const CACHE_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Bundled badges served from public/images/badges
+ * @type {Object<string, {url: string, title: string}>}
+ */
+const FALLBACK_BADGES = {
+  broadcaster: { url: '/images/badges/broadcaster.svg', title: 'Broadcaster' },
+  moderator: { url: '/images/badges/moderator.svg', title: 'Moderator' },
+  vip: { url: '/images/badges/vip.svg', title: 'VIP' },
+  subscriber: { url: '/images/badges/subscriber.svg', title: 'Subscriber' }
+};
+
+/**
+ * Cached badge sets: 'global' or a broadcaster ID → { badges, fetchedAt, pending }
+ * `badges` maps 'set/version' to { url, title }
+ * @type {Map<string, Object>}
+ */
+const badgeSets = new Map();
+
+/**
+ * Convert Helix badge sets into a 'set/version' lookup
+ *
+ * @param {Object[]} helixSets - Helix badge sets
+ * @returns {Map<string, {url: string, title: string}>} Badge lookup
+ */
+function toBadgeMap(helixSets) {
+  const badges = new Map();
+
+  helixSets.forEach(set => {
+    (set.versions || []).forEach(version => {
+      badges.set(`${set.set_id}/${version.id}`, {
+        url: version.image_url_1x,
+        title: version.title || set.set_id
+      });
+    });
+  });
+
+  return badges;
+}
+
+/**
+ * Get a badge set, fetching it if missing or stale
+ * Concurrent callers share one request
+ *
+ * @param {string} [broadcasterId] - Channel's user ID; omit for global badges
+ * @returns {Promise<Map<string, Object>>} Badge lookup (empty if unavailable)
+ */
+async function loadBadgeSet(broadcasterId) {
+  const key = broadcasterId || 'global';
+  const cached = badgeSets.get(key);
+
+  if (cached && cached.pending) {
+    return cached.pending;
+  }
+
+  if (cached && Date.now() - cached.fetchedAt < CACHE_TTL_MS) {
+    return cached.badges;
+  }
+
+  const entry = cached || { badges: new Map(), fetchedAt: 0, pending: null };
+  badgeSets.set(key, entry);
+
+  entry.pending = twitchApi.getChatBadges(broadcasterId).then(helixSets => {
+    // Keep the previous badges (and retry next time) if a refresh fails
+    if (helixSets.length > 0) {
+      entry.badges = toBadgeMap(helixSets);
+      entry.fetchedAt = Date.now();
+      console.log(`🏅 Loaded ${entry.badges.size} Twitch ${broadcasterId ? 'channel' : 'global'} badges`);
+    }
+    entry.pending = null;
+    return entry.badges;
+  });
+
+  return entry.pending;
+}
+
+/**
+ * Fetch (or refresh) the global and channel badge sets
+ * Called when a chat client learns its channel ID
+ *
+ * @param {string} [broadcasterId] - Channel's user ID
+ * @returns {Promise<void>} Resolves once both sets are loaded
+ */
+async function preload(broadcasterId) {
+  await Promise.all([
+    loadBadgeSet(),
+    broadcasterId ? loadBadgeSet(broadcasterId) : null
+  ]);
+}
+
+/**
+ * Find the subscriber badge for a version in a badge lookup
+ * Uses the highest uploaded month step <= the requested months of the same tier
+ *
+ * @param {Map<string, Object>} badges - Badge lookup
+ * @param {string} version - Subscriber version from IRC (e.g. '14', '2003')
+ * @returns {Object|null} Badge ({ url, title }) or null
+ */
+function findSubscriberBadge(badges, version) {
+  const requested = parseInt(version, 10);
+  if (isNaN(requested)) return null;
+
+  const tier = Math.floor(requested / 1000);
+  let best = null;
+  let bestVersion = -1;
+
+  for (const [key, badge] of badges.entries()) {
+    const [setId, id] = key.split('/');
+    const candidate = parseInt(id, 10);
+
+    if (setId !== 'subscriber' || isNaN(candidate)) continue;
+    if (Math.floor(candidate / 1000) !== tier) continue;
+
+    if (candidate <= requested && candidate > bestVersion) {
+      best = badge;
+      bestVersion = candidate;
+    }
+  }
+
+  // Channels without Tier 2/3 badges show their Tier 1 badge for the same months
+  if (!best && tier > 0) {
+    return findSubscriberBadge(badges, String(requested % 1000));
+  }
+
+  return best;
+}
+
+/**
+ * Resolve one badge from the cached sets
+ * Never fetches; uses whatever is cached (or the bundled fallbacks)
+ *
+ * @param {string} name - Badge set (e.g. 'subscriber', 'moderator')
+ * @param {string} version - Badge version (e.g. '12', '1')
+ * @param {string} [broadcasterId] - Channel's user ID
+ * @returns {{name: string, version: string, url: string|null, title: string}} Badge
+ */
+function resolveBadge(name, version, broadcasterId) {
+  const key = `${name}/${version}`;
+  const channelBadges = broadcasterId ? badgeSets.get(broadcasterId)?.badges : null;
+  const globalBadges = badgeSets.get('global')?.badges;
+
+  let badge = channelBadges?.get(key) || globalBadges?.get(key) || null;
+
+  if (!badge && name === 'subscriber') {
+    badge = (channelBadges && findSubscriberBadge(channelBadges, version)) ||
+      (globalBadges && findSubscriberBadge(globalBadges, version)) ||
+      null;
+  }
+
+  badge = badge || FALLBACK_BADGES[name] || null;
+
+  return {
+    name,
+    version,
+    url: badge ? badge.url : null,
+    title: badge ? badge.title : name
+  };
+}
+
+/**
+ * Resolve an IRC `badges` tag into badge objects
+ *
+ * @param {string} [badgesTag] - Tag value (e.g. "broadcaster/1,subscriber/3012")
+ * @param {string} [broadcasterId] - Channel's user ID
+ * @returns {Object[]} Badges in tag order ({ name, version, url, title })
+ */
+function resolveBadges(badgesTag, broadcasterId) {
+  if (!badgesTag) return [];
+
+  return badgesTag
+    .split(',')
+    .map(badge => badge.split('/'))
+    .filter(([name]) => name)
+    .map(([name, version = '1']) => resolveBadge(name, version, broadcasterId));
+}
+
+/**
+ * Get the badge catalog for the API
+ *
+ * @param {string} [broadcasterId] - Channel's user ID; omit for global badges only
+ * @returns {Promise<Object>} { source: 'helix' | 'fallback', badges: { 'set/version': { url, title } } }
+ */
+async function getCatalog(broadcasterId) {
+  const globalBadges = await loadBadgeSet();
+  const channelBadges = broadcasterId ? await loadBadgeSet(broadcasterId) : new Map();
+
+  if (globalBadges.size === 0 && channelBadges.size === 0) {
+    const badges = {};
+    Object.entries(FALLBACK_BADGES).forEach(([name, badge]) => {
+      badges[`${name}/1`] = badge;
+    });
+    return { source: 'fallback', badges };
+  }
+
+  return {
+    source: 'helix',
+    badges: Object.fromEntries([...globalBadges, ...channelBadges])
+  };
+}
+
+module.exports = {
+  FALLBACK_BADGES,
+  preload,
+  resolveBadge,
+  resolveBadges,
+  getCatalog
+};
@@ -0,0 +1,171 @@
+/**
+ * YouTube Data API Service
+ *
+ * The only place in the server that reads the YouTube API key.
+ * Routes and the server-side chat client call these helpers instead of
+ * building googleapis.com URLs themselves, so the key never has to be
+ * copied into runtime config or sent to any client.
+ *
+ * Every call is recorded in the quota ledger (services/youtubeQuota).
+ *
+ * @module services/youtubeApi
+ */
+
+const fetch = require('node-fetch');
+const config = require('../config');
+const youtubeQuota = require('./youtubeQuota');
+
+/**
+ * Base URL for all YouTube Data API v3 requests
+ * `youtube.apiBaseUrl` in config.js can point it at a local mock server
+ * @type {string}
+ */
+const API_BASE_URL = config.youtube.apiBaseUrl || 'https://www.googleapis.com/youtube/v3';
+
+/**
+ * Check whether a YouTube API key is configured
+ * @returns {boolean} True if an API key is available
+ */
+function isConfigured() {
+  return !!config.youtube.apiKey;
+}
+
+/**
+ * Perform a GET request against the YouTube Data API
+ * Sends the API key in a header, never in the URL (fetch errors quote the
+ * URL), and records the call's quota cost
+ *
+ * @param {string} resource - API resource path (e.g. 'videos', 'liveChat/messages')
+ * @param {Object} params - Query parameters (without key)
+ * @returns {Promise<Response>} Raw fetch response
+ * @throws {Error} If the request fails; the message names the resource, not the URL
+ */
+async function apiFetch(resource, params) {
+  const query = new URLSearchParams(params);
+  youtubeQuota.record(resource);
+
+  try {
+    return await fetch(`${API_BASE_URL}/${resource}?${query.toString()}`, {
+      headers: { 'X-Goog-Api-Key': config.youtube.apiKey }
+    });
+  } catch (error) {
+    throw new Error(`YouTube API request to ${resource} failed: ${error.code || error.type || 'network error'}`);
+  }
+}
+
+/**
+ * Fetch video details including live streaming info
+ *
+ * @param {string} videoId - YouTube video ID
+ * @returns {Promise<Object>} Raw videos.list response body
+ */
+async function getVideoDetails(videoId) {
+  const response = await apiFetch('videos', {
+    part: 'liveStreamingDetails',
+    id: videoId
+  });
+  return response.json();
+}
+
+/**
+ * Fetch title and live status for up to 50 videos in one call
+ * Costs 1 quota unit however many IDs are passed
+ *
+ * @param {string[]} videoIds - YouTube video IDs (max 50)
+ * @returns {Promise<Object>} Raw videos.list response body
+ */
+async function getBroadcastDetails(videoIds) {
+  const response = await apiFetch('videos', {
+    part: 'snippet,liveStreamingDetails',
+    id: videoIds.join(',')
+  });
+  return response.json();
+}
+
+/**
+ * Resolve the active live chat ID for a video
+ *
+ * @param {string} videoId - YouTube video ID
+ * @returns {Promise<string|null>} Live chat ID, or null if the video has no active chat
+ * @throws {Error} If the API returns an error body
+ */
+async function getLiveChatId(videoId) {
+  const data = await getVideoDetails(videoId);
+
+  if (data.error) {
+    throw new Error(data.error.message);
+  }
+
+  return data.items?.[0]?.liveStreamingDetails?.activeLiveChatId || null;
+}
+
+/**
+ * Fetch a page of live chat messages
+ * Returns the raw response so callers can react to HTTP status codes
+ * (rate limiting, quota errors)
+ *
+ * @param {string} liveChatId - Live chat ID
+ * @param {string|null} [pageToken] - Pagination token from the previous page
+ * @returns {Promise<Response>} Raw fetch response
+ */
+function fetchChatMessages(liveChatId, pageToken = null) {
+  const params = {
+    liveChatId,
+    part: 'snippet,authorDetails'
+  };
+
+  if (pageToken) {
+    params.pageToken = pageToken;
+  }
+
+  return apiFetch('liveChat/messages', params);
+}
+
+/**
+ * Open a live chat message stream (liveChatMessages.streamList)
+ * The response stays open and receives a page whenever messages arrive;
+ * read it from `response.body` (see StreamListTransport)
+ *
+ * @param {string} liveChatId - Live chat ID
+ * @param {string|null} [pageToken] - Resume after this page
+ * @returns {Promise<Response>} Raw fetch response (streaming body)
+ */
+function streamChatMessages(liveChatId, pageToken = null) {
+  const params = {
+    liveChatId,
+    part: 'snippet,authorDetails'
+  };
+
+  if (pageToken) {
+    params.pageToken = pageToken;
+  }
+
+  return apiFetch('liveChat/messages/stream', params);
+}
+
+/**
+ * Search for a channel's current live broadcast
+ * Costs 100 quota units per call - cache results
+ *
+ * @param {string} channelId - YouTube channel ID
+ * @returns {Promise<Object>} Raw search.list response body
+ */
+async function searchLiveStream(channelId) {
+  const response = await apiFetch('search', {
+    part: 'snippet',
+    channelId,
+    eventType: 'live',
+    type: 'video'
+  });
+  return response.json();
+}
+
+module.exports = {
+  isConfigured,
+  getVideoDetails,
+  getBroadcastDetails,
+  getLiveChatId,
+  fetchChatMessages,
+  streamChatMessages,
+  searchLiveStream
+};
@@ -0,0 +1,276 @@
+/**
+ * YouTube Live Stream Lookup
+ *
+ * Finds a channel's current live broadcast without spending 100 quota units
+ * on `search` each time:
+ *
+ * 1. The channel's RSS feed (free, no API key) lists its latest videos,
+ *    including live and scheduled broadcasts
+ * 2. One `videos` call (1 unit for up to 50 IDs) tells which of them is live
+ *
+ * Videos found to be ordinary uploads or finished broadcasts are remembered
+ * and never looked up again, and scheduled broadcasts are only re-checked
+ * shortly before they are due, so a channel that isn't live usually costs
+ * nothing to check. `search` is only used when the feed can't be read.
+ *
+ * Used by the auto-detect route and the background live stream watcher
+ * (platforms/youtube/LiveStreamWatcher).
+ *
+ * @module services/youtubeLiveStream
+ */
+
+const fetch = require('node-fetch');
+const config = require('../config');
+const youtubeApi = require('./youtubeApi');
+const youtubeQuota = require('./youtubeQuota');
+
+/**
+ * Channel RSS feed URL (`?channel_id=` is appended)
+ * `youtube.liveWatcher.feedUrl` can point it at a local mock server
+ * @type {string}
+ */
+const FEED_URL = config.youtube.liveWatcher?.feedUrl || 'https://www.youtube.com/feeds/videos.xml';
+
+/**
+ * Feed request timeout
+ * @type {number}
+ */
+const FEED_TIMEOUT_MS = 10000;
+
+/**
+ * Scheduled broadcasts are looked up again from this long before their start
+ * @type {number}
+ */
+const UPCOMING_RECHECK_MS = 15 * 60 * 1000; // 15 minutes
+
+/**
+ * Most video IDs remembered as not live before the memory is cleared
+ * @type {number}
+ */
+const MAX_FINISHED_VIDEOS = 500;
+
+/**
+ * Videos known to be uploads or finished broadcasts (never live again)
+ * @type {Set<string>}
+ */
+const finishedVideos = new Set();
+
+/**
+ * Scheduled broadcasts: video ID → scheduled start (ms, 0 if unknown)
+ * @type {Map<string, number>}
+ */
+const upcomingVideos = new Map();
+
+/**
+ * Create an error carrying a machine-readable code
+ *
+ * @param {string} message - Error message
+ * @param {string|number} code - Error code (e.g. 'feedUnavailable', 'quotaBudget', 403)
+ * @returns {Error} Error with `code`
+ */
+function createError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Read the latest video IDs from a channel's RSS feed
+ *
+ * @param {string} channelId - YouTube channel ID
+ * @returns {Promise<string[]>} Video IDs, newest first
+ * @throws {Error} With code 'feedUnavailable' if the feed can't be read
+ */
+async function fetchFeedVideoIds(channelId) {
+  let response;
+
+  try {
+    response = await fetch(`${FEED_URL}?channel_id=${encodeURIComponent(channelId)}`, { timeout: FEED_TIMEOUT_MS });
+  } catch (error) {
+    throw createError(`Channel feed request failed: ${error.message}`, 'feedUnavailable');
+  }
+
+  if (!response.ok) {
+    throw createError(`Channel feed returned HTTP ${response.status}`, 'feedUnavailable');
+  }
+
+  const xml = await response.text();
+  const ids = [...xml.matchAll(/<yt:videoId>([\w-]{11})<\/yt:videoId>/g)].map(match => match[1]);
+
+  return [...new Set(ids)];
+}
+
+/**
+ * Check whether a video still needs a lookup
+ *
+ * @param {string} videoId - YouTube video ID
+ * @returns {boolean} False for finished videos and broadcasts scheduled later
+ */
+function needsLookup(videoId) {
+  if (finishedVideos.has(videoId)) {
+    return false;
+  }
+
+  if (upcomingVideos.has(videoId)) {
+    return upcomingVideos.get(videoId) - Date.now() <= UPCOMING_RECHECK_MS;
+  }
+
+  return true;
+}
+
+/**
+ * Remember that a video will never be live
+ * @param {string} videoId - YouTube video ID
+ */
+function markFinished(videoId) {
+  if (finishedVideos.size >= MAX_FINISHED_VIDEOS) {
+    finishedVideos.clear();
+  }
+
+  finishedVideos.add(videoId);
+  upcomingVideos.delete(videoId);
+}
+
+/**
+ * Convert a videos.list item to the live stream shape returned to callers
+ *
+ * @param {Object} item - videos.list item
+ * @returns {Object} { videoId, title, channelTitle, thumbnail, startedAt }
+ */
+function toLiveStream(item) {
+  const snippet = item.snippet || {};
+
+  return {
+    videoId: item.id,
+    title: snippet.title || '',
+    channelTitle: snippet.channelTitle || '',
+    thumbnail: snippet.thumbnails?.medium?.url || null,
+    startedAt: item.liveStreamingDetails?.actualStartTime || null
+  };
+}
+
+/**
+ * Find the live broadcast among a channel's feed videos
+ *
+ * @param {string} channelId - YouTube channel ID
+ * @param {string[]} [extraVideoIds] - Also check these (e.g. the video being
+ *   followed, in case it dropped out of the feed)
+ * @returns {Promise<Object|null>} Live stream (see toLiveStream) or null
+ * @throws {Error} With code 'feedUnavailable' if the feed can't be read,
+ *   or the API error code if the lookup fails
+ */
+async function findLiveStreamInFeed(channelId, extraVideoIds = []) {
+  const feedIds = await fetchFeedVideoIds(channelId);
+  const candidates = [...new Set([...feedIds, ...extraVideoIds])]
+    .filter(needsLookup)
+    .slice(0, 50);
+
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  const data = await youtubeApi.getBroadcastDetails(candidates);
+
+  if (data.error) {
+    if (data.error.errors?.[0]?.reason === 'quotaExceeded') {
+      youtubeQuota.markExhausted();
+    }
+    throw createError(data.error.message, data.error.code);
+  }
+
+  const live = [];
+
+  (data.items || []).forEach(item => {
+    const state = item.snippet?.liveBroadcastContent;
+
+    if (state === 'live') {
+      live.push(item);
+    } else if (state === 'upcoming') {
+      upcomingVideos.set(item.id, Date.parse(item.liveStreamingDetails?.scheduledStartTime) || 0);
+    } else {
+      markFinished(item.id);
+    }
+  });
+
+  // Deleted or private videos don't come back at all
+  candidates
+    .filter(videoId => !(data.items || []).some(item => item.id === videoId))
+    .forEach(markFinished);
+
+  if (live.length === 0) {
+    return null;
+  }
+
+  // A restarted stream may overlap the old one for a moment: newest wins
+  live.sort((a, b) =>
+    Date.parse(b.liveStreamingDetails?.actualStartTime || 0) - Date.parse(a.liveStreamingDetails?.actualStartTime || 0)
+  );
+
+  return toLiveStream(live[0]);
+}
+
+/**
+ * Find a channel's live broadcast with `search` (100 quota units)
+ *
+ * @param {string} channelId - YouTube channel ID
+ * @returns {Promise<Object|null>} Live stream (startedAt is null) or null
+ * @throws {Error} With code 'quotaBudget' if the budget can't cover a search,
+ *   or the API error code if the search fails
+ */
+async function searchLiveStream(channelId) {
+  if (!youtubeQuota.canAfford('search')) {
+    throw createError(
+      'Not enough YouTube API quota left today to search for a live stream. Enter the video ID manually.',
+      'quotaBudget'
+    );
+  }
+
+  const data = await youtubeApi.searchLiveStream(channelId);
+
+  if (data.error) {
+    if (data.error.errors?.[0]?.reason === 'quotaExceeded') {
+      youtubeQuota.markExhausted();
+    }
+    throw createError(data.error.message, data.error.code);
+  }
+
+  const item = data.items?.[0];
+  if (!item) {
+    return null;
+  }
+
+  return {
+    videoId: item.id.videoId,
+    title: item.snippet.title,
+    channelTitle: item.snippet.channelTitle,
+    thumbnail: item.snippet.thumbnails?.medium?.url || null,
+    startedAt: null
+  };
+}
+
+/**
+ * Find a channel's live broadcast, preferring the cheap feed lookup
+ * Falls back to `search` when the feed can't be read
+ *
+ * @param {string} channelId - YouTube channel ID
+ * @returns {Promise<Object|null>} Live stream or null
+ * @throws {Error} See findLiveStreamInFeed and searchLiveStream
+ */
+async function findLiveStream(channelId) {
+  try {
+    return await findLiveStreamInFeed(channelId);
+  } catch (error) {
+    if (error.code !== 'feedUnavailable') {
+      throw error;
+    }
+
+    console.warn(`⚠️  ${error.message}. Falling back to YouTube search (100 units).`);
+    return searchLiveStream(channelId);
+  }
+}
+
+module.exports = {
+  findLiveStream,
+  findLiveStreamInFeed,
+  searchLiveStream
+};
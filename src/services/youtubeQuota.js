@@ -0,0 +1,323 @@
+/**
+ * YouTube Quota Ledger
+ *
+ * The YouTube Data API gives each project a daily budget of quota units
+ * (10,000 by default) that resets at midnight Pacific time. Every call
+ * services/youtubeApi makes is recorded here with its unit cost, so the
+ * server knows how much of the day's budget is left before YouTube starts
+ * answering with `quotaExceeded`.
+ *
+ * The ledger is used to:
+ * - Stretch the chat polling interval so the remaining budget lasts
+ *   (getPollingDelay)
+ * - Refuse expensive calls (search, 100 units) that would eat the reserve
+ *   kept for connecting to chat (canAfford)
+ * - Show a usage gauge in the control panel (GET /api/youtube/quota)
+ *
+ * Usage is persisted to `youtube-quota.json` in the data directory, so a
+ * restart doesn't forget what was already spent today.
+ *
+ * @module services/youtubeQuota
+ */
+
+const config = require('../config');
+const { readJson, writeJsonAtomic, resolveDataPath } = require('../storage/jsonFile');
+
+/**
+ * Quota cost per API resource (units per call)
+ * https://developers.google.com/youtube/v3/determine_quota_cost
+ * @type {Object<string, number>}
+ */
+const UNIT_COSTS = {
+  videos: 1,
+  search: 100,
+  'liveChat/messages': 5,
+  'liveChat/messages/stream': 5
+};
+
+/**
+ * Cost of calls to resources missing from UNIT_COSTS
+ * @type {number}
+ */
+const DEFAULT_UNIT_COST = 1;
+
+/**
+ * Delay before writing, so a burst of calls collapses into one write
+ * @type {number}
+ */
+const SAVE_DEBOUNCE_MS = 2000;
+
+/**
+ * Formats a date as the Pacific calendar day ('YYYY-MM-DD') quota is counted in
+ * @type {Intl.DateTimeFormat}
+ */
+const PACIFIC_DAY = new Intl.DateTimeFormat('en-CA', {
+  timeZone: 'America/Los_Angeles',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+});
+
+/**
+ * Reads the Pacific wall-clock time of a date
+ * @type {Intl.DateTimeFormat}
+ */
+const PACIFIC_TIME = new Intl.DateTimeFormat('en-US', {
+  timeZone: 'America/Los_Angeles',
+  hourCycle: 'h23',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit'
+});
+
+/**
+ * Budget settings from config.js (`youtube.quota`)
+ * @type {{dailyLimit: number, reserve: number, budgetHours: number}}
+ */
+const settings = {
+  dailyLimit: config.youtube.quota?.dailyLimit || 10000,
+  reserve: config.youtube.quota?.reserve ?? 300,
+  budgetHours: config.youtube.quota?.budgetHours || 6
+};
+
+/**
+ * Today's usage
+ * @type {{day: string, used: number, resources: Object<string, {calls: number, units: number}>}}
+ */
+let ledger = load();
+
+/**
+ * Pending debounced save handle
+ * @type {NodeJS.Timeout|null}
+ */
+let saveTimeout = null;
+
+/**
+ * Get the Pacific calendar day a date falls on
+ *
+ * @param {Date} [date] - Date (default: now)
+ * @returns {string} Day as 'YYYY-MM-DD'
+ */
+function getQuotaDay(date = new Date()) {
+  return PACIFIC_DAY.format(date);
+}
+
+/**
+ * Milliseconds until the next Pacific midnight (the quota reset)
+ * Counted from the Pacific wall clock, so it is an hour off on the two
+ * daylight saving change days; the reset itself is detected by the day
+ * changing, not by this estimate
+ *
+ * @param {Date} [date] - Date (default: now)
+ * @returns {number} Milliseconds until reset
+ */
+function getMsUntilReset(date = new Date()) {
+  const parts = {};
+  PACIFIC_TIME.formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+
+  const elapsedMs = ((parts.hour * 60 + parts.minute) * 60 + parts.second) * 1000 + date.getMilliseconds();
+  return 24 * 60 * 60 * 1000 - elapsedMs;
+}
+
+/**
+ * Create an empty ledger for a day
+ *
+ * @param {string} day - Pacific day ('YYYY-MM-DD')
+ * @returns {Object} Ledger
+ */
+function createLedger(day) {
+  return { day, used: 0, resources: {} };
+}
+
+/**
+ * Resolve the path of the ledger file
+ * @returns {string} Absolute file path
+ */
+function getFilePath() {
+  return resolveDataPath('youtube-quota.json');
+}
+
+/**
+ * Load today's ledger from disk
+ * A file from an earlier day is ignored (the quota has reset since)
+ *
+ * @returns {Object} Ledger
+ */
+function load() {
+  const today = getQuotaDay();
+  const data = readJson(getFilePath());
+
+  if (data && data.day === today && Number.isFinite(data.used)) {
+    console.log(`📊 YouTube quota: ${data.used} / ${settings.dailyLimit} units used today`);
+    return { day: today, used: data.used, resources: data.resources || {} };
+  }
+
+  return createLedger(today);
+}
+
+/**
+ * Schedule a debounced save of the ledger
+ */
+function save() {
+  if (saveTimeout) return;
+
+  saveTimeout = setTimeout(() => {
+    saveTimeout = null;
+    writeJsonAtomic(getFilePath(), ledger);
+  }, SAVE_DEBOUNCE_MS);
+}
+
+/**
+ * Write a pending save right away
+ * Used during graceful shutdown
+ *
+ * @returns {Promise<void>} Resolves once written (or immediately if nothing is pending)
+ */
+function flush() {
+  if (!saveTimeout) {
+    return Promise.resolve();
+  }
+
+  clearTimeout(saveTimeout);
+  saveTimeout = null;
+  return writeJsonAtomic(getFilePath(), ledger);
+}
+
+/**
+ * Start a new ledger if the Pacific day changed since the last call
+ */
+function rollOver() {
+  const today = getQuotaDay();
+
+  if (ledger.day !== today) {
+    console.log(`📊 YouTube quota reset (${ledger.used} units used on ${ledger.day})`);
+    ledger = createLedger(today);
+    save();
+  }
+}
+
+/**
+ * Get the unit cost of a call
+ *
+ * @param {string} resource - API resource path (e.g. 'videos', 'search')
+ * @returns {number} Quota units
+ */
+function getCost(resource) {
+  return UNIT_COSTS[resource] ?? DEFAULT_UNIT_COST;
+}
+
+/**
+ * Record a call against today's quota
+ * YouTube charges failed requests too, so every call is recorded
+ *
+ * @param {string} resource - API resource path
+ */
+function record(resource) {
+  rollOver();
+
+  const cost = getCost(resource);
+  const entry = ledger.resources[resource] || { calls: 0, units: 0 };
+  entry.calls++;
+  entry.units += cost;
+
+  ledger.resources[resource] = entry;
+  ledger.used += cost;
+  save();
+}
+
+/**
+ * Record that YouTube reported the quota as exhausted
+ * Our count can be behind (other tools using the same key), so trust YouTube
+ */
+function markExhausted() {
+  rollOver();
+
+  if (ledger.used < settings.dailyLimit) {
+    console.warn(`⚠️  YouTube reported quota exceeded at ${ledger.used} counted units`);
+    ledger.used = settings.dailyLimit;
+    save();
+  }
+}
+
+/**
+ * Get the units left today
+ * @returns {number} Remaining units (never negative)
+ */
+function getRemaining() {
+  rollOver();
+  return Math.max(0, settings.dailyLimit - ledger.used);
+}
+
+/**
+ * Check whether a call fits the budget
+ * Calls other than chat (e.g. search) may not dip into the reserve
+ * kept for connecting to and reading chat
+ *
+ * @param {string} resource - API resource path
+ * @returns {boolean} True if the call should be made
+ */
+function canAfford(resource) {
+  const cost = getCost(resource);
+  const isChatCall = resource.startsWith('liveChat/') || resource === 'videos';
+  const available = getRemaining() - (isChatCall ? 0 : settings.reserve);
+
+  return cost <= available;
+}
+
+/**
+ * Get the chat polling delay the remaining budget allows
+ * The units left (minus the reserve) are spread over the next
+ * `budgetHours` (or until the reset, if sooner). The API-suggested delay is
+ * used when the budget allows it; with nothing left, polling waits for the
+ * reset.
+ *
+ * @param {number} suggestedDelay - Delay suggested by the API (ms)
+ * @returns {number} Delay to use (ms)
+ */
+function getPollingDelay(suggestedDelay) {
+  const msUntilReset = getMsUntilReset();
+  const budget = getRemaining() - settings.reserve;
+  const polls = Math.floor(budget / getCost('liveChat/messages'));
+
+  if (polls <= 0) {
+    return msUntilReset;
+  }
+
+  const horizonMs = Math.min(msUntilReset, settings.budgetHours * 60 * 60 * 1000);
+  return Math.max(suggestedDelay, Math.ceil(horizonMs / polls));
+}
+
+/**
+ * Get usage for the control panel gauge
+ *
+ * @returns {Object} { day, used, limit, remaining, reserve, percentUsed, resetsAt, resources }
+ */
+function getStatus() {
+  const remaining = getRemaining();
+
+  return {
+    day: ledger.day,
+    used: ledger.used,
+    limit: settings.dailyLimit,
+    remaining,
+    reserve: settings.reserve,
+    percentUsed: Math.min(100, Math.round((ledger.used / settings.dailyLimit) * 100)),
+    resetsAt: new Date(Date.now() + getMsUntilReset()).toISOString(),
+    resources: ledger.resources
+  };
+}
+
+module.exports = {
+  UNIT_COSTS,
+  getQuotaDay,
+  getMsUntilReset,
+  record,
+  markExhausted,
+  getRemaining,
+  canAfford,
+  getPollingDelay,
+  getStatus,
+  flush
+};
@@ -0,0 +1,218 @@
+/**
+ * Config Store - Persists runtime configuration to disk
+ *
+ * Saves control panel changes (theme, colors, custom CSS, max messages,
+ * connected channels, ...) to a local JSON file so they survive a server
+ * restart. The file is versioned; older files are migrated step by step
+ * on load.
+ *
+ * File format:
+ * {
+ *   "version": 3,
+ *   "savedAt": "2025-01-14T12:00:00.000Z",
+ *   "config": {
+ *     "connections": [ { "id", "platform", "target", "label", "color" }, ... ],
+ *     "platforms": { ...connection options... },
+ *     "profiles": { "default": { ...display settings... }, ... }
+ *   }
+ * }
+ *
+ * @module storage/configStore
+ */
+
+const { readJson, writeJsonAtomic, resolveDataPath } = require('./jsonFile');
+
+/**
+ * Current schema version of the persisted file
+ * @type {number}
+ */
+const SCHEMA_VERSION = 3;
+
+/**
+ * Delay before writing, so rapid slider changes collapse into one write
+ * @type {number}
+ */
+const SAVE_DEBOUNCE_MS = 500;
+
+/**
+ * Schema migrations, indexed by the version they migrate FROM
+ * Each takes the file contents at version N and returns version N + 1
+ * @type {Object<number, Function>}
+ */
+const MIGRATIONS = {
+  // v0: unversioned file holding the bare runtime config object
+  0: (data) => ({
+    version: 1,
+    savedAt: data.savedAt || null,
+    config: data
+  }),
+
+  // v1: display settings at the top level -> moved into profiles.default
+  1: (data) => {
+    const { platforms, ...displaySettings } = data.config || {};
+    return {
+      version: 2,
+      savedAt: data.savedAt,
+      config: {
+        platforms,
+        profiles: { default: displaySettings }
+      }
+    };
+  },
+
+  // v2: one connection per platform (platforms.youtube.videoId,
+  // platforms.twitch.channelId) -> list of connection records
+  2: (data) => {
+    const { platforms = {}, ...rest } = data.config || {};
+    const { youtube = {}, twitch = {} } = platforms;
+    const connections = [];
+    const youtubeOptions = {};
+
+    if (youtube.transport) youtubeOptions.transport = youtube.transport;
+    if (youtube.autoFollow !== undefined) youtubeOptions.autoFollow = youtube.autoFollow;
+
+    if (youtube.enabled && youtube.videoId) {
+      connections.push({ id: 'youtube-main', platform: 'youtube', target: youtube.videoId, label: youtube.videoId, transport: youtube.transport });
+    }
+    if (twitch.enabled && twitch.channelId) {
+      connections.push({ id: 'twitch-main', platform: 'twitch', target: twitch.channelId, label: twitch.channelId });
+    }
+
+    return {
+      version: 3,
+      savedAt: data.savedAt,
+      config: {
+        ...rest,
+        connections,
+        platforms: { youtube: youtubeOptions }
+      }
+    };
+  }
+};
+
+/**
+ * Pending debounced save handle
+ * @type {NodeJS.Timeout|null}
+ */
+let saveTimeout = null;
+
+/**
+ * Config waiting to be written by the debounced save
+ * @type {Object|null}
+ */
+let pendingConfig = null;
+
+/**
+ * Resolve the path of the runtime config file
+ * @returns {string} Absolute file path
+ */
+function getFilePath() {
+  return resolveDataPath('runtime-config.json');
+}
+
+/**
+ * Migrate persisted file contents up to SCHEMA_VERSION
+ *
+ * @param {Object} data - Raw parsed file contents
+ * @returns {Object|null} Migrated contents, or null if the file is from a newer version
+ */
+function migrate(data) {
+  let current = data;
+  let version = Number.isInteger(current.version) ? current.version : 0;
+
+  if (version > SCHEMA_VERSION) {
+    console.warn(`⚠️  Runtime config file is version ${version}, newer than supported ${SCHEMA_VERSION}. Ignoring it.`);
+    return null;
+  }
+
+  while (version < SCHEMA_VERSION) {
+    current = MIGRATIONS[version](current);
+    console.log(`🔄 Migrated runtime config from v${version} to v${current.version}`);
+    version = current.version;
+  }
+
+  return current;
+}
+
+/**
+ * Load persisted runtime config
+ *
+ * @returns {Object|null} Saved runtime config, or null if nothing usable is stored
+ */
+function load() {
+  const filePath = getFilePath();
+  const data = readJson(filePath);
+
+  if (!data || typeof data !== 'object') {
+    return null;
+  }
+
+  const migrated = migrate(data);
+  if (!migrated) {
+    return null;
+  }
+
+  console.log(`💾 Loaded runtime config from ${filePath}`);
+  return migrated.config || null;
+}
+
+/**
+ * Write a config snapshot immediately
+ *
+ * @param {Object} runtimeConfig - Runtime config to persist
+ * @returns {Promise<void>} Resolves once written
+ */
+function saveNow(runtimeConfig) {
+  return writeJsonAtomic(getFilePath(), {
+    version: SCHEMA_VERSION,
+    savedAt: new Date().toISOString(),
+    config: runtimeConfig
+  });
+}
+
+/**
+ * Schedule a debounced save of the runtime config
+ * Only the latest snapshot is written
+ *
+ * @param {Object} runtimeConfig - Runtime config to persist
+ */
+function save(runtimeConfig) {
+  pendingConfig = runtimeConfig;
+
+  if (saveTimeout) {
+    clearTimeout(saveTimeout);
+  }
+
+  saveTimeout = setTimeout(() => {
+    saveTimeout = null;
+    const snapshot = pendingConfig;
+    pendingConfig = null;
+    saveNow(snapshot);
+  }, SAVE_DEBOUNCE_MS);
+}
+
+/**
+ * Write any pending debounced save right away
+ * Used during graceful shutdown
+ *
+ * @returns {Promise<void>} Resolves once written (or immediately if nothing is pending)
+ */
+function flush() {
+  if (!saveTimeout) {
+    return Promise.resolve();
+  }
+
+  clearTimeout(saveTimeout);
+  saveTimeout = null;
+
+  const snapshot = pendingConfig;
+  pendingConfig = null;
+  return saveNow(snapshot);
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  load,
+  save,
+  flush
+};
@@ -0,0 +1,88 @@
+/**
+ * JSON File Helpers
+ *
+ * Small helpers for reading and atomically writing JSON state files.
+ * Writes go to a temporary file that is then renamed over the target,
+ * so a crash mid-write never leaves a truncated file behind.
+ *
+ * @module storage/jsonFile
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+/**
+ * Pending write chain per file path
+ * Serializes writes so two saves never race on the same temp file
+ * @type {Map<string, Promise<void>>}
+ */
+const writeQueues = new Map();
+
+/**
+ * Resolve a file path inside the configured data directory
+ * Relative data directories are resolved from the project root
+ *
+ * @param {string} fileName - File name within the data directory
+ * @returns {string} Absolute file path
+ */
+function resolveDataPath(fileName) {
+  const projectRoot = path.join(__dirname, '..', '..');
+  const dataDir = config.storage?.dataDir || 'data';
+  return path.resolve(projectRoot, dataDir, fileName);
+}
+
+/**
+ * Read and parse a JSON file
+ *
+ * @param {string} filePath - Absolute path to the file
+ * @returns {Object|null} Parsed data, or null if the file is missing or invalid
+ */
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`❌ Failed to read ${filePath}:`, error.message);
+    }
+    return null;
+  }
+}
+
+/**
+ * Write data as JSON using write-to-temp + rename
+ * Creates the parent directory if needed
+ *
+ * @param {string} filePath - Absolute path to the file
+ * @param {Object} data - Data to serialize
+ * @returns {Promise<void>} Resolves once the write has finished (errors are logged, not thrown)
+ */
+function writeJsonAtomic(filePath, data) {
+  const previous = writeQueues.get(filePath) || Promise.resolve();
+
+  const next = previous.then(async () => {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2), 'utf8');
+    await fs.promises.rename(tempPath, filePath);
+  });
+
+  // Keep the chain alive even if this write fails
+  const settled = next.catch(error => {
+    console.error(`❌ Failed to write ${filePath}:`, error.message);
+  });
+  writeQueues.set(filePath, settled);
+
+  return settled.then(() => {
+    if (writeQueues.get(filePath) === settled) {
+      writeQueues.delete(filePath);
+    }
+  });
+}
+
+module.exports = {
+  resolveDataPath,
+  readJson,
+  writeJsonAtomic
+};
@@ -0,0 +1,73 @@
+/**
+ * SlidingWindowLimiter - At most `max` actions per sliding time window
+ *
+ * Shared by the Twitch bot's send limits (platforms/twitch/ChatRateLimiter)
+ * and the per-source ingest limits (platforms/ingest/sources). Optionally
+ * enforces a minimum gap between actions as well (Twitch slow mode).
+ *
+ * @class SlidingWindowLimiter
+ * @example
+ * const limiter = new SlidingWindowLimiter({ max: 30, windowMs: 60000 });
+ * const { allowed, retryAfterMs } = limiter.tryAcquire();
+ */
+class SlidingWindowLimiter {
+  /**
+   * Initialize a new SlidingWindowLimiter instance
+   *
+   * @param {Object} options - Limit
+   * @param {number} options.max - Actions per window
+   * @param {number} options.windowMs - Window length
+   * @param {number} [options.minIntervalMs=0] - Minimum gap between actions
+   */
+  constructor({ max, windowMs, minIntervalMs = 0 }) {
+    this.max = max;
+    this.windowMs = windowMs;
+    this.minIntervalMs = minIntervalMs;
+    this.accepted = []; // Accepted action timestamps within the current window
+  }
+
+  /**
+   * Drop timestamps that left the window
+   * @param {number} now - Current time (ms)
+   */
+  prune(now) {
+    this.accepted = this.accepted.filter(timestamp => now - timestamp < this.windowMs);
+  }
+
+  /**
+   * Take a slot if one is free
+   * @returns {{allowed: boolean, retryAfterMs: number}} Whether to go ahead, and if not, when to retry
+   */
+  tryAcquire() {
+    const now = Date.now();
+    this.prune(now);
+
+    if (this.accepted.length >= this.max) {
+      return { allowed: false, retryAfterMs: this.windowMs - (now - this.accepted[0]) };
+    }
+
+    const last = this.accepted[this.accepted.length - 1];
+    if (last && now - last < this.minIntervalMs) {
+      return { allowed: false, retryAfterMs: this.minIntervalMs - (now - last) };
+    }
+
+    this.accepted.push(now);
+    return { allowed: true, retryAfterMs: 0 };
+  }
+
+  /**
+   * Get the current limit for status displays
+   * @returns {Object} { limit, windowSeconds, used }
+   */
+  getStatus() {
+    this.prune(Date.now());
+
+    return {
+      limit: this.max,
+      windowSeconds: this.windowMs / 1000,
+      used: this.accepted.length
+    };
+  }
+}
+
+module.exports = SlidingWindowLimiter;
@@ -2,7 +2,10 @@
  * Client Manager - Manages WebSocket client connections
  *
  * Handles client lifecycle, message broadcasting, and connection tracking
- * for the Live Chat Overlay system.
+ * for the Live Chat Overlay system. Each client is subscribed to one
+ * overlay profile so config updates only reach the overlays using it,
+ * and has a role: 'control' (authenticated control panel) or 'overlay'
+ * (read-only).
  *
  * @module clientManager
  */
@@ -10,18 +13,27 @@
 const WebSocket = require('ws');
 
 /**
- * Set of all connected WebSocket clients
- * @type {Set<WebSocket>}
+ * All connected WebSocket clients and their metadata
+ * @type {Map<WebSocket, {profile: string, role: string}>}
  */
-const clients = new Set();
+const clients = new Map();
+
+/**
+ * Callbacks that receive every broadcast (SSE stream, outbound webhooks filter it)
+ * @type {Set<Function>}
+ */
+const broadcastListeners = new Set();
 
 /**
  * Add a new client to the managed set
  * @param {WebSocket} client - WebSocket client to add
+ * @param {Object} metadata - Client metadata
+ * @param {string} metadata.profile - Overlay profile the client subscribes to
+ * @param {string} metadata.role - 'control' or 'overlay'
  */
-function addClient(client) {
-  clients.add(client);
-  console.log(`✅ Client connected. Total clients: ${clients.size}`);
+function addClient(client, { profile, role }) {
+  clients.set(client, { profile, role });
+  console.log(`✅ ${role === 'control' ? 'Control panel' : 'Overlay'} connected [${profile}]. Total clients: ${clients.size}`);
 }
 
 /**
@@ -41,6 +53,50 @@ function getClientCount() {
   return clients.size;
 }
 
+/**
+ * Change the profile a client is subscribed to
+ * Used by the control panel when switching the profile being edited
+ *
+ * @param {WebSocket} client - WebSocket client
+ * @param {string} profile - Profile name
+ */
+function setClientProfile(client, profile) {
+  const metadata = clients.get(client);
+  if (metadata) {
+    metadata.profile = profile;
+  }
+}
+
+/**
+ * Get the profile a client is subscribed to
+ *
+ * @param {WebSocket} client - WebSocket client
+ * @returns {string|null} Profile name, or null for unknown clients
+ */
+function getClientProfile(client) {
+  return clients.get(client)?.profile || null;
+}
+
+/**
+ * Get the role of a client
+ *
+ * @param {WebSocket} client - WebSocket client
+ * @returns {string|null} 'control', 'overlay', or null for unknown clients
+ */
+function getClientRole(client) {
+  return clients.get(client)?.role || null;
+}
+
+/**
+ * Get every profile name at least one client is subscribed to
+ * @returns {string[]} Distinct profile names
+ */
+function getSubscribedProfiles() {
+  const profiles = new Set();
+  clients.forEach(metadata => profiles.add(metadata.profile));
+  return [...profiles];
+}
+
 /**
  * Broadcast a message to all connected clients
  * Only sends to clients in OPEN state
@@ -53,7 +109,7 @@ function broadcast(data) {
   const message = JSON.stringify(data);
   let sentCount = 0;
 
-  clients.forEach(client => {
+  clients.forEach((metadata, client) => {
     if (client.readyState === WebSocket.OPEN) {
       client.send(message);
       sentCount++;
@@ -64,6 +120,68 @@ function broadcast(data) {
   if (data.type !== 'config') {
     console.log(`📡 Broadcast to ${sentCount} client(s): ${data.type}`);
   }
+
+  broadcastListeners.forEach(listener => {
+    try {
+      listener(data);
+    } catch (error) {
+      console.error('❌ Broadcast listener failed:', error.message);
+    }
+  });
+}
+
+/**
+ * Receive every message sent with broadcast() (not per-profile, per-role
+ * or single-client sends), after the WebSocket clients got it
+ *
+ * @param {Function} listener - Called with the broadcast data ({ type, data })
+ */
+function addBroadcastListener(listener) {
+  broadcastListeners.add(listener);
+}
+
+/**
+ * Broadcast a message to the clients subscribed to one profile
+ * Only sends to clients in OPEN state
+ *
+ * @param {string} profile - Profile name
+ * @param {Object} data - Data object to broadcast
+ * @returns {number} Number of clients the message was sent to
+ */
+function broadcastToProfile(profile, data) {
+  const message = JSON.stringify(data);
+  let sentCount = 0;
+
+  clients.forEach((metadata, client) => {
+    if (metadata.profile === profile && client.readyState === WebSocket.OPEN) {
+      client.send(message);
+      sentCount++;
+    }
+  });
+
+  return sentCount;
+}
+
+/**
+ * Broadcast a message to the clients with one role
+ * Used for control-panel-only data (e.g. Twitch bot status)
+ *
+ * @param {string} role - 'control' or 'overlay'
+ * @param {Object} data - Data object to broadcast
+ * @returns {number} Number of clients the message was sent to
+ */
+function broadcastToRole(role, data) {
+  const message = JSON.stringify(data);
+  let sentCount = 0;
+
+  clients.forEach((metadata, client) => {
+    if (metadata.role === role && client.readyState === WebSocket.OPEN) {
+      client.send(message);
+      sentCount++;
+    }
+  });
+
+  return sentCount;
 }
 
 /**
@@ -92,7 +210,7 @@ function sendToClient(client, data) {
 function closeAllConnections(code = 1000, reason = 'Server shutting down') {
   console.log(`🔌 Closing ${clients.size} client connection(s)...`);
 
-  clients.forEach(client => {
+  clients.forEach((metadata, client) => {
     try {
       client.close(code, reason);
     } catch (error) {
@@ -107,7 +225,14 @@ module.exports = {
   addClient,
   removeClient,
   getClientCount,
+  setClientProfile,
+  getClientProfile,
+  getClientRole,
+  getSubscribedProfiles,
   broadcast,
+  addBroadcastListener,
+  broadcastToProfile,
+  broadcastToRole,
   sendToClient,
   closeAllConnections
 };
@@ -4,165 +4,718 @@
  * Handles configuration updates, platform connection state,
  * and provides utilities for querying active connections.
  *
+ * Platform connections are a list of connection records
+ * (`{ id, platform, target, label, color }`), so several channels of the
+ * same platform can be read at once (co-streams, squad streams). Adding a
+ * record starts its server-side chat connector; removing it stops it.
+ *
+ * Display settings live in named profiles (theme, maxMessages, colors,
+ * platform filters, custom CSS). Each overlay picks a profile with
+ * `/?profile=name` and receives the global state merged with that
+ * profile; unknown profile names fall back to the default profile.
+ *
+ * Runtime changes are persisted through storage/configStore and
+ * reloaded on boot, merged over the config.js defaults.
+ *
  * @module configManager
  */
 
-const config = require('../../config');
+const crypto = require('crypto');
+const config = require('../config');
+const platformConnections = require('../platforms/platformConnections');
+const registry = require('../platforms/registry');
+const configStore = require('../storage/configStore');
+const thirdPartyEmotes = require('../services/thirdPartyEmotes');
+
+/**
+ * Keys that hold server-only secrets
+ * Secrets are read straight from config.js by server-side services
+ * (services/youtubeApi, services/twitchApi) and must never appear in
+ * runtime config, which is sent to every WebSocket client.
+ * @type {string[]}
+ */
+const SERVER_ONLY_KEYS = [
+  'apiKey',
+  'youtubeApiKey',
+  'clientSecret',
+  'accessToken',
+  'oauthToken',
+  'controlToken'
+];
+
+/**
+ * Keys always taken from config.js, never from the persisted file
+ * Editing config.js and restarting should always win for these
+ * @type {string[]}
+ */
+const CONFIG_FILE_KEYS = [
+  'youtubeChannelId',
+  'youtubeSimulationMode',
+  'twitchConfig'
+];
+
+/**
+ * ID of the connection record managed by YouTube auto-follow
+ * @type {string}
+ */
+const AUTO_FOLLOW_CONNECTION_ID = 'youtube-auto';
+
+/**
+ * Color tags handed out to new connections, in order
+ * @type {string[]}
+ */
+const CONNECTION_COLORS = ['#4fc3f7', '#ffb74d', '#81c784', '#f06292', '#ba68c8', '#fff176'];
+
+/**
+ * Allowed connection color tags (hex colors)
+ * @type {RegExp}
+ */
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Longest connection label
+ * @type {number}
+ */
+const MAX_LABEL_LENGTH = 32;
+
+/**
+ * Name of the profile used when an overlay doesn't ask for one
+ * Always exists and cannot be deleted
+ * @type {string}
+ */
+const DEFAULT_PROFILE = 'default';
+
+/**
+ * Allowed profile names (used in overlay URLs, so keep them URL-safe)
+ * @type {RegExp}
+ */
+const PROFILE_NAME_PATTERN = /^[a-z0-9_-]{1,32}$/;
+
+/**
+ * Settings stored per profile rather than globally
+ * Config updates touching these keys only affect the edited profile
+ * @type {string[]}
+ */
+const PROFILE_KEYS = [
+  'theme',
+  'maxMessages',
+  'animationSpeed',
+  'soundEnabled',
+  'volume',
+  'showUsername',
+  'showAvatar',
+  'showPlatformIcon',
+  'showChannelTag',
+  'showRemovedPlaceholder',
+  'avatarShape',
+  'bgColor',
+  'bgOpacity',
+  'borderRadius',
+  'blurEffect',
+  'customCSS',
+  'platformFilters'
+];
+
+/**
+ * Build the default display profile from config.js
+ * Used for the default profile, new profiles and profile resets
+ *
+ * @returns {Object} Fresh default profile settings
+ */
+function buildDefaultProfile() {
+  return {
+    theme: 'neon',
+    maxMessages: config.overlay.maxMessages,
+    soundEnabled: config.overlay.soundEnabled,
+    volume: config.overlay.soundVolume,
+    showUsername: config.overlay.showUsername,
+    showAvatar: config.overlay.showAvatar,
+    showPlatformIcon: config.overlay.showPlatformIcon,
+    showChannelTag: config.overlay.showChannelTag !== false,
+    showRemovedPlaceholder: !!config.overlay.showRemovedPlaceholder,
+    avatarShape: config.overlay.avatarShape,
+    bgColor: config.overlay.backgroundColor,
+    bgOpacity: config.overlay.backgroundOpacity,
+    borderRadius: config.overlay.borderRadius,
+    blurEffect: config.overlay.blurEffect,
+    customCSS: '',
+
+    // Platforms whose chat this profile shows (every registered platform by default)
+    platformFilters: Object.fromEntries(registry.getPlatformIds().map(id => [id, true]))
+  };
+}
+
+/**
+ * Build the default runtime configuration from config.js
+ * Used on boot (before persisted changes are merged)
+ *
+ * @returns {Object} Fresh default configuration object
+ */
+function buildDefaultConfig() {
+  return {
+    // Connected channels, any number per platform ({ id, platform, target, label, color })
+    connections: [],
+
+    // Per-platform connection options
+    platforms: {
+      youtube: {
+        transport: config.youtube.transport === 'stream' ? 'stream' : 'poll',
+        autoFollow: !!config.youtube.liveWatcher?.enabled
+      }
+    },
+
+    // Named display profiles
+    profiles: {
+      [DEFAULT_PROFILE]: buildDefaultProfile()
+    },
+
+    // Client-visible platform settings (no secrets - see SERVER_ONLY_KEYS)
+    youtubeChannelId: config.youtube.channelId || '',
+    youtubeSimulationMode: config.youtube.simulationMode,
+    twitchConfig: {
+      botUsername: config.twitch.botUsername
+    },
+
+    // Third-party emote providers ({ bttv, ffz, seventv } on/off)
+    emoteProviders: thirdPartyEmotes.getDefaultProviders()
+  };
+}
 
 /**
  * Current runtime configuration state
  * Merges default config with dynamic runtime changes
  * Supports multistream: simultaneous connections to multiple platforms
  */
-let currentConfig = {
-  // Platform connections (can have multiple active simultaneously)
-  platforms: {
-    youtube: {
-      enabled: false,
-      videoId: config.youtube.defaultVideoId || ''
-    },
-    twitch: {
-      enabled: false,
-      channelId: config.twitch.defaultChannel || ''
+let currentConfig = buildDefaultConfig();
+
+/**
+ * Remove server-only keys from a config object (recursively)
+ * Returns a copy; the input is not modified
+ *
+ * @param {Object} source - Config object or update payload
+ * @returns {Object} Copy without any server-only keys
+ */
+function stripSecrets(source) {
+  const result = {};
+
+  Object.entries(source || {}).forEach(([key, value]) => {
+    if (SERVER_ONLY_KEYS.includes(key)) {
+      return;
     }
-  },
-
-  // Display and UI settings
-  theme: 'neon',
-  maxMessages: config.overlay.maxMessages,
-  soundEnabled: config.overlay.soundEnabled,
-  volume: config.overlay.soundVolume,
-  showUsername: config.overlay.showUsername,
-  showAvatar: config.overlay.showAvatar,
-  showPlatformIcon: config.overlay.showPlatformIcon,
-  avatarShape: config.overlay.avatarShape,
-  bgColor: config.overlay.backgroundColor,
-  bgOpacity: config.overlay.backgroundOpacity,
-  borderRadius: config.overlay.borderRadius,
-  blurEffect: config.overlay.blurEffect,
-  customCSS: '',
-
-  // API configuration for clients
-  youtubeApiKey: config.youtube.apiKey || '',
-  youtubeChannelId: config.youtube.channelId || '',
-  youtubeSimulationMode: config.youtube.simulationMode,
-  twitchDefaultChannel: config.twitch.defaultChannel || '',
-  twitchConfig: {
-    botUsername: config.twitch.botUsername
-  }
-};
+
+    result[key] = value && typeof value === 'object' && !Array.isArray(value)
+      ? stripSecrets(value)
+      : value;
+  });
+
+  return result;
+}
+
+/**
+ * Normalize a requested profile name
+ *
+ * @param {string} [name] - Requested profile name (e.g. from `?profile=`)
+ * @returns {string} Lowercased name, or the default profile if empty/invalid
+ */
+function normalizeProfileName(name) {
+  const normalized = String(name || '').trim().toLowerCase();
+  return PROFILE_NAME_PATTERN.test(normalized) ? normalized : DEFAULT_PROFILE;
+}
+
+/**
+ * Resolve a requested profile name to an existing profile
+ * Overlays asking for a profile that doesn't exist (yet) get the default one
+ *
+ * @param {string} [name] - Requested profile name
+ * @returns {string} Name of an existing profile
+ */
+function resolveProfileName(name) {
+  const normalized = normalizeProfileName(name);
+  return currentConfig.profiles[normalized] ? normalized : DEFAULT_PROFILE;
+}
+
+/**
+ * Get the names of all profiles
+ * @returns {string[]} Profile names, default first
+ */
+function getProfileNames() {
+  return Object.keys(currentConfig.profiles);
+}
 
 /**
- * Get the current configuration state
+ * Get the configuration for one profile
+ * Global state merged with the profile's display settings, flat, so the
+ * overlay doesn't need to know about profiles. Each connection carries
+ * what it supports right now (`capabilities`, see PlatformAdapter).
+ * Safe to send to any client: never contains server-only secrets
+ *
+ * @param {string} [profileName] - Profile to resolve (default profile if omitted or unknown)
  * @returns {Object} Current configuration object
  */
-function getConfig() {
-  return { ...currentConfig };
+function getConfig(profileName = DEFAULT_PROFILE) {
+  const resolved = resolveProfileName(profileName);
+  const { profiles, ...globalConfig } = currentConfig;
+
+  return stripSecrets({
+    ...globalConfig,
+    connections: globalConfig.connections.map(record => ({
+      ...record,
+      capabilities: platformConnections.getCapabilities(record)
+    })),
+    ...profiles[resolved],
+    profile: resolved,
+    profiles: Object.keys(profiles),
+    availablePlatforms: registry.describePlatforms()
+  });
 }
 
 /**
  * Update configuration with new values
- * Merges updates with existing config
+ * Display settings go to the given profile, anything else is global.
+ * Server-only keys are ignored
  *
  * @param {Object} updates - Configuration updates to apply
- * @returns {Object} Updated configuration
+ * @param {string} [profileName] - Profile being edited
+ * @returns {Object} Updated configuration for that profile
+ */
+function updateConfig(updates, profileName = DEFAULT_PROFILE) {
+  const safeUpdates = stripSecrets(updates);
+  const resolved = resolveProfileName(profileName);
+  const profileUpdates = {};
+  const globalUpdates = {};
+
+  Object.entries(safeUpdates).forEach(([key, value]) => {
+    // Connections change through connectPlatform/disconnectConnection only
+    if (['profile', 'profiles', 'connections', 'platforms', 'availablePlatforms'].includes(key)) {
+      return;
+    }
+    if (PROFILE_KEYS.includes(key)) {
+      profileUpdates[key] = value;
+    } else {
+      globalUpdates[key] = value;
+    }
+  });
+
+  currentConfig = {
+    ...currentConfig,
+    ...globalUpdates,
+    profiles: {
+      ...currentConfig.profiles,
+      [resolved]: { ...currentConfig.profiles[resolved], ...profileUpdates }
+    }
+  };
+  if (globalUpdates.emoteProviders) {
+    currentConfig.emoteProviders = { ...thirdPartyEmotes.getDefaultProviders(), ...globalUpdates.emoteProviders };
+    thirdPartyEmotes.setEnabledProviders(currentConfig.emoteProviders);
+  }
+
+  console.log(`⚙️  Configuration updated [${resolved}]:`, Object.keys(safeUpdates).join(', '));
+  persist();
+  return getConfig(resolved);
+}
+
+/**
+ * Reset a profile's display settings to the config.js defaults
+ * Live platform connections are kept so a reset mid-stream doesn't drop chat
+ *
+ * @param {string} [profileName] - Profile to reset
+ * @returns {Object} Updated configuration for that profile
+ */
+function resetConfig(profileName = DEFAULT_PROFILE) {
+  const resolved = resolveProfileName(profileName);
+
+  currentConfig.profiles[resolved] = buildDefaultProfile();
+  console.log(`♻️  Profile "${resolved}" reset to defaults`);
+  persist();
+  return getConfig(resolved);
+}
+
+/**
+ * Create a new named profile
+ * Starts as a copy of an existing profile (default profile if not given)
+ *
+ * @param {string} name - New profile name (letters, digits, '-' and '_')
+ * @param {string} [copyFrom] - Profile to copy settings from
+ * @returns {string|null} Created profile name, or null if invalid or already taken
+ */
+function createProfile(name, copyFrom = DEFAULT_PROFILE) {
+  const normalized = String(name || '').trim().toLowerCase();
+
+  if (!PROFILE_NAME_PATTERN.test(normalized)) {
+    console.warn(`⚠️  Invalid profile name: ${name}`);
+    return null;
+  }
+  if (currentConfig.profiles[normalized]) {
+    console.warn(`⚠️  Profile already exists: ${normalized}`);
+    return null;
+  }
+
+  const source = currentConfig.profiles[resolveProfileName(copyFrom)];
+  currentConfig.profiles[normalized] = JSON.parse(JSON.stringify(source));
+  console.log(`🗂️  Profile created: ${normalized}`);
+  persist();
+  return normalized;
+}
+
+/**
+ * Delete a named profile
+ * Overlays still using it fall back to the default profile
+ *
+ * @param {string} name - Profile to delete
+ * @returns {boolean} True if a profile was deleted
+ */
+function deleteProfile(name) {
+  const normalized = normalizeProfileName(name);
+
+  if (normalized === DEFAULT_PROFILE || !currentConfig.profiles[normalized]) {
+    return false;
+  }
+
+  delete currentConfig.profiles[normalized];
+  console.log(`🗑️  Profile deleted: ${normalized}`);
+  persist();
+  return true;
+}
+
+/**
+ * Get the subset of runtime config that is written to disk
+ * Excludes secrets and values that always come from config.js
+ *
+ * @returns {Object} Persistable configuration
+ */
+function getPersistableConfig() {
+  const persistable = stripSecrets(currentConfig);
+  CONFIG_FILE_KEYS.forEach(key => delete persistable[key]);
+  return persistable;
+}
+
+/**
+ * Schedule a save of the current runtime config
+ */
+function persist() {
+  configStore.save(getPersistableConfig());
+}
+
+/**
+ * Write any pending config save immediately
+ * Called during graceful shutdown
+ *
+ * @returns {Promise<void>} Resolves once written
+ */
+function flush() {
+  return configStore.flush();
+}
+
+/**
+ * Load persisted runtime config and merge it over config.js defaults
+ * Reconnects every channel that was connected when the server stopped
+ * and resumes YouTube auto-follow if it was on
+ * Call once on server start, after platform message handlers are wired
+ *
+ * @returns {string[]} Labels of the restored connections
+ */
+function initialize() {
+  const persisted = configStore.load();
+  if (!persisted) {
+    applyAutoFollow();
+    return getActiveConnections();
+  }
+
+  const defaults = buildDefaultConfig();
+  const restored = stripSecrets(persisted);
+  CONFIG_FILE_KEYS.forEach(key => delete restored[key]);
+
+  // Merge per platform so new default fields survive older files
+  const platforms = {};
+  Object.keys(defaults.platforms).forEach(platform => {
+    platforms[platform] = {
+      ...defaults.platforms[platform],
+      ...(restored.platforms?.[platform] || {})
+    };
+  });
+
+  // Merge each profile over fresh defaults for the same reason
+  const profiles = { ...defaults.profiles };
+  Object.entries(restored.profiles || {}).forEach(([name, settings]) => {
+    if (!PROFILE_NAME_PATTERN.test(name)) {
+      return;
+    }
+    const profileDefaults = buildDefaultProfile();
+    profiles[name] = {
+      ...profileDefaults,
+      ...settings,
+      platformFilters: { ...profileDefaults.platformFilters, ...(settings.platformFilters || {}) }
+    };
+  });
+
+  const emoteProviders = { ...defaults.emoteProviders, ...(restored.emoteProviders || {}) };
+
+  currentConfig = { ...defaults, ...restored, connections: [], platforms, profiles, emoteProviders };
+  thirdPartyEmotes.setEnabledProviders(emoteProviders);
+
+  // Restart connectors for channels that were connected before the restart
+  (Array.isArray(restored.connections) ? restored.connections : []).forEach(record => {
+    connectPlatform(record.platform, record);
+  });
+  applyAutoFollow();
+
+  return getActiveConnections();
+}
+
+/**
+ * Turn following the YouTube channel's live stream on or off
+ * While on, new broadcasts are connected and ended ones disconnected
+ * automatically (see messageHandlers.handleLiveStreamChange)
+ *
+ * @param {boolean} enabled - Whether to follow the channel's live stream
+ * @returns {boolean} Whether auto-follow is now running (stays off if it can't start)
+ */
+function setYouTubeAutoFollow(enabled) {
+  currentConfig.platforms.youtube.autoFollow = !!enabled;
+
+  const running = applyAutoFollow();
+  currentConfig.platforms.youtube.autoFollow = running;
+
+  persist();
+  return running;
+}
+
+/**
+ * Start or stop the live stream watcher to match the autoFollow setting
+ *
+ * @returns {boolean} Whether the watcher is running
+ */
+function applyAutoFollow() {
+  if (!currentConfig.platforms.youtube.autoFollow) {
+    platformConnections.stopLiveWatcher();
+    return false;
+  }
+
+  return platformConnections.startLiveWatcher(config.youtube.channelId);
+}
+
+/**
+ * Normalize a connection target with the platform's own rules
+ * (e.g. Twitch channel names are case-insensitive and may be typed with '#')
+ *
+ * @param {string} platform - Platform ID
+ * @param {string} target - Video ID (YouTube) or channel name (Twitch, Kick)
+ * @returns {string} Normalized target, or '' if empty or the platform is unknown
+ */
+function normalizeTarget(platform, target) {
+  const definition = registry.getPlatform(platform);
+  return definition ? definition.normalizeTarget(target) : '';
+}
+
+/**
+ * Pick the color tag for a new connection
+ * Takes the first palette color no other connection uses
+ *
+ * @returns {string} Hex color
+ */
+function pickConnectionColor() {
+  const used = currentConfig.connections.map(record => record.color);
+  return CONNECTION_COLORS.find(color => !used.includes(color)) ||
+    CONNECTION_COLORS[currentConfig.connections.length % CONNECTION_COLORS.length];
+}
+
+/**
+ * Generate an ID for a new connection record
+ *
+ * @param {string} platform - Platform name
+ * @returns {string} ID such as 'twitch-3fa91c'
  */
-function updateConfig(updates) {
-  currentConfig = { ...currentConfig, ...updates };
-  console.log('⚙️  Configuration updated:', Object.keys(updates).join(', '));
-  return getConfig();
+function createConnectionId(platform) {
+  let id;
+  do {
+    id = `${platform}-${crypto.randomBytes(3).toString('hex')}`;
+  } while (findConnection(id));
+  return id;
 }
 
 /**
- * Connect to a platform (YouTube or Twitch)
- * Supports multistream by not disconnecting other platforms
+ * Find a connection record by ID
  *
- * @param {string} platform - Platform name ('youtube' or 'twitch')
+ * @param {string} id - Connection ID
+ * @returns {Object|undefined} Connection record
+ */
+function findConnection(id) {
+  return currentConfig.connections.find(record => record.id === id);
+}
+
+/**
+ * Connect a channel (YouTube video, Twitch or Kick channel)
+ * Adds a connection record and starts its server-side chat connector.
+ * Other connections keep running, on any platform. Connecting with the
+ * ID of an existing record updates it (switching its target restarts the
+ * connector); connecting a target that is already connected updates that
+ * record instead of reading the same chat twice
+ *
+ * @param {string} platform - Registered platform ID ('youtube', 'twitch', 'kick')
  * @param {Object} connectionData - Connection details
- * @param {string} connectionData.videoId - YouTube video ID (if YouTube)
- * @param {string} connectionData.channelId - Channel name (if Twitch)
- * @returns {string[]} List of currently active platform connections
- */
-function connectPlatform(platform, connectionData) {
-  if (platform === 'youtube' && connectionData.videoId) {
-    currentConfig.platforms.youtube.enabled = true;
-    currentConfig.platforms.youtube.videoId = connectionData.videoId;
-    console.log(`🔌 YouTube connected: ${connectionData.videoId}`);
-
-  } else if (platform === 'twitch' && connectionData.channelId) {
-    currentConfig.platforms.twitch.enabled = true;
-    currentConfig.platforms.twitch.channelId = connectionData.channelId;
-    console.log(`🔌 Twitch connected: ${connectionData.channelId}`);
+ * @param {string} connectionData.target - YouTube video ID, Twitch/Kick channel name
+ *   (`videoId` / `channelId` are accepted too)
+ * @param {string} [connectionData.id] - Existing record to update, or the ID for a new one
+ * @param {string} [connectionData.label] - Name shown on messages (default: the target)
+ * @param {string} [connectionData.color] - Color tag, '#rrggbb' (default: next palette color)
+ * @param {string} [connectionData.transport] - YouTube chat transport, 'poll' or 'stream'
+ * @returns {Object|null} The connection record, or null if platform or target is missing
+ */
+function connectPlatform(platform, connectionData = {}) {
+  const target = normalizeTarget(platform, connectionData.target || connectionData.videoId || connectionData.channelId);
+
+  if (!registry.canConnect(platform) || !target) {
+    console.warn(`⚠️  Ignoring connect request without a valid platform and target (${platform})`);
+    return null;
+  }
+
+  const sameTarget = currentConfig.connections.find(record => record.platform === platform && record.target === target);
+  const existing = (connectionData.id && findConnection(connectionData.id)) || sameTarget;
+
+  // A record switched to a target another record already reads replaces that record
+  if (sameTarget && sameTarget !== existing) {
+    disconnectConnection(sameTarget.id);
+  }
+
+  const label = String(connectionData.label || '').trim().slice(0, MAX_LABEL_LENGTH);
+
+  const record = {
+    id: existing?.id || (typeof connectionData.id === 'string' && /^[\w-]{1,40}$/.test(connectionData.id)
+      ? connectionData.id
+      : createConnectionId(platform)),
+    platform,
+    target,
+    label: label || (existing && existing.target === target ? existing.label : target),
+    color: COLOR_PATTERN.test(connectionData.color || '')
+      ? connectionData.color.toLowerCase()
+      : (existing?.color || pickConnectionColor())
+  };
+
+  if (platform === 'youtube') {
+    const youtube = currentConfig.platforms.youtube;
+    record.transport = ['poll', 'stream'].includes(connectionData.transport)
+      ? connectionData.transport
+      : (existing?.transport || youtube.transport || 'poll');
+    youtube.transport = record.transport;
   }
 
+  currentConfig.connections = existing
+    ? currentConfig.connections.map(item => (item === existing ? record : item))
+    : [...currentConfig.connections, record];
+
+  platformConnections.startConnection(record);
+  console.log(`🔌 ${registry.getPlatformName(platform)} connected: ${target} as "${record.label}" [${record.id}]` +
+    (record.transport ? ` (${record.transport})` : ''));
+
+  persist();
+
   const activeConnections = getActiveConnections();
   if (activeConnections.length > 1) {
     console.log(`📡 Multistream active: ${activeConnections.join(' + ')}`);
   }
 
-  return activeConnections;
+  return record;
+}
+
+/**
+ * Disconnect one connection by ID
+ * Stops its chat connector and removes the record
+ *
+ * @param {string} id - Connection ID
+ * @returns {boolean} True if a connection was removed
+ */
+function disconnectConnection(id) {
+  const record = findConnection(id);
+  if (!record) {
+    return false;
+  }
+
+  currentConfig.connections = currentConfig.connections.filter(item => item !== record);
+  platformConnections.stopConnection(id);
+  console.log(`🔌 Disconnected ${record.platform} ${record.target} [${id}]`);
+
+  persist();
+  return true;
 }
 
 /**
- * Disconnect from a specific platform or all platforms
+ * Disconnect every connection of a platform, or all connections
+ * Stops the matching server-side chat connector(s)
  *
- * @param {string|null} platform - Platform to disconnect ('youtube', 'twitch', or null for all)
+ * @param {string|null} platform - Platform to disconnect ('youtube', 'twitch', 'kick', or null for all)
  */
 function disconnectPlatform(platform = null) {
   if (!platform) {
-    // Disconnect all platforms
-    currentConfig.platforms.youtube.enabled = false;
-    currentConfig.platforms.youtube.videoId = '';
-    currentConfig.platforms.twitch.enabled = false;
-    currentConfig.platforms.twitch.channelId = '';
+    currentConfig.connections = [];
+    platformConnections.stopAll();
     console.log('🔌 Disconnected from all platforms');
+  } else {
+    currentConfig.connections
+      .filter(record => record.platform === platform)
+      .forEach(record => platformConnections.stopConnection(record.id));
+    currentConfig.connections = currentConfig.connections.filter(record => record.platform !== platform);
+    console.log(`🔌 All ${platform} connections disconnected`);
+  }
 
-  } else if (platform === 'youtube') {
-    currentConfig.platforms.youtube.enabled = false;
-    currentConfig.platforms.youtube.videoId = '';
-    console.log('🔌 YouTube disconnected');
+  persist();
+}
 
-  } else if (platform === 'twitch') {
-    currentConfig.platforms.twitch.enabled = false;
-    currentConfig.platforms.twitch.channelId = '';
-    console.log('🔌 Twitch disconnected');
-  }
+/**
+ * Get the current connection records
+ * @returns {Object[]} Copies of the records ({ id, platform, target, label, color, transport? })
+ */
+function getConnections() {
+  return currentConfig.connections.map(record => ({ ...record }));
 }
 
 /**
  * Get list of currently active platform connections
- * @returns {string[]} Array of active platform names
+ * @returns {string[]} One entry per connection, e.g. 'Twitch: partner'
  */
 function getActiveConnections() {
-  const active = [];
-  if (currentConfig.platforms.youtube.enabled) active.push('YouTube');
-  if (currentConfig.platforms.twitch.enabled) active.push('Twitch');
-  return active;
+  return currentConfig.connections.map(record =>
+    `${registry.getPlatformName(record.platform)}: ${record.label}`
+  );
 }
 
 /**
  * Check if a specific platform is connected
- * @param {string} platform - Platform name ('youtube' or 'twitch')
- * @returns {boolean} True if platform is connected
+ * @param {string} platform - Platform ID ('youtube', 'twitch', 'kick')
+ * @returns {boolean} True if at least one connection uses the platform
  */
 function isPlatformConnected(platform) {
-  return currentConfig.platforms[platform]?.enabled || false;
+  return currentConfig.connections.some(record => record.platform === platform);
 }
 
 /**
- * Check if multistream mode is active (multiple platforms connected)
- * @returns {boolean} True if 2 or more platforms are connected
+ * Check if multistream mode is active (multiple channels connected)
+ * @returns {boolean} True if 2 or more connections are active
  */
 function isMultistreamActive() {
-  return getActiveConnections().length > 1;
+  return currentConfig.connections.length > 1;
 }
 
 module.exports = {
+  SERVER_ONLY_KEYS,
+  DEFAULT_PROFILE,
+  AUTO_FOLLOW_CONNECTION_ID,
+  stripSecrets,
+  initialize,
+  flush,
   getConfig,
   updateConfig,
+  resetConfig,
+  normalizeProfileName,
+  resolveProfileName,
+  getProfileNames,
+  createProfile,
+  deleteProfile,
   connectPlatform,
+  disconnectConnection,
   disconnectPlatform,
+  getConnections,
   getActiveConnections,
+  setYouTubeAutoFollow,
   isPlatformConnected,
   isMultistreamActive
 };
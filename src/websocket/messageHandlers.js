@@ -2,16 +2,83 @@
  * WebSocket Message Handlers
  *
  * Handles all incoming WebSocket messages from clients including:
- * - Configuration updates
- * - Chat messages
- * - Platform connection/disconnection
+ * - Configuration updates and reset to defaults
+ * - Overlay profiles (subscribe, create, delete)
+ * - Chat messages and moderation (deleted messages, purged users, cleared chat)
+ * - Platform connections (one record per channel) and YouTube auto-follow
+ * - Bot actions (send chat, delete, timeout, ban - for platforms with those
+ *   capabilities, i.e. Twitch) and pinned highlights
  * - Test messages and sounds
  *
+ * State-changing message types are only accepted from authenticated
+ * control panel sockets; overlays are read-only.
+ *
  * @module messageHandlers
  */
 
 const clientManager = require('./clientManager');
 const configManager = require('./configManager');
+const platformConnections = require('../platforms/platformConnections');
+const registry = require('../platforms/registry');
+const { ROLES } = require('../auth/controlAuth');
+
+/**
+ * Chat history buffer (set from server.js)
+ * @type {import('../cache/ChatHistory')|null}
+ */
+let chatHistory = null;
+
+/**
+ * Message pinned as a highlight on every overlay, or null
+ * @type {Object|null}
+ */
+let pinnedMessage = null;
+
+/**
+ * Longest Twitch timeout (2 weeks)
+ * @type {number}
+ */
+const MAX_TIMEOUT_SECONDS = 1209600;
+
+/**
+ * Moderation actions and the capability each needs (see PlatformAdapter)
+ * @type {Object<string, string>}
+ */
+const MODERATION_CAPABILITIES = {
+  delete: 'deletion',
+  timeout: 'timeouts',
+  ban: 'timeouts'
+};
+
+/**
+ * Message types that change server state or reach every overlay
+ * Only accepted from sockets with the control role
+ * @type {string[]}
+ */
+const PRIVILEGED_TYPES = [
+  'config',
+  'reset-config',
+  'create-profile',
+  'delete-profile',
+  'chat-message',
+  'connect',
+  'disconnect',
+  'set-auto-follow',
+  'test-sound',
+  'send-chat',
+  'moderate',
+  'pin-message',
+  'unpin-message'
+];
+
+/**
+ * Register the chat history buffer that records broadcast messages
+ *
+ * @param {import('../cache/ChatHistory')} history - Chat history instance
+ */
+function setChatHistory(history) {
+  chatHistory = history;
+}
 
 /**
  * Main message router - dispatches messages to appropriate handlers
@@ -23,10 +90,32 @@ function handleMessage(ws, message) {
   try {
     const data = JSON.parse(message);
 
+    // Overlays are read-only
+    if (PRIVILEGED_TYPES.includes(data.type) && clientManager.getClientRole(ws) !== ROLES.CONTROL) {
+      rejectUnauthorized(ws, data.type);
+      return;
+    }
+
     // Route message based on type
     switch (data.type) {
       case 'config':
-        handleConfigUpdate(data.data);
+        handleConfigUpdate(data.data, data.profile || clientManager.getClientProfile(ws));
+        break;
+
+      case 'reset-config':
+        handleConfigReset(data.data?.profile || clientManager.getClientProfile(ws));
+        break;
+
+      case 'subscribe-profile':
+        handleProfileSubscribe(ws, data.data);
+        break;
+
+      case 'create-profile':
+        handleProfileCreate(ws, data.data);
+        break;
+
+      case 'delete-profile':
+        handleProfileDelete(data.data);
         break;
 
       case 'chat-message':
@@ -41,10 +130,30 @@ function handleMessage(ws, message) {
         handlePlatformDisconnect(data.data);
         break;
 
+      case 'set-auto-follow':
+        handleSetAutoFollow(ws, data.data);
+        break;
+
       case 'test-sound':
         handleTestSound();
         break;
 
+      case 'send-chat':
+        handleSendChat(ws, data.data);
+        break;
+
+      case 'moderate':
+        handleModerationAction(ws, data.data);
+        break;
+
+      case 'pin-message':
+        handlePinMessage(ws, data.data);
+        break;
+
+      case 'unpin-message':
+        handleUnpinMessage();
+        break;
+
       default:
         console.warn(`⚠️  Unknown message type: ${data.type}`);
     }
@@ -53,33 +162,144 @@ function handleMessage(ws, message) {
   }
 }
 
+/**
+ * Reply to a privileged message from a socket without the control role
+ *
+ * @param {WebSocket} ws - Socket that sent the message
+ * @param {string} type - Rejected message type
+ */
+function rejectUnauthorized(ws, type) {
+  console.warn(`🔒 Rejected '${type}' from a read-only client`);
+  clientManager.sendToClient(ws, {
+    type: 'error',
+    data: {
+      code: 'unauthorized',
+      requestType: type,
+      message: `Not authorized to send '${type}'. Log in to the control panel first.`
+    }
+  });
+}
+
+/**
+ * Send the current config to every client whose profile resolves to the given one
+ * Clients subscribed to a missing profile use (and follow) the default profile.
+ * With no profile given, every client gets its own profile's config
+ *
+ * @param {string|null} [profileName] - Profile that changed, or null for global changes
+ */
+function broadcastConfig(profileName = null) {
+  clientManager.getSubscribedProfiles().forEach(subscribed => {
+    const resolved = configManager.resolveProfileName(subscribed);
+    if (profileName && resolved !== profileName) {
+      return;
+    }
+
+    clientManager.broadcastToProfile(subscribed, {
+      type: 'config',
+      data: configManager.getConfig(resolved)
+    });
+  });
+}
+
 /**
  * Handle configuration updates from control panel
- * Updates config and broadcasts to all clients
+ * Updates the edited profile and broadcasts to the clients using it
  *
  * @param {Object} configUpdate - Configuration changes
+ * @param {string} profileName - Profile being edited
  */
-function handleConfigUpdate(configUpdate) {
-  const updatedConfig = configManager.updateConfig(configUpdate);
+function handleConfigUpdate(configUpdate, profileName) {
+  const updatedConfig = configManager.updateConfig(configUpdate, profileName);
+  broadcastConfig(updatedConfig.profile);
+}
 
-  // Broadcast updated configuration to all clients
-  clientManager.broadcast({
+/**
+ * Handle reset-to-defaults requests from control panel
+ * Restores config.js display defaults for one profile and broadcasts it
+ *
+ * @param {string} profileName - Profile to reset
+ */
+function handleConfigReset(profileName) {
+  const updatedConfig = configManager.resetConfig(profileName);
+  broadcastConfig(updatedConfig.profile);
+}
+
+/**
+ * Handle profile subscription changes (control panel switching profiles)
+ * Replies with the config of the newly subscribed profile
+ *
+ * @param {WebSocket} ws - Client switching profile
+ * @param {Object} subscribeData - Subscription request
+ * @param {string} subscribeData.profile - Profile name
+ */
+function handleProfileSubscribe(ws, subscribeData) {
+  const profile = configManager.normalizeProfileName(subscribeData?.profile);
+
+  clientManager.setClientProfile(ws, profile);
+  clientManager.sendToClient(ws, {
     type: 'config',
-    data: updatedConfig
+    data: configManager.getConfig(profile)
   });
 }
 
 /**
- * Handle chat messages from platforms
+ * Handle profile creation requests from control panel
+ * Subscribes the requesting client to the new profile and
+ * refreshes the profile list on every client
+ *
+ * @param {WebSocket} ws - Client creating the profile
+ * @param {Object} profileData - Profile details
+ * @param {string} profileData.name - New profile name
+ * @param {string} [profileData.copyFrom] - Profile to copy settings from
+ */
+function handleProfileCreate(ws, profileData) {
+  const created = configManager.createProfile(profileData?.name, profileData?.copyFrom);
+
+  if (!created) {
+    clientManager.sendToClient(ws, {
+      type: 'error',
+      data: { message: `Could not create profile "${profileData?.name || ''}"` }
+    });
+    return;
+  }
+
+  clientManager.setClientProfile(ws, created);
+  broadcastConfig();
+}
+
+/**
+ * Handle profile deletion requests from control panel
+ * Clients using the deleted profile fall back to the default profile
+ *
+ * @param {Object} profileData - Profile details
+ * @param {string} profileData.name - Profile to delete
+ */
+function handleProfileDelete(profileData) {
+  if (configManager.deleteProfile(profileData?.name)) {
+    broadcastConfig();
+  }
+}
+
+/**
+ * Handle chat messages from platform connectors or the control panel
  * Broadcasts messages to all overlay clients
  *
  * @param {Object} messageData - Chat message data
  * @param {string} messageData.username - User who sent the message
  * @param {string} messageData.text - Message text content
  * @param {string} messageData.platform - Platform origin (youtube/twitch)
+ * @param {string} [messageData.eventType] - Typed event (sub, resub, raid, ...) instead of plain chat
  */
 function handleChatMessage(messageData) {
-  console.log(`💬 [${messageData.platform}] ${messageData.username}: ${messageData.text}`);
+  if (messageData.eventType) {
+    console.log(`🎉 [${messageData.platform}:${messageData.eventType}] ${messageData.username}: ${messageData.text || ''}`);
+  } else {
+    console.log(`💬 [${messageData.platform}] ${messageData.username}: ${messageData.text}`);
+  }
+
+  if (chatHistory) {
+    chatHistory.add(messageData);
+  }
 
   // Broadcast message to all overlay clients
   clientManager.broadcast({
@@ -89,42 +309,443 @@ function handleChatMessage(messageData) {
 }
 
 /**
- * Handle platform connection requests
- * Supports multistream: can connect to multiple platforms simultaneously
+ * Check whether a chat message was written by the user a moderation event targets
+ * Prefers the platform user ID; falls back to a case-insensitive name match
+ * (Twitch CLEARCHAT carries the login, messages carry the display name)
  *
- * @param {Object} connectionData - Platform connection details
- * @param {string} connectionData.platform - Platform name ('youtube' or 'twitch')
- * @param {string} connectionData.videoId - YouTube video ID (if YouTube)
- * @param {string} connectionData.channelId - Channel name (if Twitch)
+ * @param {Object} message - Chat message
+ * @param {Object} event - user-purged event
+ * @returns {boolean} True if the message belongs to the purged user
  */
-function handlePlatformConnect(connectionData) {
-  const { platform } = connectionData;
+function isFromPurgedUser(message, event) {
+  if (event.userId && message.userId) {
+    return message.userId === event.userId;
+  }
+  return !!event.username && message.username?.toLowerCase() === event.username.toLowerCase();
+}
 
-  configManager.connectPlatform(platform, connectionData);
+/**
+ * Handle moderation events from platform connectors
+ * Removes the affected messages from chat history (so replays don't bring
+ * them back) and broadcasts the event for overlays to remove them on screen
+ *
+ * @param {Object} event - Moderation event
+ * @param {string} event.type - 'message-deleted', 'user-purged' or 'chat-cleared'
+ * @param {string} event.platform - Platform origin
+ * @param {string} [event.channel] - Channel the event happened in
+ * @param {string} [event.messageId] - Deleted message ID (message-deleted)
+ * @param {string} [event.username] - Target user (message-deleted, user-purged)
+ * @param {string} [event.userId] - Target user ID (user-purged)
+ * @param {number|null} [event.duration] - Timeout seconds, null for a ban (user-purged)
+ */
+function handleModerationEvent(event) {
+  const key = `${event.platform}:${event.channel || 'local'}`;
+  let removed = 0;
+
+  if (chatHistory) {
+    switch (event.type) {
+      case 'message-deleted':
+        removed = chatHistory.removeWhere(key, message => String(message.id) === String(event.messageId));
+        break;
+
+      case 'user-purged':
+        removed = chatHistory.removeWhere(key, message => isFromPurgedUser(message, event));
+        break;
+
+      case 'chat-cleared':
+        removed = chatHistory.clearChannel(key);
+        break;
+
+      default:
+        console.warn(`⚠️  Unknown moderation event: ${event.type}`);
+        return;
+    }
+  }
+
+  console.log(`🧹 [${event.platform}:${event.type}] ${event.username || event.channel || ''} (${removed} message(s) removed from history)`);
+
+  if (pinnedMessage && isAffectedByModeration(pinnedMessage, event)) {
+    handleUnpinMessage();
+  }
 
-  // Broadcast updated configuration to all clients
   clientManager.broadcast({
-    type: 'config',
-    data: configManager.getConfig()
+    type: event.type,
+    data: event
+  });
+}
+
+/**
+ * Check whether a moderation event removes a given message
+ *
+ * @param {Object} message - Chat message
+ * @param {Object} event - Moderation event
+ * @returns {boolean} True if the event removes the message
+ */
+function isAffectedByModeration(message, event) {
+  if (message.platform !== event.platform || (event.channel && message.channel !== event.channel)) {
+    return false;
+  }
+
+  switch (event.type) {
+    case 'message-deleted':
+      return String(message.id) === String(event.messageId);
+    case 'user-purged':
+      return isFromPurgedUser(message, event);
+    case 'chat-cleared':
+      return true;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Reply to the control panel with the outcome of an action
+ *
+ * @param {WebSocket} ws - Control panel socket
+ * @param {string} requestType - Message type the result belongs to
+ * @param {boolean} ok - Whether the action succeeded
+ * @param {string} message - Human-readable result
+ * @param {Object} [details] - Extra fields (e.g. { action })
+ */
+function sendActionResult(ws, requestType, ok, message, details = {}) {
+  clientManager.sendToClient(ws, {
+    type: 'action-result',
+    data: { requestType, ok, message, ...details }
   });
 }
 
+/**
+ * Handle chat messages the control panel sends as the bot
+ * Goes to a connection whose platform can send chat (Twitch in bot mode);
+ * the message reaches overlays through the normal chat path once the
+ * platform confirms it
+ *
+ * @param {WebSocket} ws - Control panel socket
+ * @param {Object} chatData - Send request
+ * @param {string} chatData.text - Message text
+ * @param {string} [chatData.channel] - Channel to send to (default: the primary chat connection)
+ */
+function handleSendChat(ws, chatData) {
+  const adapter = platformConnections.getChatAdapter(chatData?.channel);
+
+  if (!adapter) {
+    sendActionResult(ws, 'send-chat', false, chatData?.channel ? `#${chatData.channel} is not connected` : 'No connected channel can send chat');
+    return;
+  }
+
+  const result = adapter.sendChat(chatData?.text);
+  sendActionResult(ws, 'send-chat', result.ok, result.ok ? 'Message sent' : result.error, {
+    retryAfterMs: result.retryAfterMs || 0
+  });
+}
+
+/**
+ * Handle moderation actions from the control panel's message rows
+ * Runs them as the bot through the message's platform (Twitch: Helix); the
+ * platform's own moderation events then remove the messages everywhere
+ * like any other moderator action
+ *
+ * @param {WebSocket} ws - Control panel socket
+ * @param {Object} actionData - Action request
+ * @param {string} actionData.action - 'delete', 'timeout' or 'ban'
+ * @param {string} actionData.platform - Platform of the message
+ * @param {string} [actionData.channel] - Channel of the message (default: the platform's first connection)
+ * @param {string} [actionData.messageId] - Message to delete (delete)
+ * @param {string} [actionData.userId] - User to time out or ban (timeout, ban)
+ * @param {number} [actionData.duration] - Timeout seconds (default: 600)
+ * @param {string} [actionData.reason] - Reason shown to moderators
+ */
+async function handleModerationAction(ws, actionData = {}) {
+  const { action, platform, messageId, userId, reason } = actionData;
+  const platformName = registry.getPlatformName(platform);
+
+  try {
+    if (!MODERATION_CAPABILITIES[action]) {
+      throw new Error(`Unknown moderation action: ${action}`);
+    }
+    if (!registry.hasCapability(platform, MODERATION_CAPABILITIES[action])) {
+      throw new Error(`${platformName} messages can't be moderated from here (${action})`);
+    }
+
+    const adapter = platformConnections.getAdapter(platform, actionData.channel);
+    if (!adapter) {
+      throw new Error(actionData.channel ? `#${actionData.channel} is not connected` : `${platformName} is not connected`);
+    }
+    if (!adapter.capabilities[MODERATION_CAPABILITIES[action]]) {
+      throw new Error(`Can't ${action} in #${adapter.channel} right now`);
+    }
+
+    switch (action) {
+      case 'delete':
+        if (!messageId) throw new Error('Missing message ID');
+        await adapter.deleteMessage(String(messageId));
+        break;
+
+      case 'timeout': {
+        if (!userId) throw new Error('Missing user ID');
+        const duration = Math.min(Math.max(parseInt(actionData.duration, 10) || 600, 1), MAX_TIMEOUT_SECONDS);
+        await adapter.banUser(String(userId), duration, reason);
+        break;
+      }
+
+      case 'ban':
+        if (!userId) throw new Error('Missing user ID');
+        await adapter.banUser(String(userId), null, reason);
+        break;
+    }
+
+    console.log(`🛡️  ${platformName} ${action} sent from control panel in #${adapter.channel} (${messageId || userId})`);
+    const done = { delete: 'Message deleted', timeout: 'User timed out', ban: 'User banned' };
+    sendActionResult(ws, 'moderate', true, done[action], { action });
+  } catch (error) {
+    console.warn(`⚠️  ${platformName} ${action} failed:`, error.message);
+    sendActionResult(ws, 'moderate', false, error.message, { action });
+  }
+}
+
+/**
+ * Handle pin requests from the control panel
+ * Pins a message from chat history as a highlight on every overlay
+ *
+ * @param {WebSocket} ws - Control panel socket
+ * @param {Object} pinData - Message to pin
+ * @param {string} pinData.platform - Message platform
+ * @param {string} [pinData.channel] - Message channel
+ * @param {string} pinData.messageId - Message ID
+ */
+function handlePinMessage(ws, pinData = {}) {
+  const key = `${pinData.platform}:${pinData.channel || 'local'}`;
+  const message = chatHistory
+    ? chatHistory.getChannelMessages(key).find(item => String(item.id) === String(pinData.messageId))
+    : null;
+
+  if (!message) {
+    sendActionResult(ws, 'pin-message', false, 'Message is no longer in chat history');
+    return;
+  }
+
+  pinnedMessage = message;
+  console.log(`📌 Pinned message from ${message.username}`);
+
+  clientManager.broadcast({
+    type: 'pin-message',
+    data: message
+  });
+  sendActionResult(ws, 'pin-message', true, 'Message pinned');
+}
+
+/**
+ * Remove the pinned highlight from every overlay
+ */
+function handleUnpinMessage() {
+  if (!pinnedMessage) {
+    return;
+  }
+
+  pinnedMessage = null;
+  console.log('📌 Unpinned message');
+
+  clientManager.broadcast({
+    type: 'unpin-message',
+    data: {}
+  });
+}
+
+/**
+ * Send the pinned highlight (if any) to a newly connected client
+ *
+ * @param {WebSocket} ws - Newly connected socket
+ */
+function sendPinnedMessage(ws) {
+  if (pinnedMessage) {
+    clientManager.sendToClient(ws, {
+      type: 'pin-message',
+      data: pinnedMessage
+    });
+  }
+}
+
+/**
+ * Send the Twitch bot status to every control panel
+ * Registered with platformConnections in server.js
+ *
+ * @param {Object|null} status - Bot status, or null when Twitch is disconnected
+ */
+function broadcastBotStatus(status) {
+  clientManager.broadcastToRole(ROLES.CONTROL, {
+    type: 'twitch-bot-status',
+    data: status
+  });
+}
+
+/**
+ * Send the current Twitch bot status to a newly connected control panel
+ *
+ * @param {WebSocket} ws - Control panel socket
+ */
+function sendBotStatus(ws) {
+  clientManager.sendToClient(ws, {
+    type: 'twitch-bot-status',
+    data: platformConnections.getBotStatus()
+  });
+}
+
+/**
+ * Replay recent chat to a newly connected overlay
+ * Sends the last `maxMessages` of the client's profile, skipping platforms
+ * the profile filters out. Overlays render these without sound
+ *
+ * @param {WebSocket} ws - Newly connected overlay socket
+ */
+function sendChatHistory(ws) {
+  if (!chatHistory) {
+    return;
+  }
+
+  const config = configManager.getConfig(clientManager.getClientProfile(ws));
+  const messages = chatHistory.getRecent(config.maxMessages, {
+    filter: message => config.platformFilters?.[message.platform] !== false
+  });
+
+  clientManager.sendToClient(ws, {
+    type: 'chat-history',
+    data: { messages }
+  });
+}
+
+/**
+ * Handle platform connection requests
+ * Supports multistream: any number of channels on any platform.
+ * Adds a connection record, or updates the one with the given ID
+ *
+ * @param {Object} connectionData - Platform connection details
+ * @param {string} connectionData.platform - Platform name ('youtube', 'twitch', 'kick')
+ * @param {string} connectionData.target - YouTube video ID, Twitch/Kick channel name
+ *   (`videoId` / `channelId` are accepted too)
+ * @param {string} [connectionData.id] - Connection to update
+ * @param {string} [connectionData.label] - Name shown on messages
+ * @param {string} [connectionData.color] - Color tag ('#rrggbb')
+ * @param {string} [connectionData.transport] - YouTube chat transport, 'poll' or 'stream'
+ */
+function handlePlatformConnect(connectionData = {}) {
+  configManager.connectPlatform(connectionData.platform, connectionData);
+
+  // Broadcast updated configuration to all clients
+  broadcastConfig();
+}
+
 /**
  * Handle platform disconnection requests
- * If no platform specified, disconnects all platforms
+ * Disconnects one connection by ID, every connection of a platform,
+ * or (with neither given) everything
  *
  * @param {Object} disconnectData - Disconnect request data
- * @param {string} [disconnectData.platform] - Platform to disconnect (optional)
+ * @param {string} [disconnectData.id] - Connection to disconnect
+ * @param {string} [disconnectData.platform] - Platform to disconnect
  */
 function handlePlatformDisconnect(disconnectData) {
-  const platform = disconnectData?.platform || null;
-
-  configManager.disconnectPlatform(platform);
+  if (disconnectData?.id) {
+    configManager.disconnectConnection(disconnectData.id);
+  } else {
+    configManager.disconnectPlatform(disconnectData?.platform || null);
+  }
 
   // Broadcast updated configuration to all clients
-  clientManager.broadcast({
-    type: 'config',
-    data: configManager.getConfig()
+  broadcastConfig();
+}
+
+/**
+ * Handle a connection the platform ended (e.g. YouTube live chat over)
+ * Removes the connection like a manual disconnect, then tells
+ * control panels why
+ *
+ * @param {Object} info - Ended connection
+ * @param {string} info.connectionId - Connection ID
+ * @param {string} info.platform - Platform name
+ * @param {string} info.channel - Video ID / channel it was connected to
+ * @param {string} info.reason - Why it ended (e.g. 'chatEnded', 'liveChatNotFound')
+ */
+function handleConnectionEnded(info) {
+  configManager.disconnectConnection(info.connectionId);
+  broadcastConfig();
+
+  clientManager.broadcastToRole(ROLES.CONTROL, {
+    type: 'connection-ended',
+    data: info
+  });
+}
+
+/**
+ * Handle a connection's capabilities changing at runtime (e.g. Twitch bot mode)
+ * Every client gets the config again, which lists each connection's capabilities
+ *
+ * @param {Object} info - Changed connection
+ * @param {string} info.connectionId - Connection ID
+ * @param {string} info.platform - Platform name
+ * @param {string} info.channel - Video ID / channel it is connected to
+ * @param {Object<string, boolean>} info.capabilities - New capability flags
+ */
+function handleCapabilitiesChange(info) {
+  const enabled = Object.keys(info.capabilities).filter(key => info.capabilities[key]);
+  console.log(`🧩 ${registry.getPlatformName(info.platform)} #${info.channel} capabilities: ${enabled.join(', ') || 'none'}`);
+  broadcastConfig();
+}
+
+/**
+ * Handle turning YouTube auto-follow on or off
+ * Tells the requesting panel when it can't start (no API key or channel ID)
+ *
+ * @param {WebSocket} ws - Control panel socket
+ * @param {Object} followData - Request data
+ * @param {boolean} followData.enabled - Follow the channel's live stream
+ */
+function handleSetAutoFollow(ws, followData) {
+  const enabled = !!followData?.enabled;
+  const running = configManager.setYouTubeAutoFollow(enabled);
+
+  broadcastConfig();
+
+  if (enabled && !running) {
+    clientManager.sendToClient(ws, {
+      type: 'youtube-live-stream',
+      data: {
+        status: 'unavailable',
+        message: 'Auto-follow needs a YouTube API key and youtube.channelId in config.js'
+      }
+    });
+  }
+}
+
+/**
+ * Handle a live stream change reported by the YouTube watcher
+ * Auto-follow keeps one connection of its own (AUTO_FOLLOW_CONNECTION_ID):
+ * a new broadcast switches it, and the connections reading an ended
+ * broadcast are disconnected. Other connections are left alone
+ *
+ * @param {Object} change - Live stream change
+ * @param {string} change.status - 'live' or 'ended'
+ * @param {string} change.videoId - Broadcast video ID
+ * @param {string} [change.title] - Broadcast title (live only)
+ * @param {string} [change.channelTitle] - Channel name, used as the label (live only)
+ */
+function handleLiveStreamChange(change) {
+  if (change.status === 'live') {
+    configManager.connectPlatform('youtube', {
+      id: configManager.AUTO_FOLLOW_CONNECTION_ID,
+      target: change.videoId,
+      label: change.channelTitle
+    });
+  } else {
+    configManager.getConnections()
+      .filter(record => record.platform === 'youtube' && record.target === change.videoId)
+      .forEach(record => configManager.disconnectConnection(record.id));
+  }
+
+  broadcastConfig();
+
+  clientManager.broadcastToRole(ROLES.CONTROL, {
+    type: 'youtube-live-stream',
+    data: change
   });
 }
 
@@ -141,11 +762,31 @@ function handleTestSound() {
 }
 
 module.exports = {
+  PRIVILEGED_TYPES,
+  setChatHistory,
   handleMessage,
+  sendChatHistory,
+  broadcastConfig,
   handleConfigUpdate,
+  handleConfigReset,
+  handleProfileSubscribe,
+  handleProfileCreate,
+  handleProfileDelete,
   handleChatMessage,
+  handleModerationEvent,
   handlePlatformConnect,
   handlePlatformDisconnect,
-  handleTestSound
+  handleConnectionEnded,
+  handleCapabilitiesChange,
+  handleSetAutoFollow,
+  handleLiveStreamChange,
+  handleTestSound,
+  handleSendChat,
+  handleModerationAction,
+  handlePinMessage,
+  handleUnpinMessage,
+  sendPinnedMessage,
+  broadcastBotStatus,
+  sendBotStatus
 };
 
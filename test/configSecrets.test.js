@@ -0,0 +1,130 @@
+/**
+ * Config payloads never carry server-only secrets
+ *
+ * Every path a client can read config from (configManager.getConfig, the
+ * WebSocket `config` message, GET /api/config, /api/debug/config, /health)
+ * is checked for SERVER_ONLY_KEYS and for the secret values themselves.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('./helpers/testConfig');
+const { startServer, getSessionCookie, openSocket } = require('./helpers/server');
+
+/**
+ * Recognizable secret values, set in config before the server starts
+ * @type {Object<string, string>}
+ */
+const SECRETS = {
+  youtubeApiKey: 'secret-youtube-api-key',
+  twitchClientSecret: 'secret-twitch-client-secret',
+  twitchAccessToken: 'secret-twitch-access-token',
+  twitchOauthToken: 'oauth:secret-twitch-bot-token'
+};
+
+config.youtube.apiKey = SECRETS.youtubeApiKey;
+config.twitch.clientSecret = SECRETS.twitchClientSecret;
+config.twitch.accessToken = SECRETS.twitchAccessToken;
+config.twitch.oauthToken = SECRETS.twitchOauthToken;
+
+const { SERVER_ONLY_KEYS } = require('../src/websocket/configManager');
+const configManager = require('../src/websocket/configManager');
+
+/**
+ * Assert that a payload has no server-only key at any depth and no secret value
+ *
+ * @param {*} payload - Parsed payload
+ * @param {string} where - Payload name for failure messages
+ */
+function assertNoSecrets(payload, where) {
+  const visit = (value, path) => {
+    if (!value || typeof value !== 'object') return;
+
+    Object.entries(value).forEach(([key, child]) => {
+      assert.ok(!SERVER_ONLY_KEYS.includes(key), `${where} contains server-only key ${path}${key}`);
+      visit(child, `${path}${key}.`);
+    });
+  };
+  visit(payload, '');
+
+  const text = JSON.stringify(payload);
+  [...Object.values(SECRETS), config.security.controlToken].forEach(secret => {
+    assert.ok(!text.includes(secret), `${where} contains a secret value`);
+  });
+}
+
+describe('config payloads', () => {
+  let server;
+  let cookie;
+
+  before(async () => {
+    server = await startServer();
+    cookie = await getSessionCookie(server.baseUrl);
+  });
+
+  after(() => server.close());
+
+  it('lists every secret key as server-only', () => {
+    ['apiKey', 'youtubeApiKey', 'clientSecret', 'accessToken', 'oauthToken', 'controlToken'].forEach(key => {
+      assert.ok(SERVER_ONLY_KEYS.includes(key), key);
+    });
+  });
+
+  it('getConfig() has no secrets for any profile', () => {
+    configManager.createProfile('stage');
+
+    assertNoSecrets(configManager.getConfig(), 'default profile');
+    assertNoSecrets(configManager.getConfig('stage'), 'stage profile');
+    assertNoSecrets(configManager.getConfig('missing'), 'unknown profile');
+  });
+
+  it('drops secret keys from config updates', () => {
+    const updated = configManager.updateConfig({
+      apiKey: 'sent-api-key',
+      youtubeApiKey: 'sent-youtube-key',
+      twitchConfig: { botUsername: 'bot', oauthToken: 'sent-oauth-token', clientSecret: 'sent-secret' },
+      maxMessages: 5
+    });
+
+    assertNoSecrets(updated, 'updated config');
+    assert.equal(updated.maxMessages, 5);
+    assert.ok(!JSON.stringify(updated).includes('sent-'));
+  });
+
+  it('sends overlay and control sockets a config without secrets', async () => {
+    const overlay = await openSocket(server.port, { path: '/?profile=stage' });
+    const control = await openSocket(server.port, { headers: { Cookie: cookie } });
+
+    assertNoSecrets((await overlay.nextMessage('config')).data, 'overlay config message');
+    assertNoSecrets((await control.nextMessage('config')).data, 'control config message');
+
+    await overlay.close();
+    await control.close();
+  });
+
+  it('broadcasts config changes without the secrets sent with them', async () => {
+    const overlay = await openSocket(server.port);
+    const control = await openSocket(server.port, { headers: { Cookie: cookie } });
+    await overlay.nextMessage('config');
+    await control.nextMessage('config');
+
+    control.send('config', { maxMessages: 4, apiKey: 'sent-api-key', twitchConfig: { accessToken: 'sent-token' } });
+    const broadcast = await overlay.nextMessage('config');
+
+    assertNoSecrets(broadcast.data, 'broadcast config');
+    assert.equal(broadcast.data.maxMessages, 4);
+    assert.ok(!JSON.stringify(broadcast.data).includes('sent-'));
+
+    await overlay.close();
+    await control.close();
+  });
+
+  ['/api/config', '/api/debug/config', '/api/debug/config?profile=stage', '/health'].forEach(path => {
+    it(`GET ${path} has no secrets`, async () => {
+      const response = await fetch(`${server.baseUrl}${path}`);
+
+      assert.equal(response.status, 200);
+      assertNoSecrets(await response.json(), path);
+    });
+  });
+});
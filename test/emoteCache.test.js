@@ -0,0 +1,73 @@
+/**
+ * EmoteCache expiry and size limit
+ *
+ * Expired sets stay readable until they are replaced; past maxEntries
+ * sets, the least recently used one is evicted. The TTL runs on a mocked
+ * clock.
+ */
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const EmoteCache = require('../src/cache/EmoteCache');
+
+describe('EmoteCache', () => {
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  describe('TTL', () => {
+    it('is fresh up to the TTL and expired after it', () => {
+      mock.timers.enable({ apis: ['Date'], now: 1000000 });
+      const cache = new EmoteCache(1);
+      cache.set('ffz:global', [{ name: 'CatBag' }]);
+
+      mock.timers.tick(60 * 1000);
+      assert.equal(cache.isFresh('ffz:global'), true);
+
+      mock.timers.tick(1);
+      assert.equal(cache.isFresh('ffz:global'), false);
+      assert.equal(cache.isFresh('ffz:unknown'), false);
+    });
+
+    it('keeps an expired set readable until it is replaced', () => {
+      mock.timers.enable({ apis: ['Date'], now: 1000000 });
+      const cache = new EmoteCache(1);
+      cache.set('ffz:global', [{ name: 'CatBag' }]);
+
+      mock.timers.tick(2 * 60 * 1000);
+      assert.deepEqual(cache.get('ffz:global'), [{ name: 'CatBag' }]);
+      assert.equal(cache.getStats().entries[0].expiresInSeconds, -60);
+
+      cache.set('ffz:global', [{ name: 'ffzHat' }]);
+      assert.equal(cache.isFresh('ffz:global'), true);
+      assert.deepEqual(cache.get('ffz:global'), [{ name: 'ffzHat' }]);
+    });
+  });
+
+  describe('size limit', () => {
+    it('evicts the least recently used set when full', () => {
+      const cache = new EmoteCache(60, 2);
+      cache.set('bttv:global', [{ name: 'a' }]);
+      cache.set('bttv:111', [{ name: 'b' }]);
+
+      cache.get('bttv:global');
+      cache.set('bttv:222', [{ name: 'c' }]);
+
+      assert.deepEqual(cache.get('bttv:global'), [{ name: 'a' }]);
+      assert.equal(cache.get('bttv:111'), null);
+      assert.deepEqual(cache.get('bttv:222'), [{ name: 'c' }]);
+      assert.equal(cache.getStats().size, 2);
+      assert.equal(cache.getStats().evictions, 1);
+    });
+
+    it('replaces a set without evicting another', () => {
+      const cache = new EmoteCache(60, 2);
+      cache.set('bttv:global', []);
+      cache.set('bttv:111', []);
+      cache.set('bttv:global', [{ name: 'a' }]);
+
+      assert.equal(cache.getStats().size, 2);
+      assert.equal(cache.getStats().evictions, 0);
+    });
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Test server
+ *
+ * Starts server.js on a free port (test configuration, see ./testConfig) and
+ * opens WebSocket clients against it. Each test file runs in its own
+ * process, so every file gets a fresh server.
+ *
+ * @module test/helpers/server
+ */
+
+const config = require('./testConfig');
+const { once } = require('events');
+const WebSocket = require('ws');
+
+/**
+ * How long to wait for an expected WebSocket message
+ * @type {number}
+ */
+const MESSAGE_TIMEOUT_MS = 2000;
+
+/**
+ * Start the server
+ *
+ * @returns {Promise<Object>} { port, baseUrl, close() }
+ */
+async function startServer() {
+  const { server, wss } = require('../../server');
+  const clientManager = require('../../src/websocket/clientManager');
+  const platformConnections = require('../../src/platforms/platformConnections');
+
+  if (!server.listening) {
+    await once(server, 'listening');
+  }
+
+  const { port } = server.address();
+
+  return {
+    port,
+    baseUrl: `http://127.0.0.1:${port}`,
+
+    /**
+     * Stop connectors, close every socket and the HTTP server
+     * @returns {Promise<void>} Resolves once closed
+     */
+    close() {
+      platformConnections.stopAll();
+      clientManager.closeAllConnections();
+      wss.close();
+      return new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+}
+
+/**
+ * Log in like the control panel's browser and return the session cookie
+ *
+ * @param {string} baseUrl - Server URL
+ * @returns {Promise<string>} Cookie header value ('control_session=...')
+ */
+async function getSessionCookie(baseUrl) {
+  const response = await fetch(`${baseUrl}/control?token=${config.security.controlToken}`, { redirect: 'manual' });
+  return response.headers.get('set-cookie').split(';')[0];
+}
+
+/**
+ * Open a WebSocket and collect what the server sends
+ *
+ * @param {number} port - Server port
+ * @param {Object} [options] - Connection options
+ * @param {string} [options.path='/'] - Path and query (e.g. '/?profile=stage')
+ * @param {Object} [options.headers] - Upgrade request headers (Cookie, Origin, X-Control-Token)
+ * @returns {Promise<Object>} { ws, received, nextMessage(type), send(type, data), close() }
+ */
+async function openSocket(port, { path = '/', headers = {} } = {}) {
+  const ws = new WebSocket(`ws://127.0.0.1:${port}${path}`, { headers });
+  const received = [];
+  const waiters = [];
+
+  ws.on('message', (raw) => {
+    const message = JSON.parse(raw);
+    const index = waiters.findIndex(waiter => waiter.type === message.type);
+
+    if (index !== -1) {
+      waiters.splice(index, 1)[0].resolve(message);
+    } else {
+      received.push(message);
+    }
+  });
+
+  await once(ws, 'open');
+
+  return {
+    ws,
+    received,
+
+    /**
+     * Take the next message of a type (already received or still to come)
+     *
+     * @param {string} type - Message type (e.g. 'config')
+     * @returns {Promise<Object>} Message ({ type, data })
+     */
+    nextMessage(type) {
+      const index = received.findIndex(message => message.type === type);
+      if (index !== -1) {
+        return Promise.resolve(received.splice(index, 1)[0]);
+      }
+
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`No '${type}' message within ${MESSAGE_TIMEOUT_MS}ms`)), MESSAGE_TIMEOUT_MS);
+        waiters.push({
+          type,
+          resolve: (message) => {
+            clearTimeout(timer);
+            resolve(message);
+          }
+        });
+      });
+    },
+
+    /**
+     * Send a message to the server
+     *
+     * @param {string} type - Message type
+     * @param {Object} [data] - Payload
+     */
+    send(type, data = {}) {
+      ws.send(JSON.stringify({ type, data }));
+    },
+
+    /**
+     * Close the socket
+     * @returns {Promise<void>} Resolves once closed
+     */
+    close() {
+      if (ws.readyState === WebSocket.CLOSED) {
+        return Promise.resolve();
+      }
+      ws.close();
+      return once(ws, 'close').then(() => {});
+    }
+  };
+}
+
+module.exports = {
+  startServer,
+  getSessionCookie,
+  openSocket
+};
@@ -0,0 +1,36 @@
+/**
+ * Test configuration
+ *
+ * Loads config.example.js through CONFIG_PATH (see src/config), so tests
+ * run without a local config.js and never read real credentials. Require
+ * this before any module under test, then adjust the returned object: it
+ * is the same one the modules see.
+ *
+ * Runtime state (persisted config, quota usage) goes to a temporary
+ * directory that is removed when the process exits.
+ *
+ * @module test/helpers/testConfig
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.CONFIG_PATH = path.join(__dirname, '..', '..', 'config.example.js');
+
+const config = require('../../src/config');
+
+// No real services: placeholders in the example would count as configured
+config.server.port = 0;
+config.security.controlToken = 'test-control-token';
+config.youtube.apiKey = '';
+config.youtube.channelId = '';
+config.twitch.defaultChannel = '';
+config.twitch.clientId = '';
+config.twitch.clientSecret = '';
+config.emotes.providers = { bttv: false, ffz: false, seventv: false };
+
+config.storage.dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'live-chat-overlay-test-'));
+process.on('exit', () => fs.rmSync(config.storage.dataDir, { recursive: true, force: true }));
+
+module.exports = config;
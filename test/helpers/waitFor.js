@@ -0,0 +1,36 @@
+/**
+ * Wait for a condition
+ *
+ * Checks on setImmediate rather than a timer, and measures the timeout
+ * with performance.now(), so it also works while a test mocks setTimeout
+ * or Date.
+ *
+ * @module test/helpers/waitFor
+ */
+
+/**
+ * How long to wait before failing
+ * @type {number}
+ */
+const WAIT_TIMEOUT_MS = 2000;
+
+/**
+ * Wait until a condition holds
+ *
+ * @param {Function} predicate - Condition to wait for
+ * @param {string} what - Description for the timeout error
+ * @returns {Promise<void>} Resolves once the condition holds
+ * @throws {Error} If it doesn't hold within WAIT_TIMEOUT_MS
+ */
+async function waitFor(predicate, what) {
+  const deadline = performance.now() + WAIT_TIMEOUT_MS;
+
+  while (!predicate()) {
+    if (performance.now() > deadline) {
+      throw new Error(`Timed out waiting for ${what}`);
+    }
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+module.exports = { waitFor };
@@ -0,0 +1,117 @@
+/**
+ * POST /api/ingest replay protection
+ *
+ * A signed request is only remembered once it is accepted: the same request
+ * is refused as a replay after a 202, but can be resent unchanged after a
+ * 400 or a 429. The test source allows one message per second.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: delay } = require('timers/promises');
+const config = require('./helpers/testConfig');
+const { startServer } = require('./helpers/server');
+const requestSignature = require('../src/auth/requestSignature');
+
+/**
+ * Signing secret of the test source
+ * @type {string}
+ */
+const SECRET = 'test-ingest-secret-0123456789';
+
+describe('POST /api/ingest', () => {
+  let server;
+
+  before(async () => {
+    // Sources are registered when the server loads
+    config.ingest = {
+      maxSkewSeconds: 300,
+      sources: {
+        testsource: { secret: SECRET, rateLimit: { max: 1, windowSeconds: 1 } }
+      }
+    };
+
+    server = await startServer();
+  });
+
+  after(() => server.close());
+
+  /**
+   * Sign a message like an ingest source
+   *
+   * @param {Object} message - Message body
+   * @returns {Object} Fetch options ({ method, headers, body }), reusable to resend the same request
+   */
+  function signedRequest(message) {
+    const body = JSON.stringify(message);
+    const timestamp = requestSignature.createTimestamp();
+
+    return {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Ingest-Source': 'testsource',
+        'X-Ingest-Timestamp': timestamp,
+        'X-Ingest-Signature': requestSignature.sign(SECRET, timestamp, body)
+      },
+      body
+    };
+  }
+
+  /**
+   * Send a signed request
+   *
+   * @param {Object} request - From signedRequest()
+   * @returns {Promise<{status: number, body: Object, headers: Headers}>} Response
+   */
+  async function send(request) {
+    const response = await fetch(`${server.baseUrl}/api/ingest`, request);
+    return { status: response.status, body: await response.json(), headers: response.headers };
+  }
+
+  /**
+   * Wait until the rate limit window of the test source is over
+   */
+  async function waitOutRateLimit() {
+    await delay(1100);
+  }
+
+  it('refuses an accepted request sent a second time', async () => {
+    const request = signedRequest({ username: 'Ann', text: 'first' });
+
+    assert.equal((await send(request)).status, 202);
+
+    const replay = await send(request);
+    assert.equal(replay.status, 401);
+    assert.match(replay.body.message, /replayed/);
+
+    await waitOutRateLimit();
+  });
+
+  it('accepts a rate-limited request resent after Retry-After', async () => {
+    assert.equal((await send(signedRequest({ username: 'Ann', text: 'uses the slot' }))).status, 202);
+
+    const request = signedRequest({ username: 'Ann', text: 'over the limit' });
+    const limited = await send(request);
+    assert.equal(limited.status, 429);
+    assert.equal(limited.headers.get('Retry-After'), String(limited.body.retryAfterSeconds));
+
+    await delay(limited.body.retryAfterSeconds * 1000);
+
+    const retried = await send(request);
+    assert.equal(retried.status, 202, retried.body.message);
+    assert.equal((await send(request)).status, 401);
+
+    await waitOutRateLimit();
+  });
+
+  it('does not remember a request that failed validation', async () => {
+    const request = signedRequest({ text: 'no username' });
+
+    assert.equal((await send(request)).status, 400);
+
+    const resent = await send(request);
+    assert.equal(resent.status, 400);
+    assert.equal(resent.body.message, 'Invalid message');
+  });
+});
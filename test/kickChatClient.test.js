@@ -0,0 +1,321 @@
+/**
+ * KickChatClient against a fake Pusher server
+ *
+ * A local server plays Kick's channel API (`kick.apiBaseUrl`) and a Pusher
+ * app (`pusherUrl`): it accepts the connection, answers the chatroom
+ * subscription, and sends recorded Kick frames (fixtures/kick-events.json).
+ * The tests check the Pusher handshake and keepalive, the normalized chat
+ * messages and events, and reconnection after the server drops the socket.
+ */
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const { WebSocketServer } = require('ws');
+const config = require('./helpers/testConfig');
+const { waitFor } = require('./helpers/waitFor');
+const EVENTS = require('./fixtures/kick-events.json');
+
+/**
+ * Chatroom of every channel the fake API knows
+ * @type {number}
+ */
+const CHATROOM_ID = 668;
+
+/**
+ * Subscriber badges of the fake channel
+ * @type {Object[]}
+ */
+const SUBSCRIBER_BADGES = [
+  { months: 1, badge_image: { src: 'https://files.kick.com/channel_subscriber_badges/1/original' } },
+  { months: 6, badge_image: { src: 'https://files.kick.com/channel_subscriber_badges/6/original' } },
+  { months: 12, badge_image: { src: 'https://files.kick.com/channel_subscriber_badges/12/original' } }
+];
+
+describe('KickChatClient', () => {
+  let server;
+  let pusher;
+  let pusherUrl;
+  let KickChatClient;
+
+  let sockets;                  // Pusher connections, newest last
+  let frames;                   // Frames received from the client
+  let activityTimeout;          // Seconds, sent in connection_established
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      const slug = req.url.match(/^\/channels\/([^/?]+)$/)?.[1];
+
+      if (slug === 'unknownchannel' || !slug) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ message: 'Channel not found' }));
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        id: 1001,
+        slug,
+        user: { username: slug, profile_pic: null },
+        chatroom: { id: CHATROOM_ID },
+        subscriber_badges: SUBSCRIBER_BADGES
+      }));
+    });
+
+    pusher = new WebSocketServer({ server, path: '/app/test-key' });
+    pusher.on('connection', (socket) => {
+      sockets.push(socket);
+
+      socket.on('message', (raw) => {
+        const frame = JSON.parse(raw);
+        frames.push(frame);
+
+        if (frame.event === 'pusher:subscribe') {
+          sendFrame(socket, 'pusher_internal:subscription_succeeded', {}, frame.data.channel);
+        } else if (frame.event === 'pusher:ping') {
+          sendFrame(socket, 'pusher:pong', {});
+        }
+      });
+
+      sendFrame(socket, 'pusher:connection_established', { socket_id: '123456.7890123', activity_timeout: activityTimeout });
+    });
+
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+
+    const { port } = server.address();
+    pusherUrl = `ws://127.0.0.1:${port}/app/test-key?protocol=7&client=js`;
+
+    // kickApi reads the base URL when it loads
+    config.kick.apiBaseUrl = `http://127.0.0.1:${port}`;
+    KickChatClient = require('../src/platforms/kick/KickChatClient');
+  });
+
+  after(async () => {
+    pusher.clients.forEach(socket => socket.terminate());
+    pusher.close();
+    server.close();
+  });
+
+  let client;
+  let messages;
+  let moderation;
+
+  beforeEach(() => {
+    sockets = [];
+    frames = [];
+    activityTimeout = 120;
+    messages = [];
+    moderation = [];
+  });
+
+  afterEach(() => {
+    client?.disconnect();
+    client = null;
+  });
+
+  /**
+   * Send a Pusher frame, with data double-encoded like Pusher does
+   *
+   * @param {WebSocket} socket - Server-side socket
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   * @param {string} [channel] - Channel the event belongs to
+   */
+  function sendFrame(socket, event, data, channel) {
+    socket.send(JSON.stringify({ event, data: JSON.stringify(data), ...(channel && { channel }) }));
+  }
+
+  /**
+   * Frames the client sent for an event
+   *
+   * @param {string} event - Event name
+   * @returns {Object[]} Frames
+   */
+  function framesFor(event) {
+    return frames.filter(frame => frame.event === event);
+  }
+
+  /**
+   * Connect a client to the fake Pusher app and wait for its subscription
+   *
+   * @param {string} [channel] - Channel slug or chatroom ID
+   */
+  async function connectClient(channel = 'teststreamer') {
+    client = new KickChatClient(channel, { pusherUrl });
+    client.onMessage = (message) => messages.push(message);
+    client.onModeration = (event) => moderation.push(event);
+    client.connect();
+
+    await waitFor(() => client.connected, 'the chatroom subscription');
+  }
+
+  /**
+   * Send a recorded Kick frame to the client and wait for its message
+   *
+   * @param {Object} frame - Frame from fixtures/kick-events.json
+   * @returns {Promise<Object>} The normalized message
+   */
+  async function receive(frame) {
+    const count = messages.length;
+    sockets[sockets.length - 1].send(JSON.stringify(frame));
+
+    await waitFor(() => messages.length > count, frame.event);
+    return messages[messages.length - 1];
+  }
+
+  describe('Pusher protocol', () => {
+    it('subscribes to the looked-up chatroom once the connection is established', async () => {
+      await connectClient();
+
+      assert.deepEqual(framesFor('pusher:subscribe'), [{
+        event: 'pusher:subscribe',
+        data: { auth: '', channel: `chatrooms.${CHATROOM_ID}.v2` }
+      }]);
+      assert.equal(client.chatroomId, CHATROOM_ID);
+      assert.equal(client.channelId, 1001);
+    });
+
+    it('subscribes to a chatroom ID directly, without a lookup', async () => {
+      await connectClient('4321');
+
+      assert.equal(framesFor('pusher:subscribe')[0].data.channel, 'chatrooms.4321.v2');
+    });
+
+    it('answers pusher:ping with pusher:pong', async () => {
+      await connectClient();
+
+      sendFrame(sockets[0], 'pusher:ping', {});
+      await waitFor(() => framesFor('pusher:pong').length === 1, 'the pong');
+    });
+
+    it('pings every activity timeout', async () => {
+      activityTimeout = 0.05;
+      await connectClient();
+
+      await waitFor(() => framesFor('pusher:ping').length >= 2, 'two keepalive pings');
+      assert.equal(client.activityTimeout, 50);
+    });
+
+    it('ends the connection for an unknown channel', async () => {
+      client = new KickChatClient('unknownchannel', { pusherUrl });
+      const ended = [];
+      client.onChatEnded = (info) => ended.push(info);
+      client.connect();
+
+      await waitFor(() => ended.length === 1, 'the chat to end');
+      assert.deepEqual(ended, [{ reason: 'channelNotFound' }]);
+      assert.equal(sockets.length, 0);
+    });
+  });
+
+  describe('chat messages', () => {
+    it('splits emote tokens into fragments', async () => {
+      await connectClient();
+      const message = await receive(EVENTS.chatMessage);
+
+      assert.equal(message.id, '9f3a2c1e-7b6d-4e5f-8a9b-0c1d2e3f4a5b');
+      assert.equal(message.username, 'KickViewer');
+      assert.equal(message.userId, '4242');
+      assert.equal(message.login, 'kickviewer');
+      assert.equal(message.platform, 'kick');
+      assert.equal(message.text, 'hi KEKW nice beeBobble!');
+      assert.deepEqual(message.fragments, [
+        { type: 'text', text: 'hi ' },
+        { type: 'emote', id: '37226', name: 'KEKW', url: 'https://files.kick.com/emotes/37226/fullsize' },
+        { type: 'text', text: ' nice ' },
+        { type: 'emote', id: '39251', name: 'beeBobble', url: 'https://files.kick.com/emotes/39251/fullsize' },
+        { type: 'text', text: '!' }
+      ]);
+    });
+
+    it('maps identity badges, using the channel badge for subscribers', async () => {
+      await connectClient();
+      const message = await receive(EVENTS.chatMessage);
+
+      assert.equal(message.usernameColor, '#75FD46');
+      assert.equal(message.isModerator, true);
+      assert.deepEqual(message.badges, [
+        { name: 'moderator', version: '1', url: null, title: 'Moderator' },
+        { name: 'subscriber', version: '8', url: SUBSCRIBER_BADGES[1].badge_image.src, title: 'Subscriber' }
+      ]);
+    });
+  });
+
+  describe('events', () => {
+    it('maps a subscription to a resub', async () => {
+      await connectClient();
+      const message = await receive(EVENTS.subscription);
+
+      assert.equal(message.eventType, 'resub');
+      assert.equal(message.username, 'LoyalKicker');
+      assert.equal(message.event.months, 7);
+      assert.equal(message.event.systemMessage, 'LoyalKicker subscribed for 7 months!');
+    });
+
+    it('maps a single gifted subscription to a subgift', async () => {
+      await connectClient();
+      const message = await receive(EVENTS.giftedSubscription);
+
+      assert.equal(message.eventType, 'subgift');
+      assert.equal(message.username, 'GenerousKicker');
+      assert.equal(message.event.recipient, 'LuckyKicker');
+      assert.equal(message.event.giftCount, 1);
+    });
+
+    it('maps several gifted subscriptions to a submysterygift', async () => {
+      await connectClient();
+      const message = await receive(EVENTS.giftedSubscriptions);
+
+      assert.equal(message.eventType, 'submysterygift');
+      assert.equal(message.event.giftCount, 5);
+      assert.equal(message.event.recipient, null);
+      assert.equal(message.event.systemMessage, 'GenerousKicker gifted 5 subscriptions!');
+    });
+
+    it('maps a host to a raid with its message', async () => {
+      await connectClient();
+      const message = await receive(EVENTS.streamHost);
+
+      assert.equal(message.eventType, 'raid');
+      assert.equal(message.username, 'HostingStreamer');
+      assert.equal(message.event.viewerCount, 37);
+      assert.equal(message.event.systemMessage, 'HostingStreamer is hosting with 37 viewers!');
+      assert.equal(message.text, 'Go say hi KEKW');
+      assert.deepEqual(message.fragments.map(fragment => fragment.type), ['text', 'emote']);
+    });
+  });
+
+  describe('reconnection', () => {
+    it('reconnects and resubscribes after the server closes the socket', async () => {
+      await connectClient();
+      client.reconnectDelay = 10;
+
+      sockets[0].close();
+      await waitFor(() => !client.connected, 'the client to notice the close');
+      assert.equal(client.reconnectAttempts, 1);
+
+      await waitFor(() => client.connected, 'the resubscription');
+      assert.equal(sockets.length, 2);
+      assert.equal(client.reconnectAttempts, 0);
+      assert.deepEqual(framesFor('pusher:subscribe').map(frame => frame.data.channel),
+        [`chatrooms.${CHATROOM_ID}.v2`, `chatrooms.${CHATROOM_ID}.v2`]);
+
+      const message = await receive(EVENTS.chatMessage);
+      assert.equal(message.text, 'hi KEKW nice beeBobble!');
+    });
+
+    it('stays closed after disconnect()', async () => {
+      await connectClient();
+      client.reconnectDelay = 10;
+
+      client.disconnect();
+      await waitFor(() => sockets[0].readyState === sockets[0].CLOSED, 'the socket to close');
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      assert.equal(sockets.length, 1);
+      assert.equal(client.connected, false);
+    });
+  });
+});
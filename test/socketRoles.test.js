@@ -0,0 +1,125 @@
+/**
+ * WebSocket roles
+ *
+ * Only sockets with a control session (cookie or token) opened from the
+ * server's own origin get the control role; every other socket is a
+ * read-only overlay whose privileged messages are refused.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('./helpers/testConfig');
+const { startServer, getSessionCookie, openSocket } = require('./helpers/server');
+const { PRIVILEGED_TYPES } = require('../src/websocket/messageHandlers');
+
+describe('socket roles', () => {
+  let server;
+  let cookie;
+  let sameOrigin;
+
+  before(async () => {
+    server = await startServer();
+    cookie = await getSessionCookie(server.baseUrl);
+    sameOrigin = `http://127.0.0.1:${server.port}`;
+  });
+
+  after(() => server.close());
+
+  /**
+   * Check that a socket has the control role: it gets the bot status on
+   * connect and its privileged messages are carried out
+   *
+   * @param {Object} socket - Test socket (helpers/server openSocket)
+   */
+  async function assertControl(socket) {
+    await socket.nextMessage('twitch-bot-status');
+
+    socket.send('test-sound');
+    await socket.nextMessage('test-sound');
+    assert.ok(!socket.received.some(message => message.type === 'error'));
+  }
+
+  /**
+   * Check that a socket is a read-only overlay
+   *
+   * @param {Object} socket - Test socket (helpers/server openSocket)
+   */
+  async function assertOverlay(socket) {
+    socket.send('test-sound');
+    const { data } = await socket.nextMessage('error');
+
+    assert.equal(data.code, 'unauthorized');
+    assert.equal(data.requestType, 'test-sound');
+    assert.ok(!socket.received.some(message => message.type === 'twitch-bot-status'));
+  }
+
+  it('refuses every privileged message from a socket without a session', async () => {
+    const socket = await openSocket(server.port, { headers: { Origin: sameOrigin } });
+
+    for (const type of PRIVILEGED_TYPES) {
+      socket.send(type, { maxMessages: 1, platform: 'twitch', channel: 'nobody', text: 'hi' });
+      const { data } = await socket.nextMessage('error');
+
+      assert.equal(data.code, 'unauthorized', type);
+      assert.equal(data.requestType, type);
+    }
+
+    // Nothing was carried out: no sound, no config change
+    assert.ok(!socket.received.some(message => message.type === 'test-sound'));
+    assert.notEqual((await fetch(`${server.baseUrl}/api/debug/config`).then(res => res.json())).maxMessages, 1);
+
+    await socket.close();
+  });
+
+  it('gives the control role to a same-origin socket with the session cookie', async () => {
+    const socket = await openSocket(server.port, { headers: { Cookie: cookie, Origin: sameOrigin } });
+    await assertControl(socket);
+    await socket.close();
+  });
+
+  it('gives the control role to a same-origin socket with the token', async () => {
+    const header = await openSocket(server.port, {
+      headers: { 'X-Control-Token': config.security.controlToken, Origin: sameOrigin }
+    });
+    await assertControl(header);
+    await header.close();
+
+    const query = await openSocket(server.port, {
+      path: `/?token=${config.security.controlToken}`,
+      headers: { Origin: sameOrigin }
+    });
+    await assertControl(query);
+    await query.close();
+  });
+
+  it('gives the control role to a token without an Origin (local tools)', async () => {
+    const socket = await openSocket(server.port, { headers: { 'X-Control-Token': config.security.controlToken } });
+    await assertControl(socket);
+    await socket.close();
+  });
+
+  it('keeps a cross-origin socket read-only even with a valid token or cookie', async () => {
+    const withToken = await openSocket(server.port, {
+      path: `/?token=${config.security.controlToken}`,
+      headers: { 'X-Control-Token': config.security.controlToken, Origin: 'http://evil.example' }
+    });
+    await assertOverlay(withToken);
+    await withToken.close();
+
+    const withCookie = await openSocket(server.port, { headers: { Cookie: cookie, Origin: 'http://evil.example' } });
+    await assertOverlay(withCookie);
+    await withCookie.close();
+
+    const badOrigin = await openSocket(server.port, { headers: { Cookie: cookie, Origin: 'not a url' } });
+    await assertOverlay(badOrigin);
+    await badOrigin.close();
+  });
+
+  it('keeps a socket with a wrong token read-only', async () => {
+    const socket = await openSocket(server.port, {
+      headers: { 'X-Control-Token': 'wrong-token', Cookie: 'control_session=forged', Origin: sameOrigin }
+    });
+    await assertOverlay(socket);
+    await socket.close();
+  });
+});
@@ -0,0 +1,310 @@
+/**
+ * StreamListTransport against a mock YouTube API
+ *
+ * A local HTTP server stands in for googleapis.com (`youtube.apiBaseUrl`)
+ * and plays scripted `liveChat/messages/stream` responses: pages split
+ * across chunks, streams the server closes, errors, and ended chats. The
+ * fallback tests go through YouTubeChatClient, which swaps a failed stream
+ * for PollingTransport.
+ *
+ * Reopen and retry delays run on mocked timers.
+ */
+
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const { setTimeout: delay } = require('timers/promises');
+const config = require('./helpers/testConfig');
+const { waitFor } = require('./helpers/waitFor');
+const MESSAGES = require('./fixtures/youtube-messages.json');
+
+/**
+ * Error reasons that end the live chat (ChatTransport CHAT_ENDED_REASONS)
+ * @type {string[]}
+ */
+const CHAT_ENDED_REASONS = ['liveChatEnded', 'liveChatNotFound', 'liveChatDisabled'];
+
+/**
+ * Build a liveChatMessages page
+ *
+ * @param {string} nextPageToken - Token of the page
+ * @param {Object[]} [items] - liveChatMessage resources
+ * @returns {Object} Page body
+ */
+function page(nextPageToken, items = []) {
+  return { kind: 'youtube#liveChatMessageListResponse', items, nextPageToken, pollingIntervalMillis: 60000 };
+}
+
+/**
+ * Build an API error body
+ *
+ * @param {number} code - HTTP status code
+ * @param {string} reason - Error reason
+ * @returns {Object} Error body
+ */
+function apiError(code, reason) {
+  return { error: { code, message: `Mock ${reason}`, errors: [{ reason }] } };
+}
+
+describe('StreamListTransport', () => {
+  let api;
+  let requests;                  // { resource, pageToken } per API request
+  let streamResponses;           // Scripted stream responses, used in order
+  let StreamListTransport;
+  let PollingTransport;
+  let YouTubeChatClient;
+
+  before(async () => {
+    api = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      const resource = url.pathname.slice(1);
+      requests.push({ resource, pageToken: url.searchParams.get('pageToken') });
+
+      if (resource === 'liveChat/messages/stream' && streamResponses.length > 0) {
+        streamResponses.shift()(res);
+      } else if (resource === 'liveChat/messages') {
+        respond(res, 200, page('poll-1'));
+      } else {
+        respond(res, 500, apiError(500, 'unexpectedRequest'));
+      }
+    });
+    api.listen(0, '127.0.0.1');
+    await once(api, 'listening');
+
+    // youtubeApi reads the base URL when it loads
+    config.youtube.apiKey = 'test-api-key';
+    config.youtube.apiBaseUrl = `http://127.0.0.1:${api.address().port}`;
+    StreamListTransport = require('../src/platforms/youtube/StreamListTransport');
+    PollingTransport = require('../src/platforms/youtube/PollingTransport');
+    YouTubeChatClient = require('../src/platforms/youtube/YouTubeChatClient');
+  });
+
+  after(() => {
+    api.closeAllConnections();
+    api.close();
+  });
+
+  let transport;
+  let client;
+  let pages;
+
+  beforeEach(() => {
+    requests = [];
+    streamResponses = [];
+    pages = [];
+  });
+
+  afterEach(() => {
+    transport?.stop();
+    client?.disconnect();
+    transport = null;
+    client = null;
+    mock.timers.reset();
+  });
+
+  /**
+   * Send a complete JSON response
+   *
+   * @param {ServerResponse} res - Response
+   * @param {number} status - HTTP status code
+   * @param {Object} body - Response body
+   */
+  function respond(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+   * Script a stream response that writes chunks and optionally closes
+   *
+   * @param {Array<string|Buffer>} chunks - Body chunks
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.end] - Close the stream after the last chunk
+   * @param {number} [options.spacing] - Real delay between chunks (ms), so they arrive separately
+   */
+  function stream(chunks, { end = false, spacing = 0 } = {}) {
+    streamResponses.push(async (res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+
+      for (const chunk of chunks) {
+        res.write(chunk);
+        if (spacing) await delay(spacing);
+      }
+
+      if (end) res.end();
+    });
+  }
+
+  /**
+   * Script a failed stream request
+   *
+   * @param {number} status - HTTP status code
+   * @param {string} reason - Error reason
+   */
+  function streamError(status, reason) {
+    streamResponses.push(res => respond(res, status, apiError(status, reason)));
+  }
+
+  /**
+   * Requests made to a resource
+   *
+   * @param {string} resource - 'liveChat/messages/stream' or 'liveChat/messages'
+   * @returns {Object[]} Requests
+   */
+  function requestsTo(resource) {
+    return requests.filter(request => request.resource === resource);
+  }
+
+  /**
+   * Start a transport that collects its pages
+   *
+   * @param {string|null} [pageToken] - Resume point
+   */
+  function startTransport(pageToken = null) {
+    transport = new StreamListTransport('live-chat-1');
+    transport.onPage = (received) => pages.push(received);
+    transport.start(pageToken);
+  }
+
+  /**
+   * Wait for the transport to schedule a reopen, then run it
+   *
+   * @param {StreamListTransport} streamTransport - Transport
+   * @param {number} expectedDelay - Delay the reopen must be scheduled with (ms)
+   */
+  async function runReopen(streamTransport, expectedDelay) {
+    await waitFor(() => streamTransport.reopenTimeout, 'a scheduled reopen');
+    const count = requestsTo('liveChat/messages/stream').length;
+
+    mock.timers.tick(expectedDelay - 1);
+    assert.equal(requestsTo('liveChat/messages/stream').length, count, 'reopened early');
+
+    mock.timers.tick(1);
+    await waitFor(() => requestsTo('liveChat/messages/stream').length > count, 'the reopened stream');
+  }
+
+  describe('reading the stream', () => {
+    it('reads pages cut anywhere across chunks', async () => {
+      const message = structuredClone(MESSAGES.textMessage);
+      message.snippet.displayMessage = 'unbalanced }} "quoted" \\ ✨';
+      message.snippet.textMessageDetails.messageText = message.snippet.displayMessage;
+
+      const first = Buffer.from(`[${JSON.stringify(page('page-1', [message]))}`);
+      const second = Buffer.from(`,\n${JSON.stringify(page('page-2'))}`);
+
+      // Cut inside the key, an escaped quote, the multi-byte emoji and right after the closing brace
+      const cuts = [4, first.indexOf('\\"') + 1, first.indexOf('✨') + 1, first.length];
+      const chunks = [0, ...cuts].slice(0, -1).map((start, i) => first.subarray(start, cuts[i]));
+      stream([...chunks, second.subarray(0, 5), second.subarray(5)], { spacing: 10 });
+
+      startTransport();
+      await waitFor(() => pages.length === 2, 'both pages');
+
+      assert.deepEqual(pages[0], page('page-1', [message]));
+      assert.deepEqual(pages[1], page('page-2'));
+      assert.equal(transport.pageToken, 'page-2');
+    });
+
+    it('reads newline-separated pages', async () => {
+      stream([`${JSON.stringify(page('page-1'))}\n${JSON.stringify(page('page-2'))}\n`]);
+
+      startTransport();
+      await waitFor(() => pages.length === 2, 'both pages');
+
+      assert.deepEqual(pages.map(received => received.nextPageToken), ['page-1', 'page-2']);
+    });
+
+    it('reopens a stream the server closed from the last page token', async () => {
+      mock.timers.enable({ apis: ['setTimeout'] });
+      stream([JSON.stringify(page('page-1'))], { end: true });
+      stream([JSON.stringify(page('page-2'))]);
+
+      startTransport('start');
+      await runReopen(transport, 1000);
+      await waitFor(() => pages.length === 2, 'the page from the reopened stream');
+
+      assert.deepEqual(requestsTo('liveChat/messages/stream').map(request => request.pageToken), ['start', 'page-1']);
+      assert.equal(transport.pageToken, 'page-2');
+    });
+  });
+
+  describe('fallback to polling', () => {
+    /**
+     * Connect a YouTubeChatClient to the mock live chat over streaming
+     */
+    function connectClient() {
+      client = new YouTubeChatClient('abcdefghijk');
+      client.liveChatId = 'live-chat-1';
+      client.isConnected = true;
+      client.startTransport('stream');
+    }
+
+    it('retries MAX_RETRIES times with backoff, then polls from the last page', async () => {
+      mock.timers.enable({ apis: ['setTimeout'] });
+      stream([`[${JSON.stringify(page('page-1'))},${JSON.stringify(apiError(503, 'backendError'))}`]);
+      streamError(503, 'backendError');
+      streamError(503, 'backendError');
+      streamError(503, 'backendError');
+
+      connectClient();
+      const streamTransport = client.transport;
+
+      await runReopen(streamTransport, 2000);
+      await runReopen(streamTransport, 4000);
+      await runReopen(streamTransport, 8000);
+      await waitFor(() => requestsTo('liveChat/messages').length === 1, 'the first poll');
+
+      assert.deepEqual(requestsTo('liveChat/messages/stream').map(request => request.pageToken),
+        [null, 'page-1', 'page-1', 'page-1']);
+      assert.equal(requestsTo('liveChat/messages')[0].pageToken, 'page-1');
+      assert.ok(client.transport instanceof PollingTransport);
+      assert.equal(streamTransport.running, false);
+    });
+
+    it('polls right away when the stream fails before its first page', async () => {
+      streamError(403, 'forbidden');
+
+      connectClient();
+      await waitFor(() => requestsTo('liveChat/messages').length === 1, 'the first poll');
+
+      assert.equal(requestsTo('liveChat/messages/stream').length, 1);
+      assert.ok(client.transport instanceof PollingTransport);
+    });
+  });
+
+  describe('ended chats', () => {
+    CHAT_ENDED_REASONS.forEach(reason => {
+      it(`ends without retrying when the stream is refused with ${reason}`, async () => {
+        streamError(403, reason);
+
+        const ended = [];
+        startTransport();
+        transport.onEnded = (endReason) => ended.push(endReason);
+        transport.onFailed = () => assert.fail('fell back instead of ending');
+        await waitFor(() => ended.length === 1, 'the chat to end');
+
+        assert.deepEqual(ended, [reason]);
+        assert.equal(transport.running, false);
+        assert.equal(transport.reopenTimeout, null);
+      });
+
+      it(`ends the client's chat on a ${reason} error inside the stream`, async () => {
+        stream([`[${JSON.stringify(page('page-1'))},${JSON.stringify(apiError(403, reason))}`]);
+
+        client = new YouTubeChatClient('abcdefghijk');
+        const ended = [];
+        client.onChatEnded = (info) => ended.push(info);
+        client.liveChatId = 'live-chat-1';
+        client.isConnected = true;
+        client.startTransport('stream');
+        await waitFor(() => ended.length === 1, 'the chat to end');
+
+        assert.deepEqual(ended, [{ reason }]);
+        assert.equal(client.transport, null);
+        assert.equal(requestsTo('liveChat/messages/stream').length, 1);
+        assert.equal(requestsTo('liveChat/messages').length, 0);
+      });
+    });
+  });
+});
@@ -0,0 +1,347 @@
+/**
+ * Third-party emotes against recorded provider responses
+ *
+ * A local server plays the BTTV, FFZ and 7TV APIs (`emotes.apiBaseUrls`)
+ * with recorded responses (fixtures/emote-providers.json). The tests check
+ * each provider's mapping to the shared emote shape, zero-width emotes,
+ * runtime provider toggles, and how thirdPartyEmotes refreshes expired
+ * sets. Unknown channels get 404 (no account with the provider).
+ *
+ * The cache TTL runs on a mocked clock.
+ */
+
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const config = require('./helpers/testConfig');
+const { waitFor } = require('./helpers/waitFor');
+const RESPONSES = require('./fixtures/emote-providers.json');
+
+/**
+ * Twitch channel every provider knows
+ * @type {string}
+ */
+const CHANNEL_ID = '123456';
+
+/**
+ * Channel whose lookups fail with a server error
+ * @type {string}
+ */
+const FAILING_CHANNEL_ID = '500';
+
+/**
+ * Every provider switched on
+ * @type {Object<string, boolean>}
+ */
+const ALL_PROVIDERS = { bttv: true, ffz: true, seventv: true };
+
+describe('third-party emotes', () => {
+  let server;
+  let requests;                  // Request paths, e.g. '/bttv/emotes/global'
+  let overrides;                 // Body or error status replacing a recorded response, by request path
+  let bttv;
+  let ffz;
+  let seventv;
+  let thirdPartyEmotes;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      requests.push(req.url);
+      const [, provider, ...rest] = req.url.split('/');
+      const path = `/${rest.join('/')}`;
+      const body = overrides[req.url] || RESPONSES[provider]?.[path];
+
+      if (typeof body === 'number' || path.endsWith(`/${FAILING_CHANNEL_ID}`)) {
+        res.writeHead(typeof body === 'number' ? body : 500, { 'Content-Type': 'application/json' });
+        res.end('{"message":"Internal Server Error"}');
+      } else if (body) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+      } else {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end('{"message":"Not Found"}');
+      }
+    });
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+
+    // The providers read their base URL when they load
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    config.emotes.apiBaseUrls = { bttv: `${baseUrl}/bttv`, ffz: `${baseUrl}/ffz`, seventv: `${baseUrl}/seventv` };
+    config.emotes.cacheTtlMinutes = 1;
+
+    bttv = require('../src/services/emoteProviders/bttv');
+    ffz = require('../src/services/emoteProviders/ffz');
+    seventv = require('../src/services/emoteProviders/seventv');
+    thirdPartyEmotes = require('../src/services/thirdPartyEmotes');
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  beforeEach(() => {
+    requests = [];
+    overrides = {};
+    thirdPartyEmotes.clearCache();
+    thirdPartyEmotes.setEnabledProviders(ALL_PROVIDERS);
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  /**
+   * Find an emote by name
+   *
+   * @param {Object[]} emotes - Emotes
+   * @param {string} name - Emote name
+   * @returns {Object} The emote
+   */
+  function byName(emotes, name) {
+    const emote = emotes.find(candidate => candidate.name === name);
+    assert.ok(emote, `no emote named ${name}`);
+    return emote;
+  }
+
+  /**
+   * Replace emote codes in a single text fragment
+   *
+   * @param {string} text - Message text
+   * @param {string} [twitchUserId] - Channel whose sets to use
+   * @returns {Object[]|null} Fragments, or null if no emote matched
+   */
+  function applyTo(text, twitchUserId) {
+    return thirdPartyEmotes.applyToFragments([{ type: 'text', text }], twitchUserId);
+  }
+
+  describe('BetterTTV', () => {
+    it('maps global emotes to the shared shape', async () => {
+      const emotes = await bttv.fetchGlobalEmotes();
+
+      assert.deepEqual(byName(emotes, 'OhMyGoodness'), {
+        provider: 'bttv',
+        id: '54fa925e01e468494b85b54d',
+        name: 'OhMyGoodness',
+        url: 'https://cdn.betterttv.net/emote/54fa925e01e468494b85b54d/1x.webp',
+        animated: false,
+        zeroWidth: false
+      });
+      assert.equal(emotes.length, 3);
+    });
+
+    it('marks zero-width emotes by code', async () => {
+      const emotes = await bttv.fetchGlobalEmotes();
+
+      assert.equal(byName(emotes, 'SoSnowy').zeroWidth, true);
+      assert.equal(byName(emotes, 'SoSnowy').animated, true);
+      assert.equal(byName(emotes, ':tf:').zeroWidth, false);
+    });
+
+    it('combines channel and shared emotes', async () => {
+      const emotes = await bttv.fetchChannelEmotes(CHANNEL_ID);
+
+      assert.deepEqual(emotes.map(emote => emote.name), ['catJAM', 'peepoHappy']);
+      assert.equal(byName(emotes, 'catJAM').animated, true);
+      assert.deepEqual(requests, [`/bttv/users/twitch/${CHANNEL_ID}`]);
+    });
+
+    it('returns no emotes for a channel without a BTTV account', async () => {
+      assert.deepEqual(await bttv.fetchChannelEmotes('999'), []);
+    });
+
+    it('rejects other error responses', async () => {
+      await assert.rejects(bttv.fetchChannelEmotes(FAILING_CHANNEL_ID), /HTTP 500 from 127\.0\.0\.1/);
+    });
+  });
+
+  describe('FrankerFaceZ', () => {
+    it('maps the default global sets only', async () => {
+      const emotes = await ffz.fetchGlobalEmotes();
+
+      assert.deepEqual(emotes.map(emote => emote.name), ['CatBag', 'ffzHat']);
+    });
+
+    it('makes protocol-relative image URLs absolute', async () => {
+      const emotes = await ffz.fetchGlobalEmotes();
+
+      assert.deepEqual(byName(emotes, 'CatBag'), {
+        provider: 'ffz',
+        id: '25927',
+        name: 'CatBag',
+        url: 'https://cdn.frankerfacez.com/emote/25927/1',
+        animated: false,
+        zeroWidth: false
+      });
+    });
+
+    it('marks modifier emotes as zero-width', async () => {
+      const emotes = await ffz.fetchGlobalEmotes();
+
+      assert.equal(byName(emotes, 'ffzHat').zeroWidth, true);
+    });
+
+    it('uses the animated image of a channel emote when there is one', async () => {
+      const emotes = await ffz.fetchChannelEmotes(CHANNEL_ID);
+
+      assert.equal(byName(emotes, 'PepeDance').url, 'https://cdn.frankerfacez.com/emote/555221/animated/1');
+      assert.equal(byName(emotes, 'PepeDance').animated, true);
+      assert.equal(byName(emotes, 'KEKW').animated, false);
+    });
+
+    it('returns no emotes for a channel without an FFZ room', async () => {
+      assert.deepEqual(await ffz.fetchChannelEmotes('999'), []);
+    });
+  });
+
+  describe('7TV', () => {
+    it('maps global emotes to the shared shape', async () => {
+      const emotes = await seventv.fetchGlobalEmotes();
+
+      assert.deepEqual(byName(emotes, 'EZ'), {
+        provider: 'seventv',
+        id: '01F6MZGCNG000255K4X1K0NEBS',
+        name: 'EZ',
+        url: 'https://cdn.7tv.app/emote/01F6MZGCNG000255K4X1K0NEBS/1x.webp',
+        animated: false,
+        zeroWidth: false
+      });
+    });
+
+    it('marks emotes zero-width by their own flag or the channel\'s', async () => {
+      const globals = await seventv.fetchGlobalEmotes();
+      const channel = await seventv.fetchChannelEmotes(CHANNEL_ID);
+
+      assert.equal(byName(globals, 'RainTime').zeroWidth, true);
+      assert.equal(byName(channel, 'Hatted').zeroWidth, true);
+      assert.equal(byName(channel, 'catKISS').zeroWidth, false);
+    });
+
+    it('names channel emotes by the channel\'s alias', async () => {
+      const emotes = await seventv.fetchChannelEmotes(CHANNEL_ID);
+
+      assert.equal(byName(emotes, 'Hatted').id, '01GAM8JEPR0003ZF6A6T9BQVK0');
+      assert.ok(!emotes.some(emote => emote.name === 'SantaHatWide'));
+    });
+
+    it('returns no emotes for a channel without a 7TV account', async () => {
+      assert.deepEqual(await seventv.fetchChannelEmotes('999'), []);
+    });
+  });
+
+  describe('thirdPartyEmotes', () => {
+    it('groups global and channel sets by provider', async () => {
+      const { enabled, providers } = await thirdPartyEmotes.getEmotes(CHANNEL_ID);
+
+      assert.deepEqual(enabled, ALL_PROVIDERS);
+      assert.deepEqual(Object.keys(providers), ['bttv', 'ffz', 'seventv']);
+      assert.deepEqual(providers.bttv.channel.map(emote => emote.name), ['catJAM', 'peepoHappy']);
+      assert.deepEqual(providers.ffz.global.map(emote => emote.name), ['CatBag', 'ffzHat']);
+      assert.equal(providers.seventv.channel.length, 3);
+    });
+
+    it('replaces whole, case-sensitive words and keeps zero-width flags', async () => {
+      await thirdPartyEmotes.preload(CHANNEL_ID);
+
+      const fragments = applyTo('catJAM SoSnowy catjam xcatJAM', CHANNEL_ID);
+
+      assert.deepEqual(fragments.map(fragment => fragment.type), ['emote', 'text', 'emote', 'text']);
+      assert.equal(fragments[0].name, 'catJAM');
+      assert.equal(fragments[2].zeroWidth, true);
+      assert.equal(fragments[3].text, ' catjam xcatJAM');
+    });
+
+    it('lets later providers win name clashes', async () => {
+      await thirdPartyEmotes.preload(CHANNEL_ID);
+
+      const [fragment] = applyTo('KEKW', CHANNEL_ID);
+
+      assert.equal(fragment.provider, 'seventv');
+    });
+
+    it('leaves channel emotes out without a channel', async () => {
+      await thirdPartyEmotes.preload(CHANNEL_ID);
+
+      assert.equal(applyTo('catJAM'), null);
+      assert.equal(applyTo('CatBag')[0].provider, 'ffz');
+    });
+
+    describe('setEnabledProviders', () => {
+      it('stops using a provider that is switched off', async () => {
+        await thirdPartyEmotes.preload(CHANNEL_ID);
+
+        thirdPartyEmotes.setEnabledProviders({ ...ALL_PROVIDERS, ffz: false });
+        const { enabled, providers } = await thirdPartyEmotes.getEmotes(CHANNEL_ID);
+
+        assert.equal(enabled.ffz, false);
+        assert.ok(!('ffz' in providers));
+        assert.equal(applyTo('CatBag', CHANNEL_ID), null);
+        assert.equal(applyTo('KEKW', CHANNEL_ID)[0].provider, 'seventv');
+      });
+
+      it('uses a provider again once it is switched back on', async () => {
+        thirdPartyEmotes.setEnabledProviders({ bttv: false, ffz: false, seventv: false });
+        await thirdPartyEmotes.preload(CHANNEL_ID);
+        assert.deepEqual(requests, []);
+
+        thirdPartyEmotes.setEnabledProviders({ bttv: true });
+        await thirdPartyEmotes.preload(CHANNEL_ID);
+
+        assert.deepEqual(requests.sort(), ['/bttv/emotes/global', `/bttv/users/twitch/${CHANNEL_ID}`]);
+        assert.equal(applyTo('OhMyGoodness', CHANNEL_ID)[0].provider, 'bttv');
+      });
+
+      it('falls back to config.js for providers it doesn\'t mention', async () => {
+        thirdPartyEmotes.setEnabledProviders({ ffz: true });
+        const { enabled } = await thirdPartyEmotes.getEmotes();
+
+        assert.deepEqual(thirdPartyEmotes.getDefaultProviders(), { bttv: false, ffz: false, seventv: false });
+        assert.deepEqual(enabled, { bttv: false, ffz: true, seventv: false });
+      });
+    });
+
+    describe('cache', () => {
+      it('doesn\'t reload fresh sets', async () => {
+        await thirdPartyEmotes.preload(CHANNEL_ID);
+        const count = requests.length;
+
+        await thirdPartyEmotes.preload(CHANNEL_ID);
+
+        assert.equal(count, 6);
+        assert.equal(requests.length, count);
+      });
+
+      it('keeps using an expired set while its refresh runs, then uses the new one', async () => {
+        mock.timers.enable({ apis: ['Date'], now: Date.now() });
+        thirdPartyEmotes.setEnabledProviders({ bttv: true });
+        await thirdPartyEmotes.preload();
+
+        overrides['/bttv/emotes/global'] = [
+          { id: '5e76d338d6581c3724c0f0b2', code: 'NewGlobal', imageType: 'png', animated: false }
+        ];
+        mock.timers.tick(60 * 1000 + 1);
+
+        // Expired: this lookup still uses the old set and starts the refresh
+        assert.equal(applyTo('OhMyGoodness')[0].name, 'OhMyGoodness');
+        await waitFor(() => applyTo('NewGlobal') !== null, 'the refreshed set');
+
+        assert.equal(applyTo('OhMyGoodness'), null);
+        assert.deepEqual(requests, ['/bttv/emotes/global', '/bttv/emotes/global']);
+      });
+
+      it('keeps the previous set when a refresh fails', async () => {
+        mock.timers.enable({ apis: ['Date'], now: Date.now() });
+        thirdPartyEmotes.setEnabledProviders({ bttv: true });
+        await thirdPartyEmotes.preload(CHANNEL_ID);
+
+        overrides[`/bttv/users/twitch/${CHANNEL_ID}`] = 503;
+        mock.timers.tick(60 * 1000 + 1);
+        await thirdPartyEmotes.preload(CHANNEL_ID);
+
+        assert.equal(requests.filter(path => path === `/bttv/users/twitch/${CHANNEL_ID}`).length, 2);
+        assert.equal(applyTo('catJAM', CHANNEL_ID)[0].name, 'catJAM');
+      });
+    });
+  });
+});
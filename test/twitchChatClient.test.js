@@ -0,0 +1,176 @@
+/**
+ * TwitchChatClient IRC parsing
+ *
+ * Recorded IRC lines (fixtures/twitch-irc.json) are fed through the
+ * client's WebSocket frame handler; the tests check the normalized chat
+ * messages, typed events and moderation events it emits.
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/testConfig');
+const TwitchChatClient = require('../src/platforms/twitch/TwitchChatClient');
+const IRC = require('./fixtures/twitch-irc.json');
+
+describe('TwitchChatClient', () => {
+  let client;
+  let messages;
+  let moderation;
+
+  beforeEach(() => {
+    client = new TwitchChatClient('channel');
+    messages = [];
+    moderation = [];
+    client.onMessage = (message) => messages.push(message);
+    client.onModeration = (event) => moderation.push(event);
+  });
+
+  /**
+   * Deliver IRC lines as one WebSocket frame, the way Twitch batches them
+   * @param {...string} lines - Raw IRC lines
+   */
+  function receive(...lines) {
+    client.handleMessage({ data: lines.join('\r\n') + '\r\n' });
+  }
+
+  describe('chat messages', () => {
+    it('normalizes a PRIVMSG with its emote', () => {
+      receive(IRC.privmsg);
+
+      assert.equal(messages.length, 1);
+      const [message] = messages;
+      assert.equal(message.id, '5a1c7c3e-8b0d-4c2e-9f1a-0d3b2c4e5f60');
+      assert.equal(message.username, 'ChatModerator');
+      assert.equal(message.login, 'chatmoderator');
+      assert.equal(message.userId, '10101010');
+      assert.equal(message.platform, 'twitch');
+      assert.equal(message.text, 'hello Kappa');
+      assert.equal(message.usernameColor, '#1E90FF');
+      assert.equal(message.isModerator, true);
+      assert.equal(message.isSuperchat, false);
+      assert.deepEqual(message.badges.map(badge => badge.name), ['moderator', 'subscriber']);
+      assert.deepEqual(message.fragments.map(fragment => fragment.type), ['text', 'emote']);
+      assert.equal(message.fragments[1].id, '25');
+    });
+
+    it('handles several lines in one frame in order', () => {
+      receive(IRC.sub, IRC.privmsg, IRC.clearmsg, IRC.raid);
+
+      assert.deepEqual(messages.map(message => message.eventType || 'chat'), ['sub', 'chat', 'raid']);
+      assert.equal(moderation.length, 1);
+    });
+  });
+
+  describe('USERNOTICE events', () => {
+    it('normalizes a Prime sub', () => {
+      receive(IRC.sub);
+
+      const [message] = messages;
+      assert.equal(message.eventType, 'sub');
+      assert.equal(message.username, 'NewSubber');
+      assert.equal(message.login, 'newsubber');
+      assert.equal(message.userId, '87654321');
+      assert.equal(message.text, '');
+      assert.deepEqual(message.event, {
+        type: 'sub',
+        systemMessage: 'NewSubber subscribed with Prime.',
+        months: 1,
+        streakMonths: null,
+        tier: 'Prime',
+        giftCount: null,
+        recipient: null,
+        viewerCount: null,
+        color: null
+      });
+    });
+
+    it('normalizes a resub with its message and emote', () => {
+      receive(IRC.resub);
+
+      const [message] = messages;
+      assert.equal(message.eventType, 'resub');
+      assert.equal(message.text, 'Still here after all Kappa');
+      assert.deepEqual(message.fragments.map(fragment => fragment.type), ['text', 'emote']);
+      assert.equal(message.event.months, 14);
+      assert.equal(message.event.streakMonths, 6);
+      assert.equal(message.event.tier, '1');
+      assert.equal(message.event.systemMessage,
+        "LoyalViewer subscribed at Tier 1. They've subscribed for 14 months, currently on a 6 month streak!");
+    });
+
+    it('normalizes a gifted sub with its recipient', () => {
+      receive(IRC.subgift);
+
+      const [message] = messages;
+      assert.equal(message.eventType, 'subgift');
+      assert.equal(message.username, 'GenerousGifter');
+      assert.equal(message.event.recipient, 'LuckyViewer');
+      assert.equal(message.event.giftCount, 1);
+      assert.equal(message.event.tier, '2');
+    });
+
+    it('folds anonymous gifts into the regular gift types', () => {
+      receive(IRC.anonsubgift, IRC.submysterygift);
+
+      assert.deepEqual(messages.map(message => message.eventType), ['subgift', 'submysterygift']);
+      assert.equal(messages[0].event.recipient, 'QuietViewer');
+      assert.equal(messages[1].event.giftCount, 5);
+      assert.equal(messages[1].event.tier, '1');
+    });
+
+    it('normalizes a raid with the raider avatar and viewer count', () => {
+      receive(IRC.raid);
+
+      const [message] = messages;
+      assert.equal(message.eventType, 'raid');
+      assert.equal(message.username, 'RaidLeader');
+      assert.equal(message.event.viewerCount, 42);
+      assert.equal(message.event.systemMessage, '42 raiders from RaidLeader have joined!');
+      assert.equal(message.avatar, 'https://static-cdn.jtvnw.net/jtv_user_pictures/raidleader-profile_image-70x70.png');
+    });
+
+    it('ignores unsupported notices', () => {
+      receive(IRC.bitsbadgetier);
+      assert.equal(messages.length, 0);
+    });
+  });
+
+  describe('moderation events', () => {
+    it('turns CLEARMSG into message-deleted', () => {
+      receive(IRC.clearmsg);
+
+      assert.equal(moderation.length, 1);
+      assert.equal(moderation[0].type, 'message-deleted');
+      assert.equal(moderation[0].messageId, 'abc-123-def');
+      assert.equal(moderation[0].username, 'chatterbox');
+      assert.equal(moderation[0].platform, 'twitch');
+      assert.equal(messages.length, 0);
+    });
+
+    it('turns a CLEARCHAT timeout into user-purged with its duration', () => {
+      receive(IRC.timeout);
+
+      assert.equal(moderation[0].type, 'user-purged');
+      assert.equal(moderation[0].username, 'spammer');
+      assert.equal(moderation[0].userId, '87654321');
+      assert.equal(moderation[0].duration, 600);
+    });
+
+    it('turns a CLEARCHAT ban into user-purged without a duration', () => {
+      receive(IRC.ban);
+
+      assert.equal(moderation[0].type, 'user-purged');
+      assert.equal(moderation[0].username, 'banneduser');
+      assert.equal(moderation[0].userId, '55555555');
+      assert.equal(moderation[0].duration, null);
+    });
+
+    it('turns a CLEARCHAT without a user into chat-cleared', () => {
+      receive(IRC.clearchat);
+
+      assert.equal(moderation.length, 1);
+      assert.equal(moderation[0].type, 'chat-cleared');
+      assert.equal(moderation[0].platform, 'twitch');
+    });
+  });
+});
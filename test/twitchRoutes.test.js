@@ -0,0 +1,60 @@
+/**
+ * /api/twitch/emotes/providers refuses anonymous and malformed lookups
+ *
+ * Each new channel makes the server call every emote provider, so the route
+ * needs the control login and a numeric channel ID. Providers are off in
+ * the test config: no request leaves the machine.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/testConfig');
+const { startServer, getSessionCookie } = require('./helpers/server');
+
+describe('GET /api/twitch/emotes/providers', () => {
+  let server;
+  let cookie;
+
+  before(async () => {
+    server = await startServer();
+    cookie = await getSessionCookie(server.baseUrl);
+  });
+
+  after(() => server.close());
+
+  /**
+   * Request the route
+   *
+   * @param {string} query - Query string
+   * @param {Object} [headers] - Request headers
+   * @returns {Promise<{status: number, body: Object}>} Response
+   */
+  async function get(query, headers = { Cookie: cookie }) {
+    const response = await fetch(`${server.baseUrl}/api/twitch/emotes/providers${query}`, { headers });
+    return { status: response.status, body: await response.json() };
+  }
+
+  it('requires the control login', async () => {
+    const { status, body } = await get('?channelId=12345', {});
+
+    assert.equal(status, 401);
+    assert.equal(body.status, 'error');
+  });
+
+  it('refuses a channel ID that is not numeric', async () => {
+    for (const channelId of ['abc', '123abc', '1'.repeat(21)]) {
+      const { status, body } = await get(`?channelId=${channelId}`);
+
+      assert.equal(status, 400, channelId);
+      assert.equal(body.message, 'channelId must be a numeric Twitch user ID');
+    }
+  });
+
+  it('answers a numeric channel ID', async () => {
+    const { status, body } = await get('?channelId=12345');
+
+    assert.equal(status, 200);
+    assert.equal(body.status, 'success');
+    assert.deepEqual(body.providers, {});
+  });
+});
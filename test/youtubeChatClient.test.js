@@ -0,0 +1,186 @@
+/**
+ * YouTubeChatClient message mapping
+ *
+ * Recorded liveChatMessage resources (fixtures/youtube-messages.json) go
+ * through processMessage(); the tests check the overlay messages, typed
+ * membership events and moderation events it emits.
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/testConfig');
+const YouTubeChatClient = require('../src/platforms/youtube/YouTubeChatClient');
+const MESSAGES = require('./fixtures/youtube-messages.json');
+
+describe('YouTubeChatClient.processMessage', () => {
+  let client;
+  let messages;
+  let moderation;
+  let ended;
+
+  beforeEach(() => {
+    client = new YouTubeChatClient('abcdefghijk');
+    messages = [];
+    moderation = [];
+    ended = [];
+    client.onMessage = (message) => messages.push(message);
+    client.onModeration = (event) => moderation.push(event);
+    client.onChatEnded = (info) => ended.push(info);
+  });
+
+  describe('chat messages', () => {
+    it('maps a text message with its author', () => {
+      client.processMessage(MESSAGES.textMessage);
+
+      const [message] = messages;
+      assert.equal(message.id, 'LCC.text-0001');
+      assert.equal(message.username, 'ChannelMod');
+      assert.equal(message.userId, 'UCmoderator0000000000003');
+      assert.equal(message.text, 'hello chat');
+      assert.equal(message.platform, 'youtube');
+      assert.equal(message.avatar, MESSAGES.textMessage.authorDetails.profileImageUrl);
+      assert.equal(message.isModerator, true);
+      assert.equal(message.isSuperchat, false);
+      assert.deepEqual(message.badges, ['moderator', 'verified']);
+    });
+
+    it('maps a Super Chat to a paid message with its comment', () => {
+      client.processMessage(MESSAGES.superChat);
+
+      const [message] = messages;
+      assert.equal(message.isSuperchat, true);
+      assert.equal(message.amount, '$5.00');
+      assert.equal(message.text, 'Great stream!');
+    });
+  });
+
+  describe('Super Stickers', () => {
+    it('maps a sticker to a paid message with the bundled image by default', () => {
+      client.processMessage(MESSAGES.superSticker);
+
+      const [message] = messages;
+      assert.equal(message.isSuperchat, true);
+      assert.equal(message.amount, '$2.00');
+      assert.equal(message.text, '');
+      assert.deepEqual(message.sticker, {
+        id: 'cat_dance_v2',
+        altText: 'Cat dancing',
+        url: '/images/stickers/super-sticker.svg'
+      });
+    });
+
+    it('carries the alt text and ID through for the overlay caption', () => {
+      client.processMessage(MESSAGES.superSticker);
+      client.stickerImageUrl = 'https://stickers.example/{id}.png';
+      client.processMessage(MESSAGES.superSticker);
+
+      messages.forEach(message => {
+        assert.equal(message.sticker.altText, 'Cat dancing');
+        assert.equal(message.sticker.id, 'cat_dance_v2');
+      });
+    });
+
+    it('labels a sticker without alt text as a Super Sticker', () => {
+      const sticker = structuredClone(MESSAGES.superSticker);
+      delete sticker.snippet.superStickerDetails.superStickerMetadata.altText;
+      client.processMessage(sticker);
+
+      assert.equal(messages[0].sticker.altText, 'Super Sticker');
+    });
+
+    it('uses the configured image URL template', () => {
+      client.stickerImageUrl = 'https://stickers.example/{id}.png';
+      client.processMessage(MESSAGES.superSticker);
+
+      assert.equal(messages[0].sticker.url, 'https://stickers.example/cat_dance_v2.png');
+    });
+  });
+
+  describe('memberships', () => {
+    it('maps a new member (upgrade) to a membership event', () => {
+      client.processMessage(MESSAGES.newSponsor);
+
+      const [message] = messages;
+      assert.equal(message.eventType, 'membership');
+      assert.equal(message.username, 'LongtimeMember');
+      assert.deepEqual(message.badges, ['sponsor']);
+      assert.deepEqual(message.event, {
+        type: 'membership',
+        systemMessage: 'Welcome to Gold Tier!',
+        levelName: 'Gold Tier',
+        months: null,
+        giftCount: null,
+        isUpgrade: true
+      });
+    });
+
+    it('maps a milestone with the member comment as text', () => {
+      client.processMessage(MESSAGES.memberMilestoneChat);
+
+      const [message] = messages;
+      assert.equal(message.eventType, 'milestone');
+      assert.equal(message.text, 'A whole year already!');
+      assert.equal(message.event.months, 12);
+      assert.equal(message.event.levelName, 'Gold Tier');
+      assert.ok(!('userComment' in message.event));
+    });
+
+    it('maps gifted memberships and received gifts', () => {
+      client.processMessage(MESSAGES.membershipGifting);
+      client.processMessage(MESSAGES.giftMembershipReceived);
+
+      assert.deepEqual(messages.map(message => message.eventType), ['membershipgift', 'giftreceived']);
+      assert.equal(messages[0].event.giftCount, 5);
+      assert.equal(messages[0].event.levelName, 'Gold Tier');
+      assert.equal(messages[1].username, 'ChatViewer');
+      assert.equal(messages[1].event.levelName, 'Gold Tier');
+    });
+  });
+
+  describe('moderation and chat state', () => {
+    it('maps messageDeletedEvent to message-deleted', () => {
+      client.processMessage(MESSAGES.messageDeleted);
+
+      assert.equal(messages.length, 0);
+      assert.deepEqual(moderation, [{
+        type: 'message-deleted',
+        messageId: 'LCC.text-0001',
+        username: null,
+        platform: 'youtube'
+      }]);
+    });
+
+    it('maps a temporary userBannedEvent to user-purged with its duration', () => {
+      client.processMessage(MESSAGES.userBannedTemporary);
+
+      assert.deepEqual(moderation, [{
+        type: 'user-purged',
+        username: 'Spammer',
+        userId: 'UCspammer000000000000005',
+        duration: 300,
+        platform: 'youtube'
+      }]);
+    });
+
+    it('maps a permanent userBannedEvent to user-purged without a duration', () => {
+      client.processMessage(MESSAGES.userBannedPermanent);
+
+      assert.equal(moderation[0].username, 'Troll');
+      assert.equal(moderation[0].duration, null);
+    });
+
+    it('skips snippet types without an overlay mapping', () => {
+      client.processMessage(MESSAGES.sponsorOnlyModeStarted);
+
+      assert.equal(messages.length, 0);
+      assert.equal(moderation.length, 0);
+    });
+
+    it('ends the connection on chatEndedEvent', () => {
+      client.processMessage(MESSAGES.chatEnded);
+
+      assert.deepEqual(ended, [{ reason: 'chatEnded' }]);
+      assert.equal(messages.length, 0);
+    });
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * YouTube routes never expose the API key
+ *
+ * A local server stands in for the YouTube API and the channel feed
+ * (`youtube.apiBaseUrl`, `youtube.liveWatcher.feedUrl`). It hangs up or
+ * answers garbage, and every /api/youtube error response is checked for the
+ * key. The quota-spending routes must also refuse clients without the
+ * control login.
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const config = require('./helpers/testConfig');
+const { startServer, getSessionCookie } = require('./helpers/server');
+
+/**
+ * Recognizable API key
+ * @type {string}
+ */
+const API_KEY = 'SECRET-KEY-123';
+
+/**
+ * Routes that call the YouTube API
+ * @type {string[]}
+ */
+const API_ROUTES = [
+  '/api/youtube/channel/UCchannel000000000000001/live',
+  '/api/youtube/video/abcdefghijk/chat',
+  '/api/youtube/chat/live-chat-1/messages?pageToken=page-1',
+  '/api/youtube/abcdefghijk'
+];
+
+describe('YouTube routes', () => {
+  let upstream;
+  let upstreamMode;              // 'hangup' or 'invalidJson'
+  let upstreamRequests;          // { url, apiKey } per upstream request
+  let server;
+  let cookie;
+
+  before(async () => {
+    upstream = http.createServer((req, res) => {
+      upstreamRequests.push({ url: req.url, apiKey: req.headers['x-goog-api-key'] || null });
+
+      if (upstreamMode === 'hangup') {
+        req.socket.destroy();
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end('{"items": [');
+    });
+    upstream.listen(0, '127.0.0.1');
+    await once(upstream, 'listening');
+
+    const upstreamUrl = `http://127.0.0.1:${upstream.address().port}`;
+    config.youtube.apiKey = API_KEY;
+    config.youtube.apiBaseUrl = upstreamUrl;
+    config.youtube.liveWatcher = { ...config.youtube.liveWatcher, feedUrl: `${upstreamUrl}/feed` };
+
+    server = await startServer();
+    cookie = await getSessionCookie(server.baseUrl);
+  });
+
+  after(async () => {
+    await server.close();
+    upstream.closeAllConnections();
+    upstream.close();
+  });
+
+  beforeEach(() => {
+    upstreamMode = 'hangup';
+    upstreamRequests = [];
+  });
+
+  /**
+   * Request a route with the control session
+   *
+   * @param {string} path - Route path
+   * @returns {Promise<{status: number, text: string}>} Status and raw body
+   */
+  async function get(path) {
+    const response = await fetch(`${server.baseUrl}${path}`, { headers: { Cookie: cookie } });
+    return { status: response.status, text: await response.text() };
+  }
+
+  API_ROUTES.forEach(path => {
+    it(`GET ${path} requires the control login`, async () => {
+      const response = await fetch(`${server.baseUrl}${path}`);
+
+      assert.equal(response.status, 401);
+      assert.equal(upstreamRequests.length, 0);
+    });
+
+    it(`GET ${path} answers a network failure without the key`, async () => {
+      const { status, text } = await get(path);
+
+      assert.ok(upstreamRequests.length > 0, 'the API was not called');
+      assert.equal(status, 500);
+      assert.ok(!text.includes(API_KEY), text);
+      assert.equal(JSON.parse(text).message, 'YouTube API request failed');
+    });
+  });
+
+  it('answers unreadable API responses without the key', async () => {
+    upstreamMode = 'invalidJson';
+
+    for (const path of ['/api/youtube/video/abcdefghijk/chat', '/api/youtube/abcdefghijk']) {
+      const { status, text } = await get(path);
+
+      assert.equal(status, 500, path);
+      assert.ok(!text.includes(API_KEY), text);
+    }
+  });
+
+  it('sends the key in a header, never in the URL', async () => {
+    await get('/api/youtube/video/abcdefghijk/chat');
+
+    assert.equal(upstreamRequests.length, 1);
+    assert.equal(upstreamRequests[0].apiKey, API_KEY);
+    assert.ok(!upstreamRequests[0].url.includes(API_KEY));
+    assert.ok(!upstreamRequests[0].url.includes('key='));
+  });
+
+  it('leaves the quota gauge readable without the control login', async () => {
+    const response = await fetch(`${server.baseUrl}/api/youtube/quota`);
+
+    assert.equal(response.status, 200);
+    assert.ok(!(await response.text()).includes(API_KEY));
+  });
+});